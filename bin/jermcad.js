@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+/**
+ * jermcad - compile a JermCAD model and write a mesh file, without a browser
+ *
+ *   jermcad part.yaml                          # writes part.stl next to the model
+ *   jermcad part.yaml -c tall -o out/tall.stl
+ *   jermcad part.yaml -p h=60 -p od=1.5in -f obj
+ *
+ * Exit codes: 0 success, 1 model errors (parse/validation), 2 usage or file errors,
+ * 3 geometry failures (failed boolean operations or modifiers, nothing to export)
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import jsyaml from 'js-yaml';
+import { Evaluator } from 'three-bvh-csg';
+import { parseYAML } from '../js/utils/yamlParser.js';
+import { validateModel, locateDiagnostics, hasErrors } from '../js/utils/validator.js';
+import { LENGTH_UNITS, lengthScale } from '../js/utils/units.js';
+import { EXPORT_FORMATS, prepareExportGeometry, writeMesh } from '../js/utils/meshExport.js';
+import { forceQualityLevel, getQualityPresets } from '../js/utils/qualitySettings.js';
+import { initialize as initializeModifiers } from '../js/modifiers/index.js';
+import { OriginMap } from '../js/utils/origins.js';
+import { buildModel, failureDiagnostics } from '../js/modelBuilder.js';
+import { setDebugEnabled } from '../js/utils/debug.js';
+
+// The parser uses js-yaml through the global the browser page provides
+globalThis.jsyaml = jsyaml;
+
+const EXIT_MODEL_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_GEOMETRY_ERROR = 3;
+
+const USAGE = `Usage: jermcad <model.yaml> [options]
+
+Options:
+  -o, --output <file>           Output file, or - for stdout (default: <model>[-<configuration>].<ext>)
+  -f, --format <format>         ${Object.entries(EXPORT_FORMATS).map(([name, format]) => `${name} (${format.description})`).join(', ')}
+                                (default: from the output extension, else stl)
+  -q, --quality <level>         ${Object.keys(getQualityPresets()).join(', ')} (default: high;
+                                use ultra for final exports)
+  -c, --configuration <name>    Configuration to build (default: settings.configuration)
+  -p, --param <name=value>      Override a root param; repeatable (values are YAML: 60, 1.5in, [1, 2, 3])
+  -u, --units <unit>            Output units: ${Object.keys(LENGTH_UNITS).join(', ')} (default: settings.export_units)
+      --check                   Parse and validate only; don't build geometry
+  -h, --help                    Show this help`;
+
+/**
+ * Error that ends the program with an exit code
+ */
+class CliError extends Error {
+    constructor(message, exitCode) {
+        super(message);
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * Print diagnostics as "file:line:column: severity: message"
+ */
+function printDiagnostics(file, diagnostics) {
+    for (const diagnostic of diagnostics) {
+        const location = diagnostic.line !== undefined ? `${diagnostic.line}:${diagnostic.column}:` : '';
+        console.error(`${file}:${location} ${diagnostic.severity}: ${diagnostic.message}`);
+    }
+}
+
+/**
+ * Parse `-p name=value` flags into a params object
+ */
+function readParamOverrides(values) {
+    const params = {};
+    for (const value of values) {
+        const separator = value.indexOf('=');
+        if (separator <= 0) {
+            throw new CliError(`--param should look like name=value, got "${value}"`, EXIT_USAGE);
+        }
+        const name = value.slice(0, separator).trim().replace(/^\$/, '');
+        try {
+            params[name] = jsyaml.load(value.slice(separator + 1));
+        } catch (e) {
+            throw new CliError(`--param ${name}: ${e.reason || e.message}`, EXIT_USAGE);
+        }
+    }
+    return params;
+}
+
+/**
+ * Read and check the command line
+ */
+function readOptions(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                output: { type: 'string', short: 'o' },
+                format: { type: 'string', short: 'f' },
+                quality: { type: 'string', short: 'q', default: 'high' },
+                configuration: { type: 'string', short: 'c' },
+                param: { type: 'string', short: 'p', multiple: true, default: [] },
+                units: { type: 'string', short: 'u' },
+                check: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (e) {
+        throw new CliError(e.message, EXIT_USAGE);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        return { help: true };
+    }
+    if (positionals.length !== 1) {
+        throw new CliError(positionals.length === 0 ? 'No model file given' : 'Give exactly one model file', EXIT_USAGE);
+    }
+    if (!Object.prototype.hasOwnProperty.call(getQualityPresets(), values.quality)) {
+        throw new CliError(`Unknown quality "${values.quality}" (use ${Object.keys(getQualityPresets()).join(', ')})`, EXIT_USAGE);
+    }
+    if (values.units !== undefined && !Object.prototype.hasOwnProperty.call(LENGTH_UNITS, values.units)) {
+        throw new CliError(`Unknown units "${values.units}" (use ${Object.keys(LENGTH_UNITS).join(', ')})`, EXIT_USAGE);
+    }
+
+    let format = values.format;
+    if (format === undefined) {
+        format = values.output && path.extname(values.output).toLowerCase() === '.obj' ? 'obj' : 'stl';
+    } else if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+        throw new CliError(`Unknown format "${format}" (use ${Object.keys(EXPORT_FORMATS).join(', ')})`, EXIT_USAGE);
+    }
+
+    return { ...values, format, model: positionals[0], params: readParamOverrides(values.param) };
+}
+
+/**
+ * Parse and validate the model, printing diagnostics
+ * @returns {Promise<{data: Object, origins: OriginMap}>} Parsed model and where its solids came from
+ */
+async function loadModel(options) {
+    const file = path.resolve(options.model);
+    let text;
+    try {
+        text = await readFile(file, 'utf8');
+    } catch (e) {
+        throw new CliError(`Can't read ${options.model}: ${e.code || e.message}`, EXIT_USAGE);
+    }
+
+    let data;
+    const origins = new OriginMap();
+    try {
+        data = await parseYAML(text, {
+            origins,
+            baseUrl: pathToFileURL(file),
+            configuration: options.configuration ?? null,
+            params: Object.keys(options.params).length > 0 ? options.params : null
+        });
+    } catch (e) {
+        let diagnostics = e.diagnostics ? locateDiagnostics(text, e.diagnostics) : [];
+        if (diagnostics.length === 0) {
+            diagnostics = validateModel(text, null).filter(d => d.severity === 'error');
+        }
+        if (diagnostics.length === 0) {
+            diagnostics = [{ severity: 'error', message: e.message }];
+        }
+        printDiagnostics(options.model, diagnostics);
+        throw new CliError(`${options.model} has errors`, EXIT_MODEL_ERROR);
+    }
+
+    const diagnostics = validateModel(text, data, origins);
+    printDiagnostics(options.model, diagnostics);
+    if (hasErrors(diagnostics)) {
+        throw new CliError(`${options.model} has errors`, EXIT_MODEL_ERROR);
+    }
+    return { data, origins };
+}
+
+/**
+ * Default output path: next to the model, with the configuration in the name
+ */
+function defaultOutput(model, configuration, format) {
+    const { dir, name } = path.parse(model);
+    const suffix = configuration ? `-${configuration.replace(/[^\w.-]+/g, '_')}` : '';
+    return path.join(dir, `${name}${suffix}.${EXPORT_FORMATS[format].extension}`);
+}
+
+async function main(argv) {
+    const options = readOptions(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const { data, origins } = await loadModel(options);
+    if (options.check) {
+        console.error(`${options.model}: OK (${Object.keys(data.solids || {}).length} solids)`);
+        return;
+    }
+
+    setDebugEnabled(data.settings?.debug === true);
+    initializeModifiers(new Evaluator());
+    forceQualityLevel(options.quality);
+
+    let built;
+    try {
+        built = buildModel(data);
+    } catch (e) {
+        if (e.solid) {
+            printDiagnostics(options.model, [origins.diagnostic(e.solid, undefined, `Solid "${e.solid}": ${e.message}`)]);
+        }
+        throw new CliError(`Building geometry failed: ${e.message}`, EXIT_GEOMETRY_ERROR);
+    }
+    const { meshes, failures, warnings } = built;
+    printDiagnostics(options.model, failureDiagnostics(warnings, origins, 'warning'));
+    if (failures.length > 0) {
+        printDiagnostics(options.model, failureDiagnostics(failures, origins));
+        throw new CliError(`${failures.length} operation${failures.length === 1 ? '' : 's'} failed`, EXIT_GEOMETRY_ERROR);
+    }
+    if (meshes.length === 0) {
+        throw new CliError(`${options.model} has no visible solids to export`, EXIT_GEOMETRY_ERROR);
+    }
+
+    const modelUnits = data.settings?.units || 'mm';
+    const outputUnits = options.units || data.settings?.export_units || modelUnits;
+    const geometry = prepareExportGeometry(meshes, lengthScale(modelUnits, outputUnits));
+    const name = path.parse(options.model).name;
+    const contents = writeMesh(geometry, options.format, name);
+    const bytes = typeof contents === 'string' ? contents : Buffer.from(contents);
+
+    const output = options.output ?? defaultOutput(options.model, data.settings?.configuration, options.format);
+    if (output === '-') {
+        process.stdout.write(bytes);
+        return;
+    }
+    try {
+        await writeFile(output, bytes);
+    } catch (e) {
+        throw new CliError(`Can't write ${output}: ${e.code || e.message}`, EXIT_USAGE);
+    }
+    console.error(`Wrote ${output} (${geometry.attributes.position.count / 3} triangles, ${outputUnits})`);
+}
+
+try {
+    await main(process.argv.slice(2));
+} catch (e) {
+    if (!(e instanceof CliError)) {
+        throw e;
+    }
+    console.error(`jermcad: ${e.message}`);
+    if (e.exitCode === EXIT_USAGE) {
+        console.error('Run "jermcad --help" for usage.');
+    }
+    process.exitCode = e.exitCode;
+}
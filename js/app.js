@@ -41,7 +41,12 @@ window.addEventListener('load', () => {
 // Expose compileYAML function to console for debugging
 // Usage: compileYAML() - compiles current editor content
 // Usage: compileYAML(yamlText) - compiles provided YAML text
-window.compileYAML = function(yamlText) {
+// Usage: compileYAML({ annotate: true }) - adds a comment with each solid's origin
+window.compileYAML = async function(yamlText, options = {}) {
+    if (yamlText !== null && typeof yamlText === 'object') {
+        options = yamlText;
+        yamlText = undefined;
+    }
     if (yamlText === undefined) {
         // Get YAML from editor if no argument provided
         yamlText = getEditorValue();
@@ -51,7 +56,7 @@ window.compileYAML = function(yamlText) {
         return null;
     }
     try {
-        const compiled = compileYAML(yamlText);
+        const compiled = await compileYAML(yamlText, options);
         console.log('Compiled YAML:');
         console.log(compiled);
         return compiled;
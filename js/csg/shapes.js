@@ -5,6 +5,131 @@
 import * as THREE from 'three';
 import { debug, debugLabel } from '../utils/debug.js';
 import { getSegmentCount } from '../utils/qualitySettings.js';
+import { readRoundSolid, isShapedRoundSolid } from '../utils/roundSolids.js';
+import { sweepSections } from '../utils/sweepPath.js';
+import { loftRings } from '../utils/loftSections.js';
+import { profileLoops, signedArea, ProfileError } from '../utils/profiles.js';
+import { extrusionLayers, layerLoops, isShapedExtrusion } from '../utils/extrusionLayers.js';
+import { textShapes } from '../utils/textLayout.js';
+import { readPolyhedron, polyhedronProblems, faceNormal, PolyhedronError } from '../utils/polyhedron.js';
+import { getMesh, meshUnitScale } from '../utils/meshFiles.js';
+
+/**
+ * Revolve a closed [radius, z] profile around the Z axis into a closed mesh
+ * Faces around the axis are smooth, faces between profile points are flat. A partial
+ * sweep (from +X towards +Y) is closed with flat end caps. Points on the axis and the
+ * seam of a full revolution are computed once, so the mesh is watertight.
+ * @param {Array<Array<number>>} profile - Polygon of [radius, z] points, radius >= 0
+ * @param {Array<Array<Array<number>>>} holes - Polygons inside the profile (hollows in the solid)
+ * @param {number} sweepAngle - Degrees, greater than 0 and at most 360
+ * @param {number} segments - Segments in a full revolution
+ * @returns {THREE.BufferGeometry} Non-indexed geometry with normals and UVs
+ */
+function revolveProfile(profile, holes, sweepAngle, segments) {
+    // Outline counter-clockwise and holes clockwise in the (radius, z) plane, so (dz, -dr)
+    // always points out of the material
+    const orient = (points, clockwise) => ((signedArea(points) < 0) !== clockwise ? [...points].reverse() : points);
+    const outline = orient(profile, false);
+    const loops = [outline, ...holes.map(hole => orient(hole, true))];
+
+    const full = sweepAngle >= 360;
+    const sweep = sweepAngle * Math.PI / 180;
+    const steps = full ? segments : Math.max(1, Math.ceil(segments * sweepAngle / 360));
+    const angleAt = (step) => (full && step === steps ? 0 : sweep * step / steps);
+    const place = ([r, z], angle) => (r === 0 ? new THREE.Vector3(0, 0, z) : new THREE.Vector3(r * Math.cos(angle), r * Math.sin(angle), z));
+
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    const edge1 = new THREE.Vector3();
+    const edge2 = new THREE.Vector3();
+
+    // Vertices are { position, normal, uv }; winding follows the normals, degenerate triangles are dropped
+    function addTriangle(a, b, c) {
+        edge1.subVectors(b.position, a.position);
+        edge2.subVectors(c.position, a.position);
+        const faceNormal = edge1.cross(edge2);
+        if (faceNormal.lengthSq() < 1e-20) {
+            return;
+        }
+        const outward = a.normal.clone().add(b.normal).add(c.normal);
+        for (const vertex of faceNormal.dot(outward) < 0 ? [a, c, b] : [a, b, c]) {
+            positions.push(vertex.position.x, vertex.position.y, vertex.position.z);
+            normals.push(vertex.normal.x, vertex.normal.y, vertex.normal.z);
+            uvs.push(vertex.uv[0], vertex.uv[1]);
+        }
+    }
+
+    // Surfaces of revolution, one band per profile edge
+    loops.forEach(points => points.forEach((start, i) => {
+        const end = points[(i + 1) % points.length];
+        if (start[0] === 0 && end[0] === 0) {
+            return; // On the axis
+        }
+        const length = Math.hypot(end[0] - start[0], end[1] - start[1]);
+        const normalR = (end[1] - start[1]) / length;
+        const normalZ = -(end[0] - start[0]) / length;
+        const vertex = (point, step, v, axisAngle) => {
+            const angle = point[0] === 0 ? axisAngle : angleAt(step);
+            return {
+                position: place(point, angle),
+                normal: new THREE.Vector3(normalR * Math.cos(angle), normalR * Math.sin(angle), normalZ),
+                uv: [step / steps, v]
+            };
+        };
+        for (let step = 0; step < steps; step++) {
+            // Points on the axis take the normal of the middle of the band
+            const middle = sweep * (step + 0.5) / steps;
+            const a0 = vertex(start, step, i / points.length, middle);
+            const b0 = vertex(end, step, (i + 1) / points.length, middle);
+            const a1 = vertex(start, step + 1, i / points.length, middle);
+            const b1 = vertex(end, step + 1, (i + 1) / points.length, middle);
+            addTriangle(a0, b0, b1);
+            addTriangle(a0, b1, a1);
+        }
+    }));
+
+    // End caps of a partial sweep
+    if (!full) {
+        const toVectors = (points) => points.map(([r, z]) => new THREE.Vector2(r, z));
+        const triangles = THREE.ShapeUtils.triangulateShape(toVectors(outline), loops.slice(1).map(toVectors));
+        const capPoints = loops.flat();
+        for (const [angle, facing] of [[angleAt(0), -1], [angleAt(steps), 1]]) {
+            const normal = new THREE.Vector3(-Math.sin(angle) * facing, Math.cos(angle) * facing, 0);
+            const capVertex = (index) => ({ position: place(capPoints[index], angle), normal, uv: capPoints[index] });
+            for (const [a, b, c] of triangles) {
+                addTriangle(capVertex(a), capVertex(b), capVertex(c));
+            }
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    return geometry;
+}
+
+/**
+ * Build a cylinder or cone from its dimensions: frustum, tube and/or partial sweep
+ * Centered on the origin with the bottom at -Z and the top at +Z.
+ */
+function createRoundSolid(solid) {
+    const { bottomRadius, topRadius, innerBottomRadius, innerTopRadius, length, sweepAngle } = readRoundSolid(solid);
+    const half = length / 2;
+    const corners = [
+        [innerBottomRadius, -half],
+        [bottomRadius, -half],
+        [topRadius, half],
+        [innerTopRadius, half]
+    ];
+    // A pointed end puts two corners on the axis at the same place
+    const profile = corners.filter(([r, z], i) => {
+        const [previousR, previousZ] = corners[(i + corners.length - 1) % corners.length];
+        return r !== previousR || z !== previousZ;
+    });
+    return revolveProfile(profile, [], sweepAngle, getSegmentCount());
+}
 
 export function createCuboid(solid) {
     const size = solid.size || [1, 1, 1];
@@ -19,6 +144,12 @@ export function createCuboid(solid) {
 }
 
 export function createCylinder(solid) {
+    if (isShapedRoundSolid(solid)) {
+        debug('Creating shaped cylinder (frustum, tube or partial sweep)');
+        const geometry = createRoundSolid(solid);
+        debugLabel('Cylinder created', { vertices: geometry.attributes.position?.count || 0 });
+        return geometry;
+    }
     const diameter = solid.diameter || 1;
     const length = solid.length || 1;
     const segments = getSegmentCount();
@@ -46,51 +177,58 @@ export function createSphere(solid) {
     return geometry;
 }
 
+/**
+ * Polygons of a solid's profile, with errors saying they're about the profile
+ */
+function readProfile(profile, segments) {
+    try {
+        return profileLoops(profile, segments);
+    } catch (e) {
+        if (e instanceof ProfileError) {
+            e.message = `Profile ${e.property ? `(${e.property}) ` : ''}${e.message}`;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Create the 2D shape of a profile, with its holes
+ * @param {Object|Array} profile - Profile definition, or a list of points
+ * @returns {THREE.Shape}
+ */
+function createProfileShape(profile) {
+    const { outline, holes } = readProfile(profile, getSegmentCount());
+    debug(`  ${Array.isArray(profile) ? 'poly' : profile.type} profile with ${outline.length} points, ${holes.length} holes`);
+    const toPoints = (points) => points.map(([x, y]) => new THREE.Vector2(x, y));
+    const shape = new THREE.Shape(toPoints(outline));
+    shape.holes = holes.map(hole => new THREE.Path(toPoints(hole)));
+    return shape;
+}
+
+/**
+ * Extrusion with twist, taper, draft or shaped ends, built from layers of the profile
+ */
+function createShapedExtrusion(solid) {
+    const segments = getSegmentCount();
+    const { outline, holes } = readProfile(solid.profile, segments);
+    const layers = extrusionLayers(solid, segments);
+    debug(`Creating shaped extrusion with ${layers.length} layers`);
+    
+    const layered = layers.map(layer => layerLoops([outline, ...holes], layer));
+    const rings = layered.map((loops, i) => loops.map(points => points.map(([x, y]) => new THREE.Vector3(x, y, layers[i].z))));
+    return skinRings(rings, [layered[0], layered[layered.length - 1]], new THREE.Vector3(0, 0, -1), new THREE.Vector3(0, 0, 1));
+}
+
 export function createExtrusion(solid) {
-    const profile = solid.profile || {};
-    const length = solid.length || 1;
-    debug(`Creating extrusion with profile type "${profile.type || 'default'}", length ${length}`);
-    
-    let shape;
-    
-    if (profile.type === 'circle') {
-        const radius = (profile.diameter || 2) / 2;
-        const segments = getSegmentCount();
-        debug(`  Circle profile with diameter ${profile.diameter || 2}, segments ${segments}`);
-        shape = new THREE.Shape();
-        const points = [];
-        for (let i = 0; i <= segments; i++) {
-            const angle = (i / segments) * Math.PI * 2;
-            points.push(new THREE.Vector2(
-                radius * Math.cos(angle),
-                radius * Math.sin(angle)
-            ));
-        }
-        shape.setFromPoints(points);
-    } else if (profile.type === 'rect') {
-        const size = profile.size || [2, 2];
-        debug(`  Rect profile with size [${size[0]}, ${size[1]}]`);
-        shape = new THREE.Shape();
-        shape.moveTo(-size[0]/2, -size[1]/2);
-        shape.lineTo(size[0]/2, -size[1]/2);
-        shape.lineTo(size[0]/2, size[1]/2);
-        shape.lineTo(-size[0]/2, size[1]/2);
-        shape.closePath();
-    } else if (profile.type === 'poly' && profile.points) {
-        debug(`  Poly profile with ${profile.points.length} points`);
-        shape = new THREE.Shape();
-        const points = profile.points.map(p => new THREE.Vector2(p[0], p[1]));
-        shape.setFromPoints(points);
-    } else {
-        // Default to a square
-        debug('  Default square profile');
-        shape = new THREE.Shape();
-        shape.moveTo(-1, -1);
-        shape.lineTo(1, -1);
-        shape.lineTo(1, 1);
-        shape.lineTo(-1, 1);
-        shape.closePath();
+    if (isShapedExtrusion(solid)) {
+        const geometry = createShapedExtrusion(solid);
+        debugLabel('Extrusion created', { vertices: geometry.attributes.position?.count || 0 });
+        return geometry;
     }
+    const length = solid.length || 1;
+    debug(`Creating extrusion with length ${length}`);
+    
+    const shape = createProfileShape(solid.profile);
     
     const extrudeSettings = {
         depth: length,
@@ -105,24 +243,328 @@ export function createExtrusion(solid) {
     return geometry;
 }
 
-export function createCone(solid) {
-    const diameter = solid.diameter || 1;
-    const height = solid.height || 1;
+/**
+ * Unit vector for an axis given as x, y, z or [x, y, z]
+ */
+function readAxis(axis = 'z') {
+    const named = { x: [1, 0, 0], y: [0, 1, 0], z: [0, 0, 1] };
+    const vector = new THREE.Vector3(...(typeof axis === 'string' ? named[axis.toLowerCase()] || [] : axis));
+    if (!(vector.lengthSq() > 0)) {
+        throw new Error(`Revolve "axis" should be x, y, z or a vector like [0, 0, 1], got ${JSON.stringify(axis)}`);
+    }
+    return vector.normalize();
+}
+
+/**
+ * Revolve (lathe) a 2D profile around an axis through the solid's center
+ * The profile's x is the distance from the axis and its y the position along it.
+ */
+export function createRevolve(solid) {
+    const [offsetX, offsetY] = solid.offset || [0, 0];
+    const angle = solid.angle ?? 360;
     const segments = getSegmentCount();
-    debug(`Creating cone with diameter ${diameter}, height ${height}, segments ${segments}`);
-    
-    // Three.js ConeGeometry takes: radiusBottom, radiusTop, height, radialSegments
-    // For a cone, radiusTop is 0
-    // In Three.js, cones are created along Y axis by default
-    const geometry = new THREE.ConeGeometry(
-        diameter / 2,  // radiusBottom (half of diameter)
-        0,             // radiusTop (0 for a cone, >0 for a truncated cone)
-        height,        // height
-        segments        // radialSegments (from quality settings)
-    );
+    debug(`Creating revolve with angle ${angle}, segments ${segments}`);
     
-    // Rotate geometry so base is perpendicular to Z-axis
-    geometry.rotateX(-Math.PI / 2);
+    if (!(angle > 0 && angle <= 360)) {
+        throw new Error(`Revolve "angle" should be greater than 0 and at most 360, got ${angle}`);
+    }
+    
+    // Profile outline and holes as [radius, along] points
+    const { outline, holes } = readProfile(solid.profile, segments);
+    const toRevolveProfile = (points) => {
+        const result = points.map(([x, y]) => [x + offsetX, y + offsetY]);
+        const crossing = result.find(([r]) => r < -1e-9);
+        if (crossing) {
+            throw new Error(`Revolve profile crosses the axis at [${crossing.map(v => +v.toFixed(6)).join(', ')}]; keep x at 0 or more, or move it with "offset"`);
+        }
+        // Points within rounding of the axis sit exactly on it
+        return result.map(([r, along]) => [Math.max(0, r) < 1e-9 ? 0 : r, along]);
+    };
+    
+    const geometry = revolveProfile(toRevolveProfile(outline), holes.map(toRevolveProfile), angle, segments);
+    
+    // Built around Z; turn to the requested axis
+    const axis = readAxis(solid.axis);
+    geometry.applyQuaternion(new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 0, 1), axis));
+    
+    debugLabel('Revolve created', { vertices: geometry.attributes.position?.count || 0 });
+    return geometry;
+}
+
+/**
+ * Triangulate a cap: an outline and its holes
+ * Points in a line along an edge (where loops were matched to other loops) would give
+ * triangles with no area, so they're left out of the triangulation and then put back by
+ * splitting the triangle whose side they lie on; the cap still meets every wall edge.
+ * @param {Array<Array<Array<number>>>} loops - Outline then holes, as [x, y] points
+ * @returns {Array<Array<number>>} Triangles as indices into the loops' points in order
+ */
+function triangulateCap(loops) {
+    const points = loops.flat();
+    const inLine = (point, a, b) => {
+        const [dx, dy] = [points[b][0] - points[a][0], points[b][1] - points[a][1]];
+        const [px, py] = [points[point][0] - points[a][0], points[point][1] - points[a][1]];
+        const lengthSq = dx * dx + dy * dy;
+        const along = px * dx + py * dy;
+        return Math.abs(px * dy - py * dx) <= 1e-9 * lengthSq && along > 0 && along < lengthSq;
+    };
+    const samePlace = (a, b) => Math.hypot(points[a][0] - points[b][0], points[a][1] - points[b][1]) <= 1e-9;
+    
+    // Indices of each loop's corners, skipping repeats and points in line with their neighbours
+    let first = 0;
+    const repeats = new Set();
+    const corners = loops.map(loop => {
+        const indices = loop.map((_, i) => first + i);
+        first += loop.length;
+        const previous = (i) => indices[(i + loop.length - 1) % loop.length];
+        indices.forEach((index, i) => {
+            if (i > 0 && samePlace(index, previous(i))) {
+                repeats.add(index);
+            }
+        });
+        const distinct = indices.filter(index => !repeats.has(index));
+        const kept = distinct.filter((index, i) => !inLine(index, distinct[(i + distinct.length - 1) % distinct.length], distinct[(i + 1) % distinct.length]));
+        return kept.length >= 3 ? kept : indices;
+    });
+    const toVectors = (indices) => indices.map(index => new THREE.Vector2(...points[index]));
+    const cornerIndices = corners.flat();
+    const triangles = THREE.ShapeUtils.triangulateShape(toVectors(corners[0]), corners.slice(1).map(toVectors))
+        .map(triangle => triangle.map(i => cornerIndices[i]));
+    
+    const used = new Set(cornerIndices);
+    points.forEach((_, point) => {
+        if (used.has(point) || repeats.has(point)) {
+            return;
+        }
+        for (const triangle of triangles) {
+            const side = [0, 1, 2].find(i => inLine(point, triangle[i], triangle[(i + 1) % 3]));
+            if (side !== undefined) {
+                const [a, b, c] = [triangle[side], triangle[(side + 1) % 3], triangle[(side + 2) % 3]];
+                triangle.splice(0, 3, a, point, c);
+                triangles.push([point, b, c]);
+                return;
+            }
+        }
+    });
+    return triangles;
+}
+
+/**
+ * Skin rings of points into a closed mesh: walls between neighbouring rings, and caps
+ * Rings hold the same loops, point for point. Walls face out when the loops run
+ * counter-clockwise (holes clockwise) looking back from the last ring towards the first.
+ * @param {Array<Array<Array<THREE.Vector3>>>} rings - Loops of points, one set per ring
+ * @param {Array<Array<Array<Array<number>>>>} capLoops - 2D loops to triangulate the first and last caps
+ * @param {THREE.Vector3} startFacing - Outward direction of the first cap
+ * @param {THREE.Vector3} endFacing - Outward direction of the last cap
+ * @returns {THREE.BufferGeometry} Non-indexed geometry with normals and UVs
+ */
+function skinRings(rings, capLoops, startFacing, endFacing) {
+    const positions = [];
+    const uvs = [];
+    const edge1 = new THREE.Vector3();
+    const edge2 = new THREE.Vector3();
+    // Degenerate triangles (e.g. where a profile point sits on a tight corner) are dropped
+    function addTriangle(a, b, c, uvA, uvB, uvC, facing = null) {
+        edge1.subVectors(b, a);
+        edge2.subVectors(c, a);
+        const normal = edge1.cross(edge2);
+        if (normal.lengthSq() < 1e-20) {
+            return;
+        }
+        const flip = facing !== null && normal.dot(facing) < 0;
+        for (const [point, uv] of flip ? [[a, uvA], [c, uvC], [b, uvB]] : [[a, uvA], [b, uvB], [c, uvC]]) {
+            positions.push(point.x, point.y, point.z);
+            uvs.push(uv[0], uv[1]);
+        }
+    }
+    
+    // Walls, one band per loop edge. Noticeably twisted quads are split around their middle; either
+    // diagonal alone would cut into the wall or bulge out of it
+    const middle = new THREE.Vector3();
+    rings[0].forEach((points, loop) => points.forEach((_, i) => {
+        const next = (i + 1) % points.length;
+        for (let step = 0; step < rings.length - 1; step++) {
+            const [a0, b0] = [rings[step][loop][i], rings[step][loop][next]];
+            const [a1, b1] = [rings[step + 1][loop][i], rings[step + 1][loop][next]];
+            const [u0, u1] = [i / points.length, (i + 1) / points.length];
+            const [v0, v1] = [step / (rings.length - 1), (step + 1) / (rings.length - 1)];
+            edge1.subVectors(b0, a0).cross(edge2.subVectors(a1, a0));
+            const offPlane = Math.abs(edge1.dot(middle.subVectors(b1, a0)));
+            if (offPlane <= 1e-2 * edge1.length() * (a0.distanceTo(b1) + 1e-9)) {
+                addTriangle(a0, b0, b1, [u0, v0], [u1, v0], [u1, v1]);
+                addTriangle(a0, b1, a1, [u0, v0], [u1, v1], [u0, v1]);
+                continue;
+            }
+            const center = new THREE.Vector3().add(a0).add(b0).add(a1).add(b1).multiplyScalar(0.25);
+            const uvCenter = [(u0 + u1) / 2, (v0 + v1) / 2];
+            addTriangle(a0, b0, center, [u0, v0], [u1, v0], uvCenter);
+            addTriangle(b0, b1, center, [u1, v0], [u1, v1], uvCenter);
+            addTriangle(b1, a1, center, [u1, v1], [u0, v1], uvCenter);
+            addTriangle(a1, a0, center, [u0, v1], [u0, v0], uvCenter);
+        }
+    }));
+    
+    // Caps
+    const caps = [[rings[0], capLoops[0], startFacing], [rings[rings.length - 1], capLoops[1], endFacing]];
+    for (const [ring, loops, facing] of caps) {
+        const triangles = triangulateCap(loops);
+        const ringPoints = ring.flat();
+        const capPoints = loops.flat();
+        for (const [a, b, c] of triangles) {
+            addTriangle(ringPoints[a], ringPoints[b], ringPoints[c], capPoints[a], capPoints[b], capPoints[c], facing);
+        }
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+/**
+ * Sweep a 2D profile along a path (polyline, arc, Bézier curves or helix)
+ * Sections come from sweepSections; neighbouring rings share their points and the ends
+ * are capped, so the mesh is closed.
+ */
+export function createSweep(solid) {
+    const segments = getSegmentCount();
+    const { sections, start, end } = sweepSections(solid, segments);
+    debug(`Creating sweep with path type "${Array.isArray(solid.path) ? 'polyline' : solid.path?.type}", ${sections.length} sections`);
+    
+    // Outline counter-clockwise and holes clockwise, mirrored when the profile faces backwards
+    // along the path, so the walls face out of the material
+    const { outline, holes } = readProfile(solid.profile, segments);
+    const [u, v] = [new THREE.Vector3(...sections[0].u), new THREE.Vector3(...sections[0].v)];
+    const mirrored = u.cross(v).dot(new THREE.Vector3(...start)) < 0;
+    const orient = (points, clockwise) => ((signedArea(points) < 0) !== (clockwise !== mirrored) ? [...points].reverse() : points);
+    const loops = [orient(outline, false), ...holes.map(hole => orient(hole, true))];
+    
+    // One ring of points per section
+    const rings = sections.map(({ origin, u, v }) => loops.map(points => points.map(([x, y]) => new THREE.Vector3(
+        origin[0] + x * u[0] + y * v[0],
+        origin[1] + x * u[1] + y * v[1],
+        origin[2] + x * u[2] + y * v[2]
+    ))));
+    
+    const geometry = skinRings(rings, [loops, loops], new THREE.Vector3(...start).negate(), new THREE.Vector3(...end));
+    
+    debugLabel('Sweep created', { vertices: geometry.attributes.position?.count || 0 });
+    return geometry;
+}
+
+/**
+ * Loft between profiles: rings from loftRings skinned into walls, capped at the first and
+ * last sections
+ */
+export function createLoft(solid) {
+    const { rings, caps, facing } = loftRings(solid, getSegmentCount());
+    debug(`Creating loft through ${solid.sections.length} sections, ${rings.length} rings of ${rings[0].flat().length} points`);
+    
+    const toVectors = (loops) => loops.map(points => points.map(point => new THREE.Vector3(...point)));
+    const geometry = skinRings(rings.map(toVectors), caps, new THREE.Vector3(...facing[0]), new THREE.Vector3(...facing[1]));
+    
+    debugLabel('Loft created', { vertices: geometry.attributes.position?.count || 0 });
+    return geometry;
+}
+
+/**
+ * Extrude text: every glyph outline with its holes, centered along Z like an extrusion
+ */
+export function createText(solid) {
+    const { shapes, depth } = textShapes(solid, getSegmentCount());
+    debug(`Creating text "${solid.text}" in font "${solid.font ?? 'default'}" with ${shapes.length} outlines, depth ${depth}`);
+    
+    const toPoints = (points) => points.map(([x, y]) => new THREE.Vector2(x, y));
+    const threeShapes = shapes.map(({ outline, holes }) => {
+        const shape = new THREE.Shape(toPoints(outline));
+        shape.holes = holes.map(hole => new THREE.Path(toPoints(hole)));
+        return shape;
+    });
+    const geometry = new THREE.ExtrudeGeometry(threeShapes, { depth, bevelEnabled: false });
+    geometry.translate(0, 0, -depth / 2);
+    
+    debugLabel('Text created', { vertices: geometry.attributes.position?.count || 0 });
+    return geometry;
+}
+
+/**
+ * Polyhedron from explicit points and faces, each face triangulated in its own plane
+ * Only closed, outward-facing surfaces are built, as boolean operations need them.
+ */
+export function createPolyhedron(solid) {
+    const polyhedron = readPolyhedron(solid);
+    const problems = polyhedronProblems(polyhedron);
+    if (problems.length > 0) {
+        throw new PolyhedronError(problems[0].message, problems[0].property);
+    }
+    const { points, faces } = polyhedron;
+    debug(`Creating polyhedron with ${points.length} points, ${faces.length} faces`);
+    
+    const positions = [];
+    const uvs = [];
+    for (const face of faces) {
+        // Flatten the face onto the plane its normal points out of most, keeping its winding
+        const normal = faceNormal(points, face);
+        const axis = normal.map(Math.abs).indexOf(Math.max(...normal.map(Math.abs)));
+        const [u, v] = normal[axis] > 0 ? [[1, 2], [2, 0], [0, 1]][axis] : [[2, 1], [0, 2], [1, 0]][axis];
+        const flat = face.map(index => [points[index][u], points[index][v]]);
+        const triangles = face.length === 3
+            ? [[0, 1, 2]]
+            : THREE.ShapeUtils.triangulateShape(flat.map(([x, y]) => new THREE.Vector2(x, y)), []);
+        for (const triangle of triangles) {
+            const [a, b, c] = triangle.map(i => flat[i]);
+            const area = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+            for (const i of area < 0 ? [triangle[0], triangle[2], triangle[1]] : triangle) {
+                positions.push(...points[face[i]]);
+                uvs.push(...flat[i]);
+            }
+        }
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.computeVertexNormals();
+    
+    debugLabel('Polyhedron created', { vertices: geometry.attributes.position.count });
+    return geometry;
+}
+
+/**
+ * Mesh read from a file, repaired when it was loaded, in the file's own coordinates
+ */
+export function createMesh(solid) {
+    const mesh = getMesh(solid.file);
+    if (!mesh) {
+        throw new Error(`mesh file "${solid.file}" isn't loaded`);
+    }
+    const scale = meshUnitScale(solid);
+    debug(`Creating mesh from "${solid.file}" with ${mesh.triangles.length} triangles, unit scale ${scale}`);
+    
+    const positions = new Float32Array(mesh.triangles.length * 9);
+    mesh.triangles.forEach((triangle, i) => triangle.forEach((index, k) => {
+        const point = mesh.points[index];
+        for (let axis = 0; axis < 3; axis++) {
+            positions[i * 9 + k * 3 + axis] = point[axis] * scale;
+        }
+    }));
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(new Float32Array(mesh.triangles.length * 6), 2));
+    geometry.computeVertexNormals();
+    
+    debugLabel('Mesh created', { vertices: geometry.attributes.position.count });
+    return geometry;
+}
+
+export function createCone(solid) {
+    debug(`Creating cone with diameter ${solid.bottom_diameter ?? solid.diameter ?? 1}, top diameter ${solid.top_diameter ?? 0}, height ${solid.height || 1}`);
+    
+    // Base at -Z, tip (or top_diameter) at +Z
+    const geometry = createRoundSolid(solid);
     
     debugLabel('Cone created', { vertices: geometry.attributes.position?.count || 0 });
     return geometry;
@@ -165,6 +607,18 @@ export function createGeometry(solid) {
             return createSphere(solid);
         case 'extrusion':
             return createExtrusion(solid);
+        case 'revolve':
+            return createRevolve(solid);
+        case 'sweep':
+            return createSweep(solid);
+        case 'loft':
+            return createLoft(solid);
+        case 'text':
+            return createText(solid);
+        case 'polyhedron':
+            return createPolyhedron(solid);
+        case 'mesh':
+            return createMesh(solid);
         case 'cone':
             return createCone(solid);
         case 'toroid':
@@ -175,3 +629,30 @@ export function createGeometry(solid) {
     }
 }
 
+
+/**
+ * Copy of a geometry moved by a matrix
+ * A matrix that mirrors turns every triangle inside out, so two corners of each are swapped
+ * back; normals are transformed with the points and keep facing outwards.
+ * @param {THREE.BufferGeometry} geometry - Geometry to copy
+ * @param {THREE.Matrix4} matrix - Transform
+ * @returns {THREE.BufferGeometry} Non-indexed copy
+ */
+export function transformGeometry(geometry, matrix) {
+    const transformed = geometry.index ? geometry.toNonIndexed() : geometry.clone();
+    transformed.applyMatrix4(matrix);
+    if (matrix.determinant() < 0) {
+        for (const attribute of Object.values(transformed.attributes)) {
+            const { array, itemSize } = attribute;
+            for (let first = 0; first + 2 < attribute.count; first += 3) {
+                for (let k = 0; k < itemSize; k++) {
+                    const second = (first + 1) * itemSize + k;
+                    const third = (first + 2) * itemSize + k;
+                    [array[second], array[third]] = [array[third], array[second]];
+                }
+            }
+            attribute.needsUpdate = true;
+        }
+    }
+    return transformed;
+}
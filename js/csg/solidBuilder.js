@@ -3,9 +3,10 @@
  */
 
 import * as THREE from 'three';
-import { createGeometry } from './shapes.js';
+import { createGeometry, transformGeometry } from './shapes.js';
 import { collectDependencies } from '../utils/dependencyResolver.js';
-import { applyModifiers } from '../modifiers/index.js';
+import { applyModifiers, applySolidMirror } from '../modifiers/index.js';
+import { isRigid, readScale, solidPlacement } from '../utils/solidTransforms.js';
 import { debug, debugLabel } from '../utils/debug.js';
 
 /**
@@ -64,12 +65,19 @@ export function createSolid(name, solid, allSolids, processedSolids = new Map(),
     
     // Create base geometry
     debug(`[Solid: ${name}] Creating base geometry (${solid.shape})`);
-    const geometry = createGeometry(solid);
+    let geometry = createGeometry(solid);
     debugLabel(`[Solid: ${name}] Base geometry created`, {
         vertices: geometry.attributes.position?.count || 0,
         faces: geometry.attributes.position?.count ? Math.floor(geometry.attributes.position.count / 3) : 0
     });
     
+    // Scale about the solid's own origin, before the anchor so it refers to the scaled shape
+    if (solid.scale !== undefined) {
+        const scale = readScale(solid.scale);
+        geometry = transformGeometry(geometry, new THREE.Matrix4().makeScale(...scale));
+        debugLabel(`[Solid: ${name}] Scale applied`, scale);
+    }
+    
     // Apply anchor offset if specified
     // Anchor is a Vector3 [0-1, 0-1, 0-1] that determines which point on the bounding box
     // the center position refers to. [0.5, 0.5, 0.5] is the center (default).
@@ -150,6 +158,7 @@ export function createSolid(name, solid, allSolids, processedSolids = new Map(),
     });
     
     const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = name;
     
     // Apply transformations
     const center = solid.center || [0, 0, 0];
@@ -163,18 +172,39 @@ export function createSolid(name, solid, allSolids, processedSolids = new Map(),
         debugLabel(`[Solid: ${name}] Rotation set`, solid.rotation);
     }
     
+    // A pivot or transforms change the placement; what isn't a turn and a move goes into the geometry
+    if (solid.pivot !== undefined || solid.transforms !== undefined) {
+        const matrix = solidPlacement(solid);
+        const placement = new THREE.Matrix4().set(...matrix.flat(), 0, 0, 0, 1);
+        if (isRigid(matrix)) {
+            placement.decompose(mesh.position, mesh.quaternion, new THREE.Vector3());
+        } else {
+            geometry = transformGeometry(geometry, placement.clone().setPosition(0, 0, 0));
+            mesh.geometry.dispose();
+            mesh.geometry = geometry;
+            mesh.position.setFromMatrixPosition(placement);
+            mesh.rotation.set(0, 0, 0);
+        }
+        debugLabel(`[Solid: ${name}] Placement set`, { position: mesh.position.toArray(), rotation: mesh.rotation.toArray().slice(0, 3) });
+    }
+    
     // Apply modifiers
     if (solid.modifiers) {
         debug(`[Solid: ${name}] Applying modifiers...`);
-        applyModifiers(mesh, geometry, solid.modifiers, allSolids, processedSolids);
+        applyModifiers(mesh, geometry, solid.modifiers, allSolids, processedSolids, solid);
         debug(`[Solid: ${name}] Modifiers applied`);
     } else {
         debug(`[Solid: ${name}] No modifiers to apply`);
     }
     
+    // Mirror the whole solid, modifiers included
+    if (solid.mirror !== undefined) {
+        debug(`[Solid: ${name}] Mirroring...`);
+        applySolidMirror(mesh, solid.mirror);
+    }
+    
     mesh.castShadow = true;
     mesh.receiveShadow = true;
-    mesh.name = name;
     
     processedSolids.set(name, mesh);
     debug(`[Solid: ${name}] ✓ Finished processing (final vertex count: ${mesh.geometry.attributes.position?.count || 0})`);
@@ -0,0 +1,174 @@
+/**
+ * Model building - turns parsed model data into meshes without touching the page
+ * Used by the viewer (modelRenderer.js) and the command line (bin/jermcad.js)
+ */
+
+import * as THREE from 'three';
+import { createSolid } from './csg/solidBuilder.js';
+import { collectDependencies } from './utils/dependencyResolver.js';
+import { debug, debugLabel } from './utils/debug.js';
+
+/**
+ * Create meshes for every solid in a parsed model
+ * Solids used by another solid's boolean operations are built but not part of the result.
+ * @param {Object} data - Model from parseYAML
+ * @returns {{meshes: Array<THREE.Mesh>, allMeshes: Map<string, THREE.Mesh>, hiddenDependencies: Set<string>,
+ *   failures: Array<Object>, warnings: Array<Object>}}
+ *   Visible meshes in model order, every mesh by name, the solids hidden as dependencies,
+ *   the boolean operations ({solid, operation, target, message}) and other modifiers
+ *   ({solid, property, message}) that failed, and modifier warnings ({solid, property, message})
+ * @throws {Error} If a solid can't be built; `error.solid` names it
+ */
+export function buildModel(data) {
+    const materials = data.materials || {};
+    const solids = data.solids || {};
+    const allMeshes = new Map();
+    const usedAsDependencies = new Set();
+    const processedSolids = new Map();
+
+    // First pass: Collect all solids that are used as dependencies
+    debug('Collecting boolean operation dependencies...');
+    for (const [name, solid] of Object.entries(solids)) {
+        if (solid.modifiers && solid.modifiers.boolean) {
+            const dependencies = collectDependencies(solid, solids);
+            dependencies.forEach(depName => {
+                usedAsDependencies.add(depName);
+                debug(`  "${depName}" is used as a dependency by "${name}"`);
+            });
+        }
+    }
+
+    // Second pass: Create all solids
+    debug('\nProcessing solids in order:');
+    const meshes = [];
+    for (const [name, solid] of Object.entries(solids)) {
+        debug(`\n[Solid: ${name}] Attempting to create solid`);
+        debugLabel(`  Shape type`, solid.shape);
+        debugLabel(`  Center`, solid.center || [0, 0, 0]);
+        debugLabel(`  Visible`, solid.visible !== false);
+        if (solid.material) {
+            debugLabel(`  Material`, solid.material);
+        }
+
+        let mesh;
+        try {
+            mesh = createSolid(name, solid, solids, processedSolids, materials);
+        } catch (e) {
+            // Lets callers point at the solid's origin
+            e.solid = e.solid ?? name;
+            throw e;
+        }
+        allMeshes.set(name, mesh);
+
+        if (solid.visible === false) {
+            debugLabel(`  Hidden (visible: false)`, true);
+        } else if (usedAsDependencies.has(name)) {
+            // Only the final results of boolean operations are shown
+            debug(`  Hidden "${name}" (used as dependency)`);
+        } else {
+            meshes.push(mesh);
+            debugLabel(`  Vertex count`, mesh.geometry.attributes.position?.count || 0);
+        }
+    }
+
+    const failures = [];
+    const warnings = [];
+    for (const [name, mesh] of allMeshes) {
+        for (const failure of [...(mesh.userData.booleanErrors || []), ...(mesh.userData.modifierErrors || [])]) {
+            failures.push({ solid: name, ...failure });
+        }
+        for (const warning of mesh.userData.modifierWarnings || []) {
+            warnings.push({ solid: name, ...warning });
+        }
+    }
+
+    return { meshes, allMeshes, hiddenDependencies: usedAsDependencies, failures, warnings };
+}
+
+/**
+ * Turn failed operations from buildModel into diagnostics at the solids' origins
+ * @param {Array<Object>} failures - buildModel failures or warnings
+ * @param {OriginMap} origins - Origins filled by parseYAML
+ * @param {string} [severity='error'] - Severity of the diagnostics
+ * @returns {Array<Object>} Diagnostics
+ */
+export function failureDiagnostics(failures, origins, severity = 'error') {
+    return failures.map(failure => failure.operation
+        ? origins.diagnostic(
+            failure.solid,
+            'modifiers.boolean',
+            `Solid "${failure.solid}" ${failure.operation} with "${failure.target}" failed: ${failure.message}`,
+            severity
+        )
+        : origins.diagnostic(failure.solid, failure.property, `Solid "${failure.solid}" ${failure.message}`, severity));
+}
+
+/**
+ * Merge meshes into a single geometry in world space
+ * @param {Array<THREE.Mesh>} meshes - Meshes to merge
+ * @returns {THREE.BufferGeometry} Indexed geometry with normals
+ */
+export function mergeMeshGeometries(meshes) {
+    // Clone and transform all geometries
+    const geometries = meshes.map(mesh => {
+        mesh.updateMatrixWorld();
+        const geometry = mesh.geometry.clone();
+        geometry.applyMatrix4(mesh.matrixWorld);
+        return geometry;
+    });
+
+    if (geometries.length === 1) {
+        // Ensure normals are computed for single geometry
+        if (!geometries[0].attributes.normal) {
+            geometries[0].computeVertexNormals();
+        }
+        return geometries[0];
+    }
+
+    // Combine geometries
+    const positions = [];
+    const normals = [];
+    const indices = [];
+    let indexOffset = 0;
+
+    for (const geometry of geometries) {
+        // Ensure geometry has normals
+        if (!geometry.attributes.normal) {
+            geometry.computeVertexNormals();
+        }
+
+        const pos = geometry.attributes.position;
+        const norm = geometry.attributes.normal;
+        const idx = geometry.index;
+
+        // Add positions and normals
+        for (let i = 0; i < pos.count; i++) {
+            positions.push(pos.getX(i), pos.getY(i), pos.getZ(i));
+            normals.push(norm.getX(i), norm.getY(i), norm.getZ(i));
+        }
+
+        // Add indices with offset
+        if (idx) {
+            for (let i = 0; i < idx.count; i++) {
+                indices.push(idx.getX(i) + indexOffset);
+            }
+        } else {
+            // Non-indexed geometry - create indices
+            for (let i = 0; i < pos.count; i += 3) {
+                indices.push(indexOffset + i, indexOffset + i + 1, indexOffset + i + 2);
+            }
+        }
+
+        indexOffset += pos.count;
+    }
+
+    const merged = new THREE.BufferGeometry();
+    merged.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    merged.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    if (indices.length > 0) {
+        merged.setIndex(indices);
+    }
+    merged.computeBoundingBox();
+    merged.computeBoundingSphere();
+    return merged;
+}
@@ -4,31 +4,55 @@
 
 import * as THREE from 'three';
 import { parseYAML } from './utils/yamlParser.js';
-import { createSolid } from './csg/solidBuilder.js';
+import { listConfigurations } from './utils/configurations.js';
+import { OriginMap } from './utils/origins.js';
+import { buildModel, mergeMeshGeometries, failureDiagnostics } from './modelBuilder.js';
 import { getScene, updateGridOrientation, updateCameraUp } from './renderer/scene.js';
-import { setModels, getModels, getWireframeMode } from './renderer/controls.js';
-import { showError, hideError, updateStats } from './ui/display.js';
+import { setModels, setModelSettings, getModels, getWireframeMode } from './renderer/controls.js';
+import { showError, hideError, updateStats, updateConfigurations, getSelectedConfiguration } from './ui/display.js';
 import { setDebugEnabled, debug, debugLabel } from './utils/debug.js';
-import { collectDependencies } from './utils/dependencyResolver.js';
-import { getEditorValue } from './ui/editor.js';
+import { validateModel, locateDiagnostics, hasErrors, formatDiagnostic } from './utils/validator.js';
+import { getEditorValue, setDiagnostics } from './ui/editor.js';
+
+let renderCount = 0; // Identifies the latest render so stale async results are dropped
 
 /**
  * Render model from YAML text
  */
-export function renderModel() {
+export async function renderModel() {
+    const renderId = ++renderCount;
     hideError();
+    setDiagnostics([]);
+    
+    const yamlText = getEditorValue();
+    const origins = new OriginMap(); // Where each compiled solid came from, for error messages
     
     try {
-        const yamlText = getEditorValue();
-        
         // Save to localStorage when rendering
         localStorage.setItem('jermcad-editor-content', yamlText);
-        const data = parseYAML(yamlText);
+        const data = await parseYAML(yamlText, { configuration: getSelectedConfiguration(), origins });
+        if (renderId !== renderCount) {
+            return; // A newer render started while imports were loading
+        }
+        updateConfigurations(listConfigurations(data), jsyaml.load(yamlText)?.settings?.configuration ?? null);
         
         // Enable/disable debug based on settings
         const debugMode = data.settings?.debug === true;
         setDebugEnabled(debugMode);
         
+        // Validate before building any geometry
+        const diagnostics = validateModel(yamlText, data, origins);
+        setDiagnostics(diagnostics);
+        diagnostics
+            .filter(d => d.severity === 'warning')
+            .forEach(d => console.warn(formatDiagnostic(d)));
+        if (hasErrors(diagnostics)) {
+            showError(diagnostics.filter(d => d.severity === 'error'));
+            return;
+        }
+        
+        setModelSettings(data.settings);
+        
         debug('='.repeat(60));
         debug('Starting model render');
         debugLabel('Settings', data.settings);
@@ -58,154 +82,27 @@ export function renderModel() {
         }
         
         // Create solids
-        const newModels = [];
-        const allMeshes = new Map(); // Track all meshes by name
-        const usedAsDependencies = new Set(); // Track which solids are used in boolean operations
-        
         if (data.solids) {
-            const processedSolids = new Map();
-            let visibleCount = 0;
-            let totalVertices = 0;
+            const { meshes, hiddenDependencies, failures, warnings } = buildModel(data);
+            meshes.forEach(mesh => scene.add(mesh));
             
-            // First pass: Collect all solids that are used as dependencies
-            debug('Collecting boolean operation dependencies...');
-            for (const [name, solid] of Object.entries(data.solids)) {
-                if (solid.modifiers && solid.modifiers.boolean) {
-                    const dependencies = collectDependencies(solid, data.solids);
-                    dependencies.forEach(depName => {
-                        usedAsDependencies.add(depName);
-                        debug(`  "${depName}" is used as a dependency by "${name}"`);
-                    });
-                }
+            // Failed booleans and modifiers still leave a model to look at; point at where the
+            // solids came from
+            const failed = failureDiagnostics(failures, origins);
+            const warned = failureDiagnostics(warnings, origins, 'warning');
+            if (failed.length > 0 || warned.length > 0) {
+                setDiagnostics([...diagnostics, ...failed, ...warned]);
             }
-            
-            // Second pass: Create all solids
-            debug('\nProcessing solids in order:');
-            for (const [name, solid] of Object.entries(data.solids)) {
-                debug(`\n[Solid: ${name}] Attempting to create solid`);
-                debugLabel(`  Shape type`, solid.shape);
-                debugLabel(`  Center`, solid.center || [0, 0, 0]);
-                debugLabel(`  Visible`, solid.visible !== false);
-                if (solid.material) {
-                    debugLabel(`  Material`, solid.material);
-                }
-                
-                const mesh = createSolid(name, solid, data.solids, processedSolids, materials);
-                allMeshes.set(name, mesh);
-                
-                // Check visibility - but we'll filter out dependencies later
-                if (solid.visible !== false) {
-                    scene.add(mesh);
-                    newModels.push(mesh);
-                    visibleCount++;
-                    
-                    // Count vertices
-                    if (mesh.geometry.attributes.position) {
-                        totalVertices += mesh.geometry.attributes.position.count;
-                    }
-                    
-                    debugLabel(`  Added to scene`, true);
-                    debugLabel(`  Vertex count`, mesh.geometry.attributes.position?.count || 0);
-                } else {
-                    debugLabel(`  Hidden (visible: false)`, true);
-                }
+            if (failed.length > 0) {
+                showError(failed);
             }
+            const visibleCount = meshes.length;
+            const totalVertices = meshes.reduce((sum, mesh) => sum + (mesh.geometry.attributes.position?.count || 0), 0);
             
-            // Third pass: Hide all meshes that are used as dependencies in boolean operations
-            // Only keep visible the final results that aren't dependencies
-            debug('\nHiding solids used in boolean operations...');
-            for (const [name, mesh] of allMeshes) {
-                if (usedAsDependencies.has(name)) {
-                    // This solid is used as a dependency, hide it
-                    scene.remove(mesh);
-                    const index = newModels.indexOf(mesh);
-                    if (index !== -1) {
-                        newModels.splice(index, 1);
-                        visibleCount--;
-                        // Subtract vertices from total count
-                        if (mesh.geometry.attributes.position) {
-                            totalVertices -= mesh.geometry.attributes.position.count;
-                        }
-                    }
-                    debug(`  Hidden "${name}" (used as dependency)`);
-                }
-            }
-            
-            // Fourth pass: If "final" section exists, merge all visible meshes into one final mesh
-            if (data.final && newModels.length > 0) {
+            // If "final" section exists, merge all visible meshes into one final mesh
+            if (data.final && meshes.length > 0) {
                 debug('\nCreating final merged mesh...');
-                
-                // Clone and transform all geometries
-                const geometriesToMerge = [];
-                for (const mesh of newModels) {
-                    mesh.updateMatrixWorld();
-                    const geometry = mesh.geometry.clone();
-                    geometry.applyMatrix4(mesh.matrixWorld);
-                    geometriesToMerge.push(geometry);
-                }
-                
-                // Merge all geometries into one
-                let mergedGeometry;
-                if (geometriesToMerge.length === 1) {
-                    mergedGeometry = geometriesToMerge[0];
-                    // Ensure normals are computed for single geometry
-                    if (!mergedGeometry.attributes.normal) {
-                        mergedGeometry.computeVertexNormals();
-                    }
-                } else {
-                    // Combine geometries
-                    const positions = [];
-                    const normals = [];
-                    const indices = [];
-                    let indexOffset = 0;
-                    
-                    for (const geometry of geometriesToMerge) {
-                        const pos = geometry.attributes.position;
-                        const norm = geometry.attributes.normal;
-                        const idx = geometry.index;
-                        
-                        // Add positions
-                        for (let i = 0; i < pos.count; i++) {
-                            positions.push(pos.getX(i), pos.getY(i), pos.getZ(i));
-                        }
-                        
-                        // Add normals
-                        if (norm) {
-                            for (let i = 0; i < norm.count; i++) {
-                                normals.push(norm.getX(i), norm.getY(i), norm.getZ(i));
-                            }
-                        }
-                        
-                        // Add indices with offset
-                        if (idx) {
-                            for (let i = 0; i < idx.count; i++) {
-                                indices.push(idx.getX(i) + indexOffset);
-                            }
-                        } else {
-                            // Non-indexed geometry - create indices
-                            for (let i = 0; i < pos.count; i += 3) {
-                                indices.push(indexOffset + i, indexOffset + i + 1, indexOffset + i + 2);
-                            }
-                        }
-                        
-                        indexOffset += pos.count;
-                    }
-                    
-                    mergedGeometry = new THREE.BufferGeometry();
-                    mergedGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-                    if (normals.length > 0) {
-                        mergedGeometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
-                    } else {
-                        // Recompute normals if they weren't available
-                        mergedGeometry.computeVertexNormals();
-                    }
-                    if (indices.length > 0) {
-                        mergedGeometry.setIndex(indices);
-                    }
-                    
-                    mergedGeometry.computeBoundingBox();
-                    mergedGeometry.computeBoundingSphere();
-                }
+                const mergedGeometry = mergeMeshGeometries(meshes);
                 
                 // Determine material from final section
                 let finalMaterialColor = 0x4287f5;
@@ -240,8 +137,8 @@ export function renderModel() {
                 finalMesh.name = 'final';
                 
                 // Hide all individual meshes
-                debug(`Hiding ${newModels.length} individual meshes...`);
-                for (const mesh of newModels) {
+                debug(`Hiding ${meshes.length} individual meshes...`);
+                for (const mesh of meshes) {
                     scene.remove(mesh);
                 }
                 
@@ -257,14 +154,14 @@ export function renderModel() {
                 updateStats(data, 1, finalVertexCount, upVector);
             } else {
                 // No final section - use individual meshes as before
-                setModels(newModels);
+                setModels(meshes);
                 
                 debug('\n' + '='.repeat(60));
                 debugLabel('Render complete', {
                     visibleCount,
                     totalVertices,
                     totalSolids: Object.keys(data.solids).length,
-                    hiddenDependencies: usedAsDependencies.size
+                    hiddenDependencies: hiddenDependencies.size
                 });
                 
                 // Update stats
@@ -284,7 +181,31 @@ export function renderModel() {
         }
         
     } catch (error) {
-        showError(error.message);
+        if (renderId !== renderCount) {
+            return;
+        }
+        
+        // Prefer line-numbered diagnostics; if compiling failed outright (e.g. a missing stamp),
+        // validating the raw YAML usually explains why
+        let diagnostics = error.diagnostics ? locateDiagnostics(yamlText, error.diagnostics) : [];
+        if (diagnostics.length === 0 && error.solid) {
+            // Building a solid's geometry failed
+            diagnostics = [origins.diagnostic(error.solid, undefined, `Solid "${error.solid}": ${error.message}`)];
+        }
+        if (diagnostics.length === 0) {
+            try {
+                diagnostics = validateModel(yamlText, null).filter(d => d.severity === 'error');
+            } catch (validationError) {
+                diagnostics = [];
+            }
+        }
+        
+        if (diagnostics.length > 0) {
+            setDiagnostics(diagnostics);
+            showError(diagnostics);
+        } else {
+            showError(error.message);
+        }
         console.error('Render error:', error);
     }
 }
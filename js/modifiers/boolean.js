@@ -49,6 +49,10 @@ export function applyBooleanModifier(mesh, geometry, operations, allSolids, proc
     
     mesh.updateMatrixWorld();
     
+    // Failed operations are recorded on the mesh so callers (e.g. the CLI) can report them
+    const failures = [];
+    mesh.userData.booleanErrors = failures;
+    
     // Ensure geometry has normals computed
     const baseGeometry = geometry.clone();
     if (!baseGeometry.attributes.normal) {
@@ -77,6 +81,7 @@ export function applyBooleanModifier(mesh, geometry, operations, allSolids, proc
             const targetMesh = processedSolids.get(targetName);
             if (!targetMesh) {
                 console.warn(`Target solid "${targetName}" was not properly created`);
+                failures.push({ operation: opType, target: targetName, message: `"${targetName}" was not properly created` });
                 debug(`  ERROR: Target mesh "${targetName}" not found in processedSolids`);
                 continue;
             }
@@ -113,6 +118,7 @@ export function applyBooleanModifier(mesh, geometry, operations, allSolids, proc
                         break;
                     default:
                         console.warn(`Unknown boolean operation: ${opType}`);
+                        failures.push({ operation: opType, target: targetName, message: `unknown boolean operation "${opType}"` });
                         debug(`  ERROR: Unknown operation type "${opType}"`);
                         continue;
                 }
@@ -128,10 +134,12 @@ export function applyBooleanModifier(mesh, geometry, operations, allSolids, proc
                 debug(`  ✓ ${opType} operation complete (vertices: ${vertexCountBefore} → ${vertexCountAfter})`);
             } catch (e) {
                 console.error(`Boolean ${opType} failed:`, e);
+                failures.push({ operation: opType, target: targetName, message: e.message });
                 debug(`  ERROR: ${opType} operation failed:`, e.message);
             }
         } else {
             console.warn(`Target solid "${targetName}" not found for boolean ${opType}`);
+            failures.push({ operation: opType, target: targetName, message: `"${targetName}" is not a solid` });
             debug(`  ERROR: Target solid "${targetName}" not found in allSolids`);
         }
     }
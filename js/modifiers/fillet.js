@@ -1,21 +1,173 @@
 /**
- * Fillet modifier (simplified - adds edge highlighting)
+ * Fillet and chamfer modifiers: round or bevel a solid's edges
  */
 
 import * as THREE from 'three';
+import { Brush, SUBTRACTION, ADDITION } from 'three-bvh-csg';
+import { createGeometry } from '../csg/shapes.js';
+import { EdgeError, anchorOffset, edgeSection, exactEdgeShape, featureEdges, readEdgeModifier, selectsEdge, solidAxes } from '../utils/edgeModifiers.js';
+import { getSegmentCount } from '../utils/qualitySettings.js';
+import { debug, debugLabel } from '../utils/debug.js';
+
+let csgEvaluator;
+
+export function initialize(evaluator) {
+    csgEvaluator = evaluator;
+}
+
+/**
+ * Record a problem on the mesh, for buildModel to report at the modifier
+ */
+function record(mesh, list, modifier, message) {
+    (mesh.userData[list] ??= []).push({ property: `modifiers.${modifier.kind}`, message: `${modifier.kind} ${message}` });
+}
+
+/**
+ * Rebuild the solid's own shape with its edges finished
+ * A selection without edges is left to validation, which warns about it.
+ * @returns {THREE.BufferGeometry|null} Null if the solid or selection has no exact result
+ */
+function exactGeometry(mesh, geometry, modifier, solid) {
+    const shape = exactEdgeShape(solid, modifier, getSegmentCount());
+    if (!shape) {
+        return null;
+    }
+    if (shape.count === 0) {
+        return geometry;
+    }
+    debug(`  Rebuilding as an extrusion along ${'xyz'[shape.axis]} with ${shape.count} edge(s) finished`);
+    const finished = createGeometry(shape.definition);
+    if (shape.axis !== 2) {
+        // The extrusion's X, Y and Z are the solid's axis + 1, axis + 2 and axis
+        const columns = [0, 1, 2].map(k => new THREE.Vector3().setComponent((shape.axis + 1 + k) % 3, 1));
+        finished.applyMatrix4(new THREE.Matrix4().makeBasis(...columns));
+    }
+    finished.translate(...anchorOffset(solid).map(value => -value));
+    return finished;
+}
+
+/**
+ * The piece that finishes one edge, as an extruded cross-section a hair longer than the edge
+ */
+function edgePiece(edge, section, margin) {
+    const [start, end] = edge.points.map(point => new THREE.Vector3(...point));
+    const along = new THREE.Vector3(...edge.direction);
+    const across = new THREE.Vector3(...edge.inward[0]);
+    const up = new THREE.Vector3().crossVectors(along, across);
+    const shape = new THREE.Shape(section.outline.map(point => {
+        const offset = new THREE.Vector3(...point).sub(start);
+        return new THREE.Vector2(offset.dot(across), offset.dot(up));
+    }));
+    const extension = section.convex ? margin : 0;
+    const geometry = new THREE.ExtrudeGeometry(shape, { depth: start.distanceTo(end) + extension * 2, bevelEnabled: false });
+    geometry.applyMatrix4(new THREE.Matrix4().makeBasis(across, up, along).setPosition(start.addScaledVector(along, -extension)));
+    return geometry;
+}
+
+/**
+ * Copy of a boolean result without the flat slivers cutting along faces leaves behind
+ */
+function withoutSlivers(geometry) {
+    const source = geometry.index ? geometry.toNonIndexed() : geometry;
+    const position = source.attributes.position;
+    const [a, b, c] = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    const kept = [];
+    for (let i = 0; i < position.count; i += 3) {
+        a.fromBufferAttribute(position, i);
+        b.fromBufferAttribute(position, i + 1);
+        c.fromBufferAttribute(position, i + 2);
+        const longest = Math.max(a.distanceToSquared(b), b.distanceToSquared(c), c.distanceToSquared(a));
+        if (b.clone().sub(a).cross(c.clone().sub(a)).length() > longest * 1e-6) {
+            kept.push(i, i + 1, i + 2);
+        }
+    }
+    const cleaned = new THREE.BufferGeometry();
+    for (const [name, attribute] of Object.entries(source.attributes)) {
+        const values = new attribute.array.constructor(kept.length * attribute.itemSize);
+        kept.forEach((index, k) => {
+            for (let j = 0; j < attribute.itemSize; j++) {
+                values[k * attribute.itemSize + j] = attribute.array[index * attribute.itemSize + j];
+            }
+        });
+        cleaned.setAttribute(name, new THREE.BufferAttribute(values, attribute.itemSize));
+    }
+    return cleaned;
+}
 
 /**
- * Apply fillet modifier to a mesh
- * @param {THREE.Mesh} mesh - The mesh to modify
- * @param {Object} filletConfig - Fillet configuration
+ * Finish edges of any geometry by cutting or adding a piece along each one
+ * Edges are found in the mesh's own coordinates and placed by its transform for selection.
+ * The work is done about the geometry's middle, so the result only moves with the solid
+ * (boolean results are in model coordinates, wherever the solid sits).
+ * Edges whose boolean operation fails are left as they are and recorded on the mesh.
  */
-export function applyFilletModifier(mesh, filletConfig) {
-    // Simplified fillet - just add edge highlighting
-    const edges = new THREE.EdgesGeometry(mesh.geometry);
-    const line = new THREE.LineSegments(
-        edges,
-        new THREE.LineBasicMaterial({ color: 0x000000, linewidth: 0.5 })
-    );
-    mesh.add(line);
+function generalGeometry(mesh, geometry, modifier, solid) {
+    let base = geometry.index ? geometry.toNonIndexed() : geometry.clone();
+    if (!base.attributes.normal) {
+        base.computeVertexNormals();
+    }
+    base.computeBoundingBox();
+    const middle = base.boundingBox.getCenter(new THREE.Vector3());
+    base.translate(-middle.x, -middle.y, -middle.z);
+    mesh.updateMatrix();
+    const toModel = (values, matrix) => values.map(value => new THREE.Vector3(...value).applyMatrix4(matrix).toArray());
+    const placement = mesh.matrix.clone().multiply(new THREE.Matrix4().makeTranslation(middle));
+    const turn = new THREE.Matrix4().extractRotation(mesh.matrix);
+    const axes = solidAxes(solid);
+    const edges = featureEdges(base.attributes.position.array).filter(edge => selectsEdge(modifier.selector, {
+        points: toModel(edge.points, placement),
+        direction: toModel([edge.direction], turn)[0],
+        normals: toModel(edge.normals, turn)
+    }, axes));
+    if (edges.length === 0) {
+        record(mesh, 'modifierWarnings', modifier, 'selects no edges');
+        return geometry;
+    }
+    debugLabel(`  Finishing edges with boolean operations`, edges.length);
+
+    // Cuts first, so pieces added inside corners aren't cut by their neighbours
+    const sections = edges.map(edge => ({ edge, section: edgeSection(edge, modifier, getSegmentCount()) }))
+        .sort((a, b) => Number(b.section.convex) - Number(a.section.convex));
+    let result = new Brush(base);
+    result.updateMatrixWorld();
+    for (const { edge, section } of sections) {
+        const piece = new Brush(edgePiece(edge, section, modifier.size * 1e-3));
+        piece.updateMatrixWorld();
+        try {
+            result = csgEvaluator.evaluate(result, piece, section.convex ? SUBTRACTION : ADDITION);
+        } catch (e) {
+            const [start, end] = toModel(edge.points, placement).map(point => `[${point.map(value => +value.toFixed(6)).join(', ')}]`);
+            record(mesh, 'modifierErrors', modifier, `failed on the edge from ${start} to ${end}: ${e.message}`);
+            debug(`  ERROR: ${modifier.kind} failed on edge ${JSON.stringify(edge.points)}:`, e.message);
+        }
+    }
+
+    const finished = withoutSlivers(result.geometry);
+    finished.translate(middle.x, middle.y, middle.z);
+    finished.computeVertexNormals();
+    return finished;
 }
 
+/**
+ * Apply a fillet or chamfer modifier
+ * @param {THREE.Mesh} mesh - The mesh to modify (its position and rotation place the geometry)
+ * @param {THREE.BufferGeometry} geometry - Current geometry
+ * @param {string} kind - fillet or chamfer
+ * @param {Object} config - Modifier configuration
+ * @param {Object} solid - Solid definition
+ * @param {boolean} ownShape - Whether the geometry is still the solid's own shape (no boolean
+ *   operations or earlier fillets and chamfers), which may have an exact result
+ * @returns {THREE.BufferGeometry} Modified geometry
+ */
+export function applyEdgeModifier(mesh, geometry, kind, config, solid, ownShape) {
+    try {
+        const modifier = readEdgeModifier(kind, config);
+        debugLabel(`Applying ${kind} to "${mesh.name}"`, { [modifier.sizeKey]: modifier.size, edges: modifier.selector });
+        return (ownShape && exactGeometry(mesh, geometry, modifier, solid)) || generalGeometry(mesh, geometry, modifier, solid);
+    } catch (e) {
+        if (e instanceof EdgeError) {
+            e.message = `${kind} ${e.message}`;
+        }
+        throw e;
+    }
+}
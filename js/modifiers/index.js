@@ -4,6 +4,8 @@
 
 import * as booleanModifier from './boolean.js';
 import * as filletModifier from './fillet.js';
+import * as mirrorModifier from './mirror.js';
+import * as shellModifier from './shell.js';
 import { debug, debugLabel } from '../utils/debug.js';
 
 /**
@@ -11,8 +13,16 @@ import { debug, debugLabel } from '../utils/debug.js';
  */
 export function initialize(csgEvaluator) {
     booleanModifier.initialize(csgEvaluator);
+    filletModifier.initialize(csgEvaluator);
+    mirrorModifier.initialize(csgEvaluator);
+    shellModifier.initialize(csgEvaluator);
 }
 
+/**
+ * Modifiers applied after boolean operations, in the order they're written
+ */
+const ORDERED_MODIFIERS = ['fillet', 'chamfer', 'mirror', 'shell'];
+
 /**
  * Apply all modifiers to a mesh
  * @param {THREE.Mesh} mesh - The mesh to modify
@@ -20,9 +30,10 @@ export function initialize(csgEvaluator) {
  * @param {Object} modifiers - Modifiers configuration
  * @param {Object} allSolids - All solids in the model
  * @param {Map} processedSolids - Map of processed solids
+ * @param {Object} [solid] - The solid's definition (for fillets, chamfers and shells)
  * @returns {THREE.BufferGeometry} Modified geometry
  */
-export function applyModifiers(mesh, geometry, modifiers, allSolids, processedSolids) {
+export function applyModifiers(mesh, geometry, modifiers, allSolids, processedSolids, solid = {}) {
     let resultGeometry = geometry;
     
     if (!modifiers) {
@@ -66,14 +77,41 @@ export function applyModifiers(mesh, geometry, modifiers, allSolids, processedSo
         debug(`Boolean operations complete, new vertex count: ${resultGeometry.attributes.position?.count || 0}`);
     }
     
-    // Apply fillet (visual only, doesn't modify geometry)
-    if (modifiers.fillet) {
-        debug(`Applying fillet modifier...`);
-        filletModifier.applyFilletModifier(mesh, modifiers.fillet);
-        debug('Fillet modifier applied');
+    // Fillets, chamfers, mirrors and shells apply in the order they're written; without boolean
+    // operations the first one works on the solid's own shape
+    let ownShape = !modifiers.boolean;
+    for (const kind of Object.keys(modifiers).filter(key => ORDERED_MODIFIERS.includes(key))) {
+        debug(`Applying ${kind} modifier...`);
+        if (kind === 'mirror') {
+            resultGeometry = mirrorModifier.applyMirror(mesh, resultGeometry, modifiers[kind]);
+        } else if (kind === 'shell') {
+            resultGeometry = shellModifier.applyShell(mesh, resultGeometry, modifiers[kind], solid, ownShape);
+        } else {
+            resultGeometry = filletModifier.applyEdgeModifier(mesh, resultGeometry, kind, modifiers[kind], solid, ownShape);
+        }
+        if (mesh.geometry !== resultGeometry) {
+            mesh.geometry.dispose();
+            mesh.geometry = resultGeometry;
+            ownShape = false;
+        }
+        debug(`${kind} modifier applied, new vertex count: ${resultGeometry.attributes.position?.count || 0}`);
     }
     
     debug(`All modifiers applied for "${mesh.name}"`);
     return resultGeometry;
 }
 
+/**
+ * Reflect a whole solid by its mirror option, after its modifiers
+ * @param {THREE.Mesh} mesh - The solid's mesh
+ * @param {string|Object} config - Mirror configuration
+ * @returns {THREE.BufferGeometry} Mirrored geometry
+ */
+export function applySolidMirror(mesh, config) {
+    const resultGeometry = mirrorModifier.applyMirror(mesh, mesh.geometry, config, 'mirror');
+    if (mesh.geometry !== resultGeometry) {
+        mesh.geometry.dispose();
+        mesh.geometry = resultGeometry;
+    }
+    return resultGeometry;
+}
@@ -0,0 +1,76 @@
+/**
+ * Mirror modifier: reflect a solid across a plane, optionally keeping the original
+ */
+
+import * as THREE from 'three';
+import { Brush, ADDITION } from 'three-bvh-csg';
+import { transformGeometry } from '../csg/shapes.js';
+import { MirrorError, readMirror } from '../utils/mirrorPlane.js';
+import { debug, debugLabel } from '../utils/debug.js';
+
+let csgEvaluator;
+
+export function initialize(evaluator) {
+    csgEvaluator = evaluator;
+}
+
+/**
+ * Matrix reflecting model coordinates across a mirror's plane
+ */
+function reflectionMatrix({ normal: [a, b, c], point }) {
+    const offset = 2 * (a * point[0] + b * point[1] + c * point[2]);
+    return new THREE.Matrix4().set(
+        1 - 2 * a * a, -2 * a * b, -2 * a * c, offset * a,
+        -2 * a * b, 1 - 2 * b * b, -2 * b * c, offset * b,
+        -2 * a * c, -2 * b * c, 1 - 2 * c * c, offset * c,
+        0, 0, 0, 1
+    );
+}
+
+/**
+ * Apply a mirror, from the mirror modifier or a solid's mirror option
+ * If adding the reflection to the original fails, the original is kept and the failure is
+ * recorded on the mesh.
+ * @param {THREE.Mesh} mesh - The mesh to mirror (its position and rotation place the geometry)
+ * @param {THREE.BufferGeometry} geometry - Current geometry
+ * @param {string|Object} config - Mirror configuration
+ * @param {string} [property='modifiers.mirror'] - Where the mirror is in the solid, for failures
+ * @returns {THREE.BufferGeometry} Mirrored geometry, in the mesh's own coordinates
+ */
+export function applyMirror(mesh, geometry, config, property = 'modifiers.mirror') {
+    let mirror;
+    try {
+        mirror = readMirror(config);
+    } catch (e) {
+        if (e instanceof MirrorError) {
+            e.message = `mirror ${e.message}`;
+        }
+        throw e;
+    }
+    debugLabel(`Mirroring "${mesh.name}"`, mirror);
+
+    // The plane is in model coordinates, so reflect there and come back to the mesh's own
+    mesh.updateMatrix();
+    const matrix = mesh.matrix.clone().invert().multiply(reflectionMatrix(mirror)).multiply(mesh.matrix);
+    const base = geometry.index ? geometry.toNonIndexed() : geometry.clone();
+    if (!base.attributes.normal) {
+        base.computeVertexNormals();
+    }
+    const reflected = transformGeometry(base, matrix);
+    if (!mirror.keepOriginal) {
+        return reflected;
+    }
+
+    debug(`  Adding the reflection to the original`);
+    const original = new Brush(base);
+    const image = new Brush(reflected);
+    original.updateMatrixWorld();
+    image.updateMatrixWorld();
+    try {
+        return csgEvaluator.evaluate(original, image, ADDITION).geometry;
+    } catch (e) {
+        (mesh.userData.modifierErrors ??= []).push({ property, message: `mirror failed to add the reflection: ${e.message}` });
+        debug(`  ERROR: mirror union failed:`, e.message);
+        return geometry;
+    }
+}
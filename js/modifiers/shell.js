@@ -0,0 +1,126 @@
+/**
+ * Shell modifier: hollow a solid out to walls of a given thickness
+ */
+
+import * as THREE from 'three';
+import { Brush, SUBTRACTION } from 'three-bvh-csg';
+import { createGeometry } from '../csg/shapes.js';
+import { anchorOffset, solidAxes } from '../utils/edgeModifiers.js';
+import { ShellError, exactShellShapes, readShell, shellSurface } from '../utils/shells.js';
+import { debug, debugLabel } from '../utils/debug.js';
+
+let csgEvaluator;
+
+export function initialize(evaluator) {
+    csgEvaluator = evaluator;
+}
+
+/**
+ * One geometry holding the triangles of several, each turned inside out if asked
+ */
+function joinGeometries(parts) {
+    const joined = new THREE.BufferGeometry();
+    for (const name of ['position', 'normal', 'uv']) {
+        const arrays = parts.map(({ geometry, inside }) => {
+            const attribute = geometry.attributes[name];
+            const values = Float32Array.from(attribute.array);
+            if (inside) {
+                // Swap each triangle's second and third corners, and point normals the other way
+                const size = attribute.itemSize;
+                for (let i = 0; i < attribute.count; i += 3) {
+                    for (let k = 0; k < size; k++) {
+                        [values[(i + 1) * size + k], values[(i + 2) * size + k]] = [values[(i + 2) * size + k], values[(i + 1) * size + k]];
+                    }
+                }
+                if (name === 'normal') {
+                    values.forEach((value, i) => { values[i] = -value; });
+                }
+            }
+            return values;
+        });
+        const values = new Float32Array(arrays.reduce((sum, array) => sum + array.length, 0));
+        arrays.reduce((offset, array) => {
+            values.set(array, offset);
+            return offset + array.length;
+        }, 0);
+        joined.setAttribute(name, new THREE.BufferAttribute(values, parts[0].geometry.attributes[name].itemSize));
+    }
+    return joined;
+}
+
+/**
+ * Build the solid's own shape hollowed out, from its outer and inner copies
+ * @returns {THREE.BufferGeometry|null} Null if the solid needs the general method
+ */
+function exactGeometry(mesh, shell, solid) {
+    const shapes = exactShellShapes(solid, shell);
+    if (!shapes) {
+        return null;
+    }
+    const offset = anchorOffset(solid);
+    const [outer, inner] = [shapes.outer, shapes.inner].map(({ definition, center }) => {
+        const geometry = createGeometry(definition);
+        geometry.translate(...center.map((value, k) => value - offset[k]));
+        return geometry.index ? geometry.toNonIndexed() : geometry;
+    });
+
+    if (shell.openFaces.length === 0) {
+        debug(`  Building as a ${solid.shape} with a hollow ${solid.shape} inside`);
+        return joinGeometries([{ geometry: outer, inside: false }, { geometry: inner, inside: true }]);
+    }
+    debug(`  Cutting the inside out of the ${solid.shape}`);
+    const outerBrush = new Brush(outer);
+    const innerBrush = new Brush(inner);
+    outerBrush.updateMatrixWorld();
+    innerBrush.updateMatrixWorld();
+    try {
+        return csgEvaluator.evaluate(outerBrush, innerBrush, SUBTRACTION).geometry;
+    } catch (e) {
+        debug(`  ERROR: cutting the inside out failed, offsetting the surface instead:`, e.message);
+        return null;
+    }
+}
+
+/**
+ * Hollow any geometry by offsetting its surface, in the mesh's own coordinates
+ */
+function generalGeometry(mesh, geometry, shell, solid) {
+    const base = geometry.index ? geometry.toNonIndexed() : geometry;
+    // Open faces are in the solid's own axes; bring them to the mesh's coordinates
+    mesh.updateMatrix();
+    const toMesh = new THREE.Matrix4().extractRotation(mesh.matrix).invert();
+    const axes = solidAxes(solid);
+    const directions = shell.openFaces.map(({ axis, sign }) => new THREE.Vector3(...axes[axis])
+        .multiplyScalar(sign).applyMatrix4(toMesh).normalize().toArray());
+    debug(`  Offsetting the surface${directions.length > 0 ? ` with ${directions.length} open face(s)` : ''}`);
+
+    const positions = shellSurface(base.attributes.position.array, shell, directions);
+    const hollow = new THREE.BufferGeometry();
+    hollow.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    hollow.setAttribute('uv', new THREE.BufferAttribute(new Float32Array(positions.length / 3 * 2), 2));
+    hollow.computeVertexNormals();
+    return hollow;
+}
+
+/**
+ * Apply a shell modifier
+ * @param {THREE.Mesh} mesh - The mesh to modify (its position and rotation place the geometry)
+ * @param {THREE.BufferGeometry} geometry - Current geometry
+ * @param {Object} config - Modifier configuration
+ * @param {Object} solid - Solid definition
+ * @param {boolean} ownShape - Whether the geometry is still the solid's own shape, which may
+ *   have an exact result
+ * @returns {THREE.BufferGeometry} Hollowed geometry
+ */
+export function applyShell(mesh, geometry, config, solid, ownShape) {
+    try {
+        const shell = readShell(config);
+        debugLabel(`Applying shell to "${mesh.name}"`, config);
+        return (ownShape && exactGeometry(mesh, shell, solid)) || generalGeometry(mesh, geometry, shell, solid);
+    } catch (e) {
+        if (e instanceof ShellError) {
+            e.message = `shell ${e.message}`;
+        }
+        throw e;
+    }
+}
@@ -2,16 +2,19 @@
  * Camera controls and model manipulation
  */
 
-import * as THREE from 'three';
 import { getCamera, getControls, getScene } from './scene.js';
 import { forceQualityLevel, getQuality } from '../utils/qualitySettings.js';
 import { renderModel } from '../modelRenderer.js';
+import { lengthScale } from '../utils/units.js';
+import { prepareExportGeometry, writeSTL } from '../utils/meshExport.js';
 
 let models = [];
+let modelSettings = {};
 let wireframeMode = false;
 
 export function getModels() { return models; }
 export function setModels(newModels) { models = newModels; }
+export function setModelSettings(settings) { modelSettings = settings || {}; }
 export function getWireframeMode() { return wireframeMode; }
 
 /**
@@ -67,142 +70,21 @@ export async function exportSTL() {
         const originalQuality = getQuality();
         console.log('[STL Export] Forcing ultra quality (256 segments) for export...');
         forceQualityLevel('ultra');
-        renderModel(); // Re-render with ultra quality
+        await renderModel(); // Re-render with ultra quality
         console.log('[STL Export] Model re-rendered at ultra quality');
         
-        // Collect all geometries and transform them to world space
-        const transformedGeometries = models.map(model => {
-            model.updateMatrixWorld();
-            const geometry = model.geometry.clone();
-            geometry.applyMatrix4(model.matrixWorld);
-            return geometry;
-        });
-        
-        console.log(`[STL Export] Processing ${transformedGeometries.length} geometries...`);
-        
-        // Merge all geometries into one (if multiple)
-        let finalGeometry;
-        if (transformedGeometries.length === 1) {
-            finalGeometry = transformedGeometries[0];
-        } else {
-            // Manually merge geometries (consistent with modelRenderer.js approach)
-            const positions = [];
-            const normals = [];
-            const indices = [];
-            let indexOffset = 0;
-            
-            for (const geometry of transformedGeometries) {
-                // Ensure geometry has normals
-                if (!geometry.attributes.normal) {
-                    geometry.computeVertexNormals();
-                }
-                
-                const pos = geometry.attributes.position;
-                const norm = geometry.attributes.normal;
-                const idx = geometry.index;
-                
-                // Add positions
-                for (let i = 0; i < pos.count; i++) {
-                    positions.push(pos.getX(i), pos.getY(i), pos.getZ(i));
-                }
-                
-                // Add normals
-                if (norm) {
-                    for (let i = 0; i < norm.count; i++) {
-                        normals.push(norm.getX(i), norm.getY(i), norm.getZ(i));
-                    }
-                }
-                
-                // Add indices with offset
-                if (idx) {
-                    for (let i = 0; i < idx.count; i++) {
-                        indices.push(idx.getX(i) + indexOffset);
-                    }
-                } else {
-                    // Non-indexed geometry - create indices
-                    for (let i = 0; i < pos.count; i += 3) {
-                        indices.push(indexOffset + i, indexOffset + i + 1, indexOffset + i + 2);
-                    }
-                }
-                
-                indexOffset += pos.count;
-            }
-            
-            finalGeometry = new THREE.BufferGeometry();
-            finalGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-            if (normals.length > 0) {
-                finalGeometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
-            } else {
-                finalGeometry.computeVertexNormals();
-            }
-            if (indices.length > 0) {
-                finalGeometry.setIndex(indices);
-            }
-        }
-        
-        // Convert to non-indexed geometry if needed (STL requires triangles)
-        if (finalGeometry.index) {
-            console.log('[STL Export] Converting indexed geometry to non-indexed...');
-            finalGeometry = finalGeometry.toNonIndexed();
-        }
-        
-        // Merge duplicate vertices to create manifold mesh
-        console.log('[STL Export] Merging duplicate vertices for manifold mesh...');
-        const vertexCountBefore = finalGeometry.attributes.position.count;
-        finalGeometry.deleteAttribute('uv'); // Remove UVs if present (not needed for STL)
-        finalGeometry.deleteAttribute('uv2');
-        
-        if (typeof finalGeometry.mergeVertices === 'function') {
-            finalGeometry.mergeVertices(); // Modifies in place and returns this
-            const vertexCountAfter = finalGeometry.attributes.position.count;
-            console.log(`[STL Export] Merged vertices: ${vertexCountBefore} → ${vertexCountAfter}`);
-        }
-        
-        // Recompute normals after merging
-        finalGeometry.computeVertexNormals();
-        console.log('[STL Export] Recomputed normals');
-        
-        // Convert back to non-indexed (mergeVertices might create indexed geometry)
-        if (finalGeometry.index) {
-            finalGeometry = finalGeometry.toNonIndexed();
-            console.log('[STL Export] Converted back to non-indexed geometry');
-        }
-        
-        // Create STL string (ASCII format)
-        const positions = finalGeometry.attributes.position;
-        const normals = finalGeometry.attributes.normal;
-        const triangleCount = positions.count / 3;
-        
-        console.log(`[STL Export] Writing ${triangleCount} triangles to STL...`);
-        
-        let stl = 'solid model\n';
-        
-        for (let i = 0; i < positions.count; i += 3) {
-            // Get the face normal (use first vertex normal as face normal)
-            const normal = new THREE.Vector3(
-                normals.getX(i),
-                normals.getY(i),
-                normals.getZ(i)
-            );
-            
-            // Write facet
-            stl += `  facet normal ${normal.x.toExponential(6)} ${normal.y.toExponential(6)} ${normal.z.toExponential(6)}\n`;
-            stl += '    outer loop\n';
-            
-            // Write vertices
-            for (let j = 0; j < 3; j++) {
-                const idx = i + j;
-                const x = positions.getX(idx);
-                const y = positions.getY(idx);
-                const z = positions.getZ(idx);
-                stl += `      vertex ${x.toExponential(6)} ${y.toExponential(6)} ${z.toExponential(6)}\n`;
-            }
-            
-            stl += '    endloop\n';
-            stl += '  endfacet\n';
+        // Write in settings.export_units (default: the model's units)
+        const modelUnits = modelSettings.units || 'mm';
+        const exportUnits = modelSettings.export_units || modelUnits;
+        const scale = lengthScale(modelUnits, exportUnits);
+        if (scale !== 1) {
+            console.log(`[STL Export] Scaling from ${modelUnits} to ${exportUnits} (x${scale})`);
         }
         
-        stl += 'endsolid model\n';
+        // Merge everything into one world-space triangle mesh and write it out
+        const geometry = prepareExportGeometry(models, scale);
+        console.log(`[STL Export] Writing ${geometry.attributes.position.count / 3} triangles to STL...`);
+        const stl = writeSTL(geometry);
         
         console.log('[STL Export] STL string created, downloading...');
         
@@ -211,7 +93,8 @@ export async function exportSTL() {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'model.stl';
+        const configuration = modelSettings.configuration?.replace(/[^\w.-]+/g, '_');
+        a.download = configuration ? `model-${configuration}.stl` : 'model.stl';
         a.click();
         URL.revokeObjectURL(url);
         
@@ -220,7 +103,7 @@ export async function exportSTL() {
         // Restore original quality and re-render
         console.log(`[STL Export] Restoring original quality (${originalQuality})...`);
         forceQualityLevel(null);
-        renderModel(); // Re-render with original quality
+        await renderModel(); // Re-render with original quality
         console.log('[STL Export] Viewport restored to original quality');
         
     } catch (error) {
@@ -229,7 +112,7 @@ export async function exportSTL() {
         
         // Make sure to restore quality even on error
         forceQualityLevel(null);
-        renderModel();
+        await renderModel();
     } finally {
         // Restore button
         btn.textContent = originalText;
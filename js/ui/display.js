@@ -2,12 +2,35 @@
  * UI display updates (stats, errors)
  */
 
+import { formatDiagnostic } from '../utils/validator.js';
+
 /**
  * Show error message
+ * @param {string|Array<Object>} error - Message, or a list of diagnostics from validateModel
  */
-export function showError(message) {
+export function showError(error) {
     const errorDisplay = document.getElementById('error-display');
-    errorDisplay.textContent = `Error: ${message}`;
+    
+    if (Array.isArray(error)) {
+        errorDisplay.innerHTML = '';
+        const errorCount = error.filter(d => d.severity === 'error').length;
+        const title = document.createElement('strong');
+        title.textContent = `${errorCount} error${errorCount === 1 ? '' : 's'}:`;
+        errorDisplay.appendChild(title);
+        
+        const list = document.createElement('ul');
+        list.className = 'diagnostic-list';
+        for (const diagnostic of error) {
+            const item = document.createElement('li');
+            item.className = `diagnostic-${diagnostic.severity}`;
+            item.textContent = formatDiagnostic(diagnostic);
+            list.appendChild(item);
+        }
+        errorDisplay.appendChild(list);
+    } else {
+        errorDisplay.textContent = `Error: ${error}`;
+    }
+    
     errorDisplay.classList.add('show');
 }
 
@@ -19,6 +42,47 @@ export function hideError() {
     errorDisplay.classList.remove('show');
 }
 
+/**
+ * Fill the configuration dropdown from a parsed model
+ * The dropdown is hidden when the model has no configurations. The current choice is kept
+ * while it still exists; the empty value means "use settings.configuration".
+ * @param {Array<string>} names - Configuration names
+ * @param {string|null} defaultName - The model's settings.configuration, if any
+ */
+export function updateConfigurations(names, defaultName) {
+    const select = document.getElementById('configuration-select');
+    const current = select.value;
+    
+    select.innerHTML = '';
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = defaultName ? `Default (${defaultName})` : 'Base model';
+    select.appendChild(defaultOption);
+    for (const name of names) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    }
+    
+    select.value = names.includes(current) ? current : '';
+    select.hidden = names.length === 0;
+}
+
+/**
+ * Configuration chosen in the dropdown, or null to use the model's default
+ */
+export function getSelectedConfiguration() {
+    return document.getElementById('configuration-select').value || null;
+}
+
+/**
+ * Go back to the model's default configuration (e.g. when another file is loaded)
+ */
+export function clearSelectedConfiguration() {
+    document.getElementById('configuration-select').value = '';
+}
+
 /**
  * Update model statistics display
  */
@@ -27,7 +91,8 @@ export function updateStats(data, visibleCount, totalVertices, upVector) {
     document.getElementById('model-stats').innerHTML = `
         <strong>Solids:</strong> ${visibleCount} visible / ${Object.keys(data.solids).length} total<br>
         <strong>Vertices:</strong> ${totalVertices.toLocaleString()}<br>
-        <strong>Units:</strong> ${data.settings?.units || 'mm'}<br>
+        <strong>Units:</strong> ${data.settings?.units || 'mm'}${data.settings?.export_units && data.settings.export_units !== (data.settings?.units || 'mm') ? ` (exports in ${data.settings.export_units})` : ''}<br>
+        ${data.settings?.configuration ? `<strong>Configuration:</strong> ${data.settings.configuration}<br>` : ''}
         <strong>Up Axis:</strong> ${upAxis} ${upVector.join(',')}<br>
         <strong>Tolerance:</strong> ${data.settings?.tolerance || '1e-4'}
     `;
@@ -3,6 +3,9 @@
  */
 
 let codeEditor = null;
+let diagnosticLines = []; // Line handles with a diagnostic background class
+
+const DIAGNOSTICS_GUTTER = 'diagnostics-gutter';
 
 /**
  * Initialize CodeMirror editor
@@ -124,6 +127,7 @@ export function initializeEditor() {
         mode: 'yaml',
         theme: 'monokai',
         lineNumbers: true,
+        gutters: ['CodeMirror-linenumbers', DIAGNOSTICS_GUTTER],
         indentUnit: 4,
         indentWithTabs: false,
         lineWrapping: true,
@@ -147,6 +151,13 @@ export function initializeEditor() {
         }
     });
 
+    // Dropped files are handled by the page (see events.js), not pasted in as text
+    codeEditor.on('drop', (cm, e) => {
+        if (e.dataTransfer?.files?.length) {
+            e.preventDefault();
+        }
+    });
+
     // Set initial content
     codeEditor.setValue(initialContent);
 
@@ -194,3 +205,45 @@ export function setEditorValue(value) {
     }
 }
 
+
+/**
+ * Show validation diagnostics in the editor (gutter markers and line highlights)
+ * Replaces any diagnostics shown previously; pass an empty list to clear them
+ * @param {Array<Object>} diagnostics - Diagnostics with severity, message and 1-based line
+ */
+export function setDiagnostics(diagnostics) {
+    if (!codeEditor) {
+        return;
+    }
+    
+    codeEditor.clearGutter(DIAGNOSTICS_GUTTER);
+    for (const { handle, className } of diagnosticLines) {
+        codeEditor.removeLineClass(handle, 'background', className);
+    }
+    diagnosticLines = [];
+    
+    // Group by line so a line with an error and a warning shows as an error
+    const byLine = new Map();
+    for (const diagnostic of diagnostics) {
+        if (diagnostic.line === undefined || diagnostic.line < 1 || diagnostic.line > codeEditor.lineCount()) {
+            continue;
+        }
+        if (!byLine.has(diagnostic.line)) {
+            byLine.set(diagnostic.line, []);
+        }
+        byLine.get(diagnostic.line).push(diagnostic);
+    }
+    
+    for (const [line, lineDiagnostics] of byLine) {
+        const severity = lineDiagnostics.some(d => d.severity === 'error') ? 'error' : 'warning';
+        const marker = document.createElement('div');
+        marker.className = `diagnostic-marker diagnostic-marker-${severity}`;
+        marker.textContent = '●';
+        marker.title = lineDiagnostics.map(d => d.message).join('\n');
+        codeEditor.setGutterMarker(line - 1, DIAGNOSTICS_GUTTER, marker);
+        
+        const className = `diagnostic-line-${severity}`;
+        const handle = codeEditor.addLineClass(line - 1, 'background', className);
+        diagnosticLines.push({ handle, className });
+    }
+}
@@ -6,7 +6,9 @@ import { renderModel } from '../modelRenderer.js';
 import { resetCamera, toggleWireframe, exportModel, exportSTL } from '../renderer/controls.js';
 import { setQuality } from '../utils/qualitySettings.js';
 import { getEditor, getEditorValue, setEditorValue } from './editor.js';
+import { clearSelectedConfiguration } from './display.js';
 import { handleResize } from '../renderer/animation.js';
+import { addLocalFile } from '../utils/localFiles.js';
 
 // Re-export for global access if needed
 window.renderModel = renderModel;
@@ -110,6 +112,7 @@ final:
  */
 function newFile() {
     if (confirm('Create a new file? Any unsaved changes will be lost.')) {
+        clearSelectedConfiguration();
         setEditorValue(DEFAULT_YAML_TEMPLATE);
     }
 }
@@ -142,6 +145,7 @@ function openFile() {
         const reader = new FileReader();
         reader.onload = (event) => {
             const content = event.target.result;
+            clearSelectedConfiguration();
             setEditorValue(content);
         };
         reader.readAsText(file);
@@ -149,6 +153,38 @@ function openFile() {
     input.click();
 }
 
+/**
+ * Files that can be dropped alongside a model: meshes and fonts it refers to by name
+ */
+const PROJECT_FILE = /\.(stl|obj|3mf|ttf|otf|json)$/i;
+
+/**
+ * Open a dropped YAML file, and keep dropped mesh and font files for the model to use
+ */
+function initializeFileDrop() {
+    document.addEventListener('dragover', (e) => {
+        e.preventDefault();
+    });
+    document.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        const dropped = [...(e.dataTransfer?.files ?? [])];
+        if (dropped.length === 0) return;
+
+        for (const file of dropped) {
+            if (/\.ya?ml$/i.test(file.name)) {
+                clearSelectedConfiguration();
+                setEditorValue(await file.text());
+            } else if (PROJECT_FILE.test(file.name)) {
+                addLocalFile(file.name, await file.arrayBuffer());
+                console.log(`Added ${file.name}; refer to it by name, e.g. file: ${file.name}`);
+            } else {
+                console.warn(`Ignored dropped file ${file.name}: not a model, mesh or font file`);
+            }
+        }
+        renderModel();
+    });
+}
+
 /**
  * Initialize keyboard shortcuts
  */
@@ -186,6 +222,9 @@ export function initialize() {
     document.getElementById('btn-render').addEventListener('click', renderModel);
     document.getElementById('btn-wireframe').addEventListener('click', toggleWireframe);
     
+    // Configuration selection
+    document.getElementById('configuration-select').addEventListener('change', renderModel);
+    
     // Quality selection
     document.getElementById('quality-select').addEventListener('change', (e) => {
         setQuality(e.target.value);
@@ -197,6 +236,9 @@ export function initialize() {
     
     // Initialize splitter resizing
     initializeSplitter();
+
+    // Dropped model, mesh and font files
+    initializeFileDrop();
     
     // Auto-render on Enter key (when Ctrl is held) - handled by CodeMirror extraKeys
     // CodeMirror handles this via the extraKeys configuration in editor.js
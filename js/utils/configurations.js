@@ -0,0 +1,128 @@
+/**
+ * Named configurations - variants of a model that override root params
+ *
+ *   settings:
+ *       configuration: large          # applied by default
+ *
+ *   configurations:
+ *       large:
+ *           description: Tall version
+ *           params:
+ *               - $h: 60
+ *           hide: [lid_outer]         # optional visibility overrides
+ *           show: [label]
+ */
+
+import { paramEntries } from './imports.js';
+
+/**
+ * Create an error with a diagnostic pointing at a configuration
+ */
+function configurationError(message, path) {
+    const error = new Error(message);
+    error.diagnostics = [{ severity: 'error', path, message }];
+    return error;
+}
+
+/**
+ * Names of the configurations a model defines, in order
+ * @param {Object} data - Parsed YAML model
+ * @returns {Array<string>}
+ */
+export function listConfigurations(data) {
+    const configurations = data?.configurations;
+    if (!configurations || typeof configurations !== 'object' || Array.isArray(configurations)) {
+        return [];
+    }
+    return Object.keys(configurations);
+}
+
+/**
+ * Replace root param values, keeping their order
+ * @param {Object} data - Parsed YAML model
+ * @param {Array<Array>} overrides - [name, value] pairs
+ * @param {string} what - Source of the overrides, for messages
+ * @param {string} path - Diagnostic path for errors
+ * @returns {Object} Model with the new params
+ * @throws {Error} If an override names a param the model doesn't define
+ */
+function overrideParams(data, overrides, what, path) {
+    if (overrides.length === 0) {
+        return data;
+    }
+    const params = paramEntries(data.params);
+    for (const [paramName, value] of overrides) {
+        const existing = params.find(([existingName]) => existingName === paramName);
+        if (!existing) {
+            throw configurationError(`${what}: "$${paramName}" is not a root param`, path);
+        }
+        existing[1] = value;
+    }
+    return { ...data, params: params.map(([paramName, value]) => ({ [`$${paramName}`]: value })) };
+}
+
+/**
+ * Override root params from outside the model (e.g. command line flags)
+ * @param {Object} data - Parsed YAML model
+ * @param {Object} [params] - Values by param name (with or without `$`)
+ * @returns {Object} Model with the new params
+ * @throws {Error} If a name isn't a root param
+ */
+export function applyParamOverrides(data, params) {
+    if (!data || typeof data !== 'object' || !params) {
+        return data;
+    }
+    return overrideParams(data, paramEntries(params), 'Parameter override', 'params');
+}
+
+/**
+ * Apply a configuration's param and visibility overrides to a model
+ * @param {Object} data - Parsed YAML model (imports already merged)
+ * @param {string|null} [requested] - Configuration to apply (default: settings.configuration)
+ * @returns {Object} Model with overrides applied and settings.configuration naming the
+ *   applied configuration
+ * @throws {Error} If the configuration or one of the params/solids it overrides doesn't exist
+ */
+export function applyConfiguration(data, requested = null) {
+    if (!data || typeof data !== 'object') {
+        return data;
+    }
+
+    const name = requested || data.settings?.configuration || null;
+    if (name === null) {
+        return data;
+    }
+
+    const names = listConfigurations(data);
+    if (!names.includes(name)) {
+        const known = names.length > 0 ? ` (defined: ${names.join(', ')})` : '; the model has no "configurations"';
+        const path = !requested && data.settings?.configuration ? 'settings.configuration' : 'configurations';
+        throw configurationError(`Configuration "${name}" is not defined${known}`, path);
+    }
+
+    const configuration = data.configurations[name] || {};
+    const path = `configurations.${name}`;
+    // Params: replace root param values
+    const result = overrideParams(
+        { ...data, settings: { ...data.settings, configuration: name } },
+        paramEntries(configuration.params),
+        `Configuration "${name}"`,
+        `${path}.params`
+    );
+
+    // Visibility: hide/show solids by name
+    for (const [key, visible] of [['hide', false], ['show', true]]) {
+        const solidNames = configuration[key];
+        if (solidNames === undefined) {
+            continue;
+        }
+        for (const solidName of Array.isArray(solidNames) ? solidNames : [solidNames]) {
+            if (!result.solids || !Object.prototype.hasOwnProperty.call(result.solids, solidName)) {
+                throw configurationError(`Configuration "${name}" ${key}s "${solidName}", which is not a solid`, `${path}.${key}`);
+            }
+            result.solids = { ...result.solids, [solidName]: { ...result.solids[solidName], visible } };
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,605 @@
+/**
+ * Fillet and chamfer modifiers: which edges they shape, and the shapes they give
+ *
+ *   plate:
+ *       shape: cuboid
+ *       size: [60, 40, 5]
+ *       modifiers:
+ *           fillet:
+ *               radius: 2
+ *               edges: { parallel: z }      # all (default), top, bottom, side, or a mapping
+ *           chamfer:                        # of parallel, face and within (all must match)
+ *               distance: 0.5
+ *               edges: top
+ *
+ * Edges are where faces meet at more than EDGE_ANGLE degrees. `parallel` and `face` use the
+ * solid's own axes (before its rotation); `within` is a box in model coordinates that
+ * holds the whole edge.
+ *
+ * Cuboids, plain cylinders and plain extrusions are rebuilt as an extrusion with finished
+ * corners and ends, which is exact. Other solids, and the results of boolean operations,
+ * have each selected straight edge cut (or, inside a corner, filled) by a boolean operation.
+ */
+
+import { profileLoops } from './profiles.js';
+import { readRoundSolid, isShapedRoundSolid } from './roundSolids.js';
+import { ExtrusionError, extrusionLayers, isShapedExtrusion, layerLoops } from './extrusionLayers.js';
+import { getLocalExtents } from './solidBounds.js';
+import { keepsOwnShape, solidPlacement, transformDirection, transformPoint } from './solidTransforms.js';
+import { getSegmentCount } from './qualitySettings.js';
+
+/**
+ * Edge modifiers and the property giving their size
+ */
+export const EDGE_MODIFIERS = {
+    fillet: 'radius',
+    chamfer: 'distance'
+};
+
+/**
+ * Faces an edge selector can name: `side` edges are where two side faces meet
+ */
+export const EDGE_FACES = ['top', 'bottom', 'side'];
+
+/**
+ * Faces meeting at more than this many degrees make an edge
+ */
+export const EDGE_ANGLE = 20;
+
+const EDGE_AXES = ['x', 'y', 'z'];
+const SELECTOR_KEYS = ['parallel', 'face', 'within'];
+
+/**
+ * Problem with a fillet or chamfer, naming the property at fault
+ */
+export class EdgeError extends Error {
+    constructor(message, property) {
+        super(message);
+        this.property = property;
+    }
+}
+
+const add = (a, b) => a.map((value, i) => value + b[i]);
+const sub = (a, b) => a.map((value, i) => value - b[i]);
+const scale = (a, factor) => a.map(value => value * factor);
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+const length = (a) => Math.sqrt(dot(a, a));
+const unit = (a) => scale(a, 1 / length(a));
+const cross = ([ax, ay, az], [bx, by, bz]) => [ay * bz - az * by, az * bx - ax * bz, ax * by - ay * bx];
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+function readSelector(edges) {
+    const describe = 'should be all, top, bottom, side or a mapping of parallel, face and within';
+    if (typeof edges === 'string') {
+        if (edges === 'all') {
+            return {};
+        }
+        if (EDGE_FACES.includes(edges)) {
+            return { face: edges };
+        }
+        throw new EdgeError(`"edges" ${describe}, got ${JSON.stringify(edges)}`, 'edges');
+    }
+    if (edges === null || typeof edges !== 'object' || Array.isArray(edges)) {
+        throw new EdgeError(`"edges" ${describe}, got ${JSON.stringify(edges)}`, 'edges');
+    }
+    const unknown = Object.keys(edges).find(key => !SELECTOR_KEYS.includes(key));
+    if (unknown !== undefined) {
+        throw new EdgeError(`"edges" has unknown key "${unknown}"; use ${SELECTOR_KEYS.join(', ')}`, `edges.${unknown}`);
+    }
+    const selector = {};
+    if (edges.parallel !== undefined) {
+        if (!EDGE_AXES.includes(edges.parallel)) {
+            throw new EdgeError(`"parallel" should be x, y or z, got ${JSON.stringify(edges.parallel)}`, 'edges.parallel');
+        }
+        selector.parallel = EDGE_AXES.indexOf(edges.parallel);
+    }
+    if (edges.face !== undefined) {
+        if (!EDGE_FACES.includes(edges.face)) {
+            throw new EdgeError(`"face" should be one of ${EDGE_FACES.join(', ')}, got ${JSON.stringify(edges.face)}`, 'edges.face');
+        }
+        selector.face = edges.face;
+    }
+    if (edges.within !== undefined) {
+        const { min, max } = edges.within ?? {};
+        const isPoint = (point) => Array.isArray(point) && point.length === 3 && point.every(isNumber);
+        if (!isPoint(min) || !isPoint(max) || min.some((value, i) => value > max[i])) {
+            throw new EdgeError(`"within" should be { min: [x, y, z], max: [x, y, z] } with min no greater than max, got ${JSON.stringify(edges.within)}`, 'edges.within');
+        }
+        selector.within = { min, max };
+    }
+    return selector;
+}
+
+/**
+ * Read a fillet or chamfer modifier
+ * @param {string} kind - fillet or chamfer
+ * @param {Object} config - The modifier's mapping, with numeric values
+ * @returns {{kind: string, sizeKey: string, size: number, selector: Object}}
+ * @throws {EdgeError} If the size or edge selector isn't valid
+ */
+export function readEdgeModifier(kind, config) {
+    const sizeKey = EDGE_MODIFIERS[kind];
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw new EdgeError(`should be a mapping with "${sizeKey}" and optionally "edges", got ${JSON.stringify(config)}`, '');
+    }
+    const size = config[sizeKey];
+    if (size === undefined) {
+        throw new EdgeError(`is missing "${sizeKey}"`, '');
+    }
+    if (!isNumber(size) || size <= 0) {
+        throw new EdgeError(`"${sizeKey}" should be a number greater than 0, got ${JSON.stringify(size)}`, sizeKey);
+    }
+    return { kind, sizeKey, size, selector: readSelector(config.edges ?? 'all') };
+}
+
+/**
+ * A solid's own X, Y and Z axes in model coordinates
+ * @param {Object} solid - Solid definition with numeric properties
+ * @returns {Array<Array<number>>}
+ */
+export function solidAxes(solid) {
+    const placement = solidPlacement(solid);
+    return [[1, 0, 0], [0, 1, 0], [0, 0, 1]].map(axis => unit(transformDirection(placement, axis)));
+}
+
+/**
+ * Whether a selector picks an edge
+ * @param {Object} selector - From readEdgeModifier
+ * @param {{points: Array, direction: Array, normals: Array}} edge - Ends, direction and the
+ *   normals of the two faces, in model coordinates
+ * @param {Array<Array<number>>} axes - From solidAxes
+ * @returns {boolean}
+ */
+export function selectsEdge(selector, edge, axes) {
+    if (selector.parallel !== undefined && Math.abs(dot(edge.direction, axes[selector.parallel])) < 1 - 1e-6) {
+        return false;
+    }
+    if (selector.face) {
+        // A face is on top or at the bottom when it's within 45 degrees of facing that way
+        const up = edge.normals.map(normal => dot(normal, axes[2]));
+        const onFace = {
+            top: up.some(z => z > Math.SQRT1_2 + 1e-9),
+            bottom: up.some(z => z < -Math.SQRT1_2 - 1e-9),
+            side: up.every(z => Math.abs(z) <= Math.SQRT1_2 + 1e-9)
+        };
+        if (!onFace[selector.face]) {
+            return false;
+        }
+    }
+    if (selector.within) {
+        const { min, max } = selector.within;
+        const tolerance = 1e-6 * Math.max(1, ...min.map(Math.abs), ...max.map(Math.abs));
+        return edge.points.every(point => point.every((value, i) => value >= min[i] - tolerance && value <= max[i] + tolerance));
+    }
+    return true;
+}
+
+/**
+ * Shape a corner between two faces (or, in 2D, two edges of a profile)
+ * @param {Array<number>} point - The corner
+ * @param {Array<number>} along1 - Unit direction of the first face away from the corner
+ * @param {Array<number>} along2 - Unit direction of the second face away from the corner
+ * @param {Object} modifier - From readEdgeModifier
+ * @param {number} segments - Steps for a full turn
+ * @param {boolean} [touching] - Whether a rounded corner's sides touch the true arc (so
+ *   insetting by the radius shrinks it to a point) rather than its points lying on it
+ * @returns {{points: Array<Array<number>>, reach: number}} Points from the first face to the
+ *   second, and how far along each face they start
+ */
+function finishCorner(point, along1, along2, { kind, size }, segments, touching = false) {
+    const angle = Math.acos(Math.max(-1, Math.min(1, dot(along1, along2))));
+    if (kind === 'chamfer') {
+        return { points: [add(point, scale(along1, size)), add(point, scale(along2, size))], reach: size };
+    }
+    const reach = size / Math.tan(angle / 2);
+    const start = add(point, scale(along1, reach));
+    const end = add(point, scale(along2, reach));
+    const center = add(point, scale(unit(add(along1, along2)), size / Math.sin(angle / 2)));
+    const [from, to] = [unit(sub(start, center)), unit(sub(end, center))];
+    const turn = Math.PI - angle;
+    const steps = Math.max(1, Math.ceil(segments * turn / (Math.PI * 2)));
+    const arc = (t, radius) => add(center, scale(add(scale(from, Math.sin((1 - t) * turn)), scale(to, Math.sin(t * turn))), radius / Math.sin(turn)));
+    const inner = touching
+        ? Array.from({ length: steps }, (_, step) => arc((step + 0.5) / steps, size / Math.cos(turn / steps / 2)))
+        : Array.from({ length: steps - 1 }, (_, step) => arc((step + 1) / steps, size));
+    return { points: [start, ...inner, end], reach };
+}
+
+/**
+ * Unit direction from one 2D point to another
+ */
+const direction2 = (from, to) => unit(sub(to, from));
+
+/**
+ * Whether a profile loop turns by more than EDGE_ANGLE at a point
+ */
+function isCorner(points, i) {
+    const count = points.length;
+    const before = direction2(points[(i + count - 1) % count], points[i]);
+    const after = direction2(points[i], points[(i + 1) % count]);
+    return dot(before, after) < Math.cos(EDGE_ANGLE * Math.PI / 180);
+}
+
+/**
+ * Outward normal of a profile edge (right of the edge: outside a counter-clockwise outline
+ * and inside a clockwise hole)
+ */
+function edgeNormal(from, to) {
+    const [dx, dy] = direction2(from, to);
+    return [dy, -dx];
+}
+
+/**
+ * Replace the selected corners of a profile loop with finished ones
+ * @returns {Array<Array<number>>|null} Null where a finished corner reaches past a short
+ *   edge of a curve, which needs the general method
+ */
+function finishLoop(points, selected, modifier, segments) {
+    const count = points.length;
+    const corners = points.map((point, i) => selected[i]
+        ? finishCorner(point, direction2(point, points[(i + count - 1) % count]), direction2(point, points[(i + 1) % count]), modifier, segments, true)
+        : { points: [point], reach: 0 });
+    for (const [i, point] of points.entries()) {
+        const next = (i + 1) % count;
+        const available = length(sub(points[next], point));
+        if (corners[i].reach + corners[next].reach > available + 1e-9) {
+            if (!isCorner(points, i) || !isCorner(points, next)) {
+                return null;
+            }
+            throw new EdgeError(`"${modifier.sizeKey}" (${modifier.size}) is too big for an edge ${+available.toFixed(6)} long`, modifier.sizeKey);
+        }
+    }
+    return corners.flatMap(corner => corner.points);
+}
+
+/**
+ * Finish a prism (profile loops extruded along Z, centered) if the selection allows:
+ * any of its edges along Z, and all or none of the edges around each end
+ * @param {Array<Array<Array<number>>>} loops - Outline counter-clockwise, holes clockwise
+ * @param {number} height - Length along Z
+ * @param {Function} toModel - Maps a prism [x, y, z] point and whether it's a direction to model coordinates
+ * @returns {Object|null} Extrusion definition and how many edges it finishes, or null
+ */
+function finishPrism(loops, height, toModel, modifier, axes, segments) {
+    const half = height / 2;
+    const picks = (points, normals, direction) => selectsEdge(modifier.selector, {
+        points: points.map(point => toModel(point, false)),
+        direction: toModel(direction, true),
+        normals: normals.map(normal => toModel(normal, true))
+    }, axes);
+
+    let count = 0;
+    const corners = loops.map(points => points.map((point, i) => {
+        const before = points[(i + points.length - 1) % points.length];
+        const after = points[(i + 1) % points.length];
+        const picked = isCorner(points, i) && picks(
+            [[...point, -half], [...point, half]],
+            [[...edgeNormal(before, point), 0], [...edgeNormal(point, after), 0]],
+            [0, 0, 1]
+        );
+        count += picked ? 1 : 0;
+        return picked;
+    }));
+
+    const ends = {};
+    for (const [end, z] of [['top', half], ['bottom', -half]]) {
+        const picked = loops.flatMap(points => points.map((point, i) => {
+            const next = points[(i + 1) % points.length];
+            return picks([[...point, z], [...next, z]], [[0, 0, Math.sign(z)], [...edgeNormal(point, next), 0]], [...direction2(point, next), 0]);
+        }));
+        if (picked.some(Boolean) && !picked.every(Boolean)) {
+            return null;
+        }
+        ends[end] = picked[0];
+        count += ends[end] ? picked.length : 0;
+    }
+
+    const finished = loops.map((points, i) => finishLoop(points, corners[i], modifier, segments));
+    if (finished.includes(null)) {
+        return null;
+    }
+    const [outline, ...holes] = finished;
+    const definition = {
+        shape: 'extrusion',
+        length: height,
+        profile: { type: 'poly', points: outline, holes: holes.map(points => ({ type: 'poly', points })) }
+    };
+    const endKey = modifier.kind === 'fillet' ? 'round' : 'chamfer';
+    for (const end of ['top', 'bottom']) {
+        if (ends[end]) {
+            definition[`${endKey}_${end}`] = modifier.size;
+        }
+    }
+    let layers;
+    try {
+        layers = extrusionLayers(definition, segments);
+        const { outline: placed, holes: placedHoles } = profileLoops(definition.profile, segments);
+        layers.forEach(layer => layerLoops([placed, ...placedHoles], layer));
+    } catch (e) {
+        if (!(e instanceof ExtrusionError)) {
+            throw e;
+        }
+        // Insetting a curve's short edges can fail where the general method still works
+        if (layers && loops.some(points => points.some((_, i) => !isCorner(points, i)))) {
+            return null;
+        }
+        throw new EdgeError(`"${modifier.sizeKey}" (${modifier.size}) is too big for this solid: ${e.message}`, modifier.sizeKey);
+    }
+    return { definition, count };
+}
+
+/**
+ * Points along an arc about the origin, from +X towards +Y
+ */
+function arcPoints(radius, sweep, segments) {
+    const steps = Math.max(1, Math.ceil(segments * sweep / 360));
+    return Array.from({ length: steps + 1 }, (_, step) => {
+        const angle = sweep * step / steps * Math.PI / 180;
+        return [radius * Math.cos(angle), radius * Math.sin(angle)];
+    });
+}
+
+/**
+ * Profile loops of a straight cylinder's cross-section
+ */
+function cylinderLoops({ bottomRadius: outer, innerBottomRadius: inner, sweepAngle }, segments) {
+    if (sweepAngle >= 360) {
+        const circle = (radius) => arcPoints(radius, 360, segments).slice(0, -1);
+        return inner > 0 ? [circle(outer), circle(inner).reverse()] : [circle(outer)];
+    }
+    const outerArc = arcPoints(outer, sweepAngle, segments);
+    return [inner > 0 ? [...outerArc, ...arcPoints(inner, sweepAngle, segments).reverse()] : [...outerArc, [0, 0]]];
+}
+
+/**
+ * Where anchoring moved a solid's geometry from (subtracted from every point)
+ * @param {Object} solid - Solid definition with numeric properties
+ * @returns {Array<number>} [x, y, z]
+ */
+export function anchorOffset(solid) {
+    const extents = getLocalExtents(solid);
+    if (!solid.anchor || !extents) {
+        return [0, 0, 0];
+    }
+    const [min, max] = extents;
+    return [0, 1, 2].map(axis => {
+        const anchor = solid.anchor[axis] !== undefined ? Math.max(0, Math.min(1, solid.anchor[axis])) : 0.5;
+        return min[axis] + (max[axis] - min[axis]) * anchor;
+    });
+}
+
+/**
+ * Exact result of a fillet or chamfer on a solid's own shape, where there is one
+ * @param {Object} solid - Cuboid, cylinder or extrusion definition with numeric properties
+ * @param {Object} modifier - From readEdgeModifier
+ * @param {number} [segments] - Steps for a full turn (default: quality setting)
+ * @returns {{definition: Object, axis: number, count: number}|null} Extrusion definition
+ *   to build instead (centered like the solid, along `axis` of the solid), and how many
+ *   edges it finishes; null if the solid or selection needs the general method
+ * @throws {EdgeError} If the fillet or chamfer doesn't fit
+ */
+export function exactEdgeShape(solid, modifier, segments = getSegmentCount()) {
+    if (!keepsOwnShape(solid)) {
+        return null;
+    }
+    const placement = solidPlacement(solid);
+    const axes = solidAxes(solid);
+    const offset = anchorOffset(solid);
+    // The prism's X, Y and Z are the solid's axes (axis + 1, axis + 2, axis)
+    const mapping = (axis) => (point, isDirection) => {
+        const local = [0, 0, 0];
+        [local[(axis + 1) % 3], local[(axis + 2) % 3], local[axis]] = point;
+        return isDirection ? transformDirection(placement, local) : transformPoint(placement, sub(local, offset));
+    };
+
+    switch (solid.shape) {
+        case 'cuboid': {
+            const size = (solid.size || [1, 1, 1]).map(Math.abs);
+            // Along Z first; another axis only when that's the one the selection fits
+            for (const axis of [2, 0, 1]) {
+                const [sx, sy] = [size[(axis + 1) % 3] / 2, size[(axis + 2) % 3] / 2];
+                const loops = [[[-sx, -sy], [sx, -sy], [sx, sy], [-sx, sy]]];
+                const result = finishPrism(loops, size[axis], mapping(axis), modifier, axes, segments);
+                if (result) {
+                    return { ...result, axis };
+                }
+            }
+            return null;
+        }
+        case 'cylinder': {
+            if (isShapedRoundSolid(solid)) {
+                const dimensions = readRoundSolid(solid);
+                if (dimensions.topRadius !== dimensions.bottomRadius || dimensions.innerTopRadius !== dimensions.innerBottomRadius) {
+                    return null;
+                }
+                const result = finishPrism(cylinderLoops(dimensions, segments), dimensions.length, mapping(2), modifier, axes, segments);
+                return result && { ...result, axis: 2 };
+            }
+            const dimensions = { bottomRadius: (solid.diameter || 1) / 2, innerBottomRadius: 0, sweepAngle: 360 };
+            const result = finishPrism(cylinderLoops(dimensions, segments), solid.length || 1, mapping(2), modifier, axes, segments);
+            return result && { ...result, axis: 2 };
+        }
+        case 'extrusion': {
+            if (isShapedExtrusion(solid)) {
+                return null;
+            }
+            const { outline, holes } = profileLoops(solid.profile, segments);
+            const result = finishPrism([outline, ...holes], solid.length || 1, mapping(2), modifier, axes, segments);
+            return result && { ...result, axis: 2 };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Merge overlapping [from, to] spans
+ */
+function mergeSpans(spans, tolerance) {
+    const merged = [];
+    for (const [from, to] of [...spans].sort((a, b) => a[0] - b[0])) {
+        const last = merged[merged.length - 1];
+        if (last && from <= last[1] + tolerance) {
+            last[1] = Math.max(last[1], to);
+        } else {
+            merged.push([from, to]);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Spans covered by both of two merged span lists
+ */
+function overlapSpans(a, b, tolerance) {
+    return a.flatMap(([from, to]) => b
+        .map(([otherFrom, otherTo]) => [Math.max(from, otherFrom), Math.min(to, otherTo)])
+        .filter(([start, end]) => end - start > tolerance));
+}
+
+/**
+ * Straight edges of a triangle mesh where faces meet at more than EDGE_ANGLE degrees
+ * Triangle sides are grouped by the line they lie on, so edges are found even where
+ * one face's triangles meet another's at different points (as boolean results do).
+ * Lines are matched within a tolerance of the mesh's size, measured from its middle, so
+ * moving the mesh doesn't change which sides share a line.
+ * @param {ArrayLike<number>} positions - x, y, z of each triangle's three corners
+ * @returns {Array<{points: Array, direction: Array, normals: Array, inward: Array}>} Each
+ *   edge's ends, its direction (the way the first face's outline runs along it, from the
+ *   first end to the second), and for each of its two faces the normal and the direction
+ *   across the face away from the edge
+ */
+export function featureEdges(positions) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i++) {
+        min[i % 3] = Math.min(min[i % 3], positions[i]);
+        max[i % 3] = Math.max(max[i % 3], positions[i]);
+    }
+    const middle = scale(add(min, max), 0.5);
+    const tolerance = (length(sub(max, min)) || 1) * 1e-5;
+
+    // Triangle sides, about the middle, longest first so they set the lines' directions
+    const sides = [];
+    for (let i = 0; i + 8 < positions.length; i += 9) {
+        const corners = [0, 1, 2].map(k => sub([positions[i + k * 3], positions[i + k * 3 + 1], positions[i + k * 3 + 2]], middle));
+        const normal = cross(sub(corners[1], corners[0]), sub(corners[2], corners[0]));
+        if (length(normal) < tolerance * tolerance) {
+            continue;
+        }
+        corners.forEach((from, k) => {
+            const to = corners[(k + 1) % 3];
+            const side = length(sub(to, from));
+            if (side >= tolerance) {
+                sides.push({ from, to, opposite: corners[(k + 2) % 3], normal: unit(normal), length: side });
+            }
+        });
+    }
+    sides.sort((a, b) => b.length - a.length);
+
+    // Lines, in a grid by the point on each nearest the middle
+    const lines = [];
+    const grid = new Map();
+    const cellSize = tolerance * 100;
+    const cellOf = (point) => point.map(value => Math.floor(value / cellSize));
+    const footOf = (point, direction) => sub(point, scale(direction, dot(point, direction)));
+    const offLine = (point, line) => length(footOf(sub(point, line.foot), line.direction));
+    const lineThrough = (from, to) => {
+        const direction = unit(sub(to, from));
+        const foot = footOf(from, direction);
+        const [x, y, z] = cellOf(foot);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    const line = (grid.get(`${x + dx},${y + dy},${z + dz}`) ?? [])
+                        .find(other => offLine(from, other) < tolerance * 10 && offLine(to, other) < tolerance * 10);
+                    if (line) {
+                        return line;
+                    }
+                }
+            }
+        }
+        const line = { direction, foot, sides: [] };
+        const key = `${x},${y},${z}`;
+        if (!grid.has(key)) {
+            grid.set(key, []);
+        }
+        grid.get(key).push(line);
+        lines.push(line);
+        return line;
+    };
+
+    for (const { from, to, opposite, normal } of sides) {
+        const line = lineThrough(from, to);
+        const { direction } = line;
+        const across = sub(opposite, from);
+        const [start, end] = [dot(from, direction), dot(to, direction)].sort((a, b) => a - b);
+        line.sides.push({
+            span: [start, end],
+            normal,
+            inward: unit(sub(across, scale(direction, dot(across, direction)))),
+            // Outlines run counter-clockwise seen from outside, which tells which way the faces turn
+            runs: Math.sign(dot(sub(to, from), direction))
+        });
+    }
+
+    const edges = [];
+    const minimumTurn = Math.cos(EDGE_ANGLE * Math.PI / 180);
+    for (const { direction, foot, sides: lineSides } of lines) {
+        // Faces along the line: sides with the same normal, on the same side of it
+        const faces = [];
+        for (const side of lineSides) {
+            const face = faces.find(other => dot(other.normal, side.normal) > 0.999 && dot(other.inward, side.inward) > 0.99);
+            if (face) {
+                face.spans.push(side.span);
+            } else {
+                faces.push({ normal: side.normal, inward: side.inward, runs: side.runs, spans: [side.span] });
+            }
+        }
+        faces.forEach(face => {
+            face.spans = mergeSpans(face.spans, tolerance);
+        });
+        faces.forEach((face, i) => faces.slice(i + 1).forEach(other => {
+            if (dot(face.normal, other.normal) > minimumTurn || dot(face.inward, other.inward) > 0.99) {
+                return;
+            }
+            for (const [start, end] of overlapSpans(face.spans, other.spans, tolerance * 10)) {
+                const ends = [start, end].map(at => add(middle, add(foot, scale(direction, at))));
+                edges.push({
+                    points: face.runs < 0 ? ends.reverse() : ends,
+                    direction: scale(direction, face.runs),
+                    normals: [face.normal, other.normal],
+                    inward: [face.inward, other.inward]
+                });
+            }
+        }));
+    }
+    return edges;
+}
+
+/**
+ * Cross-section of the piece that finishes an edge: cut away where the edge sticks out,
+ * added where it's inside a corner
+ * @param {Object} edge - From featureEdges
+ * @param {Object} modifier - From readEdgeModifier
+ * @param {number} [segments] - Steps for a full turn (default: quality setting)
+ * @returns {{outline: Array<Array<number>>, convex: boolean}} Outline in the plane across
+ *   the edge's first end, and whether the edge sticks out
+ */
+export function edgeSection(edge, modifier, segments = getSegmentCount()) {
+    const [corner] = edge.points;
+    const [normal1, normal2] = edge.normals;
+    const [along1, along2] = edge.inward;
+    // The first face's outline runs along the edge, so the faces turn right-handedly about it where it sticks out
+    const convex = dot(cross(normal1, normal2), edge.direction) > 0;
+    const { points, reach } = finishCorner(corner, along1, along2, modifier, segments);
+    // Reach past the faces, away from the corner, so the piece overlaps the solid or the air
+    const [away1, away2] = convex ? [normal1, normal2] : [scale(normal1, -1), scale(normal2, -1)];
+    const outline = [
+        add(points[0], scale(away1, reach)),
+        ...points,
+        add(points[points.length - 1], scale(away2, reach)),
+        sub(corner, scale(unit(add(along1, along2)), reach))
+    ];
+    return { outline, convex };
+}
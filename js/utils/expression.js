@@ -0,0 +1,592 @@
+/**
+ * Expression language for property values
+ * Tokenizer, recursive-descent parser and evaluator (no eval / Function)
+ */
+
+/**
+ * Error raised for invalid or unresolvable expressions
+ * `position` is the character offset in the source, `unresolved` marks
+ * errors caused by a reference that may still be resolved later
+ */
+export class ExpressionError extends Error {
+    constructor(message, position = -1, options = {}) {
+        super(message);
+        this.name = 'ExpressionError';
+        this.position = position;
+        this.unresolved = options.unresolved === true;
+    }
+}
+
+const DEG = Math.PI / 180;
+
+/**
+ * Built-in constants
+ */
+const CONSTANTS = {
+    pi: Math.PI,
+    PI: Math.PI,
+    tau: Math.PI * 2,
+    e: Math.E,
+    true: true,
+    false: false
+};
+
+/**
+ * Built-in functions: name -> [minArgs, maxArgs, implementation]
+ * Plain trig functions use radians, the `d`-suffixed variants use degrees
+ */
+const FUNCTIONS = {
+    sin: [1, 1, x => Math.sin(x)],
+    cos: [1, 1, x => Math.cos(x)],
+    tan: [1, 1, x => Math.tan(x)],
+    asin: [1, 1, x => Math.asin(x)],
+    acos: [1, 1, x => Math.acos(x)],
+    atan: [1, 1, x => Math.atan(x)],
+    atan2: [2, 2, (y, x) => Math.atan2(y, x)],
+    sind: [1, 1, x => Math.sin(x * DEG)],
+    cosd: [1, 1, x => Math.cos(x * DEG)],
+    tand: [1, 1, x => Math.tan(x * DEG)],
+    asind: [1, 1, x => Math.asin(x) / DEG],
+    acosd: [1, 1, x => Math.acos(x) / DEG],
+    atand: [1, 1, x => Math.atan(x) / DEG],
+    atan2d: [2, 2, (y, x) => Math.atan2(y, x) / DEG],
+    rad: [1, 1, x => x * DEG],
+    deg: [1, 1, x => x / DEG],
+    sqrt: [1, 1, x => Math.sqrt(x)],
+    cbrt: [1, 1, x => Math.cbrt(x)],
+    pow: [2, 2, (x, y) => Math.pow(x, y)],
+    exp: [1, 1, x => Math.exp(x)],
+    log: [1, 1, x => Math.log(x)],
+    log10: [1, 1, x => Math.log10(x)],
+    log2: [1, 1, x => Math.log2(x)],
+    hypot: [1, Infinity, (...args) => Math.hypot(...args)],
+    abs: [1, 1, x => Math.abs(x)],
+    sign: [1, 1, x => Math.sign(x)],
+    min: [1, Infinity, (...args) => Math.min(...args)],
+    max: [1, Infinity, (...args) => Math.max(...args)],
+    floor: [1, 1, x => Math.floor(x)],
+    ceil: [1, 1, x => Math.ceil(x)],
+    trunc: [1, 1, x => Math.trunc(x)],
+    round: [1, 2, (x, places = 0) => {
+        const factor = Math.pow(10, places);
+        return Math.round(x * factor) / factor;
+    }],
+    clamp: [3, 3, (x, lo, hi) => Math.min(hi, Math.max(lo, x))]
+};
+
+const OPERATORS = ['&&', '||', '==', '!=', '<=', '>=', '+', '-', '*', '/', '%', '^', '(', ')', '[', ']', ',', '.', '?', ':', '<', '>', '!'];
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression source
+ * @returns {Array<Object>} Tokens with type, value and position
+ */
+export function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const ch = source[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        // Hex literal (0x4287f5)
+        const hexMatch = /^0[xX][0-9a-fA-F]+/.exec(source.slice(i));
+        if (hexMatch) {
+            tokens.push({ type: 'number', value: parseInt(hexMatch[0], 16), position: i });
+            i += hexMatch[0].length;
+            continue;
+        }
+
+        // Decimal literal (12, 1.5, .75, 1e-3)
+        const numberMatch = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+        if (numberMatch) {
+            const start = i;
+            i += numberMatch[0].length;
+            if (i < source.length && /[a-zA-Z_$]/.test(source[i])) {
+                throw new ExpressionError(`Unexpected "${source[i]}" after number`, i);
+            }
+            tokens.push({ type: 'number', value: parseFloat(numberMatch[0]), position: start });
+            continue;
+        }
+
+        // Identifiers, including $-prefixed parameter names
+        const identMatch = /^\$?[a-zA-Z_][a-zA-Z0-9_]*/.exec(source.slice(i));
+        if (identMatch) {
+            tokens.push({ type: 'identifier', value: identMatch[0], position: i });
+            i += identMatch[0].length;
+            continue;
+        }
+
+        const op = OPERATORS.find(candidate => source.startsWith(candidate, i));
+        if (op) {
+            tokens.push({ type: 'operator', value: op, position: i });
+            i += op.length;
+            continue;
+        }
+
+        throw new ExpressionError(`Unexpected character "${ch}"`, i);
+    }
+
+    tokens.push({ type: 'end', value: null, position: source.length });
+    return tokens;
+}
+
+/**
+ * Parse an expression into an AST
+ *
+ * Precedence (lowest to highest):
+ *   ?:  ||  &&  == !=  < <= > >=  + -  * / %  unary - + !  ^  postfix . [] ()
+ *
+ * @param {string} source - Expression source
+ * @returns {Object} AST root node
+ */
+export function parseExpression(source) {
+    const tokens = tokenize(source);
+    let current = 0;
+
+    const peek = () => tokens[current];
+    const next = () => tokens[current++];
+    const isOperator = (value) => peek().type === 'operator' && peek().value === value;
+
+    function expect(value) {
+        const token = peek();
+        if (token.type !== 'operator' || token.value !== value) {
+            throw new ExpressionError(`Expected "${value}" but found ${describeToken(token)}`, token.position);
+        }
+        return next();
+    }
+
+    function parseConditional() {
+        const test = parseBinary(0);
+        if (isOperator('?')) {
+            const token = next();
+            const consequent = parseConditional();
+            expect(':');
+            const alternate = parseConditional();
+            return { type: 'conditional', test, consequent, alternate, position: token.position };
+        }
+        return test;
+    }
+
+    const BINARY_LEVELS = [
+        ['||'],
+        ['&&'],
+        ['==', '!='],
+        ['<', '<=', '>', '>='],
+        ['+', '-'],
+        ['*', '/', '%']
+    ];
+
+    function parseBinary(level) {
+        if (level >= BINARY_LEVELS.length) {
+            return parseUnary();
+        }
+        let left = parseBinary(level + 1);
+        while (peek().type === 'operator' && BINARY_LEVELS[level].includes(peek().value)) {
+            const token = next();
+            const right = parseBinary(level + 1);
+            left = { type: 'binary', operator: token.value, left, right, position: token.position };
+        }
+        return left;
+    }
+
+    function parseUnary() {
+        if (isOperator('-') || isOperator('+') || isOperator('!')) {
+            const token = next();
+            const argument = parseUnary();
+            return { type: 'unary', operator: token.value, argument, position: token.position };
+        }
+        return parsePower();
+    }
+
+    function parsePower() {
+        const base = parsePostfix();
+        if (isOperator('^')) {
+            const token = next();
+            // Right associative, and binds tighter than a unary minus on its left (-2^2 = -4)
+            const exponent = parseUnary();
+            return { type: 'binary', operator: '^', left: base, right: exponent, position: token.position };
+        }
+        return base;
+    }
+
+    function parsePostfix() {
+        let node = parsePrimary();
+        while (true) {
+            if (isOperator('.')) {
+                const token = next();
+                const property = next();
+                if (property.type !== 'identifier' && property.type !== 'number') {
+                    throw new ExpressionError(`Expected property name after "." but found ${describeToken(property)}`, property.position);
+                }
+                node = { type: 'member', object: node, property: String(property.value), position: token.position };
+            } else if (isOperator('[')) {
+                const token = next();
+                const index = parseConditional();
+                expect(']');
+                node = { type: 'index', object: node, index, position: token.position };
+            } else if (isOperator('(')) {
+                const token = next();
+                if (node.type !== 'identifier') {
+                    throw new ExpressionError('Only named functions can be called', token.position);
+                }
+                const args = [];
+                if (!isOperator(')')) {
+                    args.push(parseConditional());
+                    while (isOperator(',')) {
+                        next();
+                        args.push(parseConditional());
+                    }
+                }
+                expect(')');
+                node = { type: 'call', callee: node.name, args, position: node.position };
+            } else {
+                return node;
+            }
+        }
+    }
+
+    function parsePrimary() {
+        const token = peek();
+
+        if (token.type === 'number') {
+            next();
+            return { type: 'number', value: token.value, position: token.position };
+        }
+
+        if (token.type === 'identifier') {
+            next();
+            return { type: 'identifier', name: token.value, position: token.position };
+        }
+
+        if (isOperator('(')) {
+            next();
+            const inner = parseConditional();
+            expect(')');
+            return inner;
+        }
+
+        if (isOperator('[')) {
+            next();
+            const elements = [];
+            if (!isOperator(']')) {
+                elements.push(parseConditional());
+                while (isOperator(',')) {
+                    next();
+                    elements.push(parseConditional());
+                }
+            }
+            expect(']');
+            return { type: 'array', elements, position: token.position };
+        }
+
+        throw new ExpressionError(`Unexpected ${describeToken(token)}`, token.position);
+    }
+
+    const ast = parseConditional();
+    if (peek().type !== 'end') {
+        throw new ExpressionError(`Unexpected ${describeToken(peek())}`, peek().position);
+    }
+    return ast;
+}
+
+function describeToken(token) {
+    if (token.type === 'end') {
+        return 'end of expression';
+    }
+    return `"${token.value}"`;
+}
+
+function assertNumber(value, what, position) {
+    if (typeof value !== 'number') {
+        throw new ExpressionError(`${what} expects a number but got ${describeValue(value)}`, position);
+    }
+    return value;
+}
+
+function describeValue(value) {
+    if (Array.isArray(value)) {
+        return `a list [${value.join(', ')}]`;
+    }
+    if (value === null || value === undefined) {
+        return 'nothing';
+    }
+    return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Apply an arithmetic operator, element-wise when either side is a list
+ */
+function applyArithmetic(operator, left, right, position) {
+    if (Array.isArray(left) || Array.isArray(right)) {
+        if (Array.isArray(left) && Array.isArray(right) && left.length !== right.length) {
+            throw new ExpressionError(`Cannot apply "${operator}" to lists of length ${left.length} and ${right.length}`, position);
+        }
+        const length = Array.isArray(left) ? left.length : right.length;
+        const result = [];
+        for (let i = 0; i < length; i++) {
+            const a = Array.isArray(left) ? left[i] : left;
+            const b = Array.isArray(right) ? right[i] : right;
+            result.push(applyArithmetic(operator, a, b, position));
+        }
+        return result;
+    }
+
+    assertNumber(left, `Operator "${operator}"`, position);
+    assertNumber(right, `Operator "${operator}"`, position);
+
+    switch (operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+        case '^': return Math.pow(left, right);
+    }
+    throw new ExpressionError(`Unknown operator "${operator}"`, position);
+}
+
+const VECTOR_COMPONENTS = { x: 0, y: 1, z: 2 };
+
+/**
+ * Read a named member; lists expose x/y/z as their first three elements
+ */
+function getMember(object, property, position) {
+    if (Array.isArray(object) && Object.prototype.hasOwnProperty.call(VECTOR_COMPONENTS, property)) {
+        return getIndex(object, VECTOR_COMPONENTS[property], position);
+    }
+    if (object && typeof object === 'object' && !Array.isArray(object) && Object.prototype.hasOwnProperty.call(object, property)) {
+        return object[property];
+    }
+    throw new ExpressionError(`Unknown property "${property}"`, position, { unresolved: true });
+}
+
+function getIndex(object, index, position) {
+    if (!Array.isArray(object)) {
+        throw new ExpressionError(`Cannot index ${describeValue(object)}`, position);
+    }
+    if (!Number.isInteger(index) || index < 0 || index >= object.length) {
+        throw new ExpressionError(`Index ${index} is out of range for a list of length ${object.length}`, position);
+    }
+    return object[index];
+}
+
+/**
+ * Give the scope a chance to resolve a whole reference path like `base.size[0]`
+ * Returns undefined when the scope has no `resolvePath` or doesn't know the root name
+ */
+function resolveReferencePath(node, scope) {
+    if (!scope.resolvePath) {
+        return undefined;
+    }
+
+    const accessors = [];
+    let root = node;
+    while (root.type === 'member' || root.type === 'index') {
+        if (root.type === 'member') {
+            accessors.unshift(root.property);
+        } else {
+            accessors.unshift(assertNumber(evaluateNode(root.index, scope), 'Index', root.position));
+        }
+        root = root.object;
+    }
+
+    if (root.type !== 'identifier' || Object.prototype.hasOwnProperty.call(CONSTANTS, root.name)) {
+        return undefined;
+    }
+
+    const value = scope.resolvePath(root.name, accessors);
+    if (value === null) {
+        throw new ExpressionError(`Unresolved reference "${root.name}.${formatAccessors(accessors)}"`, root.position, { unresolved: true });
+    }
+    return value;
+}
+
+function formatAccessors(accessors) {
+    return accessors.map((accessor, i) => typeof accessor === 'number' ? `[${accessor}]` : `${i > 0 ? '.' : ''}${accessor}`).join('');
+}
+
+/**
+ * Apply member/index accessors (as collected for resolvePath) to a value
+ * @param {*} value - Starting value
+ * @param {Array<string|number>} accessors - Property names and list indices
+ * @returns {*} Accessed value
+ */
+export function applyAccessors(value, accessors) {
+    return accessors.reduce((current, accessor) => (
+        typeof accessor === 'number' ? getIndex(current, accessor, -1) : getMember(current, accessor, -1)
+    ), value);
+}
+
+function equals(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, i) => equals(item, b[i]));
+    }
+    return a === b;
+}
+
+/**
+ * Evaluate an AST node
+ * @param {Object} node - AST node
+ * @param {Object} scope - Evaluation scope
+ */
+function evaluateNode(node, scope) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+
+        case 'array':
+            return node.elements.map(element => evaluateNode(element, scope));
+
+        case 'identifier': {
+            if (Object.prototype.hasOwnProperty.call(CONSTANTS, node.name)) {
+                return CONSTANTS[node.name];
+            }
+            const value = scope.resolve ? scope.resolve(node.name) : undefined;
+            if (value === undefined) {
+                throw new ExpressionError(`Unresolved reference "${node.name}"`, node.position, { unresolved: true });
+            }
+            return value;
+        }
+
+        case 'member':
+        case 'index': {
+            const pathValue = resolveReferencePath(node, scope);
+            if (pathValue !== undefined) {
+                return pathValue;
+            }
+            const object = evaluateNode(node.object, scope);
+            if (node.type === 'member') {
+                return getMember(object, node.property, node.position);
+            }
+            const index = assertNumber(evaluateNode(node.index, scope), 'Index', node.position);
+            return getIndex(object, index, node.position);
+        }
+
+        case 'call': {
+            const fn = FUNCTIONS[node.callee];
+            if (!fn) {
+                throw new ExpressionError(`Unknown function "${node.callee}"`, node.position);
+            }
+            const [minArgs, maxArgs, implementation] = fn;
+            if (node.args.length < minArgs || node.args.length > maxArgs) {
+                const expected = minArgs === maxArgs ? `${minArgs}` : maxArgs === Infinity ? `at least ${minArgs}` : `${minArgs}-${maxArgs}`;
+                throw new ExpressionError(`Function "${node.callee}" expects ${expected} argument(s) but got ${node.args.length}`, node.position);
+            }
+            let args = node.args.map(arg => evaluateNode(arg, scope));
+            // min/max/hypot also accept a single list argument
+            if (maxArgs === Infinity && args.length === 1 && Array.isArray(args[0])) {
+                args = args[0];
+            }
+            args.forEach(arg => assertNumber(arg, `Function "${node.callee}"`, node.position));
+            return implementation(...args);
+        }
+
+        case 'unary': {
+            const argument = evaluateNode(node.argument, scope);
+            if (node.operator === '!') {
+                return !argument;
+            }
+            if (Array.isArray(argument)) {
+                return applyArithmetic('*', argument, node.operator === '-' ? -1 : 1, node.position);
+            }
+            assertNumber(argument, `Operator "${node.operator}"`, node.position);
+            return node.operator === '-' ? -argument : argument;
+        }
+
+        case 'binary': {
+            const { operator } = node;
+
+            if (operator === '&&') {
+                const left = evaluateNode(node.left, scope);
+                return left ? evaluateNode(node.right, scope) : left;
+            }
+            if (operator === '||') {
+                const left = evaluateNode(node.left, scope);
+                return left ? left : evaluateNode(node.right, scope);
+            }
+
+            const left = evaluateNode(node.left, scope);
+            const right = evaluateNode(node.right, scope);
+
+            switch (operator) {
+                case '==': return equals(left, right);
+                case '!=': return !equals(left, right);
+                case '<': return assertNumber(left, 'Operator "<"', node.position) < assertNumber(right, 'Operator "<"', node.position);
+                case '<=': return assertNumber(left, 'Operator "<="', node.position) <= assertNumber(right, 'Operator "<="', node.position);
+                case '>': return assertNumber(left, 'Operator ">"', node.position) > assertNumber(right, 'Operator ">"', node.position);
+                case '>=': return assertNumber(left, 'Operator ">="', node.position) >= assertNumber(right, 'Operator ">="', node.position);
+                default: return applyArithmetic(operator, left, right, node.position);
+            }
+        }
+
+        case 'conditional':
+            return evaluateNode(node.test, scope)
+                ? evaluateNode(node.consequent, scope)
+                : evaluateNode(node.alternate, scope);
+    }
+
+    throw new ExpressionError(`Unknown expression node "${node.type}"`, node.position);
+}
+
+function assertFinite(value, position) {
+    if (typeof value === 'number' && !isFinite(value)) {
+        throw new ExpressionError(`Expression evaluated to ${value} (division by zero or invalid math?)`, position);
+    }
+    if (Array.isArray(value)) {
+        value.forEach(item => assertFinite(item, position));
+    }
+    return value;
+}
+
+/**
+ * Evaluate an expression string
+ * @param {string|Object} expression - Expression source or a parsed AST
+ * @param {Object} scope - Evaluation scope
+ * @param {Function} scope.resolve - Called with an identifier name, returns its value or undefined
+ * @param {Function} [scope.resolvePath] - Called with a root name and accessors for paths like
+ *   `base.size[0]` (name "base", accessors ["size", 0]); returns the value, undefined if the root
+ *   name is not handled by this hook, or null if it is handled but can't be resolved yet
+ * @returns {number|boolean|Array} Result of the expression
+ */
+export function evaluateExpression(expression, scope = {}) {
+    const ast = typeof expression === 'string' ? parseExpression(expression) : expression;
+    return assertFinite(evaluateNode(ast, scope), -1);
+}
+
+/**
+ * Check whether a string value should be treated as an expression
+ * (numeric literals, operators, calls, indexing) rather than a plain name
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export function looksLikeExpression(value) {
+    if (typeof value !== 'string') {
+        return false;
+    }
+    const trimmed = value.trim();
+    if (trimmed === '') {
+        return false;
+    }
+    return /^[\d.]/.test(trimmed)
+        || /[+\-*/%^()<>=!?\[\]]/.test(trimmed)
+        || /^\$?[a-zA-Z_]\w*(\.\w+)+$/.test(trimmed)
+        || Object.prototype.hasOwnProperty.call(CONSTANTS, trimmed);
+}
+
+/**
+ * Format an expression error with a caret pointing at the failing position
+ * @param {string} source - Expression source
+ * @param {Error} error - Error raised while parsing or evaluating
+ * @returns {string} Human readable message
+ */
+export function formatExpressionError(source, error) {
+    if (!(error instanceof ExpressionError) || error.position < 0) {
+        return `${error.message} in "${source}"`;
+    }
+    return `${error.message} in "${source}" (column ${error.position + 1})`;
+}
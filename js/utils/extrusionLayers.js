@@ -0,0 +1,237 @@
+/**
+ * Layers of shaped extrusions: twist, taper, draft and chamfered or rounded ends
+ *
+ *   knob:
+ *       shape: extrusion
+ *       length: 20
+ *       profile:
+ *           type: ngon
+ *           sides: 8
+ *           diameter: 30
+ *       twist: 45               # degrees the profile turns from bottom to top
+ *       scale_top: 0.8          # size of the top, a number or [x, y]
+ *       draft_angle: 2          # degrees the walls lean inwards (negative leans outwards)
+ *       chamfer_bottom: 1       # 45 degree edge around the bottom...
+ *       round_top: 3            # ...or a rounded one (each end has at most one)
+ *
+ * An extrusion is built as a stack of layers from bottom (-Z) to top (+Z). Each layer is
+ * the profile inset by the draft and end shaping at its height, then scaled and turned.
+ */
+
+import { getSegmentCount } from './qualitySettings.js';
+
+/**
+ * Properties that need layered extrusion instead of a plain extruded shape
+ */
+export const EXTRUSION_SHAPING_PROPERTIES = ['twist', 'scale_top', 'draft_angle', 'chamfer_top', 'chamfer_bottom', 'round_top', 'round_bottom'];
+
+/**
+ * Problem with an extrusion's shaping, naming the property at fault
+ */
+export class ExtrusionError extends Error {
+    constructor(message, property) {
+        super(message);
+        this.property = property;
+    }
+}
+
+/**
+ * Whether an extrusion needs more than a plain extruded shape
+ * @param {Object} solid - Extrusion definition
+ * @returns {boolean}
+ */
+export function isShapedExtrusion(solid) {
+    return EXTRUSION_SHAPING_PROPERTIES.some(key => solid[key] !== undefined);
+}
+
+function readNumber(solid, key, fallback) {
+    const value = solid[key] ?? fallback;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new ExtrusionError(`"${key}" should be a number, got ${JSON.stringify(value)}`, key);
+    }
+    return value;
+}
+
+/**
+ * Read the chamfer or rounding of one end
+ * @returns {{size: number, round: boolean}|null}
+ */
+function readEnd(solid, end) {
+    const [chamferKey, roundKey] = [`chamfer_${end}`, `round_${end}`];
+    if (solid[chamferKey] !== undefined && solid[roundKey] !== undefined) {
+        throw new ExtrusionError(`has both "${chamferKey}" and "${roundKey}"; use one`, roundKey);
+    }
+    const key = solid[roundKey] !== undefined ? roundKey : chamferKey;
+    const size = readNumber(solid, key, 0);
+    if (size < 0) {
+        throw new ExtrusionError(`"${key}" should not be negative, got ${size}`, key);
+    }
+    return size > 0 ? { size, round: key === roundKey, key } : null;
+}
+
+/**
+ * How far an end's chamfer or rounding insets the profile at `distance` from that end
+ */
+function endInset(end, distance) {
+    if (!end || distance >= end.size) {
+        return 0;
+    }
+    const rise = end.size - distance;
+    return end.round ? end.size - Math.sqrt(end.size * end.size - rise * rise) : rise;
+}
+
+/**
+ * Heights (from the end) where a rounded end needs a layer
+ */
+function endHeights(end, segments) {
+    if (!end) {
+        return [];
+    }
+    if (!end.round) {
+        return [0, end.size];
+    }
+    const steps = Math.max(1, Math.ceil(segments / 4));
+    return Array.from({ length: steps + 1 }, (_, step) => end.size * (1 - Math.cos(step / steps * Math.PI / 2)));
+}
+
+/**
+ * Layers of a shaped extrusion, bottom to top
+ * @param {Object} solid - Extrusion definition with numeric properties
+ * @param {number} [segments] - Steps for a full turn (default: quality setting)
+ * @returns {Array<{z: number, inset: number, angle: number, scale: Array<number>}>} Height, inset
+ *   of the profile's edges, turn in radians and [x, y] scale of each layer
+ * @throws {ExtrusionError} If the shaping doesn't fit the extrusion's length
+ */
+export function extrusionLayers(solid, segments = getSegmentCount()) {
+    const length = solid.length || 1;
+    const twist = readNumber(solid, 'twist', 0) * Math.PI / 180;
+    const scaleTop = solid.scale_top ?? 1;
+    const [topX, topY] = Array.isArray(scaleTop) ? scaleTop : [scaleTop, scaleTop];
+    if (![topX, topY].every(value => typeof value === 'number' && value > 0) || (Array.isArray(scaleTop) && scaleTop.length !== 2)) {
+        throw new ExtrusionError(`"scale_top" should be a number greater than 0 or [x, y], got ${JSON.stringify(scaleTop)}`, 'scale_top');
+    }
+    const draft = readNumber(solid, 'draft_angle', 0);
+    if (Math.abs(draft) >= 90) {
+        throw new ExtrusionError(`"draft_angle" should be between -90 and 90, got ${draft}`, 'draft_angle');
+    }
+    const bottom = readEnd(solid, 'bottom');
+    const top = readEnd(solid, 'top');
+    if ((bottom?.size ?? 0) + (top?.size ?? 0) > length + 1e-9) {
+        throw new ExtrusionError(`chamfers and roundings (${(bottom?.size ?? 0) + (top?.size ?? 0)}) are longer than the extrusion (${length})`, (top ?? bottom).key);
+    }
+
+    // Twisting needs steps along the whole length; the ends need theirs
+    const steps = Math.max(1, Math.ceil(Math.abs(twist) * segments / (Math.PI * 2)));
+    const heights = [
+        ...Array.from({ length: steps + 1 }, (_, step) => length * step / steps),
+        ...endHeights(bottom, segments),
+        ...endHeights(top, segments).map(height => length - height)
+    ].sort((a, b) => a - b).filter((height, i, all) => i === 0 || height - all[i - 1] > 1e-9);
+
+    const draftSlope = Math.tan(draft * Math.PI / 180);
+    return heights.map(height => {
+        const t = height / length;
+        return {
+            z: height - length / 2,
+            inset: height * draftSlope + endInset(bottom, height) + endInset(top, length - height),
+            angle: twist * t,
+            scale: [1 + (topX - 1) * t, 1 + (topY - 1) * t]
+        };
+    });
+}
+
+/**
+ * Move every edge of a polygon `distance` to its left (into the material for a
+ * counter-clockwise outline or a clockwise hole)
+ * @throws {ExtrusionError} If the polygon would turn inside out
+ */
+function insetLoop(points, distance) {
+    if (distance === 0) {
+        return points;
+    }
+    const count = points.length;
+    const leftNormal = (from, to) => {
+        const [dx, dy] = [to[0] - from[0], to[1] - from[1]];
+        const length = Math.hypot(dx, dy);
+        return [-dy / length, dx / length];
+    };
+    const inset = points.map((point, i) => {
+        const before = leftNormal(points[(i + count - 1) % count], point);
+        const after = leftNormal(point, points[(i + 1) % count]);
+        // Where the two moved edges meet
+        const miter = [before[0] + after[0], before[1] + after[1]];
+        const along = (miter[0] * before[0] + miter[1] * before[1]);
+        if (along < 1e-6) {
+            throw new ExtrusionError('profile has a corner too sharp to draft, chamfer or round', null);
+        }
+        return [point[0] + miter[0] * distance / along, point[1] + miter[1] * distance / along];
+    });
+    // Edges that flip direction mean the inset is bigger than the profile allows; edges may
+    // shrink away to nothing (a rounded corner inset by its radius)
+    inset.forEach((point, i) => {
+        const next = (i + 1) % count;
+        const [ox, oy] = [points[next][0] - points[i][0], points[next][1] - points[i][1]];
+        const [nx, ny] = [inset[next][0] - point[0], inset[next][1] - point[1]];
+        if (ox * nx + oy * ny < -1e-9 * (ox * ox + oy * oy)) {
+            throw new ExtrusionError(`profile is too small to inset by ${+distance.toFixed(6)} (from the draft angle, chamfers and roundings)`, null);
+        }
+    });
+    return inset;
+}
+
+/**
+ * Whether any edges of two polygons cross
+ */
+function loopsCross(a, b) {
+    const side = (p, q, r) => Math.sign((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]));
+    return a.some((a0, i) => {
+        const a1 = a[(i + 1) % a.length];
+        return b.some((b0, j) => {
+            const b1 = b[(j + 1) % b.length];
+            return side(a0, a1, b0) !== side(a0, a1, b1) && side(b0, b1, a0) !== side(b0, b1, a1);
+        });
+    });
+}
+
+/**
+ * Whether a point is inside a polygon (even-odd)
+ */
+function containsPoint(points, [x, y]) {
+    let inside = false;
+    points.forEach(([x0, y0], i) => {
+        const [x1, y1] = points[(i + 1) % points.length];
+        if ((y0 > y) !== (y1 > y) && x < x0 + (y - y0) / (y1 - y0) * (x1 - x0)) {
+            inside = !inside;
+        }
+    });
+    return inside;
+}
+
+/**
+ * Whether inset loops still make the profile they came from: holes inside the outline,
+ * apart from it and from each other
+ */
+function loopsStayApart([outline, ...holes]) {
+    return holes.every((hole, i) => containsPoint(outline, hole[0]) && !loopsCross(outline, hole)
+        && holes.slice(i + 1).every(other => !containsPoint(other, hole[0]) && !containsPoint(hole, other[0]) && !loopsCross(hole, other)));
+}
+
+/**
+ * Place a profile's loops in a layer: inset, then scaled and turned about the profile's origin
+ * @param {Array<Array<Array<number>>>} loops - Outline counter-clockwise, holes clockwise
+ * @param {Object} layer - From extrusionLayers
+ * @returns {Array<Array<Array<number>>>} Loops of [x, y] points in the layer
+ * @throws {ExtrusionError} If the inset doesn't fit the profile
+ */
+export function layerLoops(loops, layer) {
+    const [cos, sin] = [Math.cos(layer.angle), Math.sin(layer.angle)];
+    const inset = loops.map(points => insetLoop(points, layer.inset));
+    // Holes grow as the outline shrinks; they mustn't meet it or each other
+    if (layer.inset !== 0 && !loopsStayApart(inset)) {
+        throw new ExtrusionError(`profile's holes are too close to its edges to inset by ${+layer.inset.toFixed(6)} (from the draft angle, chamfers and roundings)`, null);
+    }
+    return inset.map(points => points.map(([x, y]) => {
+        const [sx, sy] = [x * layer.scale[0], y * layer.scale[1]];
+        return [sx * cos - sy * sin, sx * sin + sy * cos];
+    }));
+}
@@ -0,0 +1,144 @@
+/**
+ * Fonts for the text shape
+ *
+ *   label:
+ *       shape: text
+ *       text: JermCAD
+ *       font: mono                  # a bundled font...
+ *       font: fonts/Inter.ttf       # ...or a font file, relative to the model (or dropped in)
+ *
+ * Fonts are loaded while the model is parsed so geometry can be built from them right away.
+ * Bundled fonts are three.js typeface files in the `fonts/` folder next to index.html;
+ * project fonts may be typeface JSON, TrueType or OpenType files.
+ */
+
+import { defaultBaseUrl, readBytes } from './imports.js';
+import { readProjectFile } from './localFiles.js';
+import { debug } from './debug.js';
+
+/**
+ * Bundled font folder, served next to index.html
+ */
+const FONTS_URL = new URL('../../fonts/', import.meta.url);
+
+/**
+ * Bundled font names and their files
+ */
+export const BUNDLED_FONTS = {
+    sans: 'helvetiker_regular.typeface.json',
+    sans_bold: 'helvetiker_bold.typeface.json',
+    mono: 'droid_sans_mono_regular.typeface.json'
+};
+
+export const DEFAULT_FONT = 'sans';
+
+/**
+ * Font files that are converted from their outlines rather than read as typeface JSON
+ */
+const OUTLINE_FONT_FILE = /\.(ttf|otf)$/i;
+
+/**
+ * Bundled fonts stay loaded between models: URL -> Promise of typeface data
+ */
+const bundledFonts = new Map();
+
+/**
+ * Fonts of the model parsed last: font name as written -> typeface data
+ */
+let modelFonts = new Map();
+
+/**
+ * Read a font file as typeface data (glyph outlines in font units)
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} path - File path or URL, for its extension
+ */
+async function parseFont(buffer, path) {
+    if (OUTLINE_FONT_FILE.test(path)) {
+        const { TTFLoader } = await import('three/addons/loaders/TTFLoader.js');
+        return new TTFLoader().parse(buffer);
+    }
+    let data;
+    try {
+        data = JSON.parse(new TextDecoder().decode(buffer));
+    } catch (e) {
+        data = null;
+    }
+    if (!data || typeof data.glyphs !== 'object' || !(data.resolution > 0)) {
+        throw new Error('not a typeface JSON font (use a .ttf or .otf file, or convert it with facetype.js)');
+    }
+    return data;
+}
+
+/**
+ * Load one font by the name a solid gives it
+ */
+function loadFont(font, baseUrl) {
+    if (Object.hasOwn(BUNDLED_FONTS, font)) {
+        const url = new URL(BUNDLED_FONTS[font], FONTS_URL);
+        if (!bundledFonts.has(url.href)) {
+            // Forget failures so the next model tries again
+            bundledFonts.set(url.href, readBytes(url).then(buffer => parseFont(buffer, url.pathname)).catch(e => {
+                bundledFonts.delete(url.href);
+                throw e;
+            }));
+        }
+        return bundledFonts.get(url.href);
+    }
+    if (!/\.\w+$/.test(font)) {
+        throw new Error(`it is not a bundled font (${Object.keys(BUNDLED_FONTS).join(', ')}) or a font file`);
+    }
+    return readProjectFile(font, baseUrl).then(buffer => parseFont(buffer, font));
+}
+
+/**
+ * Load the fonts a model's text solids use, ready for getFont
+ * @param {Object} solids - Solids with stamps expanded
+ * @param {Object} [options]
+ * @param {string|URL} [options.baseUrl] - URL of the model file (defaults to the page, or the cwd in Node)
+ * @param {OriginMap} [options.origins] - Where each solid came from, to locate errors
+ * @throws {Error} With diagnostics, if a font can't be loaded
+ */
+export async function loadFonts(solids, options = {}) {
+    // Font name -> the first solid that uses it, and whether it names the font itself
+    const used = new Map();
+    for (const [name, solid] of Object.entries(solids || {})) {
+        if (!solid || typeof solid !== 'object') {
+            continue;
+        }
+        if (typeof solid.font === 'string' && !used.has(solid.font)) {
+            used.set(solid.font, { name, property: 'font' });
+        } else if (solid.font === undefined && solid.shape === 'text' && !used.has(DEFAULT_FONT)) {
+            used.set(DEFAULT_FONT, { name, property: undefined });
+        }
+    }
+    if (used.size === 0) {
+        modelFonts = new Map();
+        return;
+    }
+
+    const baseUrl = new URL(options.baseUrl ?? await defaultBaseUrl());
+    const fonts = new Map();
+    await Promise.all([...used].map(async ([font, { name, property }]) => {
+        try {
+            fonts.set(font, await loadFont(font, baseUrl));
+            debug(`Loaded font "${font}"`);
+        } catch (e) {
+            const message = `Solid "${name}" can't load font "${font}": ${e.code || e.message}`;
+            const error = new Error(message);
+            error.diagnostics = [options.origins
+                ? options.origins.diagnostic(name, property, message)
+                : { severity: 'error', path: `solids.${name}${property ? `.${property}` : ''}`, message }];
+            throw error;
+        }
+    }));
+    modelFonts = fonts;
+}
+
+/**
+ * Typeface data of a font loaded by loadFonts
+ * @param {string} font - Font name as the solid gives it
+ * @returns {Object|undefined} Typeface data: glyphs, resolution and metrics
+ */
+export function getFont(font) {
+    return modelFonts.get(font);
+}
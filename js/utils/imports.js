@@ -0,0 +1,372 @@
+/**
+ * Model imports - pull stamps, materials and params in from other YAML files
+ *
+ *   imports:
+ *       - common.yaml              # merged as-is
+ *       - file: hardware.yaml      # merged under a namespace: hw.m3_hole, hw.steel, $hw.pitch
+ *         as: hw
+ *
+ * Only params, stamps and materials are imported. Paths resolve against the importing
+ * file, then against the `library/` folder next to index.html. Local definitions win.
+ */
+
+import { debug, debugLabel } from './debug.js';
+import { stampParamNames } from './stampParams.js';
+
+/**
+ * Shared library folder, served next to index.html
+ */
+const LIBRARY_URL = new URL('../../library/', import.meta.url);
+
+/**
+ * Matches `$name` and dotted `$ns.name` parameter references
+ */
+const PARAMETER_REFERENCE = /\$([a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z_][a-zA-Z0-9_]*)*)/g;
+
+/**
+ * Find the longest dotted prefix of a reference that names a known parameter
+ * `$hw.pitch` matches "hw.pitch"; `$cp.x` matches "cp" (the `.x` is a property access)
+ * @param {string} reference - Reference without `$`
+ * @param {function(string): boolean} isParameter - Whether a name is a known parameter
+ * @returns {string|null} Matching parameter name or null
+ */
+export function matchParameterName(reference, isParameter) {
+    const segments = reference.split('.');
+    for (let length = segments.length; length > 0; length--) {
+        const name = segments.slice(0, length).join('.');
+        if (isParameter(name)) {
+            return name;
+        }
+    }
+    return null;
+}
+
+/**
+ * Normalize a params section (list of single-key mappings, or a mapping) to [name, value] pairs
+ * @param {Array|Object|undefined} params - A `params` section
+ * @returns {Array<Array>} [name, value] pairs, names without `$`
+ */
+export function paramEntries(params) {
+    if (!params || typeof params !== 'object') {
+        return [];
+    }
+    const entries = Array.isArray(params) ? params : [params];
+    return entries
+        .filter(entry => entry && typeof entry === 'object')
+        .flatMap(entry => Object.entries(entry))
+        .map(([key, value]) => [key.replace(/^\$/, ''), value]);
+}
+
+/**
+ * Read a text file from a URL (fetch in the browser, the filesystem for file: URLs in Node)
+ */
+async function readText(url) {
+    if (url.protocol === 'file:') {
+        const { readFile } = await import('node:fs/promises');
+        return readFile(url, 'utf8');
+    }
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+    }
+    return response.text();
+}
+
+/**
+ * Read a binary file from a URL, like readText
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function readBytes(url) {
+    if (url.protocol === 'file:') {
+        const { readFile } = await import('node:fs/promises');
+        const bytes = await readFile(url);
+        return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    }
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+    }
+    return response.arrayBuffer();
+}
+
+/**
+ * Default base URL for a model that has no file of its own
+ * The page in the browser, the working directory in Node
+ */
+export async function defaultBaseUrl() {
+    if (globalThis.location) {
+        return globalThis.location.href;
+    }
+    const { pathToFileURL } = await import('node:url');
+    return pathToFileURL(`${process.cwd()}/`).href;
+}
+
+/**
+ * Normalize one entry of an imports list to { file, namespace }
+ */
+function parseImportSpec(spec) {
+    if (typeof spec === 'string') {
+        return { file: spec, namespace: null };
+    }
+    if (spec && typeof spec === 'object' && typeof spec.file === 'string') {
+        if (spec.as !== undefined && !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(spec.as)) {
+            throw new Error(`Import "${spec.file}" has invalid namespace "${spec.as}" (use letters, digits and _)`);
+        }
+        return { file: spec.file, namespace: spec.as ?? null };
+    }
+    throw new Error('Each import should be a file path or a mapping with "file" (and optionally "as")');
+}
+
+/**
+ * Rename references to namespaced definitions inside an imported value
+ * @param {*} value - Value from an imported stamp, material or param
+ * @param {Object} names - { params, stamps, materials } Sets of names defined by the import
+ * @param {string} namespace - Namespace prefix
+ * @param {Set<string>} localParams - Stamp params that shadow file params (left alone)
+ */
+function applyNamespace(value, names, namespace, localParams = new Set()) {
+    if (typeof value === 'string') {
+        return value.replace(PARAMETER_REFERENCE, (match, reference) => {
+            const name = matchParameterName(reference, n => names.params.has(n) && !localParams.has(n));
+            return name ? `$${namespace}.${reference}` : match;
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => applyNamespace(item, names, namespace, localParams));
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, val] of Object.entries(value)) {
+            if (key === 'material' && names.materials.has(val)) {
+                result[key] = `${namespace}.${val}`;
+            } else if (key === 'stamp' && names.stamps.has(val)) {
+                result[key] = `${namespace}.${val}`;
+            } else {
+                result[key] = applyNamespace(val, names, namespace, localParams);
+            }
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Put an imported file's definitions under a namespace
+ * @param {Object} definitions - { params: [[name, value]], stamps: {}, materials: {}, sources: {} }
+ * @param {string} namespace - Namespace prefix
+ * @returns {Object} Namespaced definitions in the same form
+ */
+function namespaceDefinitions(definitions, namespace) {
+    const names = {
+        params: new Set(definitions.params.map(([name]) => name)),
+        stamps: new Set(Object.keys(definitions.stamps)),
+        materials: new Set(Object.keys(definitions.materials))
+    };
+
+    const stamps = {};
+    for (const [name, stamp] of Object.entries(definitions.stamps)) {
+        // A stamp's own params shadow file params of the same name
+        const localParams = stampParamNames(stamp?.params);
+        stamps[`${namespace}.${name}`] = applyNamespace(stamp, names, namespace, localParams);
+    }
+
+    const materials = {};
+    for (const [name, material] of Object.entries(definitions.materials)) {
+        materials[`${namespace}.${name}`] = material;
+    }
+
+    const sources = {};
+    for (const [name, source] of Object.entries(definitions.sources)) {
+        sources[`${namespace}.${name}`] = source;
+    }
+
+    return {
+        params: definitions.params.map(([name, value]) => [`${namespace}.${name}`, applyNamespace(value, names, namespace)]),
+        stamps,
+        materials,
+        sources
+    };
+}
+
+/**
+ * Merge definitions; later sources override earlier ones
+ * `sources` maps stamp names to the file that defines them; stamps without one are local.
+ */
+function mergeDefinitions(target, source) {
+    for (const [name, value] of source.params) {
+        const existing = target.params.findIndex(([existingName]) => existingName === name);
+        if (existing !== -1) {
+            target.params.splice(existing, 1);
+        }
+        target.params.push([name, value]);
+    }
+    Object.assign(target.stamps, source.stamps);
+    Object.assign(target.materials, source.materials);
+    for (const name of Object.keys(source.stamps)) {
+        if (source.sources?.[name]) {
+            target.sources[name] = source.sources[name];
+        } else {
+            delete target.sources[name];
+        }
+    }
+}
+
+/**
+ * Load an import, trying the path relative to the importing file and then the library
+ * @returns {Promise<{url: URL, text: string}>}
+ */
+async function loadImport(file, baseUrl, readFile) {
+    const candidates = [new URL(file, baseUrl)];
+    if (!/^(\.{1,2}\/|\/|[a-z][a-z0-9+.-]*:)/i.test(file)) {
+        candidates.push(new URL(file, LIBRARY_URL));
+    }
+
+    const failures = [];
+    for (const url of candidates) {
+        try {
+            return { url, text: await readFile(url) };
+        } catch (e) {
+            failures.push(`${url.href} (${e.code || e.message})`);
+        }
+    }
+    throw new Error(`Import "${file}" could not be loaded; tried ${failures.join(', ')}`);
+}
+
+/**
+ * Short display name for an import URL in messages
+ */
+function displayName(url) {
+    return decodeURIComponent(url.pathname.split('/').pop() || url.href);
+}
+
+/**
+ * Collect the definitions provided by a document's imports (recursively)
+ * @param {Object} data - Parsed YAML document
+ * @param {URL} baseUrl - URL the document's imports resolve against
+ * @param {Object} context - { readFile, chain: Array<string>, cache: Map }
+ * @returns {Promise<Object>} { params, stamps, materials, sources }
+ */
+async function collectImports(data, baseUrl, context) {
+    const collected = { params: [], stamps: {}, materials: {}, sources: {} };
+    const imports = data.imports ?? [];
+    if (!Array.isArray(imports)) {
+        throw new Error('"imports" should be a list of files');
+    }
+
+    for (const [index, spec] of imports.entries()) {
+        try {
+            const { file, namespace } = parseImportSpec(spec);
+            const { url, text } = await loadImport(file, baseUrl, context.readFile);
+
+            if (context.chain.includes(url.href)) {
+                const cycle = [...context.chain.slice(context.chain.indexOf(url.href)), url.href]
+                    .map(href => displayName(new URL(href)));
+                throw new Error(`Import cycle detected: ${cycle.join(' -> ')}`);
+            }
+
+            if (!context.cache.has(url.href)) {
+                let imported;
+                try {
+                    imported = jsyaml.load(text) || {};
+                } catch (e) {
+                    throw new Error(`${displayName(url)}: ${e.message}`);
+                }
+                if (typeof imported !== 'object' || Array.isArray(imported)) {
+                    throw new Error(`${displayName(url)} is not a mapping`);
+                }
+                if (imported.solids) {
+                    debug(`  Ignoring solids in imported file ${url.href}`);
+                }
+
+                const nested = await collectImports(imported, url, {
+                    ...context,
+                    chain: [...context.chain, url.href]
+                });
+                const definitions = { params: [], stamps: {}, materials: {}, sources: {} };
+                mergeDefinitions(definitions, nested);
+                const stamps = imported.stamps && typeof imported.stamps === 'object' ? imported.stamps : {};
+                mergeDefinitions(definitions, {
+                    params: paramEntries(imported.params),
+                    stamps,
+                    materials: imported.materials && typeof imported.materials === 'object' ? imported.materials : {},
+                    sources: Object.fromEntries(Object.keys(stamps).map(name => [name, { file: url.href, name, text }]))
+                });
+                context.cache.set(url.href, definitions);
+            }
+
+            const definitions = context.cache.get(url.href);
+            debugLabel(`Imported ${url.href}${namespace ? ` as ${namespace}` : ''}`, {
+                params: definitions.params.length,
+                stamps: Object.keys(definitions.stamps).length,
+                materials: Object.keys(definitions.materials).length
+            });
+            mergeDefinitions(collected, namespace ? namespaceDefinitions(definitions, namespace) : definitions);
+        } catch (e) {
+            // Point errors in nested imports at the top-level import that pulled them in
+            if (context.chain.length === 1) {
+                e.importIndex = index;
+            }
+            throw e;
+        }
+    }
+
+    return collected;
+}
+
+/**
+ * Resolve a model's `imports` and merge the imported params, stamps and materials into it
+ * Local definitions win over imported ones. The `imports` section is removed from the result.
+ * @param {Object} data - Parsed YAML model
+ * @param {Object} [options]
+ * @param {string|URL} [options.baseUrl] - URL of the model file (defaults to the page, or the cwd in Node)
+ * @param {function(URL): Promise<string>} [options.readFile] - Custom file loader
+ * @param {Map} [options.stampSources] - Filled with imported stamp name -> { file, name, text }
+ *   (the defining file's URL and source, and the stamp's name there)
+ * @returns {Promise<Object>} Model with imports merged
+ */
+export async function resolveImports(data, options = {}) {
+    if (!data || data.imports === undefined) {
+        return data;
+    }
+
+    const baseUrl = new URL(options.baseUrl ?? await defaultBaseUrl());
+    let collected;
+    try {
+        collected = await collectImports(data, baseUrl, {
+            readFile: options.readFile ?? readText,
+            chain: [baseUrl.href],
+            cache: new Map()
+        });
+    } catch (e) {
+        const error = new Error(e.message);
+        error.diagnostics = [{
+            severity: 'error',
+            path: e.importIndex !== undefined ? `imports.${e.importIndex}` : 'imports',
+            message: e.message
+        }];
+        throw error;
+    }
+
+    mergeDefinitions(collected, {
+        params: paramEntries(data.params),
+        stamps: data.stamps && typeof data.stamps === 'object' ? data.stamps : {},
+        materials: data.materials && typeof data.materials === 'object' ? data.materials : {}
+    });
+
+    for (const [name, source] of Object.entries(collected.sources)) {
+        options.stampSources?.set(name, source);
+    }
+
+    const result = { ...data };
+    delete result.imports;
+    if (collected.params.length > 0) {
+        result.params = collected.params.map(([name, value]) => ({ [`$${name}`]: value }));
+    }
+    if (Object.keys(collected.stamps).length > 0) {
+        result.stamps = collected.stamps;
+    }
+    if (Object.keys(collected.materials).length > 0) {
+        result.materials = collected.materials;
+    }
+    return result;
+}
@@ -0,0 +1,41 @@
+/**
+ * Files dropped into the editor, standing in for project files of the same name
+ *
+ * Mesh and font files are read relative to the model file, which a web page can only do
+ * for files on its server. Files dropped onto the page are kept here instead and found by
+ * name: `file: parts/fan.stl` uses a dropped `fan.stl`.
+ */
+
+import { readBytes } from './imports.js';
+
+/**
+ * Dropped files: file name -> ArrayBuffer
+ */
+const files = new Map();
+
+/**
+ * Keep a dropped file for this session
+ * @param {string} name - File name
+ * @param {ArrayBuffer} buffer - Contents
+ */
+export function addLocalFile(name, buffer) {
+    files.set(name, buffer);
+}
+
+/**
+ * Names of the dropped files
+ * @returns {Array<string>}
+ */
+export function localFileNames() {
+    return [...files.keys()];
+}
+
+/**
+ * Read a project file: a dropped file with the same name, or the file relative to the model
+ * @param {string} path - Path as the model gives it
+ * @param {URL} baseUrl - URL of the model file
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function readProjectFile(path, baseUrl) {
+    return files.get(path.split(/[\\/]/).pop()) ?? readBytes(new URL(path, baseUrl));
+}
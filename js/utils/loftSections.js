@@ -0,0 +1,284 @@
+/**
+ * Sections of lofted solids: profiles placed in space and blended from one to the next
+ *
+ *   adapter:
+ *       shape: loft
+ *       sections:
+ *           - profile: { type: circle, diameter: 30 }
+ *             offset: 0             # distance along Z...
+ *           - profile: { type: rect, size: [20, 20] }
+ *             offset: 25
+ *           - profile: { type: rect, size: [20, 20] }
+ *             center: [5, 0, 40]    # ...or a full placement
+ *             rotation: [15, 0, 0]
+ *       smooth: true                # curve through the sections instead of straight walls
+ *
+ * Profiles are matched point for point: each loop is walked by distance from where a line
+ * from its middle along the profile's +X crosses it, and every loop gets a point wherever
+ * any section has a corner, so corners stay sharp.
+ */
+
+import { getSegmentCount } from './qualitySettings.js';
+import { profileLoops, signedArea, ProfileError } from './profiles.js';
+
+/**
+ * Problem with a loft, naming the property at fault (e.g. "sections[1].offset")
+ */
+export class LoftError extends Error {
+    constructor(message, property) {
+        super(message);
+        this.property = property;
+    }
+}
+
+const add = (a, b) => a.map((value, i) => value + b[i]);
+const subtract = (a, b) => a.map((value, i) => value - b[i]);
+const multiply = (a, factor) => a.map(value => value * factor);
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Rotate a point by Euler angles in degrees (XYZ order, as a solid's rotation)
+ */
+function rotate([x, y, z], rotation) {
+    const [rx, ry, rz] = rotation.map(angle => angle * Math.PI / 180);
+    [x, y] = [x * Math.cos(rz) - y * Math.sin(rz), x * Math.sin(rz) + y * Math.cos(rz)];
+    [x, z] = [x * Math.cos(ry) + z * Math.sin(ry), -x * Math.sin(ry) + z * Math.cos(ry)];
+    [y, z] = [y * Math.cos(rx) - z * Math.sin(rx), y * Math.sin(rx) + z * Math.cos(rx)];
+    return [x, y, z];
+}
+
+/**
+ * Read one section's profile and the plane it sits in
+ * @returns {{loops: Array, origin: Array<number>, u: Array<number>, v: Array<number>, normal: Array<number>}}
+ */
+function readSection(section, i, segments) {
+    const property = `sections[${i}]`;
+    if (section === null || typeof section !== 'object' || Array.isArray(section)) {
+        throw new LoftError(`section ${i + 1} should be a mapping with a "profile" and an "offset" or "center"`, property);
+    }
+    if (section.profile === undefined) {
+        throw new LoftError(`section ${i + 1} is missing "profile"`, property);
+    }
+    let loops;
+    try {
+        const { outline, holes } = profileLoops(section.profile, segments);
+        loops = [outline, ...holes];
+    } catch (e) {
+        if (!(e instanceof ProfileError)) {
+            throw e;
+        }
+        throw new LoftError(`section ${i + 1} profile ${e.message}`, `${property}.profile${e.property ? `.${e.property}` : ''}`);
+    }
+
+    if (section.offset !== undefined && section.center !== undefined) {
+        throw new LoftError(`section ${i + 1} has both "offset" and "center"; use one`, `${property}.center`);
+    }
+    if (section.offset === undefined && section.center === undefined) {
+        throw new LoftError(`section ${i + 1} needs an "offset" (distance along Z) or a "center"`, property);
+    }
+    if (section.offset !== undefined && !isNumber(section.offset)) {
+        throw new LoftError(`section ${i + 1} "offset" should be a number, got ${JSON.stringify(section.offset)}`, `${property}.offset`);
+    }
+    for (const key of ['center', 'rotation']) {
+        const value = section[key];
+        if (value !== undefined && !(Array.isArray(value) && value.length === 3 && value.every(isNumber))) {
+            throw new LoftError(`section ${i + 1} "${key}" should be [x, y, z], got ${JSON.stringify(value)}`, `${property}.${key}`);
+        }
+    }
+    const rotation = section.rotation ?? [0, 0, 0];
+    return {
+        loops,
+        origin: section.center ?? [0, 0, section.offset],
+        u: rotate([1, 0, 0], rotation),
+        v: rotate([0, 1, 0], rotation),
+        normal: rotate([0, 0, 1], rotation)
+    };
+}
+
+/**
+ * Turn a loop to start where a line from its middle along +X crosses it (the farthest
+ * crossing), with that point added if it isn't a corner already
+ */
+function startOnX(points) {
+    const middle = [0, 1].map(axis => points.reduce((sum, point) => sum + point[axis], 0) / points.length);
+    let best = null;
+    points.forEach(([x0, y0], i) => {
+        const [x1, y1] = points[(i + 1) % points.length];
+        if ((y0 > middle[1]) === (y1 > middle[1]) && y0 !== middle[1]) {
+            return;
+        }
+        const t = y1 === y0 ? 0 : (middle[1] - y0) / (y1 - y0);
+        const x = x0 + (x1 - x0) * t;
+        if (x > middle[0] && (!best || x > best.x)) {
+            best = { x, i, t };
+        }
+    });
+    if (!best) {
+        return points;
+    }
+    const { i, t } = best;
+    const after = [...points.slice(i + 1), ...points.slice(0, i + 1)];
+    if (t >= 1 - 1e-9) {
+        return after;
+    }
+    return t <= 1e-9 ? [points[i], ...after.slice(0, -1)] : [[best.x, middle[1]], ...after];
+}
+
+/**
+ * Distance along a closed loop of each of its points, as a fraction of its length
+ */
+function loopFractions(points) {
+    const distances = [0];
+    for (let i = 1; i <= points.length; i++) {
+        const [a, b] = [points[i - 1], points[i % points.length]];
+        distances.push(distances[i - 1] + Math.hypot(b[0] - a[0], b[1] - a[1]));
+    }
+    const total = distances[points.length];
+    return distances.slice(0, -1).map(distance => distance / total);
+}
+
+/**
+ * Points of a closed loop at the given fractions of its length
+ */
+function sampleLoop(points, fractions, at) {
+    let segment = 0;
+    return at.map(fraction => {
+        while (segment < points.length - 1 && fractions[segment + 1] <= fraction) {
+            segment++;
+        }
+        const [from, to] = [fractions[segment], segment + 1 < points.length ? fractions[segment + 1] : 1];
+        const t = to > from ? (fraction - from) / (to - from) : 0;
+        const [a, b] = [points[segment], points[(segment + 1) % points.length]];
+        return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+    });
+}
+
+/**
+ * Slope of a smooth curve through a section, from the steps to its neighbours (null past the
+ * ends); flat where the curve turns back, so it never bulges past a section
+ */
+function slope(before, after) {
+    if (before === null || after === null) {
+        return before ?? after;
+    }
+    if (before * after <= 0) {
+        return 0;
+    }
+    return Math.sign(before) * Math.min(Math.abs(before + after) / 2, 3 * Math.abs(before), 3 * Math.abs(after));
+}
+
+/**
+ * Point between `b` and `c` at `t` from 0 to 1, on a curve that also passes through their
+ * neighbours `a` and `d` (null past the ends)
+ */
+function smoothPoint(a, b, c, d, t) {
+    const [h00, h10, h01, h11] = [2 * t ** 3 - 3 * t * t + 1, t ** 3 - 2 * t * t + t, -2 * t ** 3 + 3 * t * t, t ** 3 - t * t];
+    return b.map((value, axis) => {
+        const step = c[axis] - value;
+        const start = slope(a && value - a[axis], step);
+        const end = slope(step, d && d[axis] - c[axis]);
+        return h00 * value + h10 * start + h01 * c[axis] + h11 * end;
+    });
+}
+
+/**
+ * Rings of a loft: every section's loops resampled to match, placed in 3D, with extra rings
+ * between sections when it's smooth
+ * @param {Object} solid - Loft definition with numeric properties
+ * @param {number} [segments] - Steps for a full turn (default: quality setting)
+ * @returns {{rings: Array<Array<Array<Array<number>>>>, caps: Array, facing: Array<Array<number>>}}
+ *   Loops of [x, y, z] points for each ring (outline first, counter-clockwise looking back
+ *   along the loft), the 2D loops of the first and last sections for their caps, and the
+ *   outward directions of the two ends
+ * @throws {LoftError} If a section is invalid or the sections can't be matched
+ */
+export function loftRings(solid, segments = getSegmentCount()) {
+    const { sections: definitions } = solid;
+    if (!Array.isArray(definitions) || definitions.length < 2) {
+        throw new LoftError(`"sections" should be a list of at least 2 sections, got ${JSON.stringify(definitions)}`, 'sections');
+    }
+    if (solid.smooth !== undefined && typeof solid.smooth !== 'boolean') {
+        throw new LoftError(`"smooth" should be true or false, got ${JSON.stringify(solid.smooth)}`, 'smooth');
+    }
+    const sections = definitions.map((section, i) => readSection(section, i, segments));
+    sections.forEach((section, i) => {
+        if (i > 0 && section.loops.length !== sections[0].loops.length) {
+            const holes = (loops) => `${loops.length - 1} hole${loops.length === 2 ? '' : 's'}`;
+            throw new LoftError(`section ${i + 1} has ${holes(section.loops)} but section 1 has ${holes(sections[0].loops)}; every section needs the same number`, `sections[${i}].profile`);
+        }
+    });
+
+    // Middle of each section's outline, and which way the loft runs through it
+    const place = (section, [x, y]) => add(section.origin, add(multiply(section.u, x), multiply(section.v, y)));
+    const middles = sections.map(section => {
+        const [x, y] = [0, 1].map(axis => section.loops[0].reduce((sum, point) => sum + point[axis], 0) / section.loops[0].length);
+        return place(section, [x, y]);
+    });
+    middles.forEach((middle, i) => {
+        if (i > 0 && Math.hypot(...subtract(middle, middles[i - 1])) < 1e-9) {
+            throw new LoftError(`section ${i + 1} is in the same place as section ${i}`, `sections[${i}]`);
+        }
+    });
+    const travel = middles.map((middle, i) => (i < middles.length - 1 ? subtract(middles[i + 1], middle) : subtract(middle, middles[i - 1])));
+
+    // A section facing back along the loft is read mirrored, so all loops wind the same way
+    const frames = sections.map((section, i) => {
+        const mirrored = dot(section.normal, travel[i]) < 0;
+        return {
+            ...section,
+            v: mirrored ? multiply(section.v, -1) : section.v,
+            loops: section.loops.map((points, loop) => {
+                const flipped = mirrored ? points.map(([x, y]) => [x, -y]) : points;
+                return (signedArea(flipped) < 0) !== (loop > 0) ? [...flipped].reverse() : flipped;
+            })
+        };
+    });
+    if (frames.some((frame, i) => Math.abs(dot(frame.normal, travel[i])) < 1e-9)) {
+        const i = frames.findIndex((frame, j) => Math.abs(dot(frame.normal, travel[j])) < 1e-9);
+        throw new LoftError(`section ${i + 1} lies along the loft instead of across it`, `sections[${i}]`);
+    }
+
+    // Match each loop across sections: a point at every fraction any of them has a corner at
+    const matched = frames.map(() => []);
+    frames[0].loops.forEach((_, loop) => {
+        const started = frames.map(frame => startOnX(frame.loops[loop]));
+        const fractions = started.map(loopFractions);
+        const at = [...new Set(fractions.flat())].sort((a, b) => a - b)
+            .filter((fraction, i, all) => i === 0 || fraction - all[i - 1] > 1e-6);
+        started.forEach((points, i) => matched[i].push(sampleLoop(points, fractions[i], at)));
+    });
+
+    const sectionRings = frames.map((frame, i) => matched[i].map(points => points.map(point => place(frame, point))));
+    let rings = sectionRings;
+    if (solid.smooth) {
+        const steps = Math.max(2, Math.ceil(segments / 8));
+        const last = sectionRings.length - 1;
+        rings = [sectionRings[0]];
+        for (let i = 0; i < last; i++) {
+            const [a, b, c, d] = [i - 1, i, i + 1, i + 2].map(k => sectionRings[k] ?? null);
+            for (let step = 1; step <= steps; step++) {
+                rings.push(step === steps ? c : b.map((points, loop) => points.map((point, k) =>
+                    smoothPoint(a && a[loop][k], point, c[loop][k], d && d[loop][k], step / steps))));
+            }
+        }
+    }
+
+    const length = (vector) => Math.hypot(...vector);
+    return {
+        rings,
+        caps: [matched[0], matched[matched.length - 1]],
+        facing: [multiply(travel[0], -1 / length(travel[0])), multiply(travel[travel.length - 1], 1 / length(travel[travel.length - 1]))]
+    };
+}
+
+/**
+ * Local extents of a loft, from all of its rings
+ * @param {Object} solid - Loft definition with numeric properties
+ * @returns {Array<Array<number>>} [[minX, minY, minZ], [maxX, maxY, maxZ]]
+ * @throws {LoftError} If the loft can't be built
+ */
+export function loftExtents(solid) {
+    const points = loftRings(solid).rings.flat(2);
+    return [0, 1].map(end => [0, 1, 2].map(axis => (end === 0 ? Math.min : Math.max)(...points.map(point => point[axis]))));
+}
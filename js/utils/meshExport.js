@@ -0,0 +1,143 @@
+/**
+ * Mesh export - turns meshes into STL/OBJ file contents
+ * Works in the browser and in Node (no DOM access)
+ */
+
+import { mergeMeshGeometries } from '../modelBuilder.js';
+
+/**
+ * Supported output formats
+ */
+export const EXPORT_FORMATS = {
+    stl: { extension: 'stl', description: 'ASCII STL' },
+    'stl-binary': { extension: 'stl', description: 'Binary STL' },
+    obj: { extension: 'obj', description: 'Wavefront OBJ' }
+};
+
+/**
+ * Merge meshes into one triangle soup in world space, ready for writing
+ * @param {Array<THREE.Mesh>} meshes - Meshes to export
+ * @param {number} [scale=1] - Uniform scale (unit conversion)
+ * @returns {THREE.BufferGeometry} Non-indexed geometry with face normals
+ */
+export function prepareExportGeometry(meshes, scale = 1) {
+    let geometry = mergeMeshGeometries(meshes);
+    if (geometry.index) {
+        geometry = geometry.toNonIndexed();
+    }
+    if (scale !== 1) {
+        geometry.scale(scale, scale, scale);
+    }
+
+    // UVs aren't needed in mesh files; recompute normals per face
+    geometry.deleteAttribute('uv');
+    geometry.deleteAttribute('uv2');
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+/**
+ * Write geometry as ASCII STL
+ * @param {THREE.BufferGeometry} geometry - From prepareExportGeometry
+ * @param {string} [name='model'] - Solid name written to the file
+ * @returns {string}
+ */
+export function writeSTL(geometry, name = 'model') {
+    const positions = geometry.attributes.position;
+    const normals = geometry.attributes.normal;
+    const lines = [`solid ${name}`];
+
+    for (let i = 0; i < positions.count; i += 3) {
+        // Use the first vertex normal as the face normal
+        lines.push(`  facet normal ${normals.getX(i).toExponential(6)} ${normals.getY(i).toExponential(6)} ${normals.getZ(i).toExponential(6)}`);
+        lines.push('    outer loop');
+        for (let j = i; j < i + 3; j++) {
+            lines.push(`      vertex ${positions.getX(j).toExponential(6)} ${positions.getY(j).toExponential(6)} ${positions.getZ(j).toExponential(6)}`);
+        }
+        lines.push('    endloop');
+        lines.push('  endfacet');
+    }
+
+    lines.push(`endsolid ${name}`);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Write geometry as binary STL
+ * @param {THREE.BufferGeometry} geometry - From prepareExportGeometry
+ * @returns {ArrayBuffer}
+ */
+export function writeBinarySTL(geometry) {
+    const positions = geometry.attributes.position;
+    const normals = geometry.attributes.normal;
+    const triangleCount = positions.count / 3;
+    const buffer = new ArrayBuffer(84 + triangleCount * 50);
+    const view = new DataView(buffer);
+
+    // 80-byte header is left blank
+    view.setUint32(80, triangleCount, true);
+    let offset = 84;
+    for (let i = 0; i < positions.count; i += 3) {
+        view.setFloat32(offset, normals.getX(i), true);
+        view.setFloat32(offset + 4, normals.getY(i), true);
+        view.setFloat32(offset + 8, normals.getZ(i), true);
+        offset += 12;
+        for (let j = i; j < i + 3; j++) {
+            view.setFloat32(offset, positions.getX(j), true);
+            view.setFloat32(offset + 4, positions.getY(j), true);
+            view.setFloat32(offset + 8, positions.getZ(j), true);
+            offset += 12;
+        }
+        view.setUint16(offset, 0, true); // Attribute byte count
+        offset += 2;
+    }
+    return buffer;
+}
+
+/**
+ * Write geometry as Wavefront OBJ (shared vertices, one face per triangle)
+ * @param {THREE.BufferGeometry} geometry - From prepareExportGeometry
+ * @param {string} [name='model'] - Object name written to the file
+ * @returns {string}
+ */
+export function writeOBJ(geometry, name = 'model') {
+    const positions = geometry.attributes.position;
+    const lines = [`o ${name}`];
+    const vertexIndex = new Map();
+    const faces = [];
+
+    for (let i = 0; i < positions.count; i += 3) {
+        const face = [];
+        for (let j = i; j < i + 3; j++) {
+            const key = `${positions.getX(j).toFixed(6)} ${positions.getY(j).toFixed(6)} ${positions.getZ(j).toFixed(6)}`;
+            if (!vertexIndex.has(key)) {
+                vertexIndex.set(key, vertexIndex.size + 1);
+                lines.push(`v ${key}`);
+            }
+            face.push(vertexIndex.get(key));
+        }
+        faces.push(`f ${face.join(' ')}`);
+    }
+
+    return [...lines, ...faces].join('\n') + '\n';
+}
+
+/**
+ * Write geometry in one of EXPORT_FORMATS
+ * @param {THREE.BufferGeometry} geometry - From prepareExportGeometry
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {string} [name='model'] - Name written into text formats
+ * @returns {string|ArrayBuffer}
+ */
+export function writeMesh(geometry, format, name = 'model') {
+    switch (format) {
+        case 'stl':
+            return writeSTL(geometry, name);
+        case 'stl-binary':
+            return writeBinarySTL(geometry);
+        case 'obj':
+            return writeOBJ(geometry, name);
+        default:
+            throw new Error(`Unknown export format "${format}" (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+}
@@ -0,0 +1,298 @@
+/**
+ * Mesh files for the mesh shape: STL (ASCII or binary), OBJ and 3MF
+ *
+ *   fan:
+ *       shape: mesh
+ *       file: parts/fan_40mm.stl    # relative to the model, or a file dropped onto the page
+ *       units: mm                   # units of the file's numbers (default: mm, or the 3MF's own)
+ *       scale: 1                    # optional, as for any solid: a number or [x, y, z]
+ *
+ * Files are read and repaired while the model is parsed, so geometry and bounds can be
+ * built from them right away. A file is only parsed again when its contents change.
+ */
+
+import { defaultBaseUrl } from './imports.js';
+import { readProjectFile } from './localFiles.js';
+import { repairMesh } from './meshRepair.js';
+import { LENGTH_UNITS, lengthScale } from './units.js';
+import { debug } from './debug.js';
+
+/**
+ * Problem with a mesh solid, naming the property at fault
+ */
+export class MeshError extends Error {
+    constructor(message, property) {
+        super(message);
+        this.property = property;
+    }
+}
+
+/**
+ * 3MF units and their size in millimetres
+ */
+const THREE_MF_UNITS = {
+    micron: 0.001,
+    millimeter: 1,
+    centimeter: 10,
+    inch: 25.4,
+    foot: 304.8,
+    meter: 1000
+};
+
+/**
+ * Read an STL file, binary or ASCII
+ */
+function parseStl(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength >= 84 && 84 + view.getUint32(80, true) * 50 === buffer.byteLength) {
+        const count = view.getUint32(80, true);
+        const positions = new Float32Array(count * 9);
+        for (let triangle = 0; triangle < count; triangle++) {
+            // Each record is a normal, three corners and two attribute bytes
+            for (let k = 0; k < 9; k++) {
+                positions[triangle * 9 + k] = view.getFloat32(84 + triangle * 50 + 12 + k * 4, true);
+            }
+        }
+        return { positions };
+    }
+    const text = new TextDecoder().decode(buffer);
+    if (!/^\s*solid/.test(text)) {
+        throw new Error('not an STL file');
+    }
+    const positions = [...text.matchAll(/vertex\s+(\S+)\s+(\S+)\s+(\S+)/g)].flatMap(match => match.slice(1, 4).map(Number));
+    if (positions.some(Number.isNaN) || positions.length % 9 !== 0) {
+        throw new Error('has a facet with bad vertices');
+    }
+    return { positions };
+}
+
+/**
+ * Read an OBJ file's vertices and faces (faces with more than three corners are fanned)
+ */
+function parseObj(buffer) {
+    const vertices = [];
+    const positions = [];
+    new TextDecoder().decode(buffer).split('\n').forEach((line, number) => {
+        const [command, ...values] = line.trim().split(/\s+/);
+        if (command === 'v') {
+            vertices.push(values.slice(0, 3).map(Number));
+        } else if (command === 'f') {
+            const corners = values.map(value => {
+                const index = parseInt(value, 10);
+                return vertices[index < 0 ? vertices.length + index : index - 1];
+            });
+            if (corners.length < 3 || corners.some(corner => !corner)) {
+                throw new Error(`line ${number + 1} has a face with missing vertices`);
+            }
+            for (let k = 1; k < corners.length - 1; k++) {
+                positions.push(...corners[0], ...corners[k], ...corners[k + 1]);
+            }
+        }
+    });
+    return { positions };
+}
+
+/**
+ * Attributes of an XML tag as a name -> value object
+ */
+function xmlAttributes(text) {
+    return Object.fromEntries([...text.matchAll(/([\w:]+)\s*=\s*"([^"]*)"/g)].map(match => [match[1], match[2]]));
+}
+
+/**
+ * A 3MF transform ("m00 m01 m02 m10 ... m32", points as rows) as a function of a point
+ */
+function readTransform(text) {
+    if (!text) {
+        return (point) => point;
+    }
+    const m = text.trim().split(/\s+/).map(Number);
+    return ([x, y, z]) => [
+        x * m[0] + y * m[3] + z * m[6] + m[9],
+        x * m[1] + y * m[4] + z * m[7] + m[10],
+        x * m[2] + y * m[5] + z * m[8] + m[11]
+    ];
+}
+
+/**
+ * Read the build items of a 3MF file's model, with their components and transforms
+ */
+async function parse3mf(buffer) {
+    const { unzipSync, strFromU8 } = await import('three/addons/libs/fflate.module.js');
+    const entries = unzipSync(new Uint8Array(buffer));
+    const relationships = entries['_rels/.rels'] ? strFromU8(entries['_rels/.rels']) : '';
+    const target = /Target="\/?([^"]+)"[^>]*Type="[^"]*\/3dmodel"|Type="[^"]*\/3dmodel"[^>]*Target="\/?([^"]+)"/.exec(relationships);
+    const path = (target && (target[1] ?? target[2])) ?? Object.keys(entries).find(name => name.endsWith('.model'));
+    if (!path || !entries[path]) {
+        throw new Error('has no 3D model in it');
+    }
+    const xml = strFromU8(entries[path]);
+
+    const unit = xmlAttributes(/<(?:\w+:)?model\b([^>]*)>/.exec(xml)?.[1] ?? '').unit ?? 'millimeter';
+    if (!(unit in THREE_MF_UNITS)) {
+        throw new Error(`has unknown unit "${unit}"`);
+    }
+    const objects = new Map();
+    for (const [, attributes, body] of xml.matchAll(/<(?:\w+:)?object\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?object>/g)) {
+        objects.set(xmlAttributes(attributes).id, {
+            vertices: [...body.matchAll(/<(?:\w+:)?vertex\b([^>]*?)\/?>/g)].map(([, vertex]) => {
+                const { x, y, z } = xmlAttributes(vertex);
+                return [Number(x), Number(y), Number(z)];
+            }),
+            triangles: [...body.matchAll(/<(?:\w+:)?triangle\b([^>]*?)\/?>/g)].map(([, triangle]) => {
+                const { v1, v2, v3 } = xmlAttributes(triangle);
+                return [Number(v1), Number(v2), Number(v3)];
+            }),
+            components: [...body.matchAll(/<(?:\w+:)?component\b([^>]*?)\/?>/g)].map(([, component]) => xmlAttributes(component))
+        });
+    }
+
+    const positions = [];
+    const addObject = (id, transform, depth) => {
+        const object = objects.get(id);
+        if (!object || depth > 32) {
+            throw new Error(`refers to object ${id}, which it doesn't define`);
+        }
+        for (const triangle of object.triangles) {
+            for (const index of triangle) {
+                if (!object.vertices[index]) {
+                    throw new Error(`object ${id} has a triangle with missing vertices`);
+                }
+                positions.push(...transform(object.vertices[index]));
+            }
+        }
+        for (const component of object.components) {
+            const local = readTransform(component.transform);
+            addObject(component.objectid, (point) => transform(local(point)), depth + 1);
+        }
+    };
+    const build = /<(?:\w+:)?build\b[^>]*>([\s\S]*?)<\/(?:\w+:)?build>/.exec(xml)?.[1] ?? '';
+    for (const [, item] of build.matchAll(/<(?:\w+:)?item\b([^>]*?)\/?>/g)) {
+        const { objectid, transform } = xmlAttributes(item);
+        addObject(objectid, readTransform(transform), 0);
+    }
+    const scale = THREE_MF_UNITS[unit];
+    return { positions: scale === 1 ? positions : positions.map(value => value * scale), units: 'mm' };
+}
+
+/**
+ * Readers by file extension
+ */
+const MESH_FORMATS = {
+    stl: parseStl,
+    obj: parseObj,
+    '3mf': parse3mf
+};
+
+/**
+ * Meshes read before, reused while their file is unchanged: URL -> { buffer, mesh }
+ */
+const meshCache = new Map();
+
+/**
+ * Meshes of the model parsed last: file as written -> repaired mesh
+ */
+let modelMeshes = new Map();
+
+/**
+ * Units of the model parsed last
+ */
+let modelUnits = 'mm';
+
+function sameBytes(a, b) {
+    if (a.byteLength !== b.byteLength) {
+        return false;
+    }
+    const [x, y] = [new Uint8Array(a), new Uint8Array(b)];
+    return x.every((byte, i) => byte === y[i]);
+}
+
+/**
+ * Read and repair one mesh file
+ */
+async function loadMesh(file, baseUrl) {
+    const format = /\.(\w+)$/.exec(file)?.[1].toLowerCase();
+    if (!Object.hasOwn(MESH_FORMATS, format)) {
+        const names = Object.keys(MESH_FORMATS).map(name => name.toUpperCase());
+        throw new Error(`it isn't an ${names.slice(0, -1).join(', ')} or ${names[names.length - 1]} file`);
+    }
+    const buffer = await readProjectFile(file, baseUrl);
+    const key = new URL(file, baseUrl).href;
+    const cached = meshCache.get(key);
+    if (cached && sameBytes(cached.buffer, buffer)) {
+        return cached.mesh;
+    }
+    const { positions, units } = await MESH_FORMATS[format](buffer);
+    if (positions.length === 0) {
+        throw new Error('it has no triangles');
+    }
+    const mesh = { ...repairMesh(positions), units: units ?? null };
+    debug(`Read mesh "${file}": ${mesh.triangles.length} triangles, ${mesh.points.length} points`
+        + ` (${mesh.removed} dropped, ${mesh.flipped} turned, ${mesh.openEdges} open edges)`);
+    meshCache.set(key, { buffer, mesh });
+    return mesh;
+}
+
+/**
+ * Load the mesh files a model's mesh solids use, ready for getMesh
+ * @param {Object} solids - Solids with stamps expanded
+ * @param {Object} [options]
+ * @param {string|URL} [options.baseUrl] - URL of the model file (defaults to the page, or the cwd in Node)
+ * @param {OriginMap} [options.origins] - Where each solid came from, to locate errors
+ * @param {string} [options.units] - The model's length unit (default: mm)
+ * @throws {Error} With diagnostics, if a file can't be read
+ */
+export async function loadMeshes(solids, options = {}) {
+    // File -> the first solid that uses it
+    const used = new Map();
+    for (const [name, solid] of Object.entries(solids || {})) {
+        if (solid && typeof solid === 'object' && solid.shape === 'mesh' && typeof solid.file === 'string' && !used.has(solid.file)) {
+            used.set(solid.file, name);
+        }
+    }
+    modelUnits = options.units ?? 'mm';
+    if (used.size === 0) {
+        modelMeshes = new Map();
+        return;
+    }
+
+    const baseUrl = new URL(options.baseUrl ?? await defaultBaseUrl());
+    const meshes = new Map();
+    for (const [file, name] of used) {
+        try {
+            meshes.set(file, await loadMesh(file, baseUrl));
+        } catch (e) {
+            const message = `Solid "${name}" can't read mesh "${file}": ${e.code || e.message}`;
+            const error = new Error(message);
+            error.diagnostics = [options.origins
+                ? options.origins.diagnostic(name, 'file', message)
+                : { severity: 'error', path: `solids.${name}.file`, message }];
+            throw error;
+        }
+    }
+    modelMeshes = meshes;
+}
+
+/**
+ * Repaired mesh of a file loaded by loadMeshes
+ * @param {string} file - File as the solid gives it
+ * @returns {Object|undefined} From repairMesh, with the file's `units` if it says
+ */
+export function getMesh(file) {
+    return modelMeshes.get(file);
+}
+
+/**
+ * Scale from a mesh file's numbers to the model's units (the solid's own `scale` applies
+ * after, as it does to every solid)
+ * @param {Object} solid - Mesh definition with numeric properties
+ * @returns {number} Factor
+ * @throws {MeshError} If units are invalid
+ */
+export function meshUnitScale(solid) {
+    const units = solid.units ?? getMesh(solid.file)?.units ?? 'mm';
+    if (!(units in LENGTH_UNITS)) {
+        throw new MeshError(`"units" should be one of ${Object.keys(LENGTH_UNITS).join(', ')}, got ${JSON.stringify(units)}`, 'units');
+    }
+    return lengthScale(units, modelUnits in LENGTH_UNITS ? modelUnits : 'mm');
+}
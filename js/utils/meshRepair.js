@@ -0,0 +1,111 @@
+/**
+ * Repair of imported triangle meshes, so boolean operations can use them
+ *
+ * Mesh files list every triangle's corners separately, often with tiny differences where
+ * triangles meet, and may repeat triangles or wind some of them the wrong way. Repairing
+ * welds corners that are within a hair of each other, drops collapsed and repeated
+ * triangles, and turns every triangle outwards.
+ */
+
+import { faceEdges, inwardFaces } from './polyhedron.js';
+
+/**
+ * Corners closer than this fraction of the mesh's size are welded together
+ */
+const WELD_TOLERANCE = 1e-6;
+
+/**
+ * Whether two triangles have the same corners in the same turning order
+ */
+function sameWinding([a, b, c], other) {
+    return [[a, b, c], [b, c, a], [c, a, b]].some(([x, y, z]) => x === other[0] && y === other[1] && z === other[2]);
+}
+
+/**
+ * Weld and clean a triangle soup into a closed, outward-facing mesh where possible
+ * @param {ArrayLike<number>} positions - x, y, z of each triangle's three corners
+ * @returns {{points: Array<Array<number>>, triangles: Array<Array<number>>, removed: number,
+ *   flipped: number, openEdges: number, nonManifoldEdges: number}} Welded points and triangles
+ *   indexing them, with how many triangles were dropped or turned, and how many edges are
+ *   still open (holes) or shared by more than two triangles
+ */
+export function repairMesh(positions) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i++) {
+        min[i % 3] = Math.min(min[i % 3], positions[i]);
+        max[i % 3] = Math.max(max[i % 3], positions[i]);
+    }
+    const tolerance = (Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1) * WELD_TOLERANCE;
+
+    // Corners in the same tolerance cell become one point
+    const points = [];
+    const cells = new Map();
+    const weld = (i) => {
+        const key = `${Math.round(positions[i] / tolerance)},${Math.round(positions[i + 1] / tolerance)},${Math.round(positions[i + 2] / tolerance)}`;
+        if (!cells.has(key)) {
+            cells.set(key, points.length);
+            points.push([positions[i], positions[i + 1], positions[i + 2]]);
+        }
+        return cells.get(key);
+    };
+
+    const triangles = [];
+    const seen = new Map();
+    let removed = 0;
+    for (let i = 0; i + 8 < positions.length; i += 9) {
+        const triangle = [weld(i), weld(i + 3), weld(i + 6)];
+        if (new Set(triangle).size < 3) {
+            removed++;
+            continue;
+        }
+        // A repeat of a triangle is dropped; facing the other way, the pair is a wall with no
+        // thickness and both go
+        const key = [...triangle].sort((a, b) => a - b).join(',');
+        if (seen.has(key)) {
+            const first = seen.get(key);
+            if (sameWinding(triangle, triangles[first])) {
+                removed++;
+            } else {
+                triangles[first] = null;
+                seen.delete(key);
+                removed += 2;
+            }
+            continue;
+        }
+        seen.set(key, triangles.length);
+        triangles.push(triangle);
+    }
+
+    // Keep only the points triangles use
+    const kept = triangles.filter(Boolean);
+    const used = new Map();
+    const usedPoints = [];
+    const faces = kept.map(triangle => triangle.map(index => {
+        if (!used.has(index)) {
+            used.set(index, usedPoints.length);
+            usedPoints.push(points[index]);
+        }
+        return used.get(index);
+    }));
+
+    const edges = faceEdges(faces);
+    const { inward } = inwardFaces(usedPoints, faces, edges);
+    let openEdges = 0;
+    let nonManifoldEdges = 0;
+    for (const uses of edges.values()) {
+        if (uses.length === 1) {
+            openEdges++;
+        } else if (uses.length > 2) {
+            nonManifoldEdges++;
+        }
+    }
+    return {
+        points: usedPoints,
+        triangles: faces.map((face, i) => (inward[i] ? [face[0], face[2], face[1]] : face)),
+        removed,
+        flipped: inward.filter(Boolean).length,
+        openEdges,
+        nonManifoldEdges
+    };
+}
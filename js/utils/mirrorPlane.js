@@ -0,0 +1,114 @@
+/**
+ * Mirror planes for the mirror modifier and the solids' mirror option
+ *
+ *   arm_right:
+ *       clone: arm_left
+ *       mirror: y                     # reflect across the plane through the origin facing Y
+ *
+ *   hull_half:
+ *       ...
+ *       modifiers:
+ *           mirror:
+ *               normal: [1, 1, 0]     # or plane: x, y or z
+ *               point: [5, 0, 0]      # a point on the plane (default: the origin)
+ *               keep_original: true   # add the reflection to the solid instead of replacing it
+ *
+ * Planes are in model coordinates, so a solid is reflected where it's placed.
+ */
+
+/**
+ * Problem with a mirror, naming the property at fault (null for the mirror as a whole)
+ */
+export class MirrorError extends Error {
+    constructor(message, property) {
+        super(message);
+        this.property = property;
+    }
+}
+
+/**
+ * Planes by name, each named for the axis it faces
+ */
+export const MIRROR_PLANES = ['x', 'y', 'z'];
+
+const isVector = (value) => Array.isArray(value) && value.length === 3
+    && value.every(component => typeof component === 'number' && Number.isFinite(component));
+
+/**
+ * Read a mirror
+ * @param {string|Object} config - x, y or z, or a mapping with plane or normal, point and keep_original
+ * @returns {{normal: Array<number>, point: Array<number>, keepOriginal: boolean}} Unit normal
+ * @throws {MirrorError} If the plane isn't well formed
+ */
+export function readMirror(config) {
+    const general = 'should be x, y or z, or a mapping with "plane" or "normal"';
+    if (typeof config === 'string' && !MIRROR_PLANES.includes(config.toLowerCase())) {
+        throw new MirrorError(`${general}, got ${JSON.stringify(config)}`, null);
+    }
+    const options = typeof config === 'string' ? { plane: config } : config;
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw new MirrorError(`${general}, got ${JSON.stringify(config)}`, null);
+    }
+
+    const { plane, normal, point = [0, 0, 0], keep_original: keepOriginal = false } = options;
+    let direction;
+    if (plane !== undefined && normal !== undefined) {
+        throw new MirrorError('should have "plane" or "normal", not both', 'normal');
+    } else if (plane !== undefined) {
+        const axis = typeof plane === 'string' ? MIRROR_PLANES.indexOf(plane.toLowerCase()) : -1;
+        if (axis < 0) {
+            throw new MirrorError(`"plane" should be x, y or z, got ${JSON.stringify(plane)}`, 'plane');
+        }
+        direction = [0, 1, 2].map(k => (k === axis ? 1 : 0));
+    } else if (normal !== undefined) {
+        const length = isVector(normal) ? Math.hypot(...normal) : 0;
+        if (length === 0) {
+            throw new MirrorError(`"normal" should be an [x, y, z] direction, not all 0, got ${JSON.stringify(normal)}`, 'normal');
+        }
+        direction = normal.map(value => value / length);
+    } else {
+        throw new MirrorError(general, null);
+    }
+    if (!isVector(point)) {
+        throw new MirrorError(`"point" should be [x, y, z], got ${JSON.stringify(point)}`, 'point');
+    }
+    if (typeof keepOriginal !== 'boolean') {
+        throw new MirrorError(`"keep_original" should be true or false, got ${JSON.stringify(keepOriginal)}`, 'keep_original');
+    }
+    return { normal: direction, point, keepOriginal };
+}
+
+/**
+ * Reflect a point across a mirror's plane
+ * @param {Array<number>} point - [x, y, z]
+ * @param {Object} mirror - From readMirror
+ * @returns {Array<number>}
+ */
+export function reflectPoint(point, { normal, point: onPlane }) {
+    const distance = [0, 1, 2].reduce((sum, k) => sum + (point[k] - onPlane[k]) * normal[k], 0);
+    return point.map((value, k) => value - 2 * distance * normal[k]);
+}
+
+/**
+ * Axis-aligned bounds of a mirrored solid (with the original's when it's kept)
+ * @param {{min: Array<number>, max: Array<number>}} bounds - The solid's bounds
+ * @param {Object} mirror - From readMirror
+ * @returns {{min: Array<number>, max: Array<number>}}
+ */
+export function mirrorBounds({ min, max }, mirror) {
+    const corners = [];
+    for (const x of [min[0], max[0]]) {
+        for (const y of [min[1], max[1]]) {
+            for (const z of [min[2], max[2]]) {
+                corners.push(reflectPoint([x, y, z], mirror));
+            }
+        }
+    }
+    if (mirror.keepOriginal) {
+        corners.push(min, max);
+    }
+    return {
+        min: [0, 1, 2].map(axis => Math.min(...corners.map(c => c[axis]))),
+        max: [0, 1, 2].map(axis => Math.max(...corners.map(c => c[axis])))
+    };
+}
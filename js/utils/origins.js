@@ -0,0 +1,222 @@
+/**
+ * Origin map - where each compiled solid came from
+ *
+ * Patterns, stamps and imports generate solids that don't appear in the YAML by name
+ * (e.g. `body_hole1_cutter`). The parser records an origin for every compiled solid:
+ *
+ *   {
+ *       file: null,                                  // null = the model itself, else an import URL
+ *       path: 'stamps.cutter.solids.cutter',         // where the solid is defined in that file
+ *       stamps: [                                    // stamp instances that produced it, outermost first
+ *           { stamp: 'cutter', instance: 'solids.body.stamps.hole1', file: null }
+ *       ],
+ *       properties: { size: 'other' }                // properties copied from another solid by `clone`
+ *   }
+ *
+ * and resolves origins to file/line/column on demand.
+ */
+
+import { buildPositionMap, locatePath, splitPath } from './sourcePositions.js';
+
+/**
+ * Short display name for a file URL
+ */
+function displayName(file) {
+    try {
+        return decodeURIComponent(new URL(file).pathname.split('/').pop()) || file;
+    } catch (e) {
+        return file;
+    }
+}
+
+export class OriginMap {
+    /**
+     * @param {string} [yamlText] - Source of the model (set by parseYAML)
+     * @param {string} [fileName] - Display name of the model file, e.g. "bottle.yaml"
+     */
+    constructor(yamlText = '', fileName = null) {
+        this.reset(yamlText, fileName);
+    }
+
+    /**
+     * Forget everything recorded, ready for another parse
+     * @param {string} yamlText - Source of the model
+     * @param {string|null} fileName - Display name of the model file
+     */
+    reset(yamlText, fileName) {
+        this.yamlText = yamlText;
+        this.fileName = fileName;
+        this.solids = new Map();
+        // Stamp name -> { file, name, text } for stamps that came from imports
+        this.stampSources = new Map();
+        // "scope name" -> original name, for solids and stamp instances renamed by patterns
+        this.renames = new Map();
+        this.positionCache = new Map();
+    }
+
+    /**
+     * Record where a compiled solid came from
+     * @param {string} name - Compiled solid name
+     * @param {Object} origin - { file, path, stamps }
+     */
+    record(name, origin) {
+        this.solids.set(name, { file: null, stamps: [], properties: {}, ...origin });
+    }
+
+    /**
+     * Record properties a solid copied from another solid (`clone`)
+     * @param {string} name - Cloning solid
+     * @param {Array<string>} keys - Properties taken from the source
+     * @param {string} source - Cloned solid
+     */
+    recordInherited(name, keys, source) {
+        const origin = this.get(name);
+        if (origin) {
+            keys.forEach(key => { origin.properties[key] = source; });
+        }
+    }
+
+    /**
+     * Record that a pattern renamed something (e.g. solid "vent" -> "vent_2")
+     * @param {string} scope - What the name is in: "solids", or the path of a stamps map
+     * @param {string} name - New name
+     * @param {string} original - Name in the YAML
+     */
+    recordRename(scope, name, original) {
+        this.renames.set(`${scope} ${name}`, original);
+    }
+
+    /**
+     * Name something has in the YAML, before patterns renamed it
+     */
+    originalName(scope, name) {
+        return this.renames.get(`${scope} ${name}`) ?? name;
+    }
+
+    /**
+     * Origin of a compiled solid
+     * @param {string} name - Compiled solid name
+     * @returns {Object|null} { file, path, stamps } or null if unknown
+     */
+    get(name) {
+        return this.solids.get(name) || null;
+    }
+
+    /**
+     * Where a stamp is defined: its file and its name in that file
+     * @param {string} stampName - Stamp name as used in the model (may be namespaced, e.g. hw.m3_hole)
+     * @returns {{file: string|null, name: string}}
+     */
+    stampSource(stampName) {
+        const source = this.stampSources.get(stampName);
+        return source ? { file: source.file, name: source.name } : { file: null, name: stampName };
+    }
+
+    /**
+     * Line/column of a path in the model or one of its imports
+     */
+    position(file, path) {
+        if (!this.positionCache.has(file)) {
+            const text = file === null
+                ? this.yamlText
+                : [...this.stampSources.values()].find(source => source.file === file)?.text;
+            this.positionCache.set(file, text ? buildPositionMap(text) : new Map());
+        }
+        return locatePath(this.positionCache.get(file), splitPath(path));
+    }
+
+    /**
+     * Display name of a file (the model itself when null)
+     */
+    displayFile(file) {
+        return file === null ? this.fileName : displayName(file);
+    }
+
+    /**
+     * Resolve a solid (and optionally one of its properties) to source positions
+     * @param {string} name - Compiled solid name
+     * @param {string} [property] - Property path, e.g. "center[2]"
+     * @returns {Object|null} { file, path, line, column, stamps: [{ stamp, instance, file, line, column }] }
+     */
+    locate(name, property, visited = new Set()) {
+        const origin = this.get(name);
+        if (!origin) {
+            return null;
+        }
+        const inheritedFrom = property && origin.properties[splitPath(property)[0]];
+        if (inheritedFrom && !visited.has(name)) {
+            return this.locate(inheritedFrom, property, visited.add(name));
+        }
+        const path = property ? `${origin.path}.${property}` : origin.path;
+        return {
+            file: origin.file,
+            path,
+            ...this.position(origin.file, path),
+            stamps: origin.stamps.map(stamp => ({ ...stamp, ...this.position(stamp.file, stamp.instance) }))
+        };
+    }
+
+    /**
+     * Format a location as "file:line:column" ("line 12, column 9" without a file name)
+     */
+    formatLocation(file, line, column) {
+        const fileName = this.displayFile(file);
+        if (line === undefined) {
+            return fileName || 'unknown location';
+        }
+        return fileName ? `${fileName}:${line}:${column}` : `line ${line}, column ${column}`;
+    }
+
+    /**
+     * Describe where a solid came from in one line
+     * @param {string} name - Compiled solid name
+     * @param {string} [property] - Property path
+     * @returns {string|null} e.g. 'bottle.yaml:41:17 (stamp "cutter" at bottle.yaml:23:13)', or null if unknown
+     */
+    describe(name, property) {
+        const located = this.locate(name, property);
+        if (!located) {
+            return null;
+        }
+        const where = this.formatLocation(located.file, located.line, located.column);
+        return located.stamps.length > 0 ? `${where} (${this.describeStamps(located)})` : where;
+    }
+
+    /**
+     * Describe the stamp instances behind a located solid, outermost first
+     * e.g. 'stamp "mount" at bottle.yaml:63:13 -> stamp "boss" at bottle.yaml:30:21'
+     */
+    describeStamps(located) {
+        return located.stamps
+            .map(stamp => `stamp "${stamp.stamp}" at ${this.formatLocation(stamp.file, stamp.line, stamp.column)}`)
+            .join(' -> ');
+    }
+
+    /**
+     * Build a diagnostic for a compiled solid that points into the model text
+     * Solids defined in imported files point at the stamp instance in the model that used them.
+     * @param {string} name - Compiled solid name
+     * @param {string|undefined} property - Property path
+     * @param {string} message - Message
+     * @param {string} [severity='error'] - Severity
+     * @returns {Object} Diagnostic with path, line and column when known
+     */
+    diagnostic(name, property, message, severity = 'error') {
+        const located = this.locate(name, property);
+        if (!located) {
+            return { severity, path: property ? `solids.${name}.${property}` : `solids.${name}`, message };
+        }
+        if (located.file === null) {
+            const generated = located.stamps.length > 0 ? ` [from ${this.describeStamps(located)}]` : '';
+            return { severity, path: located.path, line: located.line, column: located.column, message: `${message}${generated}` };
+        }
+        const outer = located.stamps.find(stamp => stamp.file === null);
+        return {
+            severity,
+            path: outer ? outer.instance : `solids.${name}`,
+            line: outer?.line,
+            column: outer?.column,
+            message: `${message} [from ${this.describe(name, property)}]`
+        };
+    }
+}
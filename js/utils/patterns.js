@@ -0,0 +1,400 @@
+/**
+ * Pattern generator - repeats a solid or stamp instance in linear, grid and polar arrangements
+ *
+ *   vent:
+ *       shape: cuboid
+ *       size: [2, 10, 5]
+ *       pattern:
+ *           type: linear
+ *           count: 5
+ *           step: [4, 0, 0]
+ *
+ * A patterned solid expands into individually named solids (vent_0 ... vent_4) and every
+ * boolean that referenced it is repeated for each instance.
+ */
+
+import * as THREE from 'three';
+import { evaluateExpression, looksLikeExpression, formatExpressionError } from './expression.js';
+import { readPoint, offsetPoint, rotatePivoted, composeRotation } from './transforms.js';
+import { debug, debugLabel } from './debug.js';
+
+export const PATTERN_TYPES = ['linear', 'grid', 'polar'];
+
+/**
+ * Error in a pattern definition, with the path of the offending property
+ */
+class PatternError extends Error {
+    constructor(message, path) {
+        super(message);
+        this.path = path;
+    }
+}
+
+/**
+ * Evaluate a pattern value to a number
+ */
+function toNumber(value, path, label) {
+    let result = value;
+    if (typeof value === 'string' && looksLikeExpression(value)) {
+        try {
+            result = evaluateExpression(value.trim());
+        } catch (e) {
+            throw new PatternError(`${label} ${formatExpressionError(value.trim(), e)}`, path);
+        }
+    }
+    if (typeof result !== 'number' || !Number.isFinite(result)) {
+        throw new PatternError(`${label} should be a number, got ${JSON.stringify(value)}`, path);
+    }
+    return result;
+}
+
+/**
+ * Evaluate a pattern value to a whole number of at least 1
+ */
+function toCount(value, path, label) {
+    const count = toNumber(value, path, label);
+    if (!Number.isInteger(count) || count < 1) {
+        throw new PatternError(`${label} should be a whole number of at least 1, got ${count}`, path);
+    }
+    return count;
+}
+
+/**
+ * Evaluate a list of numbers (missing trailing entries become 0)
+ */
+function toVector(value, path, label, length = 3) {
+    if (!Array.isArray(value)) {
+        throw new PatternError(`${label} should be a list like [x, y, z], got ${JSON.stringify(value)}`, path);
+    }
+    return Array.from({ length }, (_, i) => (
+        value[i] === undefined ? 0 : toNumber(value[i], [...path, i], label)
+    ));
+}
+
+/**
+ * Resolve a polar axis (x, y, z or a vector) to a unit vector
+ */
+function toAxis(value, path) {
+    const named = { x: [1, 0, 0], y: [0, 1, 0], z: [0, 0, 1] };
+    const axis = typeof value === 'string' && named[value.toLowerCase()]
+        ? named[value.toLowerCase()]
+        : toVector(value, path, 'Polar pattern "axis"');
+    const vector = new THREE.Vector3(...axis);
+    if (vector.lengthSq() === 0) {
+        throw new PatternError('Polar pattern "axis" should not be [0, 0, 0]', path);
+    }
+    return vector.normalize();
+}
+
+/**
+ * A unit vector perpendicular to an axis (the direction of "radius" at angle 0)
+ * +X for the Z axis, +Y for the X axis, +Z for the Y axis
+ */
+function perpendicular(axis) {
+    const candidates = [[1, 0, 0], [0, 1, 0], [0, 0, 1]].map(v => new THREE.Vector3(...v));
+    const least = candidates.reduce((best, v) => (Math.abs(v.dot(axis)) < Math.abs(best.dot(axis)) ? v : best));
+    return least.sub(axis.clone().multiplyScalar(least.dot(axis))).normalize();
+}
+
+/**
+ * Compute the placements of a pattern
+ * @param {Object} pattern - Pattern definition
+ * @param {Array} position - Position of the original (solid center or stamp `at`)
+ * @param {Array<string>} path - Path of the pattern (for errors)
+ * @returns {Array<Object>} Placements: { suffix, offset } for linear/grid,
+ *   { suffix, pivot, base, quaternion, rotateInstances } for polar
+ */
+function computePlacements(pattern, position, path) {
+    if (!pattern || typeof pattern !== 'object' || Array.isArray(pattern)) {
+        throw new PatternError('"pattern" should be a mapping with a "type" (linear, grid or polar)', path);
+    }
+
+    switch (pattern.type) {
+        case 'linear': {
+            const count = toCount(pattern.count, [...path, 'count'], 'Linear pattern "count"');
+            const step = toVector(pattern.step, [...path, 'step'], 'Linear pattern "step"');
+            const start = pattern.centered ? -(count - 1) / 2 : 0;
+            return Array.from({ length: count }, (_, i) => ({
+                suffix: `_${i}`,
+                offset: step.map(s => s * (start + i))
+            }));
+        }
+
+        case 'grid': {
+            if (!Array.isArray(pattern.counts) || pattern.counts.length < 2 || pattern.counts.length > 3) {
+                throw new PatternError('Grid pattern "counts" should be a list like [columns, rows] or [x, y, z]', [...path, 'counts']);
+            }
+            const counts = pattern.counts.map((c, i) => toCount(c, [...path, 'counts', i], 'Grid pattern "counts"'));
+            const steps = toVector(pattern.steps, [...path, 'steps'], 'Grid pattern "steps"', counts.length);
+            const starts = counts.map(c => (pattern.centered ? -(c - 1) / 2 : 0));
+
+            const placements = [];
+            const indices = counts.map(() => 0);
+            const total = counts.reduce((a, b) => a * b, 1);
+            for (let n = 0; n < total; n++) {
+                let remainder = n;
+                for (let axis = counts.length - 1; axis >= 0; axis--) {
+                    indices[axis] = remainder % counts[axis];
+                    remainder = Math.floor(remainder / counts[axis]);
+                }
+                placements.push({
+                    suffix: `_${indices.join('_')}`,
+                    offset: [0, 1, 2].map(axis => (axis < counts.length ? steps[axis] * (starts[axis] + indices[axis]) : 0))
+                });
+            }
+            return placements;
+        }
+
+        case 'polar': {
+            const count = toCount(pattern.count, [...path, 'count'], 'Polar pattern "count"');
+            const axis = pattern.axis !== undefined ? toAxis(pattern.axis, [...path, 'axis']) : new THREE.Vector3(0, 0, 1);
+            const span = pattern.angle !== undefined ? toNumber(pattern.angle, [...path, 'angle'], 'Polar pattern "angle"') : 360;
+            const startAngle = pattern.start_angle !== undefined ? toNumber(pattern.start_angle, [...path, 'start_angle'], 'Polar pattern "start_angle"') : 0;
+            const rotateInstances = pattern.rotate_instances !== false;
+
+            let pivot;
+            let base;
+            if (pattern.radius !== undefined) {
+                // Instances sit on a circle of this radius around the pivot
+                const radius = toNumber(pattern.radius, [...path, 'radius'], 'Polar pattern "radius"');
+                pivot = pattern.center !== undefined ? toVector(pattern.center, [...path, 'center'], 'Polar pattern "center"') : readPoint(position);
+                if (pivot.some(v => typeof v !== 'number')) {
+                    throw new PatternError('Polar pattern with "radius" needs a numeric position to circle around; add "center"', path);
+                }
+                base = new THREE.Vector3(...pivot).add(perpendicular(axis).multiplyScalar(radius)).toArray();
+            } else if (pattern.center !== undefined) {
+                // The original stays where it is and is swung around the pivot
+                pivot = toVector(pattern.center, [...path, 'center'], 'Polar pattern "center"');
+                base = null;
+            } else {
+                throw new PatternError('Polar pattern needs a "radius" or a "center" to rotate around', path);
+            }
+
+            // A full circle spreads instances evenly; a partial span includes both ends
+            const fullCircle = Math.abs(span) >= 360;
+            const stepAngle = fullCircle ? span / count : (count > 1 ? span / (count - 1) : 0);
+
+            return Array.from({ length: count }, (_, i) => {
+                const angle = (startAngle + stepAngle * i) * Math.PI / 180;
+                return {
+                    suffix: `_${i}`,
+                    pivot,
+                    base,
+                    quaternion: new THREE.Quaternion().setFromAxisAngle(axis, angle),
+                    rotateInstances
+                };
+            });
+        }
+
+        default:
+            throw new PatternError(
+                pattern.type === undefined
+                    ? 'Pattern is missing "type" (linear, grid or polar)'
+                    : `Unknown pattern type "${pattern.type}" (use linear, grid or polar)`,
+                [...path, 'type']
+            );
+    }
+}
+
+/**
+ * Place one instance of a pattern
+ * @param {Array} position - Original position (may contain expressions)
+ * @param {Array} rotation - Original rotation in degrees
+ * @param {Array} [pivot] - The solid's pivot, from its position
+ * @returns {{position: Array, rotation: Array|undefined}}
+ */
+function placeInstance(placement, position, rotation, path, pivot) {
+    if (!placement.quaternion) {
+        return { position: offsetPoint(readPoint(position), placement.offset), rotation };
+    }
+
+    // Polar: swing the original (or the point on the radius) around the pivot; an instance
+    // that turns too swings as a whole, turning about its own pivot
+    let placedPosition;
+    try {
+        const ownPivot = placement.rotateInstances ? pivot : undefined;
+        placedPosition = rotatePivoted(placement.base ?? readPoint(position), placement.quaternion, ownPivot, placement.pivot);
+    } catch (e) {
+        throw new PatternError(`Polar pattern ${e.message}; use numbers or add "radius"`, path);
+    }
+
+    let placedRotation = rotation;
+    if (placement.rotateInstances) {
+        try {
+            placedRotation = composeRotation(rotation, placement.quaternion);
+        } catch (e) {
+            throw new PatternError(`Polar pattern can't rotate instances: ${e.message}; set "rotate_instances: false"`, path);
+        }
+    }
+
+    return { position: placedPosition, rotation: placedRotation };
+}
+
+/**
+ * Repeat boolean operations that target patterned solids for every instance
+ * Accepts both the list format and the mapping format of `modifiers.boolean`
+ */
+function expandBooleanTargets(booleanOps, instances) {
+    const expand = (target) => instances.get(target) || [target];
+    if (Array.isArray(booleanOps)) {
+        return booleanOps.flatMap(op => {
+            if (!op || typeof op !== 'object') {
+                return [op];
+            }
+            const [opType, target] = Object.entries(op)[0] || [];
+            return instances.has(target) ? expand(target).map(name => ({ [opType]: name })) : [op];
+        });
+    }
+    if (booleanOps && typeof booleanOps === 'object') {
+        const result = {};
+        for (const [opType, target] of Object.entries(booleanOps)) {
+            const targets = (Array.isArray(target) ? target : [target]).flatMap(expand);
+            result[opType] = Array.isArray(target) || targets.length > 1 ? targets : targets[0];
+        }
+        return result;
+    }
+    return booleanOps;
+}
+
+/**
+ * Expand patterned stamp instances into one instance per placement
+ * Also used by processStamps for instances nested inside stamp definitions
+ * @param {Object} stamps - Map of instance name to stamp instance
+ * @param {Array<string>} path - Path of the stamps map (for errors)
+ * @param {OriginMap} [origins] - Records the original name of each patterned instance
+ * @returns {Object} Map with patterned instances replaced by `name_0`, `name_1`, ...
+ */
+export function expandStampInstances(stamps, path, origins = null) {
+    if (!stamps || typeof stamps !== 'object') {
+        return stamps;
+    }
+    const expanded = {};
+    for (const [instanceName, instance] of Object.entries(stamps)) {
+        if (!instance || typeof instance !== 'object' || instance.pattern === undefined) {
+            expanded[instanceName] = instance;
+            continue;
+        }
+        const patternPath = [...path, instanceName, 'pattern'];
+        const { pattern, ...rest } = instance;
+        const at = rest.at || [0, 0, 0];
+        for (const placement of computePlacements(pattern, at, patternPath)) {
+            const placed = placeInstance(placement, at, rest.rotate || [0, 0, 0], patternPath);
+            expanded[`${instanceName}${placement.suffix}`] = { ...rest, at: placed.position, rotate: placed.rotation };
+            origins?.recordRename(path.join('.'), `${instanceName}${placement.suffix}`, instanceName);
+        }
+        debug(`  Stamp instance "${[...path, instanceName].join('.')}" patterned ${pattern.type}`);
+    }
+    return expanded;
+}
+
+/**
+ * Move a solid's stamp instances along with a patterned copy of the solid
+ */
+function placeStampInstances(stamps, placement, path) {
+    if (!stamps || typeof stamps !== 'object') {
+        return stamps;
+    }
+    const placed = {};
+    for (const [instanceName, instance] of Object.entries(stamps)) {
+        if (!instance || typeof instance !== 'object') {
+            placed[instanceName] = instance;
+            continue;
+        }
+        const result = placeInstance(placement, instance.at || [0, 0, 0], instance.rotate || [0, 0, 0], path);
+        placed[instanceName] = { ...instance, at: result.position, rotate: result.rotation };
+    }
+    return placed;
+}
+
+/**
+ * Expand all patterns in a model's solids
+ * Runs after params are applied and before stamps are processed, so patterned stamp
+ * instances and the stamps on patterned solids are expanded like any others.
+ * @param {Object} data - Model with params applied
+ * @param {OriginMap} [origins] - Records where each solid is defined
+ * @returns {Object} Model with patterns expanded into individual solids
+ */
+export function expandPatterns(data, origins = null) {
+    if (!data.solids) {
+        return data;
+    }
+
+    const solids = {};
+    const instances = new Map(); // patterned solid name -> instance names
+    const problems = [];
+
+    for (const [name, solid] of Object.entries(data.solids)) {
+        if (!solid || typeof solid !== 'object') {
+            solids[name] = solid;
+            continue;
+        }
+        try {
+            const { pattern, ...rest } = solid;
+            origins?.record(name, { path: `solids.${name}` });
+            rest.stamps = expandStampInstances(rest.stamps, ['solids', name, 'stamps'], origins);
+            if (rest.stamps === undefined) {
+                delete rest.stamps;
+            }
+            if (pattern === undefined) {
+                solids[name] = rest;
+                continue;
+            }
+
+            const path = ['solids', name, 'pattern'];
+            const center = rest.center || [0, 0, 0];
+            const names = [];
+            for (const placement of computePlacements(pattern, center, path)) {
+                const instanceName = `${name}${placement.suffix}`;
+                const placed = placeInstance(placement, center, rest.rotation, path, rest.pivot);
+                const instance = { ...rest, center: placed.position };
+                if (placed.rotation !== undefined) {
+                    instance.rotation = placed.rotation;
+                }
+                if (rest.stamps) {
+                    instance.stamps = placeStampInstances(rest.stamps, placement, path);
+                }
+                solids[instanceName] = instance;
+                names.push(instanceName);
+                origins?.record(instanceName, { path: `solids.${name}` });
+                origins?.recordRename('solids', instanceName, name);
+            }
+            instances.set(name, names);
+            debugLabel(`Pattern "${name}" (${pattern.type})`, names.length);
+        } catch (e) {
+            if (!(e instanceof PatternError)) {
+                throw e;
+            }
+            problems.push({ severity: 'error', path: e.path.join('.'), message: `Solid "${name}": ${e.message}` });
+        }
+    }
+
+    for (const [name, instanceNames] of instances) {
+        const clash = instanceNames.find(instanceName => data.solids[instanceName] !== undefined);
+        if (clash) {
+            problems.push({
+                severity: 'error',
+                path: `solids.${clash}`,
+                message: `Pattern instance "${clash}" of "${name}" clashes with a solid of the same name`
+            });
+        }
+    }
+
+    if (problems.length > 0) {
+        const error = new Error(problems.map(p => p.message).join('\n'));
+        error.diagnostics = problems;
+        throw error;
+    }
+
+    if (instances.size > 0) {
+        for (const solid of Object.values(solids)) {
+            if (solid?.modifiers?.boolean) {
+                solid.modifiers = { ...solid.modifiers, boolean: expandBooleanTargets(solid.modifiers.boolean, instances) };
+            }
+        }
+    }
+
+    return {
+        ...data,
+        solids
+    };
+}
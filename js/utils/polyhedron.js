@@ -0,0 +1,234 @@
+/**
+ * Polyhedra from explicit points and faces
+ *
+ *   wedge:
+ *       shape: polyhedron
+ *       points: [[0, 0, 0], [10, 0, 0], [10, 10, 0], [0, 10, 0], [0, 0, 5], [0, 10, 5]]
+ *       faces:
+ *           - [0, 3, 2, 1]      # indices into points, counter-clockwise seen from outside
+ *           - [0, 1, 4]
+ *           - [3, 5, 2]
+ *           - [0, 4, 5, 3]
+ *           - [1, 2, 5, 4]
+ *
+ * Faces may have any number of points. Every edge must join exactly two faces that run
+ * along it in opposite directions: then the surface is closed and faces outwards, which
+ * boolean operations rely on.
+ */
+
+/**
+ * Problem with a polyhedron, naming the property at fault (e.g. "faces[3]")
+ */
+export class PolyhedronError extends Error {
+    constructor(message, property) {
+        super(message);
+        this.property = property;
+    }
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Read a polyhedron's points and faces
+ * @param {Object} solid - Polyhedron definition with numeric properties
+ * @returns {{points: Array<Array<number>>, faces: Array<Array<number>>}}
+ * @throws {PolyhedronError} If a point or face isn't well formed
+ */
+export function readPolyhedron(solid) {
+    const { points, faces } = solid;
+    if (!Array.isArray(points) || points.length < 4) {
+        throw new PolyhedronError(`"points" should be a list of at least 4 [x, y, z] points, got ${JSON.stringify(points)}`, 'points');
+    }
+    points.forEach((point, i) => {
+        if (!Array.isArray(point) || point.length !== 3 || !point.every(isNumber)) {
+            throw new PolyhedronError(`point ${i} should be [x, y, z], got ${JSON.stringify(point)}`, `points[${i}]`);
+        }
+    });
+    if (!Array.isArray(faces) || faces.length < 4) {
+        throw new PolyhedronError(`"faces" should be a list of at least 4 faces, got ${JSON.stringify(faces)}`, 'faces');
+    }
+    faces.forEach((face, i) => {
+        if (!Array.isArray(face) || face.length < 3) {
+            throw new PolyhedronError(`face ${i} should be a list of at least 3 point indices, got ${JSON.stringify(face)}`, `faces[${i}]`);
+        }
+        const bad = face.find(index => !Number.isInteger(index) || index < 0 || index >= points.length);
+        if (bad !== undefined) {
+            throw new PolyhedronError(`face ${i} uses ${JSON.stringify(bad)}, which isn't a point index (0 to ${points.length - 1})`, `faces[${i}]`);
+        }
+        if (new Set(face).size !== face.length) {
+            throw new PolyhedronError(`face ${i} uses a point more than once: ${JSON.stringify(face)}`, `faces[${i}]`);
+        }
+    });
+    return { points, faces };
+}
+
+/**
+ * Normal of a face (Newell's method), as long as twice the face's area
+ * @param {Array<Array<number>>} points - Polyhedron points
+ * @param {Array<number>} face - Point indices
+ * @returns {Array<number>} [x, y, z]
+ */
+export function faceNormal(points, face) {
+    const normal = [0, 0, 0];
+    face.forEach((index, i) => {
+        const [x0, y0, z0] = points[index];
+        const [x1, y1, z1] = points[face[(i + 1) % face.length]];
+        normal[0] += (y0 - y1) * (z0 + z1);
+        normal[1] += (z0 - z1) * (x0 + x1);
+        normal[2] += (x0 - x1) * (y0 + y1);
+    });
+    return normal;
+}
+
+/**
+ * Six times the volume a face encloses with the origin (summed over a closed surface, the
+ * volume it encloses; positive when the faces wind outwards)
+ */
+function faceVolume(points, face) {
+    const [ax, ay, az] = points[face[0]];
+    let volume = 0;
+    for (let i = 1; i < face.length - 1; i++) {
+        const [bx, by, bz] = points[face[i]];
+        const [cx, cy, cz] = points[face[i + 1]];
+        volume += ax * (by * cz - bz * cy) + ay * (bz * cx - bx * cz) + az * (bx * cy - by * cx);
+    }
+    return volume;
+}
+
+const listFaces = (indices) => `face${indices.length > 1 ? 's' : ''} ${indices.join(', ')}`;
+
+/**
+ * Each edge of a set of faces, whichever way it's run, and the faces running along it
+ * @param {Array<Array<number>>} faces - Point indices of each face
+ * @returns {Map<string, Array<{face: number, forward: boolean}>>} "low-high" point indices ->
+ *   faces along the edge, and whether each runs from the lower index to the higher
+ */
+export function faceEdges(faces) {
+    const edges = new Map();
+    faces.forEach((face, i) => face.forEach((from, j) => {
+        const to = face[(j + 1) % face.length];
+        const key = from < to ? `${from}-${to}` : `${to}-${from}`;
+        if (!edges.has(key)) {
+            edges.set(key, []);
+        }
+        edges.get(key).push({ face: i, forward: from < to });
+    }));
+    return edges;
+}
+
+/**
+ * Which faces wind against the outside of the surface they're part of
+ * Walks from face to face across edges joining exactly two faces; each connected part winds
+ * the way most of its faces do (a hollow's inner surface faces into the hollow), and if the
+ * whole encloses a negative volume, every face is turned.
+ * @param {Array<Array<number>>} points - [x, y, z] points
+ * @param {Array<Array<number>>} faces - Point indices of each face
+ * @param {Map} [edges] - From faceEdges
+ * @returns {{inward: Array<boolean>, oneSided: {key: string, face: number}|null}} Whether each face
+ *   winds inwards, and an edge where neighbours can't agree (a one-sided surface), if any
+ */
+export function inwardFaces(points, faces, edges = faceEdges(faces)) {
+    const flipped = new Array(faces.length).fill(null);
+    const neighbours = faces.map(() => []);
+    for (const [key, uses] of edges) {
+        if (uses.length === 2) {
+            const [a, b] = uses;
+            neighbours[a.face].push({ face: b.face, agree: a.forward !== b.forward, key });
+            neighbours[b.face].push({ face: a.face, agree: a.forward !== b.forward, key });
+        }
+    }
+    const inward = new Array(faces.length).fill(false);
+    let oneSided = null;
+    for (let start = 0; start < faces.length; start++) {
+        if (flipped[start] !== null) {
+            continue;
+        }
+        const part = [start];
+        flipped[start] = false;
+        for (let k = 0; k < part.length; k++) {
+            const face = part[k];
+            for (const { face: other, agree, key } of neighbours[face]) {
+                const expected = agree ? flipped[face] : !flipped[face];
+                if (flipped[other] === null) {
+                    flipped[other] = expected;
+                    part.push(other);
+                } else if (flipped[other] !== expected) {
+                    oneSided ??= { key, face: other };
+                }
+            }
+        }
+
+        // Side with the majority; on a tie, with the way that encloses a positive volume
+        const turned = part.filter(face => flipped[face]).length;
+        const volume = part.reduce((sum, face) => sum + faceVolume(points, faces[face]) * (flipped[face] ? -1 : 1), 0);
+        const majorityTurned = turned * 2 === part.length ? volume < 0 : turned * 2 > part.length;
+        part.forEach(face => {
+            inward[face] = flipped[face] !== majorityTurned;
+        });
+    }
+
+    const volume = faces.reduce((sum, face, i) => sum + faceVolume(points, face) * (inward[i] ? -1 : 1), 0);
+    if (volume < 0) {
+        inward.forEach((wrong, i) => {
+            inward[i] = !wrong;
+        });
+    }
+    return { inward, oneSided };
+}
+
+/**
+ * How a polyhedron's faces fail to make a closed surface facing outwards: faces with no
+ * area, open edges, edges joining more than two faces, and faces wound the wrong way
+ * @param {{points: Array, faces: Array}} polyhedron - From readPolyhedron
+ * @returns {Array<{message: string, property: string}>} Empty when the polyhedron is sound
+ */
+export function polyhedronProblems({ points, faces }) {
+    const problems = [];
+    const size = Math.max(...points.flat().map(Math.abs), 1e-9);
+    faces.forEach((face, i) => {
+        if (Math.hypot(...faceNormal(points, face)) < 1e-12 * size * size) {
+            problems.push({ message: `face ${i} has no area (its points are in a line)`, property: `faces[${i}]` });
+        }
+    });
+
+    const edges = faceEdges(faces);
+    const open = new Map();
+    for (const [key, uses] of edges) {
+        if (uses.length === 1) {
+            open.set(uses[0].face, [...(open.get(uses[0].face) ?? []), key]);
+        } else if (uses.length > 2) {
+            const shared = uses.map(use => use.face);
+            problems.push({
+                message: `edge ${key} joins ${listFaces(shared)}; each edge should join exactly two faces`,
+                property: `faces[${shared[0]}]`
+            });
+        }
+    }
+    for (const [face, keys] of open) {
+        problems.push({
+            message: `face ${face} is open along edge${keys.length > 1 ? 's' : ''} ${keys.join(', ')}: no other face shares ${keys.length > 1 ? 'them' : 'it'}`,
+            property: `faces[${face}]`
+        });
+    }
+    if (problems.length > 0) {
+        return problems; // Which way faces wind only means something on a closed surface
+    }
+
+    const { inward, oneSided } = inwardFaces(points, faces, edges);
+    if (oneSided) {
+        return [{
+            message: `faces can't all wind the same way around edge ${oneSided.key} (the surface is one-sided, like a Möbius strip)`,
+            property: `faces[${oneSided.face}]`
+        }];
+    }
+    if (inward.every(Boolean)) {
+        return [{
+            message: 'faces wind clockwise seen from outside, so the solid is inside out; reverse the points of every face',
+            property: 'faces'
+        }];
+    }
+    return inward.flatMap((wrong, face) => wrong ? [{
+        message: `face ${face} winds the wrong way (clockwise seen from outside); reverse its points`,
+        property: `faces[${face}]`
+    }] : []);
+}
@@ -0,0 +1,570 @@
+/**
+ * 2D profiles for extrusions, revolves and sweeps
+ *
+ *   profile:
+ *       type: rounded_rect      # circle, rect, rounded_rect, ellipse, ngon, slot, poly, outline or svg
+ *       size: [40, 20]
+ *       radius: 3
+ *       center: [0, 0]          # optional, moves the profile (every type)
+ *       holes:                  # optional, profiles (or lists of points) cut out of this one
+ *           - type: circle
+ *             diameter: 5
+ *             center: [-12, 0]
+ *
+ * Profiles are turned into polygons: an outline and holes as lists of [x, y] points, with
+ * curves split into segments following the quality setting.
+ */
+
+import { getSegmentCount } from './qualitySettings.js';
+
+export const PROFILE_TYPES = ['circle', 'rect', 'rounded_rect', 'ellipse', 'ngon', 'slot', 'poly', 'outline', 'svg'];
+
+/**
+ * Problem with a profile, naming the property at fault (relative to the profile)
+ */
+export class ProfileError extends Error {
+    constructor(message, property) {
+        super(message);
+        this.property = property;
+    }
+}
+
+/**
+ * Signed area of a polygon (positive when counter-clockwise)
+ */
+export function signedArea(points) {
+    return points.reduce((sum, [x, y], i) => {
+        const [nextX, nextY] = points[(i + 1) % points.length];
+        return sum + x * nextY - nextX * y;
+    }, 0) / 2;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function readPositive(profile, key, fallback) {
+    const value = profile[key] ?? fallback;
+    if (!isNumber(value) || value <= 0) {
+        throw new ProfileError(value === undefined
+            ? `needs "${key}"`
+            : `"${key}" should be a number greater than 0, got ${JSON.stringify(value)}`, key);
+    }
+    return value;
+}
+
+function readPoint(point, property) {
+    if (!Array.isArray(point) || point.length !== 2 || !point.every(isNumber)) {
+        throw new ProfileError(`"${property}" should be a point like [x, y], got ${JSON.stringify(point)}`, property);
+    }
+    return point;
+}
+
+function readSize(profile, fallback) {
+    const size = profile.size ?? fallback;
+    if (!Array.isArray(size) || size.length !== 2 || !size.every(value => isNumber(value) && value > 0)) {
+        throw new ProfileError(size === undefined
+            ? 'needs "size"'
+            : `"size" should be [width, height] greater than 0, got ${JSON.stringify(size)}`, 'size');
+    }
+    return size;
+}
+
+/**
+ * Steps for a curve that turns `angle` radians, so a full turn gets `segments` steps
+ */
+function curveSteps(angle, segments) {
+    return Math.max(1, Math.ceil(segments * Math.abs(angle) / (Math.PI * 2)));
+}
+
+/**
+ * Points on an arc around `center`, after `from` up to and including `to` (radians)
+ */
+function arcPoints(center, radius, from, to, segments) {
+    const steps = curveSteps(to - from, segments);
+    const points = [];
+    for (let step = 1; step <= steps; step++) {
+        const angle = from + (to - from) * step / steps;
+        points.push([center[0] + radius * Math.cos(angle), center[1] + radius * Math.sin(angle)]);
+    }
+    return points;
+}
+
+function ellipsePoints(width, height, segments) {
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+        const angle = i / segments * Math.PI * 2;
+        points.push([width / 2 * Math.cos(angle), height / 2 * Math.sin(angle)]);
+    }
+    return points;
+}
+
+function roundedRectPoints(profile, segments) {
+    const [width, height] = readSize(profile);
+    const radius = profile.radius ?? 0;
+    if (!isNumber(radius) || radius < 0 || radius > Math.min(width, height) / 2) {
+        throw new ProfileError(`"radius" should be between 0 and half the smaller side (${Math.min(width, height) / 2}), got ${JSON.stringify(radius)}`, 'radius');
+    }
+    const [x, y] = [width / 2 - radius, height / 2 - radius];
+    if (radius === 0) {
+        return [[-x, -y], [x, -y], [x, y], [-x, y]];
+    }
+    const points = [];
+    [[x, -y], [x, y], [-x, y], [-x, -y]].forEach((center, corner) => {
+        const from = (corner - 1) * Math.PI / 2;
+        points.push([center[0] + radius * Math.cos(from), center[1] + radius * Math.sin(from)]);
+        points.push(...arcPoints(center, radius, from, from + Math.PI / 2, segments));
+    });
+    return points;
+}
+
+function ngonPoints(profile) {
+    const sides = profile.sides;
+    if (!Number.isInteger(sides) || sides < 3) {
+        throw new ProfileError(`"sides" should be a whole number of at least 3, got ${JSON.stringify(sides)}`, 'sides');
+    }
+    if (profile.diameter !== undefined && profile.across_flats !== undefined) {
+        throw new ProfileError('has both "diameter" and "across_flats"; use one', 'across_flats');
+    }
+    const radius = profile.across_flats !== undefined
+        ? readPositive(profile, 'across_flats') / 2 / Math.cos(Math.PI / sides)
+        : readPositive(profile, 'diameter') / 2;
+    const points = [];
+    for (let i = 0; i < sides; i++) {
+        const angle = i / sides * Math.PI * 2;
+        points.push([radius * Math.cos(angle), radius * Math.sin(angle)]);
+    }
+    return points;
+}
+
+function slotPoints(profile, segments) {
+    const length = readPositive(profile, 'length');
+    const width = readPositive(profile, 'width');
+    if (width > length) {
+        throw new ProfileError(`"width" (${width}) should be at most "length" (${length})`, 'width');
+    }
+    const radius = width / 2;
+    const half = length / 2 - radius;
+    if (half === 0) {
+        return ellipsePoints(width, width, segments);
+    }
+    return [
+        [-half, -radius],
+        [half, -radius],
+        ...arcPoints([half, 0], radius, -Math.PI / 2, Math.PI / 2, segments),
+        ...arcPoints([-half, 0], radius, Math.PI / 2, Math.PI * 3 / 2, segments)
+    ];
+}
+
+function polyPoints(profile) {
+    if (!Array.isArray(profile.points) || profile.points.length < 3) {
+        throw new ProfileError('"points" should be a list of at least 3 points like [x, y]', 'points');
+    }
+    return profile.points.map((point, i) => readPoint(point, `points[${i}]`));
+}
+
+/**
+ * Arc from `start` to `end` turning `sweep` radians (counter-clockwise when positive)
+ * @returns {{points: Array<Array<number>>, center: Array<number>}} Points after `start`, ending at `end`
+ */
+function arcBetween(start, end, sweep, segments) {
+    const chord = Math.hypot(end[0] - start[0], end[1] - start[1]);
+    const middle = [(start[0] + end[0]) / 2, (start[1] + end[1]) / 2];
+    const left = [-(end[1] - start[1]) / chord, (end[0] - start[0]) / chord];
+    const distance = chord / 2 / Math.tan(sweep / 2);
+    const center = [middle[0] + left[0] * distance, middle[1] + left[1] * distance];
+    const radius = Math.hypot(start[0] - center[0], start[1] - center[1]);
+    const from = Math.atan2(start[1] - center[1], start[0] - center[0]);
+    const points = arcPoints(center, radius, from, from + sweep, segments);
+    points[points.length - 1] = end;
+    return { points, center };
+}
+
+/**
+ * Outline drawn as segments:
+ *
+ *   type: outline
+ *   start: [0, 0]
+ *   segments:
+ *       - line_to: [20, 0]
+ *       - arc_to: [20, 10]          # arc through a radius (large: true for the long way round,
+ *         radius: 5                 # clockwise: true to turn clockwise)...
+ *       - arc_to: [10, 10]
+ *         bulge: -0.5               # ...or a bulge: tan(angle / 4), positive is counter-clockwise
+ *       - tangent_arc_to: [0, 10]   # arc continuing in the direction of the previous segment
+ *
+ * The outline closes back to `start`.
+ */
+function outlinePoints(profile, segments) {
+    let current = readPoint(profile.start ?? [0, 0], 'start');
+    if (!Array.isArray(profile.segments) || profile.segments.length === 0) {
+        throw new ProfileError('"segments" should be a list like [{ line_to: [x, y] }, { arc_to: [x, y], radius: r }]', 'segments');
+    }
+    const points = [current];
+    let direction = null; // Direction of travel at the end of the last segment
+
+    profile.segments.forEach((segment, i) => {
+        const property = `segments[${i}]`;
+        const verb = ['line_to', 'arc_to', 'tangent_arc_to'].find(key => segment?.[key] !== undefined);
+        if (!verb) {
+            throw new ProfileError(`"${property}" should have line_to, arc_to or tangent_arc_to`, property);
+        }
+        const end = readPoint(segment[verb], `${property}.${verb}`);
+        const chord = [end[0] - current[0], end[1] - current[1]];
+        const chordLength = Math.hypot(chord[0], chord[1]);
+        if (chordLength < 1e-12) {
+            throw new ProfileError(`"${property}" ends where it starts`, property);
+        }
+
+        let sweep = 0;
+        if (verb === 'arc_to') {
+            if (segment.bulge !== undefined && segment.radius !== undefined) {
+                throw new ProfileError(`"${property}" has both "radius" and "bulge"; use one`, `${property}.bulge`);
+            }
+            if (segment.bulge !== undefined) {
+                if (!isNumber(segment.bulge)) {
+                    throw new ProfileError(`"${property}.bulge" should be a number, got ${JSON.stringify(segment.bulge)}`, `${property}.bulge`);
+                }
+                sweep = 4 * Math.atan(segment.bulge);
+            } else {
+                const radius = segment.radius;
+                if (!isNumber(radius) || radius < chordLength / 2 - 1e-9) {
+                    throw new ProfileError(`"${property}.radius" should be at least half the distance between the points (${+(chordLength / 2).toFixed(6)}), got ${JSON.stringify(radius)}`, `${property}.radius`);
+                }
+                const small = 2 * Math.asin(Math.min(1, chordLength / 2 / radius));
+                sweep = (segment.large ? Math.PI * 2 - small : small) * (segment.clockwise ? -1 : 1);
+            }
+        } else if (verb === 'tangent_arc_to') {
+            if (!direction) {
+                throw new ProfileError(`"${property}" needs a segment before it to continue from`, property);
+            }
+            const turn = Math.atan2(direction[0] * chord[1] - direction[1] * chord[0], direction[0] * chord[0] + direction[1] * chord[1]);
+            if (Math.abs(turn) > Math.PI - 1e-9) {
+                throw new ProfileError(`"${property}" can't continue a tangent arc straight back`, property);
+            }
+            sweep = 2 * turn;
+        }
+
+        if (Math.abs(sweep) < 1e-9) {
+            points.push(end);
+            direction = [chord[0] / chordLength, chord[1] / chordLength];
+        } else {
+            const arc = arcBetween(current, end, sweep, segments);
+            points.push(...arc.points);
+            // Tangent at the end: the radius turned a quarter in the direction of travel
+            const [dx, dy] = [end[0] - arc.center[0], end[1] - arc.center[1]];
+            const radius = Math.hypot(dx, dy);
+            direction = sweep > 0 ? [-dy / radius, dx / radius] : [dy / radius, -dx / radius];
+        }
+        current = end;
+    });
+    return points;
+}
+
+/**
+ * Parse SVG path data into closed loops (each subpath is one loop)
+ * Supports M, L, H, V, C, S, Q, T, A and Z, absolute and relative. Y is flipped so
+ * the shape looks as it did in the vector tool (SVG's y points down).
+ * @param {string} d - Path data, e.g. "M0 0 H20 V10 H0 Z"
+ * @param {number} segments - Steps for a full turn of a curve
+ * @returns {Array<Array<Array<number>>>} Loops of [x, y] points
+ */
+export function parseSvgPath(d, segments) {
+    if (typeof d !== 'string' || d.trim() === '') {
+        throw new ProfileError('"d" should be SVG path data like "M0 0 L10 0 L10 10 Z"', 'd');
+    }
+    let index = 0;
+    const fail = (message) => {
+        throw new ProfileError(`"d" ${message} at character ${index + 1}`, 'd');
+    };
+    const skip = () => {
+        while (index < d.length && /[\s,]/.test(d[index])) {
+            index++;
+        }
+    };
+    const readNumber = () => {
+        skip();
+        const match = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/.exec(d.slice(index));
+        if (!match) {
+            fail('expected a number');
+        }
+        index += match[0].length;
+        return parseFloat(match[0]);
+    };
+    const readFlag = () => {
+        skip();
+        if (d[index] !== '0' && d[index] !== '1') {
+            fail('expected an arc flag (0 or 1)');
+        }
+        return d[index++] === '1';
+    };
+    const hasNumber = () => {
+        skip();
+        return index < d.length && /[-+.\d]/.test(d[index]);
+    };
+
+    const loops = [];
+    let loop = null;
+    let current = [0, 0];
+    let start = [0, 0];
+    let lastControl = null; // Reflected by S and T
+    let command = null;
+
+    const addPoint = (point) => {
+        if (!loop) {
+            loop = [current];
+            loops.push(loop);
+        }
+        loop.push(point);
+        current = point;
+    };
+    const addCurve = (at) => {
+        // Steps for how far the curve turns, estimated from a fine sampling
+        let turn = 0;
+        let previous = null;
+        for (let i = 0; i < 32; i++) {
+            const [a, b] = [at(i / 32), at((i + 1) / 32)];
+            const direction = Math.atan2(b[1] - a[1], b[0] - a[0]);
+            if (previous !== null && Math.hypot(b[0] - a[0], b[1] - a[1]) > 0) {
+                turn += Math.abs(Math.atan2(Math.sin(direction - previous), Math.cos(direction - previous)));
+            }
+            previous = direction;
+        }
+        const steps = curveSteps(turn, segments);
+        for (let step = 1; step <= steps; step++) {
+            addPoint(at(step / steps));
+        }
+    };
+
+    skip();
+    while (index < d.length) {
+        if (/[a-zA-Z]/.test(d[index])) {
+            command = d[index++];
+            if (!/[MmLlHhVvCcSsQqTtAaZz]/.test(command)) {
+                index--;
+                fail(`has unsupported command "${command}"`);
+            }
+        } else if (command === null) {
+            fail('should start with a command like M');
+        }
+        const relative = command === command.toLowerCase();
+        const point = () => {
+            const [x, y] = [readNumber(), readNumber()];
+            return relative ? [current[0] + x, current[1] + y] : [x, y];
+        };
+
+        switch (command.toUpperCase()) {
+            case 'M':
+                current = start = point();
+                loop = null;
+                lastControl = null;
+                // Further pairs are lines
+                command = relative ? 'l' : 'L';
+                break;
+            case 'L':
+                addPoint(point());
+                lastControl = null;
+                break;
+            case 'H': {
+                const x = readNumber();
+                addPoint([relative ? current[0] + x : x, current[1]]);
+                lastControl = null;
+                break;
+            }
+            case 'V': {
+                const y = readNumber();
+                addPoint([current[0], relative ? current[1] + y : y]);
+                lastControl = null;
+                break;
+            }
+            case 'C':
+            case 'S': {
+                const from = current;
+                const control1 = command.toUpperCase() === 'C'
+                    ? point()
+                    : (lastControl ? [2 * from[0] - lastControl[0], 2 * from[1] - lastControl[1]] : from);
+                const control2 = point();
+                const end = point();
+                addCurve(t => {
+                    const u = 1 - t;
+                    return [0, 1].map(axis => u * u * u * from[axis] + 3 * u * u * t * control1[axis] + 3 * u * t * t * control2[axis] + t * t * t * end[axis]);
+                });
+                lastControl = control2;
+                break;
+            }
+            case 'Q':
+            case 'T': {
+                const from = current;
+                const control = command.toUpperCase() === 'Q'
+                    ? point()
+                    : (lastControl ? [2 * from[0] - lastControl[0], 2 * from[1] - lastControl[1]] : from);
+                const end = point();
+                addCurve(t => {
+                    const u = 1 - t;
+                    return [0, 1].map(axis => u * u * from[axis] + 2 * u * t * control[axis] + t * t * end[axis]);
+                });
+                lastControl = control;
+                break;
+            }
+            case 'A': {
+                let [rx, ry] = [Math.abs(readNumber()), Math.abs(readNumber())];
+                const rotation = readNumber() * Math.PI / 180;
+                const [large, sweepFlag] = [readFlag(), readFlag()];
+                const from = current;
+                const end = point();
+                lastControl = null;
+                if (rx === 0 || ry === 0) {
+                    addPoint(end);
+                    break;
+                }
+                // Endpoint to center parameterization (SVG implementation notes, F.6.5)
+                const [cos, sin] = [Math.cos(rotation), Math.sin(rotation)];
+                const [hx, hy] = [(from[0] - end[0]) / 2, (from[1] - end[1]) / 2];
+                const [x1, y1] = [cos * hx + sin * hy, -sin * hx + cos * hy];
+                const excess = x1 * x1 / (rx * rx) + y1 * y1 / (ry * ry);
+                if (excess > 1) {
+                    rx *= Math.sqrt(excess);
+                    ry *= Math.sqrt(excess);
+                }
+                const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+                const factor = (large === sweepFlag ? -1 : 1)
+                    * Math.sqrt(Math.max(0, numerator / (rx * rx * y1 * y1 + ry * ry * x1 * x1)));
+                const [cx1, cy1] = [factor * rx * y1 / ry, -factor * ry * x1 / rx];
+                const center = [cos * cx1 - sin * cy1 + (from[0] + end[0]) / 2, sin * cx1 + cos * cy1 + (from[1] + end[1]) / 2];
+                const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+                const theta = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+                let delta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+                if (!sweepFlag && delta > 0) {
+                    delta -= Math.PI * 2;
+                } else if (sweepFlag && delta < 0) {
+                    delta += Math.PI * 2;
+                }
+                const steps = curveSteps(delta, segments);
+                for (let step = 1; step < steps; step++) {
+                    const t = theta + delta * step / steps;
+                    const [ex, ey] = [rx * Math.cos(t), ry * Math.sin(t)];
+                    addPoint([cos * ex - sin * ey + center[0], sin * ex + cos * ey + center[1]]);
+                }
+                addPoint(end);
+                break;
+            }
+            case 'Z':
+                current = start;
+                loop = null;
+                lastControl = null;
+                break;
+        }
+        skip();
+        if (command.toUpperCase() === 'Z' && hasNumber()) {
+            fail('has numbers after Z');
+        }
+    }
+
+    // Flip Y; subpaths that don't enclose anything are dropped
+    return loops.map(points => withoutRepeats(points.map(([x, y]) => [x, -y]))).filter(points => points.length >= 3);
+}
+
+/**
+ * Drop points that repeat the one before (including a closing repeat of the first point)
+ */
+function withoutRepeats(points) {
+    return points.filter((point, i) => {
+        const previous = points[(i + points.length - 1) % points.length];
+        return points.length === 1 || Math.hypot(point[0] - previous[0], point[1] - previous[1]) > 1e-9;
+    });
+}
+
+/**
+ * Polygons of a profile, before `center` and `holes`
+ * @returns {Array<Array<Array<number>>>} Loops; the first is the outline
+ */
+function profileShapeLoops(profile, segments) {
+    switch (profile.type) {
+        case 'circle': {
+            const diameter = readPositive(profile, 'diameter', 2);
+            return [ellipsePoints(diameter, diameter, segments)];
+        }
+        case 'rect': {
+            const [width, height] = readSize(profile, [2, 2]);
+            return [[[-width / 2, -height / 2], [width / 2, -height / 2], [width / 2, height / 2], [-width / 2, height / 2]]];
+        }
+        case 'rounded_rect':
+            return [roundedRectPoints(profile, segments)];
+        case 'ellipse': {
+            const [width, height] = readSize(profile);
+            return [ellipsePoints(width, height, segments)];
+        }
+        case 'ngon':
+            return [ngonPoints(profile)];
+        case 'slot':
+            return [slotPoints(profile, segments)];
+        case 'poly':
+            return [polyPoints(profile)];
+        case 'outline':
+            return [outlinePoints(profile, segments)];
+        case 'svg': {
+            // The largest subpath is the outline, the others are holes in it
+            const loops = parseSvgPath(profile.d, segments);
+            if (loops.length === 0) {
+                throw new ProfileError('"d" has no closed area', 'd');
+            }
+            return loops.sort((a, b) => Math.abs(signedArea(b)) - Math.abs(signedArea(a)));
+        }
+        case undefined:
+            throw new ProfileError(`needs a "type" (one of: ${PROFILE_TYPES.join(', ')})`, 'type');
+        default:
+            throw new ProfileError(`has unknown profile type ${JSON.stringify(profile.type)} (one of: ${PROFILE_TYPES.join(', ')})`, 'type');
+    }
+}
+
+/**
+ * Turn a profile into polygons
+ * @param {Object|Array} profile - Profile definition, or a list of points (a poly profile)
+ * @param {number} [segments] - Steps for a full turn of a curve (default: quality setting)
+ * @returns {{outline: Array<Array<number>>, holes: Array<Array<Array<number>>>}} Outline
+ *   counter-clockwise and holes clockwise, as [x, y] points without a closing repeat
+ * @throws {ProfileError} If the profile isn't valid
+ */
+export function profileLoops(profile, segments = getSegmentCount()) {
+    if (Array.isArray(profile)) {
+        profile = { type: 'poly', points: profile };
+    }
+    if (profile === null || typeof profile !== 'object') {
+        throw new ProfileError(`should be a profile with a "type" or a list of [x, y] points, got ${JSON.stringify(profile)}`, '');
+    }
+
+    const [outline, ...innerLoops] = profileShapeLoops(profile, segments);
+    const holeLoops = [...innerLoops];
+    if (profile.holes !== undefined) {
+        if (!Array.isArray(profile.holes)) {
+            throw new ProfileError('"holes" should be a list of profiles', 'holes');
+        }
+        profile.holes.forEach((hole, i) => {
+            try {
+                const { outline: holeOutline, holes } = profileLoops(hole, segments);
+                if (holes.length > 0) {
+                    throw new ProfileError('should not have holes of its own', 'holes');
+                }
+                holeLoops.push(holeOutline);
+            } catch (e) {
+                if (e instanceof ProfileError) {
+                    e.property = e.property ? `holes[${i}].${e.property}` : `holes[${i}]`;
+                }
+                throw e;
+            }
+        });
+    }
+
+    let offset = [0, 0];
+    if (profile.center !== undefined) {
+        offset = readPoint(profile.center, 'center');
+    }
+    const place = (points, clockwise) => {
+        const placed = withoutRepeats(points).map(([x, y]) => [x + offset[0], y + offset[1]]);
+        return (signedArea(placed) < 0) !== clockwise ? placed.reverse() : placed;
+    };
+    if (Math.abs(signedArea(outline)) < 1e-12) {
+        throw new ProfileError('has no area', profile.type === 'svg' ? 'd' : 'type');
+    }
+    return { outline: place(outline, false), holes: holeLoops.map(points => place(points, true)) };
+}
@@ -0,0 +1,138 @@
+/**
+ * Dimensions of round solids (cylinder and cone)
+ *
+ *   pipe:
+ *       shape: cylinder
+ *       length: 40
+ *       bottom_diameter: 12     # frustum: different diameters at each end (default: diameter)
+ *       top_diameter: 8
+ *       wall: 1.5               # hollow, with a wall that follows the taper
+ *       # inner_diameter: 6     # ...or a straight bore
+ *       sweep_angle: 90         # partial solid, from +X towards +Y (default: 360)
+ *
+ * Cones are the same with `height` for the length, `diameter` for the bottom and a top
+ * diameter of 0 unless `top_diameter` is given.
+ */
+
+/**
+ * Properties that make a cylinder or cone a frustum, a tube or a partial solid
+ */
+export const ROUND_SOLID_PROPERTIES = ['top_diameter', 'bottom_diameter', 'inner_diameter', 'wall', 'sweep_angle'];
+
+/**
+ * Problem with a round solid's dimensions, naming the property at fault
+ */
+export class RoundSolidError extends Error {
+    constructor(message, property) {
+        super(message);
+        this.property = property;
+    }
+}
+
+/**
+ * Read a number property, checking it isn't negative
+ */
+function readLength(solid, key, fallback) {
+    const value = solid[key] ?? fallback;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new RoundSolidError(`"${key}" should be a number, got ${JSON.stringify(value)}`, key);
+    }
+    if (value < 0) {
+        throw new RoundSolidError(`"${key}" should not be negative, got ${value}`, key);
+    }
+    return value;
+}
+
+/**
+ * Whether a cylinder or cone needs more than a plain three.js cylinder
+ * @param {Object} solid - Solid definition
+ * @returns {boolean}
+ */
+export function isShapedRoundSolid(solid) {
+    return ROUND_SOLID_PROPERTIES.some(key => solid[key] !== undefined);
+}
+
+/**
+ * Resolve a cylinder or cone to radii along its Z axis
+ * @param {Object} solid - Cylinder or cone definition with numeric properties
+ * @returns {{bottomRadius: number, topRadius: number, innerBottomRadius: number, innerTopRadius: number,
+ *   length: number, sweepAngle: number}} Inner radii are 0 for solids that aren't hollow
+ * @throws {RoundSolidError} If the dimensions don't describe a solid
+ */
+export function readRoundSolid(solid) {
+    const isCone = solid.shape === 'cone';
+    const lengthKey = isCone ? 'height' : 'length';
+    const length = readLength(solid, lengthKey, 1);
+    if (length === 0) {
+        throw new RoundSolidError(`"${lengthKey}" should be greater than 0`, lengthKey);
+    }
+
+    const diameter = solid.diameter ?? 1;
+    const bottom = readLength(solid, solid.bottom_diameter !== undefined ? 'bottom_diameter' : 'diameter', diameter) / 2;
+    const top = solid.top_diameter !== undefined
+        ? readLength(solid, 'top_diameter') / 2
+        : (isCone ? 0 : readLength(solid, 'diameter', diameter) / 2);
+    if (bottom === 0 && top === 0) {
+        throw new RoundSolidError('needs a top or bottom diameter greater than 0', solid.diameter !== undefined ? 'diameter' : 'bottom_diameter');
+    }
+
+    let innerBottom = 0;
+    let innerTop = 0;
+    if (solid.inner_diameter !== undefined && solid.wall !== undefined) {
+        throw new RoundSolidError('has both "inner_diameter" and "wall"; use one', 'wall');
+    }
+    if (solid.inner_diameter !== undefined) {
+        innerBottom = innerTop = readLength(solid, 'inner_diameter') / 2;
+        if (innerBottom > 0 && innerBottom >= Math.min(bottom, top)) {
+            throw new RoundSolidError(
+                `"inner_diameter" (${innerBottom * 2}) should be smaller than the top and bottom diameters (${top * 2}, ${bottom * 2})`,
+                'inner_diameter'
+            );
+        }
+    } else if (solid.wall !== undefined) {
+        const wall = readLength(solid, 'wall');
+        if (wall === 0 || wall >= Math.min(bottom, top)) {
+            throw new RoundSolidError(
+                `"wall" (${wall}) should be greater than 0 and less than half the smaller diameter (${Math.min(bottom, top) * 2})` +
+                    (Math.min(bottom, top) === 0 ? '; give a pointed cone a "top_diameter" to make it hollow' : ''),
+                'wall'
+            );
+        }
+        innerBottom = bottom - wall;
+        innerTop = top - wall;
+    }
+
+    const sweepAngle = readLength(solid, 'sweep_angle', 360);
+    if (sweepAngle === 0 || sweepAngle > 360) {
+        throw new RoundSolidError(`"sweep_angle" should be greater than 0 and at most 360, got ${sweepAngle}`, 'sweep_angle');
+    }
+
+    return { bottomRadius: bottom, topRadius: top, innerBottomRadius: innerBottom, innerTopRadius: innerTop, length, sweepAngle };
+}
+
+/**
+ * X/Y extents of a round solid, allowing for a partial sweep
+ * @param {Object} dimensions - From readRoundSolid
+ * @returns {{xs: Array<number>, ys: Array<number>}} [min, max] along X and Y
+ */
+export function roundSolidExtents(dimensions) {
+    const outer = Math.max(dimensions.bottomRadius, dimensions.topRadius);
+    const inner = Math.min(dimensions.innerBottomRadius, dimensions.innerTopRadius);
+    const sweep = dimensions.sweepAngle;
+
+    // Corners of the section, plus wherever the outer arc crosses an axis
+    const points = [];
+    for (const angle of [0, sweep]) {
+        const radians = angle * Math.PI / 180;
+        points.push([outer * Math.cos(radians), outer * Math.sin(radians)]);
+        points.push([inner * Math.cos(radians), inner * Math.sin(radians)]);
+    }
+    for (let angle = 90; angle < sweep; angle += 90) {
+        const radians = angle * Math.PI / 180;
+        points.push([outer * Math.round(Math.cos(radians)), outer * Math.round(Math.sin(radians))]);
+    }
+
+    const xs = points.map(point => point[0]);
+    const ys = points.map(point => point[1]);
+    return { xs: [Math.min(...xs), Math.max(...xs)], ys: [Math.min(...ys), Math.max(...ys)] };
+}
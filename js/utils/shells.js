@@ -0,0 +1,445 @@
+/**
+ * Shell modifier: hollowing a solid to walls of a given thickness
+ *
+ *   enclosure:
+ *       shape: cuboid
+ *       size: [80, 50, 30]
+ *       modifiers:
+ *           shell:
+ *               thickness: 2
+ *               direction: inward       # or outward: the walls grow around the solid (default: inward)
+ *               open_faces: top         # or a list, e.g. [top, +x]; in the solid's own axes
+ *
+ * Cuboids, plain cylinders (open only at their ends) and closed spheres are hollowed exactly,
+ * by building the solid's inner (or outer) copy from its dimensions. Anything else, including
+ * the results of boolean operations, is offset a point at a time: each point moves so the
+ * faces around it, and any others it comes near, end up `thickness` away. That's exact for
+ * flat faces; a wall thicker than a detail it passes can fold over itself.
+ */
+
+import { isShapedRoundSolid } from './roundSolids.js';
+import { keepsOwnShape } from './solidTransforms.js';
+import { repairMesh } from './meshRepair.js';
+
+/**
+ * Problem with a shell, naming the property at fault (null for the shell as a whole)
+ */
+export class ShellError extends Error {
+    constructor(message, property) {
+        super(message);
+        this.property = property;
+    }
+}
+
+/**
+ * Faces a shell can leave open, as the solid's axis and the side of it they face
+ */
+export const SHELL_FACES = {
+    top: { axis: 2, sign: 1 },
+    bottom: { axis: 2, sign: -1 },
+    '+x': { axis: 0, sign: 1 },
+    '-x': { axis: 0, sign: -1 },
+    '+y': { axis: 1, sign: 1 },
+    '-y': { axis: 1, sign: -1 },
+    '+z': { axis: 2, sign: 1 },
+    '-z': { axis: 2, sign: -1 }
+};
+
+export const SHELL_DIRECTIONS = ['inward', 'outward'];
+
+/**
+ * Faces within this many degrees of an open face's direction are opened with it
+ */
+export const OPEN_FACE_ANGLE = 45;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Read a shell modifier
+ * @param {Object} config - Mapping with thickness, direction and open_faces
+ * @returns {{thickness: number, outward: boolean, openFaces: Array<{axis: number, sign: number}>}}
+ * @throws {ShellError} If the shell isn't well formed
+ */
+export function readShell(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new ShellError(`should be a mapping with "thickness", got ${JSON.stringify(config)}`, null);
+    }
+    const { thickness, direction = 'inward', open_faces: openFaces = [] } = config;
+    if (thickness === undefined) {
+        throw new ShellError('is missing "thickness"', null);
+    }
+    if (!isNumber(thickness) || thickness <= 0) {
+        throw new ShellError(`"thickness" should be a number greater than 0, got ${JSON.stringify(thickness)}`, 'thickness');
+    }
+    if (!SHELL_DIRECTIONS.includes(direction)) {
+        throw new ShellError(`"direction" should be inward or outward, got ${JSON.stringify(direction)}`, 'direction');
+    }
+    const names = Array.isArray(openFaces) ? openFaces : [openFaces];
+    const faces = new Map();
+    names.forEach((name, i) => {
+        const key = typeof name === 'string' ? name.toLowerCase() : null;
+        if (!Object.hasOwn(SHELL_FACES, key)) {
+            const property = Array.isArray(openFaces) ? `open_faces[${i}]` : 'open_faces';
+            throw new ShellError(`"open_faces" should be ${Object.keys(SHELL_FACES).join(', ')} or a list of them, got ${JSON.stringify(name)}`, property);
+        }
+        const face = SHELL_FACES[key];
+        faces.set(`${face.axis}${face.sign}`, face);
+    });
+    return { thickness, outward: direction === 'outward', openFaces: [...faces.values()] };
+}
+
+/**
+ * [from, to] along each of the solid's axes for its outer and inner boxes: closed sides move
+ * by the wall, open ones stay put outside and reach past the outer side inside
+ */
+function shellRanges(halves, shell, axes) {
+    const { thickness, outward, openFaces } = shell;
+    const isOpen = (axis, sign) => openFaces.some(face => face.axis === axis && face.sign === sign);
+    const range = (axis, grow, openGrow) => [-1, 1].map(sign => sign * (halves[axis] + (isOpen(axis, sign) ? openGrow : grow)));
+    return {
+        outer: axes.map(axis => range(axis, outward ? thickness : 0, 0)),
+        inner: axes.map(axis => range(axis, outward ? 0 : -thickness, thickness))
+    };
+}
+
+const spanOf = ([from, to]) => to - from;
+const middleOf = ([from, to]) => (from + to) / 2;
+
+/**
+ * Exact outer and inner solids of a shell on a solid's own shape, where there are some
+ * @param {Object} solid - Solid definition with numeric properties
+ * @param {Object} shell - From readShell
+ * @returns {{outer: {definition: Object, center: Array<number>}, inner: {definition: Object,
+ *   center: Array<number>}}|null} Definitions to build, each centered on `center` in the solid's
+ *   own coordinates (before anchoring); null if the solid needs the general method
+ * @throws {ShellError} If the walls don't fit inside the solid
+ */
+export function exactShellShapes(solid, shell) {
+    if (!keepsOwnShape(solid)) {
+        return null;
+    }
+    const tooThick = (across) => new ShellError(`"thickness" (${shell.thickness}) leaves no room inside the ${solid.shape}, which is ${across} across`, 'thickness');
+
+    switch (solid.shape) {
+        case 'cuboid': {
+            const size = (solid.size || [1, 1, 1]).map(Math.abs);
+            const { outer, inner } = shellRanges(size.map(value => value / 2), shell, [0, 1, 2]);
+            if (inner.some(range => spanOf(range) <= 0)) {
+                throw tooThick(Math.min(...size));
+            }
+            const box = (ranges) => ({ definition: { shape: 'cuboid', size: ranges.map(spanOf) }, center: ranges.map(middleOf) });
+            return { outer: box(outer), inner: box(inner) };
+        }
+        case 'cylinder': {
+            if (isShapedRoundSolid(solid) || shell.openFaces.some(face => face.axis !== 2)) {
+                return null;
+            }
+            const diameter = solid.diameter || 1;
+            const length = solid.length || 1;
+            const { outer, inner } = shellRanges([0, 0, length / 2], shell, [2]);
+            const [outerDiameter, innerDiameter] = shell.outward ? [diameter + shell.thickness * 2, diameter] : [diameter, diameter - shell.thickness * 2];
+            if (innerDiameter <= 0 || spanOf(inner[0]) <= 0) {
+                throw tooThick(Math.min(diameter, length));
+            }
+            const round = (width, range) => ({
+                definition: { shape: 'cylinder', diameter: width, length: spanOf(range) },
+                center: [0, 0, middleOf(range)]
+            });
+            return { outer: round(outerDiameter, outer[0]), inner: round(innerDiameter, inner[0]) };
+        }
+        case 'sphere': {
+            if (shell.openFaces.length > 0) {
+                return null;
+            }
+            const diameter = solid.diameter || 1;
+            const [outerDiameter, innerDiameter] = shell.outward ? [diameter + shell.thickness * 2, diameter] : [diameter, diameter - shell.thickness * 2];
+            if (innerDiameter <= 0) {
+                throw tooThick(diameter);
+            }
+            const ball = (width) => ({ definition: { shape: 'sphere', diameter: width }, center: [0, 0, 0] });
+            return { outer: ball(outerDiameter), inner: ball(innerDiameter) };
+        }
+        default:
+            return null;
+    }
+}
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const unit = (a) => {
+    const length = Math.hypot(...a) || 1;
+    return a.map(value => value / length);
+};
+
+/**
+ * Solve a symmetric 3x3 system (rows of the matrix, then the right-hand side)
+ */
+function solve3([[a, b, c], [, d, e], [, , f]], [x, y, z]) {
+    const cofactors = [d * f - e * e, c * e - b * f, b * e - c * d, a * f - c * c, b * c - a * e, a * d - b * b];
+    const det = a * cofactors[0] + b * cofactors[1] + c * cofactors[2];
+    const [m00, m01, m02, m11, m12, m22] = cofactors;
+    return [
+        (m00 * x + m01 * y + m02 * z) / det,
+        (m01 * x + m11 * y + m12 * z) / det,
+        (m02 * x + m12 * y + m22 * z) / det
+    ];
+}
+
+const sameNormal = (a, b) => dot(a, b) > 1 - 1e-6;
+
+/**
+ * Normals that differ by more than rounding
+ */
+function distinctNormals(normals) {
+    return normals.filter((normal, i) => !normals.slice(0, i).some(other => sameNormal(other, normal)));
+}
+
+/**
+ * Direction and distance (per unit of thickness) that moves every face around a point by one
+ * unit along its normal: a least-squares fit over the faces' distinct normals, so a point on
+ * a flat face, an edge or a corner lands where the offset faces meet. Crumbs of faces much
+ * smaller than the wall count for less, as their normals are mostly rounding.
+ * @param {Array<{normal: Array<number>, area: number}>} faces
+ * @param {number} thickness - The wall's thickness
+ */
+function offsetAt(faces, thickness) {
+    const distinct = [];
+    for (const { normal, area } of faces) {
+        const weight = Math.min(1, area / (thickness * thickness * 1e-2));
+        const same = distinct.find(other => sameNormal(other.normal, normal));
+        if (same) {
+            same.weight = Math.max(same.weight, weight);
+        } else {
+            distinct.push({ normal, weight });
+        }
+    }
+    // A little damping keeps crumbs and nearly parallel faces from flinging the point away
+    const matrix = [[1e-4, 0, 0], [0, 1e-4, 0], [0, 0, 1e-4]];
+    const sum = [0, 0, 0];
+    for (const { normal, weight } of distinct) {
+        for (let row = 0; row < 3; row++) {
+            sum[row] += normal[row] * weight;
+            for (let column = 0; column < 3; column++) {
+                matrix[row][column] += normal[row] * normal[column] * weight;
+            }
+        }
+    }
+    const offset = solve3(matrix, sum);
+    // Needle-sharp points would move without limit
+    const length = Math.hypot(...offset);
+    return length > 5 ? offset.map(value => value * 5 / length) : offset;
+}
+
+/**
+ * Distance from a point to a triangle (to its nearest point: inside, on a side or a corner)
+ */
+function distanceToTriangle(point, [a, b, c]) {
+    const [ab, ac, ap] = [sub(b, a), sub(c, a), sub(point, a)];
+    const [d1, d2] = [dot(ab, ap), dot(ac, ap)];
+    const bp = sub(point, b);
+    const [d3, d4] = [dot(ab, bp), dot(ac, bp)];
+    const cp = sub(point, c);
+    const [d5, d6] = [dot(ab, cp), dot(ac, cp)];
+    const along = (from, side, t) => from.map((value, k) => value + side[k] * t);
+    let nearest;
+    if (d1 <= 0 && d2 <= 0) {
+        nearest = a;
+    } else if (d3 >= 0 && d4 <= d3) {
+        nearest = b;
+    } else if (d6 >= 0 && d5 <= d6) {
+        nearest = c;
+    } else if (d1 * d4 - d3 * d2 <= 0 && d1 >= 0 && d3 <= 0) {
+        nearest = along(a, ab, d1 / (d1 - d3));
+    } else if (d5 * d2 - d1 * d6 <= 0 && d2 >= 0 && d6 <= 0) {
+        nearest = along(a, ac, d2 / (d2 - d6));
+    } else if (d3 * d6 - d5 * d4 <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+        nearest = along(b, sub(c, b), (d4 - d3) / ((d4 - d3) + (d5 - d6)));
+    } else {
+        const scale = 1 / ((d3 * d6 - d5 * d4) + (d5 * d2 - d1 * d6) + (d1 * d4 - d3 * d2));
+        const [v, w] = [(d5 * d2 - d1 * d6) * scale, (d1 * d4 - d3 * d2) * scale];
+        nearest = a.map((value, k) => value + ab[k] * v + ac[k] * w);
+    }
+    return Math.hypot(...sub(point, nearest));
+}
+
+/**
+ * The side of a triangle a point lies partway along, if any
+ * @returns {{from: number, to: number, length: number}|null} Its ends and length
+ */
+function sideThrough(point, corners, points, tolerance) {
+    for (let k = 0; k < 3; k++) {
+        const [from, to] = [corners[k], corners[(k + 1) % 3]];
+        const side = sub(points[to], points[from]);
+        const lengthSquared = dot(side, side);
+        const fraction = dot(sub(point, points[from]), side) / lengthSquared;
+        const foot = points[from].map((value, i) => value + side[i] * fraction);
+        if (fraction > 0 && fraction < 1 && Math.hypot(...sub(point, foot)) < tolerance) {
+            return { from, to, length: Math.sqrt(lengthSquared) };
+        }
+    }
+    return null;
+}
+
+/**
+ * Lookup of the triangles that come within `reach` of a point (null triangles are left out)
+ * @returns {function(Array<number>): Array<number>} Indices of the triangles near a point
+ */
+function triangleGrid(points, triangles, reach) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    points.forEach(point => point.forEach((value, k) => {
+        min[k] = Math.min(min[k], value);
+        max[k] = Math.max(max[k], value);
+    }));
+    const cell = Math.max(reach, Math.hypot(...sub(max, min)) / 100);
+    const cellOf = (value) => Math.floor(value / cell);
+    const cells = new Map();
+    triangles.forEach((corners, t) => {
+        if (!corners) {
+            return;
+        }
+        const [from, to] = [Math.min, Math.max].map((pick, end) => [0, 1, 2].map(k => cellOf(pick(...corners.map(id => points[id][k])) + (end ? reach : -reach))));
+        for (let x = from[0]; x <= to[0]; x++) {
+            for (let y = from[1]; y <= to[1]; y++) {
+                for (let z = from[2]; z <= to[2]; z++) {
+                    const key = `${x},${y},${z}`;
+                    if (!cells.has(key)) {
+                        cells.set(key, []);
+                    }
+                    cells.get(key).push(t);
+                }
+            }
+        }
+    });
+    return (point) => cells.get(point.map(cellOf).join(',')) || [];
+}
+
+/**
+ * Hollow any closed triangle mesh by offsetting its surface
+ * Triangles facing an open direction (within OPEN_FACE_ANGLE degrees) and joined to the
+ * mesh's furthest point that way are removed, and the walls are closed with a rim there.
+ * @param {ArrayLike<number>} positions - x, y, z of each triangle's three corners
+ * @param {Object} shell - From readShell
+ * @param {Array<Array<number>>} [openDirections] - Unit direction of each open face, in the
+ *   same coordinates as the positions
+ * @returns {Float32Array} x, y, z of each triangle's three corners of the hollow mesh
+ */
+export function shellSurface(positions, shell, openDirections = []) {
+    const { points, triangles } = repairMesh(positions);
+    const crosses = triangles.map(([a, b, c]) => cross(sub(points[b], points[a]), sub(points[c], points[a])));
+    const normals = crosses.map(unit);
+    const areas = crosses.map(vector => Math.hypot(...vector) / 2);
+    const size = points.reduce((most, point) => Math.max(most, ...point.map(Math.abs)), 0);
+    const tolerance = (size || 1) * 1e-6;
+    const pointTriangles = points.map(() => []);
+    triangles.forEach((corners, t) => corners.forEach(id => pointTriangles[id].push(t)));
+
+    // Open faces: spread from the triangles reaching furthest each way to those they touch
+    const open = new Array(triangles.length).fill(false);
+    const facing = Math.cos(OPEN_FACE_ANGLE * Math.PI / 180);
+    for (const direction of openDirections) {
+        const reach = points.reduce((most, point) => Math.max(most, dot(point, direction)), -Infinity);
+        const faces = (t) => !open[t] && dot(normals[t], direction) > facing;
+        const queue = triangles
+            .map((corners, t) => t)
+            .filter(t => faces(t) && triangles[t].some(id => dot(points[id], direction) > reach - tolerance * 10));
+        queue.forEach(t => { open[t] = true; });
+        while (queue.length > 0) {
+            for (const id of triangles[queue.pop()]) {
+                for (const next of pointTriangles[id].filter(faces)) {
+                    open[next] = true;
+                    queue.push(next);
+                }
+            }
+        }
+    }
+
+    // Move each point of the kept faces off the surface, far enough from all the faces nearby:
+    // those it's on first (boolean results leave points partway along other triangles'
+    // sides), then any it ended up too close to (like those across a hole it's next to)
+    const nearby = triangleGrid(points, triangles.map((corners, t) => (open[t] ? null : corners)), shell.thickness);
+    const cornersOf = (t) => triangles[t].map(corner => points[corner]);
+    const sign = shell.outward ? 1 : -1;
+    const reach = shell.thickness * (1 - 1e-3);
+    const alongSide = points.map(() => null);
+    const offsets = points.map((point, id) => {
+        const faces = new Set(pointTriangles[id].filter(t => !open[t]));
+        if (faces.size === 0) {
+            return point;
+        }
+        for (const t of nearby(point)) {
+            if (!faces.has(t) && distanceToTriangle(point, cornersOf(t)) < tolerance) {
+                faces.add(t);
+                const side = sideThrough(point, triangles[t], points, tolerance);
+                if (side && (!alongSide[id] || side.length > alongSide[id].length)) {
+                    alongSide[id] = side;
+                }
+            }
+        }
+        // On a face or an edge, a point along a side stays on it (a corner of its own doesn't)
+        if (distinctNormals([...faces].map(t => normals[t])).length > 2) {
+            alongSide[id] = null;
+        }
+        let offset = point;
+        for (let pass = 0; pass < 3; pass++) {
+            offset = offsetAt([...faces].map(t => ({ normal: normals[t], area: areas[t] })), shell.thickness).map((value, k) => point[k] + value * sign * shell.thickness);
+            const tooClose = nearby(offset).filter(t => {
+                const ahead = sign * dot(sub(offset, points[triangles[t][0]]), normals[t]);
+                return !faces.has(t) && ahead > -tolerance && ahead < reach && distanceToTriangle(offset, cornersOf(t)) < reach;
+            });
+            if (tooClose.length === 0) {
+                break;
+            }
+            tooClose.forEach(t => faces.add(t));
+        }
+        return offset;
+    });
+    const moved = [];
+    const place = (id, placing = new Set()) => {
+        const side = alongSide[id];
+        if (!moved[id] && side && !placing.has(id)) {
+            placing.add(id);
+            // Onto the moved side, short of its ends
+            const [from, to] = [place(side.from, placing), place(side.to, placing)];
+            const along = sub(to, from);
+            const fraction = Math.min(1, Math.max(0, dot(sub(offsets[id], from), along) / (dot(along, along) || 1)));
+            moved[id] = from.map((value, k) => value + along[k] * fraction);
+        }
+        return moved[id] || offsets[id];
+    };
+    points.forEach((point, id) => {
+        moved[id] = place(id);
+    });
+    const [outerPoints, innerPoints] = shell.outward ? [moved, points] : [points, moved];
+
+    // The outer surface, the inner one turned inside out, and a rim along the kept sides
+    // that border an opening
+    const nearOpening = triangleGrid(points, triangles.map((corners, t) => (open[t] ? corners : null)), tolerance);
+    const bordersOpening = (from, to) => {
+        const middle = points[from].map((value, k) => (value + points[to][k]) / 2);
+        return nearOpening(middle).some(t => distanceToTriangle(middle, cornersOf(t)) < tolerance);
+    };
+    const result = [];
+    const push = (...corners) => corners.forEach(point => result.push(...point));
+    const keptSides = new Set();
+    triangles.forEach((corners, t) => {
+        if (!open[t]) {
+            corners.forEach((id, k) => keptSides.add(`${id},${corners[(k + 1) % 3]}`));
+        }
+    });
+    triangles.forEach(([a, b, c], t) => {
+        if (open[t]) {
+            return;
+        }
+        push(outerPoints[a], outerPoints[b], outerPoints[c]);
+        push(innerPoints[a], innerPoints[c], innerPoints[b]);
+        for (const [from, to] of [[a, b], [b, c], [c, a]]) {
+            if (!keptSides.has(`${to},${from}`) && bordersOpening(from, to)) {
+                push(outerPoints[to], outerPoints[from], innerPoints[from]);
+                push(outerPoints[to], innerPoints[from], innerPoints[to]);
+            }
+        }
+    });
+    return new Float32Array(result);
+}
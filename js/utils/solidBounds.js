@@ -0,0 +1,309 @@
+/**
+ * Bounding box calculations from solid definitions (before any geometry exists)
+ * Used for derived read-only properties like `other.top` and `other.max`
+ */
+
+import { readRoundSolid, roundSolidExtents } from './roundSolids.js';
+import { sweepExtents } from './sweepPath.js';
+import { loftExtents } from './loftSections.js';
+import { profileLoops } from './profiles.js';
+import { extrusionLayers, layerLoops, isShapedExtrusion } from './extrusionLayers.js';
+import { textShapes } from './textLayout.js';
+import { readPolyhedron } from './polyhedron.js';
+import { getMesh, meshUnitScale } from './meshFiles.js';
+import { MirrorError, mirrorBounds, readMirror } from './mirrorPlane.js';
+import { TransformError, readScale, solidPlacement, transformPoint } from './solidTransforms.js';
+
+/**
+ * 2D extents of an extrusion, revolve or sweep profile
+ * @param {Object|Array} profile - Profile definition, or a list of points
+ * @returns {{xs: Array<number>, ys: Array<number>}|null} [min, max] along the profile's X and Y,
+ *   or null if the profile isn't valid
+ */
+export function getProfileExtents(profile) {
+    let outline;
+    try {
+        ({ outline } = profileLoops(profile));
+    } catch (e) {
+        return null;
+    }
+    const xs = outline.map(point => point[0]);
+    const ys = outline.map(point => point[1]);
+    return { xs: [Math.min(...xs), Math.max(...xs)], ys: [Math.min(...ys), Math.max(...ys)] };
+}
+
+/**
+ * Local extents of a twisted, tapered, drafted or shaped-end extrusion, from its layers
+ */
+function getShapedExtrusionExtents(solid) {
+    let layers;
+    let outline;
+    try {
+        ({ outline } = profileLoops(solid.profile));
+        layers = extrusionLayers(solid).map(layer => ({ z: layer.z, outline: layerLoops([outline], layer)[0] }));
+    } catch (e) {
+        return null;
+    }
+    const points = layers.flatMap(layer => layer.outline.map(([x, y]) => [x, y, layer.z]));
+    return [0, 1].map(end => [0, 1, 2].map(axis => (end === 0 ? Math.min : Math.max)(...points.map(point => point[axis]))));
+}
+
+/**
+ * Local extents of text, from its laid out outlines
+ */
+function getTextExtents(solid) {
+    let layout;
+    try {
+        layout = textShapes(solid);
+    } catch (e) {
+        return null;
+    }
+    const points = layout.shapes.flatMap(shape => shape.outline);
+    const [xs, ys] = [0, 1].map(axis => points.map(point => point[axis]));
+    return [
+        [Math.min(...xs), Math.min(...ys), -layout.depth / 2],
+        [Math.max(...xs), Math.max(...ys), layout.depth / 2]
+    ];
+}
+
+/**
+ * Local extents of a mesh file's points, in the model's units
+ */
+function getMeshExtents(solid) {
+    const mesh = getMesh(solid.file);
+    let scale;
+    try {
+        scale = meshUnitScale(solid);
+    } catch (e) {
+        return null;
+    }
+    if (!mesh) {
+        return null;
+    }
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (const point of mesh.points) {
+        for (let axis = 0; axis < 3; axis++) {
+            const value = point[axis] * scale;
+            min[axis] = Math.min(min[axis], value);
+            max[axis] = Math.max(max[axis], value);
+        }
+    }
+    return [min, max];
+}
+
+/**
+ * Local extents of a revolve: the profile turned around Z, then pointed along its axis
+ */
+function getRevolveExtents(solid) {
+    const extents = getProfileExtents(solid.profile);
+    if (!extents) {
+        return null;
+    }
+    const { xs, ys } = extents;
+    const [offsetX, offsetY] = solid.offset || [0, 0];
+    const inner = Math.max(0, xs[0] + offsetX);
+    const outer = xs[1] + offsetX;
+    const around = roundSolidExtents({
+        bottomRadius: outer,
+        topRadius: outer,
+        innerBottomRadius: inner,
+        innerTopRadius: inner,
+        sweepAngle: solid.angle ?? 360
+    });
+    const along = [ys[0] + offsetY, ys[1] + offsetY];
+
+    // Turning Z onto X maps (x, y, z) to (z, y, -x); turning Z onto Y maps it to (x, z, -y)
+    switch (typeof solid.axis === 'string' ? solid.axis.toLowerCase() : solid.axis ?? 'z') {
+        case 'z':
+            return [[around.xs[0], around.ys[0], along[0]], [around.xs[1], around.ys[1], along[1]]];
+        case 'x':
+            return [[along[0], around.ys[0], -around.xs[1]], [along[1], around.ys[1], -around.xs[0]]];
+        case 'y':
+            return [[around.xs[0], along[0], -around.ys[1]], [around.xs[1], along[1], -around.ys[0]]];
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get the local (unrotated, unanchored) extents of a solid as [min, max] corners
+ * relative to the geometry origin
+ * @param {Object} solid - Solid definition with numeric properties
+ * @returns {Array<Array<number>>|null} [[minX, minY, minZ], [maxX, maxY, maxZ]] or null if unknown
+ */
+export function getLocalExtents(solid) {
+    const half = (x, y, z) => [[-x, -y, -z], [x, y, z]];
+
+    switch (solid.shape) {
+        case 'cuboid': {
+            const size = solid.size || [1, 1, 1];
+            return half(Math.abs(size[0]) / 2, Math.abs(size[1]) / 2, Math.abs(size[2]) / 2);
+        }
+        case 'cylinder':
+        case 'cone': {
+            let dimensions;
+            try {
+                dimensions = readRoundSolid(solid);
+            } catch (e) {
+                return null;
+            }
+            const { xs, ys } = roundSolidExtents(dimensions);
+            return [[xs[0], ys[0], -dimensions.length / 2], [xs[1], ys[1], dimensions.length / 2]];
+        }
+        case 'sphere': {
+            const r = (solid.diameter || 1) / 2;
+            return half(r, r, r);
+        }
+        case 'toroid': {
+            const major = solid.major_radius || solid.radius || 1;
+            const minor = solid.minor_radius || solid.tube_radius || 0.3;
+            return half(major + minor, major + minor, minor);
+        }
+        case 'extrusion': {
+            if (isShapedExtrusion(solid)) {
+                return getShapedExtrusionExtents(solid);
+            }
+            const extents = getProfileExtents(solid.profile);
+            if (!extents) {
+                return null;
+            }
+            const { xs, ys } = extents;
+            const length = solid.length || 1;
+            return [
+                [xs[0], ys[0], -length / 2],
+                [xs[1], ys[1], length / 2]
+            ];
+        }
+        case 'revolve':
+            return getRevolveExtents(solid);
+        case 'sweep': {
+            const extents = getProfileExtents(solid.profile);
+            try {
+                return extents && sweepExtents(solid, extents);
+            } catch (e) {
+                return null;
+            }
+        }
+        case 'loft':
+            try {
+                return loftExtents(solid);
+            } catch (e) {
+                return null;
+            }
+        case 'text':
+            return getTextExtents(solid);
+        case 'mesh':
+            return getMeshExtents(solid);
+        case 'polyhedron': {
+            let faces;
+            let points;
+            try {
+                ({ points, faces } = readPolyhedron(solid));
+            } catch (e) {
+                return null;
+            }
+            const used = [...new Set(faces.flat())].map(index => points[index]);
+            return [0, 1].map(end => [0, 1, 2].map(axis => (end === 0 ? Math.min : Math.max)(...used.map(point => point[axis]))));
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Compute the world-space axis-aligned bounding box of a solid definition,
+ * honouring scale, anchor, rotation, pivot, center, transforms and mirror (modifiers are ignored)
+ * @param {Object} solid - Solid definition with numeric properties
+ * @returns {{min: Array<number>, max: Array<number>}|null} Bounds or null if unknown
+ */
+export function computeSolidBounds(solid) {
+    const extents = getLocalExtents(solid);
+    if (!extents) {
+        return null;
+    }
+
+    let [min, max] = extents;
+
+    try {
+        // Scale comes first, so the anchor refers to the scaled shape
+        if (solid.scale !== undefined) {
+            const scale = readScale(solid.scale);
+            [min, max] = [Math.min, Math.max].map(pick => [0, 1, 2].map(axis => pick(min[axis] * scale[axis], max[axis] * scale[axis])));
+        }
+        return placeBounds(solid, min, max);
+    } catch (e) {
+        if (e instanceof TransformError || e instanceof MirrorError) {
+            return null;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Bounds of a solid's scaled local extents once anchored, placed and mirrored
+ */
+function placeBounds(solid, min, max) {
+    // Anchor moves the geometry so the anchor point sits at the origin
+    if (solid.anchor) {
+        const offset = [0, 1, 2].map(axis => {
+            const anchor = solid.anchor[axis] !== undefined ? Math.max(0, Math.min(1, solid.anchor[axis])) : 0.5;
+            return min[axis] + (max[axis] - min[axis]) * anchor;
+        });
+        min = min.map((v, axis) => v - offset[axis]);
+        max = max.map((v, axis) => v - offset[axis]);
+    }
+
+    const placement = solidPlacement(solid);
+    const corners = [];
+    for (const x of [min[0], max[0]]) {
+        for (const y of [min[1], max[1]]) {
+            for (const z of [min[2], max[2]]) {
+                corners.push(transformPoint(placement, [x, y, z]));
+            }
+        }
+    }
+    const bounds = {
+        min: [0, 1, 2].map(axis => Math.min(...corners.map(c => c[axis]))),
+        max: [0, 1, 2].map(axis => Math.max(...corners.map(c => c[axis])))
+    };
+
+    // The mirror option reflects the solid where it's placed
+    return solid.mirror !== undefined ? mirrorBounds(bounds, readMirror(solid.mirror)) : bounds;
+}
+
+/**
+ * Read-only properties derived from a solid's definition
+ */
+export const DERIVED_PROPERTIES = ['top', 'bottom', 'min', 'max', 'radius'];
+
+/**
+ * Get a derived property value
+ * @param {Object} solid - Solid definition with numeric properties
+ * @param {string} property - One of DERIVED_PROPERTIES
+ * @returns {number|Array<number>|undefined} Value, or undefined if it can't be derived
+ */
+export function getDerivedProperty(solid, property) {
+    if (property === 'radius') {
+        if (typeof solid.diameter === 'number') {
+            return solid.diameter / 2;
+        }
+        if (typeof solid.major_radius === 'number') {
+            return solid.major_radius;
+        }
+        return undefined;
+    }
+
+    const bounds = computeSolidBounds(solid);
+    if (!bounds) {
+        return undefined;
+    }
+
+    switch (property) {
+        case 'top': return bounds.max[2];
+        case 'bottom': return bounds.min[2];
+        case 'min': return bounds.min;
+        case 'max': return bounds.max;
+    }
+    return undefined;
+}
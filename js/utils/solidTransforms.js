@@ -0,0 +1,263 @@
+/**
+ * Where a solid goes: its scale, its rotation about a pivot, its center, then a list of
+ * transforms applied in the order they're written
+ *
+ *   door:
+ *       shape: cuboid
+ *       size: [20, 2, 40]
+ *       scale: [1, 1, 1.5]             # a number or [x, y, z], about the solid's own origin
+ *       center: [10, 0, 30]
+ *       rotation: [0, 0, 30]
+ *       pivot: [-10, 0, 0]             # the point rotation turns about, from the center
+ *       transforms:                    # in model coordinates, after everything else
+ *           - translate: [0, 5, 0]
+ *           - rotate: { axis: z, angle: 90, point: [0, 0, 0] }
+ *           - scale: 2                 # about the origin
+ *           - matrix: [[1, 0, 0.2, 0], [0, 1, 0, 0], [0, 0, 1, 0]]
+ *
+ * The solid is scaled before its anchor is applied, so the anchor refers to the scaled shape.
+ * Matrices are three rows [a, b, c, d], taking [x, y, z] to a·x + b·y + c·z + d.
+ */
+
+/**
+ * Problem with a solid's scale, pivot or transforms, naming the property at fault
+ * (e.g. "transforms[2].rotate.axis")
+ */
+export class TransformError extends Error {
+    constructor(message, property) {
+        super(message);
+        this.property = property;
+    }
+}
+
+/**
+ * Kinds of step in a `transforms` list
+ */
+export const TRANSFORM_STEPS = ['translate', 'rotate', 'scale', 'matrix'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(isNumber);
+
+/**
+ * Rotate a point by Euler angles in degrees (XYZ order, matching mesh.rotation)
+ * @param {Array<number>} point - [x, y, z]
+ * @param {Array<number>} rotation - [x, y, z] in degrees
+ * @returns {Array<number>} Rotated point
+ */
+export function rotatePoint(point, rotation) {
+    let [x, y, z] = point;
+    const rotX = (rotation[0] || 0) * Math.PI / 180;
+    const rotY = (rotation[1] || 0) * Math.PI / 180;
+    const rotZ = (rotation[2] || 0) * Math.PI / 180;
+
+    // Rotate around Z, then Y, then X
+    if (rotZ !== 0) {
+        [x, y] = [x * Math.cos(rotZ) - y * Math.sin(rotZ), x * Math.sin(rotZ) + y * Math.cos(rotZ)];
+    }
+    if (rotY !== 0) {
+        [x, z] = [x * Math.cos(rotY) + z * Math.sin(rotY), -x * Math.sin(rotY) + z * Math.cos(rotY)];
+    }
+    if (rotX !== 0) {
+        [y, z] = [y * Math.cos(rotX) - z * Math.sin(rotX), y * Math.sin(rotX) + z * Math.cos(rotX)];
+    }
+    return [x, y, z];
+}
+
+/**
+ * Matrix with the given columns for x, y and z, moving the origin to `offset`
+ */
+function matrixFrom(columns, offset = [0, 0, 0]) {
+    return [0, 1, 2].map(row => [columns[0][row], columns[1][row], columns[2][row], offset[row]]);
+}
+
+const translation = (offset) => matrixFrom([[1, 0, 0], [0, 1, 0], [0, 0, 1]], offset);
+
+/**
+ * The matrix doing `second` after `first`
+ */
+export function combineMatrices(second, first) {
+    return [0, 1, 2].map(row => [0, 1, 2, 3].map(column => [0, 1, 2].reduce(
+        (sum, k) => sum + second[row][k] * first[k][column],
+        column === 3 ? second[row][3] : 0
+    )));
+}
+
+/**
+ * Apply a matrix to a point
+ * @param {Array<Array<number>>} matrix - Three rows of four
+ * @param {Array<number>} point - [x, y, z]
+ * @returns {Array<number>}
+ */
+export function transformPoint(matrix, point) {
+    return matrix.map(row => row[0] * point[0] + row[1] * point[1] + row[2] * point[2] + row[3]);
+}
+
+/**
+ * Apply a matrix to a direction (ignoring its translation)
+ */
+export function transformDirection(matrix, direction) {
+    return matrix.map(row => row[0] * direction[0] + row[1] * direction[1] + row[2] * direction[2]);
+}
+
+/**
+ * Determinant of a matrix's 3x3 part (negative when it mirrors)
+ */
+export function determinant([[a, b, c], [d, e, f], [g, h, i]]) {
+    return a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+}
+
+/**
+ * Whether a matrix only turns and moves, without scaling, shearing or mirroring
+ */
+export function isRigid(matrix) {
+    const columns = [0, 1, 2].map(column => matrix.map(row => row[column]));
+    const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    return columns.every((column, i) => columns.every((other, j) => Math.abs(dot(column, other) - (i === j ? 1 : 0)) < 1e-9))
+        && determinant(matrix) > 0;
+}
+
+/**
+ * Whether a solid's geometry is its definition's shape, only turned and moved into place
+ * (modifiers that rebuild a solid from its definition rely on it)
+ * @param {Object} solid - Solid definition with numeric properties
+ * @returns {boolean}
+ * @throws {TransformError} If the pivot or a transform isn't well formed
+ */
+export function keepsOwnShape(solid) {
+    return solid.scale === undefined && isRigid(solidPlacement(solid));
+}
+
+/**
+ * Read a scale: a number or [x, y, z], none of them 0
+ * @returns {Array<number>} [x, y, z] factors
+ * @throws {TransformError}
+ */
+export function readScale(scale) {
+    const factors = Array.isArray(scale) ? scale : [scale, scale, scale];
+    if (!isVector(factors) || factors.includes(0)) {
+        throw new TransformError(`"scale" should be a number or [x, y, z], none of them 0, got ${JSON.stringify(scale)}`, 'scale');
+    }
+    return factors;
+}
+
+/**
+ * Read an axis: x, y or z, or an [x, y, z] direction, as a unit vector
+ */
+function readAxis(axis, property, label) {
+    const named = typeof axis === 'string' ? ['x', 'y', 'z'].indexOf(axis.toLowerCase()) : -1;
+    if (named >= 0) {
+        return [0, 1, 2].map(k => (k === named ? 1 : 0));
+    }
+    const length = isVector(axis) ? Math.hypot(...axis) : 0;
+    if (length === 0) {
+        throw new TransformError(`${label} "axis" should be x, y, z or an [x, y, z] direction, got ${JSON.stringify(axis)}`, property);
+    }
+    return axis.map(value => value / length);
+}
+
+/**
+ * Matrix turning `angle` degrees about an axis through a point (right-handed)
+ */
+function rotationAbout([x, y, z], angle, point) {
+    const radians = angle * Math.PI / 180;
+    const [cos, sin] = [Math.cos(radians), Math.sin(radians)];
+    const t = 1 - cos;
+    const turn = matrixFrom([
+        [t * x * x + cos, t * x * y + sin * z, t * x * z - sin * y],
+        [t * x * y - sin * z, t * y * y + cos, t * y * z + sin * x],
+        [t * x * z + sin * y, t * y * z - sin * x, t * z * z + cos]
+    ]);
+    return combineMatrices(translation(point), combineMatrices(turn, translation(point.map(value => -value))));
+}
+
+/**
+ * Read one step of a `transforms` list as a matrix
+ */
+function readStep(step, index) {
+    const property = `transforms[${index}]`;
+    const keys = step && typeof step === 'object' && !Array.isArray(step) ? Object.keys(step) : [];
+    if (keys.length !== 1 || !TRANSFORM_STEPS.includes(keys[0])) {
+        throw new TransformError(`transform ${index} should be a mapping with one of ${TRANSFORM_STEPS.join(', ')}, got ${JSON.stringify(step)}`, property);
+    }
+    const [kind] = keys;
+    const value = step[kind];
+    const at = `${property}.${kind}`;
+    switch (kind) {
+        case 'translate':
+            if (!isVector(value)) {
+                throw new TransformError(`transform ${index} "translate" should be [x, y, z], got ${JSON.stringify(value)}`, at);
+            }
+            return translation(value);
+
+        case 'rotate': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                throw new TransformError(`transform ${index} "rotate" should be a mapping with "axis" and "angle", got ${JSON.stringify(value)}`, at);
+            }
+            const { axis, angle, point = [0, 0, 0] } = value;
+            const missing = ['axis', 'angle'].find(key => value[key] === undefined);
+            if (missing) {
+                throw new TransformError(`transform ${index} "rotate" is missing "${missing}"`, at);
+            }
+            if (!isNumber(angle)) {
+                throw new TransformError(`transform ${index} "angle" should be a number of degrees, got ${JSON.stringify(angle)}`, `${at}.angle`);
+            }
+            if (!isVector(point)) {
+                throw new TransformError(`transform ${index} "point" should be [x, y, z], got ${JSON.stringify(point)}`, `${at}.point`);
+            }
+            return rotationAbout(readAxis(axis, `${at}.axis`, `transform ${index}`), angle, point);
+        }
+
+        case 'scale': {
+            let factors;
+            try {
+                factors = readScale(value);
+            } catch (e) {
+                throw new TransformError(`transform ${index} ${e.message}`, at);
+            }
+            const [x, y, z] = factors;
+            return matrixFrom([[x, 0, 0], [0, y, 0], [0, 0, z]]);
+        }
+
+        case 'matrix': {
+            // A fourth row is allowed when it's the one every affine matrix has
+            const lastRow = Array.isArray(value) && value.length === 4 && Array.isArray(value[3]) ? value[3] : null;
+            const rows = lastRow && lastRow.length === 4 && lastRow.every((entry, k) => entry === (k === 3 ? 1 : 0)) ? value.slice(0, 3) : value;
+            if (!Array.isArray(rows) || rows.length !== 3 || !rows.every(row => Array.isArray(row) && row.length === 4 && row.every(isNumber))) {
+                throw new TransformError(`transform ${index} "matrix" should be three rows of four numbers (a fourth row must be [0, 0, 0, 1]), got ${JSON.stringify(value)}`, at);
+            }
+            if (Math.abs(determinant(rows)) < 1e-12) {
+                throw new TransformError(`transform ${index} "matrix" flattens the solid (its determinant is 0)`, at);
+            }
+            return rows.map(row => [...row]);
+        }
+    }
+    return null;
+}
+
+/**
+ * Matrix placing a solid's (scaled, anchored) geometry in the model: its rotation about the
+ * pivot, its center, then its transforms in order
+ * @param {Object} solid - Solid definition with numeric properties
+ * @returns {Array<Array<number>>} Three rows of four
+ * @throws {TransformError} If the pivot or a transform isn't well formed
+ */
+export function solidPlacement(solid) {
+    const center = solid.center || [0, 0, 0];
+    const pivot = solid.pivot ?? [0, 0, 0];
+    if (!isVector(pivot)) {
+        throw new TransformError(`"pivot" should be [x, y, z], got ${JSON.stringify(pivot)}`, 'pivot');
+    }
+    const rotation = solid.rotation || [0, 0, 0];
+    const columns = [[1, 0, 0], [0, 1, 0], [0, 0, 1]].map(axis => rotatePoint(axis, rotation));
+    const turned = rotatePoint(pivot, rotation);
+    let matrix = matrixFrom(columns, [0, 1, 2].map(k => (center[k] || 0) + pivot[k] - turned[k]));
+
+    const steps = solid.transforms ?? [];
+    if (!Array.isArray(steps)) {
+        throw new TransformError(`"transforms" should be a list of steps (${TRANSFORM_STEPS.join(', ')}), got ${JSON.stringify(steps)}`, 'transforms');
+    }
+    steps.forEach((step, index) => {
+        matrix = combineMatrices(readStep(step, index), matrix);
+    });
+    return matrix;
+}
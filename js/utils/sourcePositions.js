@@ -0,0 +1,204 @@
+/**
+ * Source positions for YAML documents
+ * Maps property paths (e.g. "solids.base.center.2") to line/column in the YAML text
+ */
+
+/**
+ * Remove a trailing comment from a line (a # preceded by whitespace, outside quotes)
+ */
+function stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quote) {
+            if (ch === quote) {
+                quote = null;
+            }
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+/**
+ * Match a mapping key at the start of text
+ * @returns {{key: string, valueOffset: number}|null}
+ */
+function matchKey(text) {
+    const match = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"\[\]{},][^#]*?)\s*:(?=\s|$)/.exec(text);
+    if (!match) {
+        return null;
+    }
+    let key = match[1];
+    if (key.startsWith('"') || key.startsWith("'")) {
+        key = key.slice(1, -1);
+    }
+    const rest = text.slice(match[0].length);
+    return { key, valueOffset: match[0].length + (rest.length - rest.trimStart().length) };
+}
+
+/**
+ * Record positions of the elements of a flow collection ([a, b] or {a: 1})
+ * @param {string} text - Line text starting at the collection's opening bracket
+ * @param {number} startColumn - 0-based column of text[0]
+ */
+function recordFlowPositions(text, startColumn, line, path, positions) {
+    const stack = [];
+    let quote = null;
+    let expectingItem = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === quote) {
+                quote = null;
+            }
+            continue;
+        }
+
+        const top = stack[stack.length - 1];
+
+        if (expectingItem && !/\s/.test(ch) && ch !== ']' && ch !== '}') {
+            expectingItem = false;
+            if (top.type === 'sequence') {
+                const itemPath = [...top.path, top.count++];
+                positions.set(itemPath.join('.'), { line, column: startColumn + i + 1 });
+                top.current = itemPath;
+            } else {
+                const keyMatch = matchKey(text.slice(i).replace(/[,}].*$/, ''));
+                if (keyMatch) {
+                    const itemPath = [...top.path, keyMatch.key];
+                    positions.set(itemPath.join('.'), { line, column: startColumn + i + 1 });
+                    top.current = itemPath;
+                }
+            }
+        }
+
+        if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '[' || ch === '{') {
+            const parentPath = top ? top.current : path;
+            stack.push({ type: ch === '[' ? 'sequence' : 'mapping', path: parentPath, count: 0, current: parentPath });
+            expectingItem = true;
+        } else if (ch === ']' || ch === '}') {
+            stack.pop();
+            if (stack.length === 0) {
+                return;
+            }
+        } else if (ch === ',' && top) {
+            expectingItem = true;
+        }
+    }
+}
+
+/**
+ * Build a map of property paths to source positions
+ * Handles block mappings/sequences and single-line flow collections, which covers
+ * the way JermCAD models are written. Lines and columns are 1-based.
+ * @param {string} yamlText - YAML source
+ * @returns {Map<string, {line: number, column: number}>} Path ("solids.base.size.0") to position
+ */
+export function buildPositionMap(yamlText) {
+    const positions = new Map();
+    const lines = yamlText.split(/\r?\n/);
+    const root = { indent: -1, kind: 'root', path: [], itemCount: 0 };
+    const stack = [root];
+    let blockScalarIndent = -1;
+
+    const top = () => stack[stack.length - 1];
+
+    for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+        const line = lineIndex + 1;
+        const raw = lines[lineIndex];
+        const indent = raw.length - raw.trimStart().length;
+
+        // Skip the body of block scalars (| and >)
+        if (blockScalarIndent >= 0) {
+            if (raw.trim() === '' || indent > blockScalarIndent) {
+                continue;
+            }
+            blockScalarIndent = -1;
+        }
+
+        const content = stripComment(raw).trimEnd();
+        if (content.trim() === '') {
+            continue;
+        }
+        if (content === '---' || content === '...') {
+            stack.length = 1;
+            root.itemCount = 0;
+            continue;
+        }
+
+        let column = indent;
+        let text = content.slice(indent);
+
+        // Sequence items, possibly nested ("- - x") or holding a mapping ("- key: value")
+        while (text === '-' || text.startsWith('- ')) {
+            while (top().indent > column || (top().indent === column && top().kind === 'item')) {
+                stack.pop();
+            }
+            const parent = top();
+            const path = [...parent.path, parent.itemCount++];
+            positions.set(path.join('.'), { line, column: column + 1 });
+            stack.push({ indent: column, kind: 'item', path, itemCount: 0 });
+
+            const rest = text.slice(1);
+            column += 1 + (rest.length - rest.trimStart().length);
+            text = rest.trimStart();
+        }
+        if (text === '') {
+            continue;
+        }
+
+        const keyMatch = matchKey(text);
+        if (keyMatch) {
+            while (top().indent >= column) {
+                stack.pop();
+            }
+            const path = [...top().path, keyMatch.key];
+            positions.set(path.join('.'), { line, column: column + 1 });
+            stack.push({ indent: column, kind: 'key', path, itemCount: 0 });
+
+            const value = text.slice(keyMatch.valueOffset);
+            if (value.startsWith('[') || value.startsWith('{')) {
+                recordFlowPositions(value, column + keyMatch.valueOffset, line, path, positions);
+            } else if (/^[|>]/.test(value)) {
+                blockScalarIndent = indent;
+            }
+        } else if (text.startsWith('[') || text.startsWith('{')) {
+            recordFlowPositions(text, column, line, top().path, positions);
+        }
+    }
+
+    return positions;
+}
+
+/**
+ * Find the position of a path, falling back to the closest ancestor that has one
+ * @param {Map} positions - Map from buildPositionMap
+ * @param {string|Array} path - Dotted path string or array of segments
+ * @returns {{line: number, column: number}|null} Position or null
+ */
+export function locatePath(positions, path) {
+    const segments = Array.isArray(path) ? path.map(String) : splitPath(path);
+    for (let length = segments.length; length > 0; length--) {
+        const position = positions.get(segments.slice(0, length).join('.'));
+        if (position) {
+            return position;
+        }
+    }
+    return null;
+}
+
+/**
+ * Split a display path like `solids.base.center[2]` into segments
+ * @param {string} path - Path string
+ * @returns {Array<string>} Segments
+ */
+export function splitPath(path) {
+    return path.replace(/\[(\d+)\]/g, '.$1').split('.').filter(segment => segment !== '');
+}
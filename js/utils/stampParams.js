@@ -0,0 +1,247 @@
+/**
+ * Stamp parameter declarations and binding instance values to them
+ *
+ *   params:
+ *       - $diameter                  # required, any type
+ *       - $length: 5                 # default value
+ *       - $depth:                    # full declaration
+ *           type: number
+ *           default: 3
+ *           min: 0
+ *           max: 20
+ *           description: Pocket depth
+ *
+ * Instances pass values by name (`depth: 4`) or by position (`args: [3, 10]`).
+ */
+
+import { evaluateExpression, looksLikeExpression } from './expression.js';
+
+export const PARAM_TYPES = ['number', 'vector', 'boolean', 'string'];
+
+/**
+ * Keys of a full parameter declaration
+ */
+export const PARAM_DECLARATION_KEYS = ['type', 'default', 'min', 'max', 'description'];
+
+/**
+ * Whether a value is a full declaration ({ type, default, ... }) rather than a default value
+ */
+function isDeclaration(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        Object.keys(value).some(key => PARAM_DECLARATION_KEYS.includes(key));
+}
+
+/**
+ * Normalize a stamp's `params` to a list of declarations
+ * Accepts a list of `$name` strings and `{ $name: default-or-declaration }` entries, or a
+ * mapping of names to defaults/declarations.
+ * @param {Array|Object|undefined} params - The stamp's `params`
+ * @returns {Array<{name: string, type?: string, default?: *, min?: number, max?: number, description?: string}>|null}
+ *   Declarations in order, or null if the stamp declares no params
+ * @throws {Error} If a declaration is malformed
+ */
+export function normalizeStampParams(params) {
+    if (params === undefined || params === null) {
+        return null;
+    }
+
+    let entries;
+    if (Array.isArray(params)) {
+        entries = params.flatMap(entry => {
+            if (typeof entry === 'string') {
+                return [[entry, undefined]];
+            }
+            if (entry !== null && typeof entry === 'object' && !Array.isArray(entry)) {
+                return Object.entries(entry);
+            }
+            throw new Error(`Parameter declarations should be "$name" or "$name: default", got ${JSON.stringify(entry)}`);
+        });
+    } else if (typeof params === 'object') {
+        entries = Object.entries(params);
+    } else {
+        throw new Error('"params" should be a list of parameter names like [$diameter, $length]');
+    }
+
+    const seen = new Set();
+    return entries.map(([rawName, spec]) => {
+        const name = rawName.replace(/^\$/, '');
+        if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
+            throw new Error(`Invalid parameter name "${rawName}"`);
+        }
+        if (seen.has(name)) {
+            throw new Error(`Parameter "$${name}" is declared twice`);
+        }
+        seen.add(name);
+
+        if (!isDeclaration(spec)) {
+            return spec === undefined || spec === null ? { name } : { name, default: spec };
+        }
+
+        const unknown = Object.keys(spec).filter(key => !PARAM_DECLARATION_KEYS.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`Parameter "$${name}" has unknown setting "${unknown[0]}" (use ${PARAM_DECLARATION_KEYS.join(', ')})`);
+        }
+        if (spec.type !== undefined && !PARAM_TYPES.includes(spec.type)) {
+            throw new Error(`Parameter "$${name}" has unknown type "${spec.type}" (use ${PARAM_TYPES.join(', ')})`);
+        }
+        for (const bound of ['min', 'max']) {
+            if (spec[bound] !== undefined && typeof spec[bound] !== 'number') {
+                throw new Error(`Parameter "$${name}" "${bound}" should be a number`);
+            }
+        }
+        if (spec.min !== undefined && spec.max !== undefined && spec.min > spec.max) {
+            throw new Error(`Parameter "$${name}" has min ${spec.min} greater than max ${spec.max}`);
+        }
+        if (typeof spec.default === 'number' &&
+            ((spec.min !== undefined && spec.default < spec.min) || (spec.max !== undefined && spec.default > spec.max))) {
+            throw new Error(`Parameter "$${name}" default ${spec.default} is outside its range ${spec.min ?? '-inf'}..${spec.max ?? 'inf'}`);
+        }
+        return { name, ...spec };
+    });
+}
+
+/**
+ * Names of a stamp's declared params (without `$`), for shadowing outer params
+ * @param {Array|Object|undefined} params - The stamp's `params`
+ * @returns {Set<string>}
+ */
+export function stampParamNames(params) {
+    try {
+        return new Set((normalizeStampParams(params) || []).map(declaration => declaration.name));
+    } catch (e) {
+        return new Set();
+    }
+}
+
+/**
+ * Evaluate plain math in a value so it can be type- and range-checked
+ * Strings that reference solids are left for reference resolution
+ */
+function evaluateValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(evaluateValue);
+    }
+    if (typeof value === 'string' && looksLikeExpression(value)) {
+        try {
+            return evaluateExpression(value.trim());
+        } catch (e) {
+            return value;
+        }
+    }
+    return value;
+}
+
+/**
+ * Check a bound value against its declaration
+ * @returns {string|null} Problem description, or null if the value is fine
+ */
+function checkValue(declaration, value) {
+    // Strings that couldn't be evaluated yet may still resolve to a number later
+    const pending = typeof value === 'string' && declaration.type !== 'string' && looksLikeExpression(value);
+    const show = JSON.stringify(value);
+
+    switch (declaration.type) {
+        case 'number':
+            if (typeof value !== 'number' && !pending) {
+                return `should be a number, got ${show}`;
+            }
+            break;
+        case 'vector':
+            if (!Array.isArray(value) || !value.every(v => typeof v === 'number' || typeof v === 'string')) {
+                return `should be a list of numbers like [x, y, z], got ${show}`;
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return `should be true or false, got ${show}`;
+            }
+            break;
+        case 'string':
+            if (typeof value !== 'string') {
+                return `should be a string, got ${show}`;
+            }
+            break;
+    }
+
+    if (typeof value === 'number') {
+        if (declaration.min !== undefined && value < declaration.min) {
+            return `is ${value}, below the minimum of ${declaration.min}`;
+        }
+        if (declaration.max !== undefined && value > declaration.max) {
+            return `is ${value}, above the maximum of ${declaration.max}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Bind an instance's values to a stamp's declared params
+ * @param {Array|null} declarations - From normalizeStampParams
+ * @param {Object} instanceParams - Instance properties other than stamp/at/rotate (may include `args`)
+ * @param {function(*, Object): *} substitute - Substitutes already-bound params into a default
+ * @returns {{paramMap: Object, problems: Array<string>}} Values by name, and any problems found
+ */
+export function bindStampParams(declarations, instanceParams, substitute) {
+    const { args, ...named } = instanceParams;
+    const problems = [];
+
+    // Without declarations every instance property is a parameter
+    if (!declarations) {
+        if (args !== undefined) {
+            problems.push('uses "args", but the stamp declares no "params" to bind them to');
+        }
+        return { paramMap: named, problems };
+    }
+
+    const declaredNames = declarations.map(declaration => declaration.name);
+    const takes = declaredNames.length > 0 ? `it takes ${declaredNames.map(n => `$${n}`).join(', ')}` : 'it takes no parameters';
+
+    const values = {};
+    if (args !== undefined) {
+        if (!Array.isArray(args)) {
+            problems.push(`"args" should be a list of values in parameter order (${takes})`);
+        } else {
+            if (args.length > declarations.length) {
+                problems.push(`passes ${args.length} args, but ${takes}`);
+            }
+            args.slice(0, declarations.length).forEach((value, index) => {
+                values[declarations[index].name] = value;
+            });
+        }
+    }
+
+    for (const [key, value] of Object.entries(named)) {
+        const name = key.replace(/^\$/, '');
+        if (!declaredNames.includes(name)) {
+            problems.push(`passes unknown parameter "${key}" (${takes})`);
+        } else if (Object.prototype.hasOwnProperty.call(values, name)) {
+            problems.push(`passes "$${name}" both by name and in "args"`);
+        } else {
+            values[name] = value;
+        }
+    }
+
+    // Bind in declaration order so defaults can use earlier params
+    const paramMap = {};
+    for (const declaration of declarations) {
+        let value;
+        if (Object.prototype.hasOwnProperty.call(values, declaration.name)) {
+            value = values[declaration.name];
+        } else if (declaration.default !== undefined) {
+            value = substitute(declaration.default, paramMap);
+        } else {
+            problems.push(`is missing parameter "$${declaration.name}"${declaration.description ? ` (${declaration.description})` : ''}`);
+            continue;
+        }
+
+        value = evaluateValue(value);
+        const problem = checkValue(declaration, value);
+        if (problem) {
+            problems.push(`parameter "$${declaration.name}" ${problem}`);
+            continue;
+        }
+        paramMap[declaration.name] = value;
+    }
+
+    return { paramMap, problems };
+}
@@ -0,0 +1,394 @@
+/**
+ * Paths and cross-sections of swept solids
+ *
+ *   spring:
+ *       shape: sweep
+ *       profile:
+ *           type: circle
+ *           diameter: 1.5
+ *       path:
+ *           type: helix         # or polyline, arc, bezier (a plain list of points is a polyline)
+ *           radius: 8
+ *           pitch: 3
+ *           turns: 6
+ *       twist: 0                # degrees the profile turns from the start of the path to the end
+ *       scale_end: 1            # size of the profile at the end of the path, a number or [x, y]
+ *
+ * Paths are sampled into polylines. Each point gets a section: the plane the profile is
+ * placed in, as an origin and the 3D directions of the profile's x and y. Sections at
+ * corners are mitered, so neighbouring segments meet exactly.
+ */
+
+import { getSegmentCount } from './qualitySettings.js';
+
+export const SWEEP_PATH_TYPES = ['polyline', 'arc', 'bezier', 'helix'];
+
+/**
+ * Problem with a sweep's path, twist or scale, naming the property at fault
+ */
+export class SweepError extends Error {
+    constructor(message, property) {
+        super(message);
+        this.property = property;
+    }
+}
+
+const add = (a, b) => a.map((value, i) => value + b[i]);
+const subtract = (a, b) => a.map((value, i) => value - b[i]);
+const multiply = (a, factor) => a.map(value => value * factor);
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const length = (a) => Math.hypot(a[0], a[1], a[2]);
+const normalize = (a) => multiply(a, 1 / length(a));
+// Part of `a` perpendicular to the unit vector `b`
+const reject = (a, b) => subtract(a, multiply(b, dot(a, b)));
+
+/**
+ * Read a finite number
+ */
+function readNumber(value, property, fallback) {
+    const number = value ?? fallback;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new SweepError(`"${property}" should be a number, got ${JSON.stringify(number)}`, property);
+    }
+    return number;
+}
+
+function readPositive(value, property, fallback) {
+    const number = readNumber(value, property, fallback);
+    if (!(number > 0)) {
+        throw new SweepError(`"${property}" should be greater than 0, got ${number}`, property);
+    }
+    return number;
+}
+
+/**
+ * Read a list of [x, y] or [x, y, z] points (z defaults to 0)
+ */
+function readPoints(points, property, minimum) {
+    if (!Array.isArray(points) || points.length < minimum) {
+        throw new SweepError(`"${property}" should be a list of at least ${minimum} points like [x, y, z]`, property);
+    }
+    return points.map((point, i) => {
+        if (!Array.isArray(point) || (point.length !== 2 && point.length !== 3)
+            || !point.every(value => typeof value === 'number' && Number.isFinite(value))) {
+            throw new SweepError(`point ${i + 1} of "${property}" should be [x, y] or [x, y, z], got ${JSON.stringify(point)}`, property);
+        }
+        return point.length === 2 ? [point[0], point[1], 0] : [...point];
+    });
+}
+
+/**
+ * Samples of an arc covering `angle` radians, so a full turn gets `segments` steps
+ */
+function arcSteps(angle, segments) {
+    return Math.max(1, Math.ceil(segments * Math.abs(angle) / (Math.PI * 2)));
+}
+
+/**
+ * Polyline through `points`, with corners rounded to `radius` (a number for every corner,
+ * or a list with one entry per point; the ends have no corner)
+ * Radii too big for their corner are shrunk to fit, with a warning.
+ */
+function samplePolyline(path, segments) {
+    const points = readPoints(path.points, 'path.points', 2);
+    const radiusAt = (i) => readNumber(Array.isArray(path.radius) ? path.radius[i] : path.radius, 'path.radius', 0);
+    const result = [points[0]];
+    const warnings = [];
+
+    for (let i = 1; i < points.length - 1; i++) {
+        const corner = points[i];
+        const incoming = subtract(corner, points[i - 1]);
+        const outgoing = subtract(points[i + 1], corner);
+        const radius = radiusAt(i);
+        if (radius < 0) {
+            throw new SweepError(`"path.radius" should not be negative, got ${radius}`, 'path.radius');
+        }
+        if (radius === 0 || length(incoming) === 0 || length(outgoing) === 0) {
+            result.push(corner);
+            continue;
+        }
+        const directionIn = normalize(incoming);
+        const directionOut = normalize(outgoing);
+        const turn = Math.acos(Math.min(1, Math.max(-1, dot(directionIn, directionOut))));
+        if (turn < 1e-9) {
+            result.push(corner);
+            continue;
+        }
+
+        // The arc meets each leg `setback` from the corner; it can use at most half of each leg
+        let setback = radius * Math.tan(turn / 2);
+        const room = Math.min(length(incoming), length(outgoing)) / 2;
+        if (setback > room) {
+            warnings.push({
+                message: `"path" corner ${i + 1} is too tight for radius ${radius}; using ${+(room / Math.tan(turn / 2)).toFixed(6)}`,
+                property: `path.points[${i}]`
+            });
+            setback = room;
+        }
+        const arcRadius = setback / Math.tan(turn / 2);
+        const start = subtract(corner, multiply(directionIn, setback));
+        const center = add(start, multiply(normalize(reject(directionOut, directionIn)), arcRadius));
+        const fromCenter = subtract(start, center);
+        const steps = arcSteps(turn, segments);
+        for (let step = 0; step <= steps; step++) {
+            const angle = turn * step / steps;
+            result.push(add(center, add(multiply(fromCenter, Math.cos(angle)), multiply(directionIn, arcRadius * Math.sin(angle)))));
+        }
+    }
+
+    result.push(points[points.length - 1]);
+    return { points: result, warnings };
+}
+
+/**
+ * Arc around the Z axis in the XY plane, from `start_angle` turning `angle` degrees
+ * (counter-clockwise when positive)
+ */
+function sampleArc(path, segments) {
+    const radius = readPositive(path.radius, 'path.radius');
+    const angle = readNumber(path.angle, 'path.angle', 90);
+    if (angle === 0 || Math.abs(angle) >= 360) {
+        throw new SweepError(`"path.angle" should be between -360 and 360 and not 0, got ${angle}; use a revolve for a full ring`, 'path.angle');
+    }
+    const startAngle = readNumber(path.start_angle, 'path.start_angle', 0) * Math.PI / 180;
+    const sweep = angle * Math.PI / 180;
+    const steps = arcSteps(sweep, segments);
+    const points = [];
+    for (let step = 0; step <= steps; step++) {
+        const theta = startAngle + sweep * step / steps;
+        points.push([radius * Math.cos(theta), radius * Math.sin(theta), 0]);
+    }
+    return { points };
+}
+
+/**
+ * Cubic Bézier curves: [start, control, control, end, control, control, end, ...]
+ * Each curve gets steps for how far its direction turns.
+ */
+function sampleBezier(path, segments) {
+    const controls = readPoints(path.points, 'path.points', 4);
+    if ((controls.length - 1) % 3 !== 0) {
+        throw new SweepError(`"path.points" should have 4, 7, 10, ... points (a start, then two controls and an end per curve), got ${controls.length}`, 'path.points');
+    }
+    const result = [controls[0]];
+    for (let first = 0; first < controls.length - 1; first += 3) {
+        const [p0, p1, p2, p3] = controls.slice(first, first + 4);
+        const at = (t) => {
+            const u = 1 - t;
+            return add(add(multiply(p0, u * u * u), multiply(p1, 3 * u * u * t)), add(multiply(p2, 3 * u * t * t), multiply(p3, t * t * t)));
+        };
+
+        // Estimate the turning from a fine sampling
+        let turn = 0;
+        let previous = null;
+        for (let i = 0; i < 32; i++) {
+            const chord = subtract(at((i + 1) / 32), at(i / 32));
+            if (length(chord) === 0) {
+                continue;
+            }
+            const direction = normalize(chord);
+            if (previous) {
+                turn += Math.acos(Math.min(1, Math.max(-1, dot(previous, direction))));
+            }
+            previous = direction;
+        }
+        const steps = arcSteps(turn, segments);
+        for (let step = 1; step <= steps; step++) {
+            result.push(at(step / steps));
+        }
+    }
+    return { points: result };
+}
+
+/**
+ * Helix around the Z axis, centered on the origin along Z and starting at [radius, 0]
+ * Normals point away from the axis, so the profile keeps its x outwards (threads).
+ */
+function sampleHelix(path, segments) {
+    const radius = readPositive(path.radius, 'path.radius');
+    const pitch = readPositive(path.pitch, 'path.pitch');
+    const turns = readPositive(path.turns, 'path.turns');
+    const handedness = path.handedness ?? 'right';
+    if (handedness !== 'right' && handedness !== 'left') {
+        throw new SweepError(`"path.handedness" should be right or left, got ${JSON.stringify(handedness)}`, 'path.handedness');
+    }
+    const direction = handedness === 'right' ? 1 : -1;
+    const height = pitch * turns;
+    const steps = Math.max(2, Math.ceil(segments * turns));
+    const points = [];
+    const normals = [];
+    for (let step = 0; step <= steps; step++) {
+        const theta = direction * Math.PI * 2 * turns * step / steps;
+        points.push([radius * Math.cos(theta), radius * Math.sin(theta), -height / 2 + height * step / steps]);
+        normals.push([Math.cos(theta), Math.sin(theta), 0]);
+    }
+    return { points, normals };
+}
+
+/**
+ * Sample a sweep path into a polyline
+ * @param {Object|Array} path - Path definition, or a list of points (a polyline)
+ * @param {number} segments - Steps for a full turn of a curve
+ * @returns {{points: Array<Array<number>>, normals: Array<Array<number>>|undefined, warnings: Array<{message, property}>}}
+ *   Points without repeats; helices also give the direction the profile's x should point at
+ *   each point. Warnings are about values that had to be adjusted (corner radii)
+ * @throws {SweepError} If the path can't be sampled
+ */
+export function samplePath(path, segments) {
+    if (Array.isArray(path)) {
+        path = { type: 'polyline', points: path };
+    }
+    if (path === null || typeof path !== 'object') {
+        throw new SweepError('"path" should be a list of points or a path with a "type"', 'path');
+    }
+    let sampled;
+    switch (path.type) {
+        case 'polyline': sampled = samplePolyline(path, segments); break;
+        case 'arc': sampled = sampleArc(path, segments); break;
+        case 'bezier': sampled = sampleBezier(path, segments); break;
+        case 'helix': sampled = sampleHelix(path, segments); break;
+        default:
+            throw new SweepError(`has unknown path type ${JSON.stringify(path.type)} (one of: ${SWEEP_PATH_TYPES.join(', ')})`, 'path.type');
+    }
+
+    // Drop repeated points (e.g. a rounded corner that uses a whole leg)
+    const keep = sampled.points.map((point, i) => i === 0 || length(subtract(point, sampled.points[i - 1])) > 1e-9);
+    const points = sampled.points.filter((_, i) => keep[i]);
+    if (points.length < 2) {
+        throw new SweepError('"path" should have some length', 'path');
+    }
+    return { points, normals: sampled.normals?.filter((_, i) => keep[i]), warnings: sampled.warnings ?? [] };
+}
+
+/**
+ * Read `scale_end` as [x, y]
+ */
+function readEndScale(scale = 1) {
+    const [x, y] = Array.isArray(scale) ? scale : [scale, scale];
+    if (![x, y].every(value => typeof value === 'number' && value > 0) || (Array.isArray(scale) && scale.length !== 2)) {
+        throw new SweepError(`"scale_end" should be a number greater than 0 or [x, y], got ${JSON.stringify(scale)}`, 'scale_end');
+    }
+    return [x, y];
+}
+
+/**
+ * Turn `vector` by the smallest rotation that takes unit vector `from` onto `to`
+ */
+function rotateBetween(vector, from, to) {
+    const axis = cross(from, to);
+    const cosine = dot(from, to);
+    return add(add(multiply(vector, cosine), cross(axis, vector)), multiply(axis, dot(axis, vector) / (1 + cosine)));
+}
+
+/**
+ * Sections of a sweep: where the profile is placed along the path
+ *
+ * A profile point [x, y] sits at `origin + x * u + y * v` in each section. At the start of
+ * the path the profile's y points up (+Z), or along +Y when the path starts along Z; the
+ * directions are then carried along the path with the least rotation, so they don't flip
+ * on straight runs. Helices keep the profile's x pointing away from their axis instead.
+ * @param {Object} solid - Sweep definition with numeric properties
+ * @param {number} [segments] - Steps for a full turn of a curve (default: quality setting)
+ * @returns {{sections: Array<{origin, u, v}>, start: Array<number>, end: Array<number>, warnings: Array<{message, property}>}}
+ *   Sections, the path's direction at its start and end, and warnings from samplePath
+ * @throws {SweepError} If the path, twist or scale are invalid
+ */
+export function sweepSections(solid, segments = getSegmentCount()) {
+    let { points, normals, warnings } = samplePath(solid.path, segments);
+    const twist = readNumber(solid.twist, 'twist', 0) * Math.PI / 180;
+    const [scaleX, scaleY] = readEndScale(solid.scale_end);
+
+    // Straight runs need extra sections to twist smoothly
+    if (twist !== 0) {
+        const total = points.slice(1).reduce((sum, point, i) => sum + length(subtract(point, points[i])), 0);
+        const divided = [points[0]];
+        const dividedNormals = normals && [normals[0]];
+        for (let i = 1; i < points.length; i++) {
+            const pieces = Math.max(1, Math.ceil(Math.abs(twist) * length(subtract(points[i], points[i - 1])) / total * segments / (Math.PI * 2)));
+            for (let piece = 1; piece <= pieces; piece++) {
+                const t = piece / pieces;
+                divided.push(add(points[i - 1], multiply(subtract(points[i], points[i - 1]), t)));
+                dividedNormals?.push(add(normals[i - 1], multiply(subtract(normals[i], normals[i - 1]), t)));
+            }
+        }
+        points = divided;
+        normals = dividedNormals;
+    }
+
+    const directions = points.slice(1).map((point, i) => normalize(subtract(point, points[i])));
+    directions.forEach((direction, i) => {
+        if (i > 0 && dot(directions[i - 1], direction) < -1 + 1e-9) {
+            throw new SweepError(`"path" turns back on itself at [${points[i].map(value => +value.toFixed(6)).join(', ')}]`, 'path');
+        }
+    });
+
+    // Profile x and y directions along each segment
+    let x;
+    let y;
+    const frames = directions.map((direction, i) => {
+        if (normals) {
+            x = normalize(reject(normalize(add(normals[i], normals[i + 1])), direction));
+            y = cross(x, direction);
+            if (y[2] < 0) {
+                y = multiply(y, -1); // Keep the profile's y up on left-handed helices
+            }
+        } else if (i === 0) {
+            y = normalize(reject(Math.abs(direction[2]) > 1 - 1e-9 ? [0, 1, 0] : [0, 0, 1], direction));
+            x = cross(y, direction);
+        } else {
+            x = normalize(reject(rotateBetween(x, directions[i - 1], direction), direction));
+            y = normalize(reject(rotateBetween(y, directions[i - 1], direction), direction));
+        }
+        return { x, y };
+    });
+
+    // Distance along the path, for spreading twist and scale
+    const distances = [0];
+    for (let i = 1; i < points.length; i++) {
+        distances.push(distances[i - 1] + length(subtract(points[i], points[i - 1])));
+    }
+    const total = distances[distances.length - 1];
+
+    const sections = points.map((origin, i) => {
+        const frame = frames[Math.max(0, i - 1)];
+        const direction = directions[Math.max(0, i - 1)];
+        // Corners: slide the section along the incoming segment onto the plane halfway between segments
+        const miter = i > 0 && i < points.length - 1 ? normalize(add(directions[i - 1], directions[i])) : direction;
+        const project = (vector) => subtract(vector, multiply(direction, dot(vector, miter) / dot(direction, miter)));
+
+        const t = distances[i] / total;
+        const angle = twist * t;
+        const sx = 1 + (scaleX - 1) * t;
+        const sy = 1 + (scaleY - 1) * t;
+        const u = project(add(multiply(frame.x, Math.cos(angle)), multiply(frame.y, Math.sin(angle))));
+        const v = project(add(multiply(frame.x, -Math.sin(angle)), multiply(frame.y, Math.cos(angle))));
+        return { origin, u: multiply(u, sx), v: multiply(v, sy) };
+    });
+
+    return { sections, start: directions[0], end: directions[directions.length - 1], warnings };
+}
+
+/**
+ * Local extents of a sweep: the corners of the profile's bounding box in every section
+ * @param {Object} solid - Sweep definition with numeric properties
+ * @param {{xs: Array<number>, ys: Array<number>}} profileExtents - From getProfileExtents
+ * @returns {Array<Array<number>>} [[minX, minY, minZ], [maxX, maxY, maxZ]]
+ */
+export function sweepExtents(solid, profileExtents) {
+    const { sections } = sweepSections(solid);
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (const { origin, u, v } of sections) {
+        for (const x of profileExtents.xs) {
+            for (const y of profileExtents.ys) {
+                const point = add(origin, add(multiply(u, x), multiply(v, y)));
+                point.forEach((value, axis) => {
+                    min[axis] = Math.min(min[axis], value);
+                    max[axis] = Math.max(max[axis], value);
+                });
+            }
+        }
+    }
+    return [min, max];
+}
@@ -0,0 +1,192 @@
+/**
+ * Outlines of the text shape, laid out from a font's glyphs
+ *
+ *   label:
+ *       shape: text
+ *       text: JermCAD           # "\n" starts a new line
+ *       font: sans              # bundled (sans, sans_bold, mono) or a font file
+ *       size: 10                # font size; about the height of capital letters
+ *       depth: 2                # along Z, centered like an extrusion
+ *       align: center           # each line's left, center or right at X = 0
+ *       valign: center          # the text's baseline, top, center or bottom at Y = 0
+ *       letter_spacing: 0.5     # extra space between letters
+ *       line_spacing: 1.2       # multiple of the font's line height
+ */
+
+import { getSegmentCount } from './qualitySettings.js';
+import { getFont, DEFAULT_FONT } from './fonts.js';
+import { signedArea } from './profiles.js';
+
+export const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+export const TEXT_VERTICAL_ALIGNMENTS = ['baseline', 'top', 'center', 'bottom'];
+
+/**
+ * Problem with a text solid, naming the property at fault
+ */
+export class TextError extends Error {
+    constructor(message, property) {
+        super(message);
+        this.property = property;
+    }
+}
+
+function readNumber(solid, key, fallback, positive = false) {
+    const value = solid[key] ?? fallback;
+    if (typeof value !== 'number' || !Number.isFinite(value) || (positive && value <= 0)) {
+        throw new TextError(`"${key}" should be a number${positive ? ' greater than 0' : ''}, got ${JSON.stringify(value)}`, key);
+    }
+    return value;
+}
+
+function readChoice(solid, key, choices, fallback) {
+    const value = solid[key] ?? fallback;
+    if (!choices.includes(value)) {
+        throw new TextError(`"${key}" should be one of ${choices.join(', ')}, got ${JSON.stringify(value)}`, key);
+    }
+    return value;
+}
+
+/**
+ * Whether a point is inside a polygon (even-odd)
+ */
+function containsPoint(points, [x, y]) {
+    let inside = false;
+    points.forEach(([x0, y0], i) => {
+        const [x1, y1] = points[(i + 1) % points.length];
+        if ((y0 > y) !== (y1 > y) && x < x0 + (y - y0) / (y1 - y0) * (x1 - x0)) {
+            inside = !inside;
+        }
+    });
+    return inside;
+}
+
+/**
+ * Polygons of a glyph's contours, in font units
+ * @param {string} outline - Typeface outline: m, l, q and b commands, end point before control points
+ * @param {number} divisions - Straight pieces per curve
+ */
+function glyphContours(outline, divisions) {
+    const tokens = outline.split(' ').filter(token => token !== '');
+    const contours = [];
+    let contour = null;
+    let i = 0;
+    const next = () => [Number(tokens[i++]), Number(tokens[i++])];
+    const curve = (point) => {
+        const start = contour[contour.length - 1];
+        for (let step = 1; step <= divisions; step++) {
+            contour.push(point(start, step / divisions));
+        }
+    };
+    while (i < tokens.length) {
+        const command = tokens[i++];
+        if (command === 'm') {
+            contour = [next()];
+            contours.push(contour);
+        } else if (command === 'l') {
+            contour.push(next());
+        } else if (command === 'q') {
+            const [end, control] = [next(), next()];
+            curve((start, t) => [0, 1].map(axis =>
+                (1 - t) * (1 - t) * start[axis] + 2 * (1 - t) * t * control[axis] + t * t * end[axis]));
+        } else if (command === 'b') {
+            const [end, first, second] = [next(), next(), next()];
+            curve((start, t) => [0, 1].map(axis => (1 - t) ** 3 * start[axis] + 3 * (1 - t) ** 2 * t * first[axis]
+                + 3 * (1 - t) * t * t * second[axis] + t ** 3 * end[axis]));
+        }
+    }
+    return contours
+        .map(points => points.filter((point, j) => {
+            const previous = points[(j + points.length - 1) % points.length];
+            return Math.hypot(point[0] - previous[0], point[1] - previous[1]) > 1e-9;
+        }))
+        .filter(points => points.length >= 3 && Math.abs(signedArea(points)) > 1e-9);
+}
+
+/**
+ * Sort a glyph's contours into outlines and their holes by how they nest (fonts differ in
+ * which way their contours wind)
+ * @returns {Array<{outline: Array, holes: Array}>} Outlines counter-clockwise, holes clockwise
+ */
+function glyphShapes(contours) {
+    const parents = contours.map((contour, i) => contours.filter((other, j) => j !== i && containsPoint(other, contour[0])));
+    const wound = (points, counterClockwise) => (signedArea(points) > 0) === counterClockwise ? points : [...points].reverse();
+    const shapes = contours
+        .map((contour, i) => ({ contour, depth: parents[i].length }))
+        .filter(({ depth }) => depth % 2 === 0)
+        .map(({ contour, depth }) => ({ contour, depth, outline: wound(contour, true), holes: [] }));
+    contours.forEach((contour, i) => {
+        if (parents[i].length % 2 === 1) {
+            shapes.find(shape => shape.depth === parents[i].length - 1 && parents[i].includes(shape.contour))
+                ?.holes.push(wound(contour, false));
+        }
+    });
+    return shapes.map(({ outline, holes }) => ({ outline, holes }));
+}
+
+/**
+ * Outlines of a text solid, laid out and aligned
+ * @param {Object} solid - Text definition with numeric properties
+ * @param {number} [segments] - Steps for a full turn (default: quality setting)
+ * @returns {{shapes: Array<{outline: Array, holes: Array}>, depth: number, missing: Array<string>}}
+ *   Outlines (counter-clockwise) with their holes (clockwise) as [x, y] points, the depth, and
+ *   characters the font has no glyph for
+ * @throws {TextError} If a property is invalid or nothing can be drawn
+ */
+export function textShapes(solid, segments = getSegmentCount()) {
+    if (typeof solid.text !== 'string' && typeof solid.text !== 'number') {
+        throw new TextError(`"text" should be a string, got ${JSON.stringify(solid.text)}`, 'text');
+    }
+    const fontName = solid.font ?? DEFAULT_FONT;
+    const font = getFont(fontName);
+    if (!font) {
+        throw new TextError(`font "${fontName}" isn't loaded`, solid.font === undefined ? 'text' : 'font');
+    }
+    const size = readNumber(solid, 'size', 10, true);
+    const depth = readNumber(solid, 'depth', 1, true);
+    const letterSpacing = readNumber(solid, 'letter_spacing', 0);
+    const lineSpacing = readNumber(solid, 'line_spacing', 1, true);
+    const align = readChoice(solid, 'align', TEXT_ALIGNMENTS, 'center');
+    const valign = readChoice(solid, 'valign', TEXT_VERTICAL_ALIGNMENTS, 'center');
+
+    // Same scale and line height as three.js text
+    const scale = size / font.resolution;
+    const lineHeight = (font.boundingBox.yMax - font.boundingBox.yMin + font.underlineThickness) * scale * lineSpacing;
+    const divisions = Math.max(2, Math.round(segments / 16));
+    const contours = new Map();
+    const missing = new Set();
+    const shapes = [];
+
+    String(solid.text).replace(/\r/g, '').split('\n').forEach((line, row) => {
+        const glyphs = Array.from(line.replace(/\t/g, ' ')).map(char => {
+            if (font.glyphs[char]) {
+                return { char, glyph: font.glyphs[char] };
+            }
+            missing.add(char);
+            return font.glyphs['?'] && { char: '?', glyph: font.glyphs['?'] };
+        }).filter(Boolean);
+        const width = glyphs.reduce((sum, { glyph }) => sum + glyph.ha * scale, 0) + letterSpacing * Math.max(0, glyphs.length - 1);
+        let x = align === 'left' ? 0 : align === 'right' ? -width : -width / 2;
+        const y = -row * lineHeight;
+        glyphs.forEach(({ char, glyph }) => {
+            if (!contours.has(char)) {
+                contours.set(char, glyphShapes(glyphContours(glyph.o ?? '', divisions)));
+            }
+            const place = (points) => points.map(([px, py]) => [x + px * scale, y + py * scale]);
+            shapes.push(...contours.get(char).map(({ outline, holes }) => ({ outline: place(outline), holes: holes.map(place) })));
+            x += glyph.ha * scale + letterSpacing;
+        });
+    });
+    if (shapes.length === 0) {
+        throw new TextError(`has nothing to draw in font "${fontName}"`, 'text');
+    }
+
+    const ys = shapes.flatMap(shape => shape.outline.map(point => point[1]));
+    const [bottom, top] = [Math.min(...ys), Math.max(...ys)];
+    const shift = { baseline: 0, top: -top, center: -(bottom + top) / 2, bottom: -bottom }[valign];
+    const move = (points) => points.map(([px, py]) => [px, py + shift]);
+    return {
+        shapes: shapes.map(({ outline, holes }) => ({ outline: move(outline), holes: holes.map(move) })),
+        depth,
+        missing: [...missing]
+    };
+}
@@ -0,0 +1,195 @@
+/**
+ * Placement math shared by stamps and patterns
+ * Positions may still contain unresolved expressions (references to other solids); those
+ * components are carried along as strings as long as a rotation doesn't need their value.
+ */
+
+import * as THREE from 'three';
+import { evaluateExpression, looksLikeExpression } from './expression.js';
+
+/**
+ * Round away floating point noise from trigonometry (1e-9 precision)
+ */
+export function clean(value) {
+    const rounded = Math.round(value * 1e9) / 1e9;
+    return Object.is(rounded, -0) ? 0 : rounded;
+}
+
+/**
+ * Read a point, evaluating components that are plain math
+ * Missing components are 0; components that reference other solids stay strings
+ * @param {Array|undefined} point - [x, y, z]
+ * @returns {Array<number|string>}
+ */
+export function readPoint(point) {
+    return [0, 1, 2].map(i => {
+        const value = point?.[i] ?? 0;
+        if (typeof value === 'string' && looksLikeExpression(value)) {
+            try {
+                const result = evaluateExpression(value.trim());
+                if (typeof result === 'number') {
+                    return result;
+                }
+            } catch (e) {
+                // Not evaluable yet; may reference another solid
+            }
+        }
+        return value;
+    });
+}
+
+/**
+ * Add a numeric offset to a point whose components may be expressions
+ */
+export function offsetPoint(point, offset) {
+    return point.map((value, i) => {
+        const delta = clean(offset[i]);
+        if (typeof value === 'number') {
+            return clean(value + delta);
+        }
+        return delta === 0 ? value : `(${value}) + ${delta}`;
+    });
+}
+
+/**
+ * Add two points whose components may be expressions
+ */
+export function addPoints(a, b) {
+    return a.map((value, i) => {
+        if (typeof value === 'number' && typeof b[i] === 'number') {
+            return clean(value + b[i]);
+        }
+        if (b[i] === 0) {
+            return value;
+        }
+        if (value === 0) {
+            return b[i];
+        }
+        return `(${value}) + (${b[i]})`;
+    });
+}
+
+/**
+ * Convert an Euler rotation in degrees (XYZ order, as mesh.rotation) to a quaternion
+ * @throws {Error} If a component isn't numeric
+ */
+export function rotationToQuaternion(rotation) {
+    const degrees = readPoint(rotation);
+    const unresolved = degrees.find(v => typeof v !== 'number');
+    if (unresolved !== undefined) {
+        throw new Error(`rotation "${unresolved}" must be a number`);
+    }
+    return new THREE.Quaternion().setFromEuler(new THREE.Euler(...degrees.map(d => d * Math.PI / 180), 'XYZ'));
+}
+
+/**
+ * Apply a world rotation after an Euler rotation in degrees
+ * @param {Array|undefined} rotation - Existing rotation [x, y, z] in degrees
+ * @param {THREE.Quaternion} quaternion - Rotation applied on top
+ * @returns {Array<number>} Combined [x, y, z] rotation in degrees
+ */
+export function composeRotation(rotation, quaternion) {
+    const combined = quaternion.clone().multiply(rotationToQuaternion(rotation));
+    const euler = new THREE.Euler().setFromQuaternion(combined, 'XYZ');
+    return [euler.x, euler.y, euler.z].map(r => clean(r * 180 / Math.PI));
+}
+
+/**
+ * Rotate a point around a pivot
+ * Unresolved components are allowed only where the rotation leaves them in place
+ * (e.g. the z of a point rotated around the Z axis).
+ * @param {Array<number|string>} point - Point from readPoint
+ * @param {THREE.Quaternion} quaternion - Rotation
+ * @param {Array<number>} [pivot] - Center of rotation (default origin)
+ * @returns {Array<number|string>} Rotated point
+ * @throws {Error} If an unresolved component would move
+ */
+export function rotateAround(point, quaternion, pivot = [0, 0, 0]) {
+    const matrix = new THREE.Matrix4().makeRotationFromQuaternion(quaternion).elements;
+    point.forEach((value, column) => {
+        if (typeof value !== 'number') {
+            const moves = [0, 1, 2].some(row => Math.abs(matrix[column * 4 + row] - (row === column ? 1 : 0)) > 1e-9);
+            if (moves) {
+                throw new Error(`can't rotate a position containing "${value}"`);
+            }
+        }
+    });
+
+    const numeric = point.map(v => (typeof v === 'number' ? v : 0));
+    const rotated = new THREE.Vector3(...numeric)
+        .sub(new THREE.Vector3(...pivot))
+        .applyQuaternion(quaternion)
+        .add(new THREE.Vector3(...pivot))
+        .toArray();
+    return offsetPoint(point, rotated.map((v, i) => v - numeric[i]));
+}
+
+/**
+ * Whether a quaternion is (numerically) no rotation at all
+ */
+export function isIdentityRotation(quaternion) {
+    return Math.abs(Math.abs(quaternion.w) - 1) < 1e-12;
+}
+
+/**
+ * A placement: points are rotated by `quaternion`, then moved by `position`
+ * @returns {{position: Array<number|string>, quaternion: THREE.Quaternion}}
+ */
+export function identityTransform() {
+    return { position: [0, 0, 0], quaternion: new THREE.Quaternion() };
+}
+
+/**
+ * A placement as steps for a solid's `transforms` list: its rotation, then its position
+ * @param {Object} transform - From composeTransform
+ * @returns {Array<Object>} Steps (none for the identity)
+ */
+export function placementSteps({ position, quaternion }) {
+    const steps = [];
+    if (!isIdentityRotation(quaternion)) {
+        const turn = quaternion.w < 0 ? quaternion.clone().set(-quaternion.x, -quaternion.y, -quaternion.z, -quaternion.w) : quaternion;
+        const angle = 2 * Math.acos(Math.min(1, turn.w));
+        const axis = [turn.x, turn.y, turn.z].map(v => clean(v / Math.sin(angle / 2)));
+        steps.push({ rotate: { axis, angle: clean(angle * 180 / Math.PI) } });
+    }
+    if (position.some(v => v !== 0)) {
+        steps.push({ translate: position });
+    }
+    return steps;
+}
+
+/**
+ * Turn a solid's position (its center, or a stamp's `at`) the way turning the whole solid
+ * would move it, when the solid turns about a pivot away from that position
+ * @param {Array<number|string>} point - Position from readPoint
+ * @param {THREE.Quaternion} quaternion - Rotation
+ * @param {Array|undefined} pivot - The solid's pivot, from its position
+ * @param {Array<number>} [center] - Center of rotation (default origin)
+ * @returns {Array<number|string>} Turned position
+ * @throws {Error} If an unresolved component would move, or the pivot isn't numeric
+ */
+export function rotatePivoted(point, quaternion, pivot, center = [0, 0, 0]) {
+    if (pivot === undefined) {
+        return rotateAround(point, quaternion, center);
+    }
+    const offset = readPoint(pivot);
+    const unresolved = offset.find(v => typeof v !== 'number');
+    if (unresolved !== undefined) {
+        throw new Error(`can't rotate about a pivot containing "${unresolved}"`);
+    }
+    return offsetPoint(rotateAround(offsetPoint(point, offset), quaternion, center), offset.map(v => -v));
+}
+
+/**
+ * Nest a placement (`at` and `rotate` in the parent's frame) inside a parent placement
+ * @param {Object} parent - Parent transform
+ * @param {Array} at - Position in the parent frame
+ * @param {Array} rotate - Rotation in degrees in the parent frame
+ * @returns {Object} Combined transform
+ */
+export function composeTransform(parent, at, rotate) {
+    return {
+        position: addPoints(parent.position, rotateAround(readPoint(at), parent.quaternion)),
+        quaternion: parent.quaternion.clone().multiply(rotationToQuaternion(rotate))
+    };
+}
@@ -0,0 +1,125 @@
+/**
+ * Unit suffixes on numeric values
+ *
+ *   size: [2in, 30mm, 1.5cm]      # lengths are converted to settings.units
+ *   rotation: [0, 0, 0.5rad]      # angles are converted to degrees
+ *   length: $height + 0.25in      # suffixed numbers also work inside expressions
+ *
+ * Plain numbers are always in the model's units (and degrees).
+ */
+
+/**
+ * Length units and their size in millimetres
+ */
+export const LENGTH_UNITS = {
+    mm: 1,
+    cm: 10,
+    m: 1000,
+    in: 25.4,
+    ft: 304.8
+};
+
+/**
+ * Angle units and their size in degrees
+ */
+export const ANGLE_UNITS = {
+    deg: 1,
+    rad: 180 / Math.PI
+};
+
+const SUFFIXES = [...Object.keys(LENGTH_UNITS), ...Object.keys(ANGLE_UNITS)].join('|');
+
+/**
+ * A number followed directly by a unit, not part of a name (`m3`, `x2in`) or a longer word (`3mins`)
+ */
+const UNIT_LITERAL = new RegExp(`(^|[^\\w.$])((?:\\d+\\.?\\d*|\\.\\d+)(?:e[+-]?\\d+)?)(${SUFFIXES})(?![\\w.])`, 'g');
+const WHOLE_UNIT_LITERAL = new RegExp(`^\\s*([+-]?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[+-]?\\d+)?)(${SUFFIXES})\\s*$`);
+
+/**
+ * Properties whose values are text, never measurements
+ */
+const TEXT_KEYS = new Set(['description', 'file', 'as', 'd', 'text', 'font']);
+
+/**
+ * Round away floating point noise from unit factors (12 significant digits)
+ */
+function tidy(value) {
+    return Number(value.toPrecision(12));
+}
+
+/**
+ * Scale factor from one length unit to another
+ * @param {string} from - Unit of the values
+ * @param {string} to - Unit to convert to
+ * @returns {number} Multiply values in `from` by this to get `to`
+ */
+export function lengthScale(from, to) {
+    return LENGTH_UNITS[from] / LENGTH_UNITS[to];
+}
+
+/**
+ * Convert a suffixed number to the model's units
+ * @param {string} number - Numeric text
+ * @param {string} unit - Unit suffix
+ * @param {string} modelUnits - Length unit of the model
+ */
+function convert(number, unit, modelUnits) {
+    const value = parseFloat(number);
+    if (unit in ANGLE_UNITS) {
+        return tidy(value * ANGLE_UNITS[unit]);
+    }
+    return tidy(value * lengthScale(unit, modelUnits));
+}
+
+/**
+ * Replace unit literals in a value (recursively) with numbers in the model's units
+ * A string that is just a suffixed number becomes a number; inside a larger expression
+ * the converted number is spliced in.
+ */
+function convertUnits(value, modelUnits) {
+    if (typeof value === 'string') {
+        const whole = WHOLE_UNIT_LITERAL.exec(value);
+        if (whole) {
+            return convert(whole[1], whole[2], modelUnits);
+        }
+        return value.replace(UNIT_LITERAL, (match, before, number, unit) =>
+            `${before}${convert(number, unit, modelUnits)}`);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => convertUnits(item, modelUnits));
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, val] of Object.entries(value)) {
+            result[key] = TEXT_KEYS.has(key) ? val : convertUnits(val, modelUnits);
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Convert every unit-suffixed value in a model to the model's units
+ * @param {Object} data - Parsed YAML model (imports already merged)
+ * @returns {Object} Model with plain numbers in `settings.units` (default mm) and degrees
+ * @throws {Error} If settings.units isn't a known length unit
+ */
+export function applyUnits(data) {
+    if (!data || typeof data !== 'object') {
+        return data;
+    }
+
+    const modelUnits = data.settings?.units ?? 'mm';
+    if (!Object.prototype.hasOwnProperty.call(LENGTH_UNITS, modelUnits)) {
+        const message = `Unknown units "${modelUnits}" (use ${Object.keys(LENGTH_UNITS).join(', ')})`;
+        const error = new Error(message);
+        error.diagnostics = [{ severity: 'error', path: 'settings.units', message }];
+        throw error;
+    }
+
+    const result = {};
+    for (const [section, value] of Object.entries(data)) {
+        result[section] = section === 'settings' ? value : convertUnits(value, modelUnits);
+    }
+    return result;
+}
@@ -0,0 +1,1286 @@
+/**
+ * Model validation - checks every section of a model against the shape and
+ * modifier schemas and reports errors/warnings with YAML line/column positions
+ */
+
+import { buildPositionMap, locatePath, splitPath } from './sourcePositions.js';
+import { normalizeStampParams } from './stampParams.js';
+import { LENGTH_UNITS } from './units.js';
+import { readRoundSolid, RoundSolidError } from './roundSolids.js';
+import { getProfileExtents } from './solidBounds.js';
+import { profileLoops, ProfileError, PROFILE_TYPES } from './profiles.js';
+import { extrusionLayers, layerLoops, isShapedExtrusion, ExtrusionError } from './extrusionLayers.js';
+import { sweepSections, SweepError } from './sweepPath.js';
+import { loftRings, LoftError } from './loftSections.js';
+import { textShapes, TextError } from './textLayout.js';
+import { DEFAULT_FONT } from './fonts.js';
+import { readPolyhedron, polyhedronProblems, PolyhedronError } from './polyhedron.js';
+import { getMesh, meshUnitScale, MeshError } from './meshFiles.js';
+import { EDGE_MODIFIERS, EdgeError, exactEdgeShape, readEdgeModifier } from './edgeModifiers.js';
+import { MirrorError, readMirror } from './mirrorPlane.js';
+import { ShellError, exactShellShapes, readShell } from './shells.js';
+import { TransformError, readScale, solidPlacement } from './solidTransforms.js';
+import { debug, debugLabel } from './debug.js';
+
+/**
+ * Property types:
+ * - number: a number (or an expression string inside stamp definitions)
+ * - vector2 / vector3: list of 2 / 3 numbers
+ * - boolean, string, object, list: the matching YAML type
+ * - color: a number (0xff0000) or a string
+ * - any: not checked
+ */
+
+const SECTION_KEYS = ['settings', 'imports', 'params', 'configurations', 'materials', 'stamps', 'solids', 'final'];
+
+const SETTINGS_SCHEMA = {
+    units: 'string',
+    export_units: 'string',
+    configuration: 'string',
+    debug: 'boolean',
+    tolerance: 'number',
+    up: 'vector3'
+};
+
+const MATERIAL_SCHEMA = {
+    color: 'color',
+    opacity: 'number'
+};
+
+const CONFIGURATION_SCHEMA = {
+    description: 'string',
+    params: 'any',
+    hide: 'list',
+    show: 'list'
+};
+
+const IMPORT_SCHEMA = {
+    file: 'string',
+    as: 'string'
+};
+
+const FINAL_SCHEMA = {
+    material: 'string',
+    color: 'color',
+    opacity: 'number'
+};
+
+const COMMON_SOLID_PROPERTIES = {
+    shape: 'string',
+    center: 'vector3',
+    anchor: 'vector3',
+    rotation: 'vector3',
+    scale: 'any',
+    pivot: 'vector3',
+    transforms: 'list',
+    mirror: 'any',
+    material: 'string',
+    color: 'color',
+    opacity: 'number',
+    visible: 'boolean',
+    pattern: 'object',
+    modifiers: 'object',
+    stamps: 'object',
+    clone: 'string'
+};
+
+/**
+ * Properties shared by cylinders and cones (frustums, tubes, partial sweeps)
+ */
+const ROUND_SOLID_SCHEMA = {
+    top_diameter: 'number',
+    bottom_diameter: 'number',
+    inner_diameter: 'number',
+    wall: 'number',
+    sweep_angle: 'number'
+};
+
+/**
+ * Per-shape schemas: shape-specific properties and which of them are required
+ * `alternatives` lists properties that, when all given, stand in for a required one
+ */
+export const SHAPE_SCHEMAS = {
+    cuboid: {
+        properties: { size: 'vector3' },
+        required: ['size']
+    },
+    cylinder: {
+        properties: { diameter: 'number', length: 'number', ...ROUND_SOLID_SCHEMA },
+        required: ['diameter', 'length'],
+        alternatives: { diameter: ['top_diameter', 'bottom_diameter'] }
+    },
+    sphere: {
+        properties: { diameter: 'number' },
+        required: ['diameter']
+    },
+    cone: {
+        properties: { diameter: 'number', height: 'number', ...ROUND_SOLID_SCHEMA },
+        required: ['diameter', 'height'],
+        alternatives: { diameter: ['bottom_diameter'] }
+    },
+    toroid: {
+        properties: { major_radius: 'number', radius: 'number', minor_radius: 'number', tube_radius: 'number' },
+        required: []
+    },
+    extrusion: {
+        properties: {
+            profile: 'any',
+            length: 'number',
+            twist: 'number',
+            scale_top: 'any',
+            draft_angle: 'number',
+            chamfer_top: 'number',
+            chamfer_bottom: 'number',
+            round_top: 'number',
+            round_bottom: 'number'
+        },
+        required: ['length']
+    },
+    revolve: {
+        properties: { profile: 'any', axis: 'any', angle: 'number', offset: 'vector2' },
+        required: []
+    },
+    sweep: {
+        properties: { profile: 'any', path: 'any', twist: 'number', scale_end: 'any' },
+        required: []
+    },
+    loft: {
+        properties: { sections: 'list', smooth: 'boolean' },
+        required: []
+    },
+    text: {
+        properties: {
+            text: 'any',
+            font: 'string',
+            size: 'number',
+            depth: 'number',
+            align: 'string',
+            valign: 'string',
+            letter_spacing: 'number',
+            line_spacing: 'number'
+        },
+        required: []
+    },
+    polyhedron: {
+        properties: { points: 'list', faces: 'list' },
+        required: []
+    },
+    mesh: {
+        properties: { file: 'string', units: 'string' },
+        required: []
+    }
+};
+
+/**
+ * Properties of each of a loft's sections
+ */
+const LOFT_SECTION_SCHEMA = { profile: 'any', offset: 'number', center: 'vector3', rotation: 'vector3' };
+
+/**
+ * Per-profile schemas (extrusion, revolve, sweep and loft profiles)
+ * Missing dimensions of the newer types are reported by profileLoops, as they have no default.
+ */
+const PROFILE_SCHEMAS = {
+    circle: { properties: { diameter: 'number' }, required: ['diameter'] },
+    rect: { properties: { size: 'vector2' }, required: ['size'] },
+    rounded_rect: { properties: { size: 'vector2', radius: 'number' }, required: [] },
+    ellipse: { properties: { size: 'vector2' }, required: [] },
+    ngon: { properties: { sides: 'number', diameter: 'number', across_flats: 'number' }, required: [] },
+    slot: { properties: { length: 'number', width: 'number' }, required: [] },
+    poly: { properties: { points: 'list' }, required: ['points'] },
+    outline: { properties: { start: 'vector2', segments: 'list' }, required: [] },
+    svg: { properties: { d: 'string' }, required: [] }
+};
+
+/**
+ * Properties every profile may have
+ */
+const COMMON_PROFILE_PROPERTIES = { center: 'vector2', holes: 'list' };
+
+/**
+ * Per-modifier schemas (boolean operations are checked separately)
+ */
+export const MODIFIER_SCHEMAS = {
+    fillet: {
+        properties: { radius: 'number', edges: 'any' },
+        required: []
+    },
+    chamfer: {
+        properties: { distance: 'number', edges: 'any' },
+        required: []
+    },
+    mirror: {
+        properties: { plane: 'string', normal: 'vector3', point: 'vector3', keep_original: 'boolean' },
+        required: []
+    },
+    shell: {
+        properties: { thickness: 'number', direction: 'string', open_faces: 'any' },
+        required: []
+    }
+};
+
+/**
+ * Per-type schemas for the `pattern` block on solids and stamp instances
+ */
+const PATTERN_SCHEMAS = {
+    linear: { properties: { count: 'number', step: 'vector3', centered: 'boolean' }, required: ['count', 'step'] },
+    grid: { properties: { counts: 'list', steps: 'list', centered: 'boolean' }, required: ['counts', 'steps'] },
+    polar: {
+        properties: { count: 'number', radius: 'number', center: 'vector3', axis: 'any', angle: 'number', start_angle: 'number', rotate_instances: 'boolean' },
+        required: ['count']
+    }
+};
+
+const BOOLEAN_OPERATIONS = ['difference', 'union', 'intersection'];
+
+/**
+ * Levenshtein distance, used to suggest corrections for misspelled keys
+ */
+function editDistance(a, b) {
+    const dp = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) {
+        dp[0][j] = j;
+    }
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            dp[i][j] = Math.min(
+                dp[i - 1][j] + 1,
+                dp[i][j - 1] + 1,
+                dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+    }
+    return dp[a.length][b.length];
+}
+
+function suggest(name, candidates) {
+    let best = null;
+    let bestDistance = 3;
+    for (const candidate of candidates) {
+        const distance = editDistance(String(name), candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best ? ` (did you mean "${best}"?)` : '';
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a value against a type name
+ * @param {boolean} lenient - Accept strings for numbers (unevaluated expressions in stamp definitions)
+ */
+function matchesType(value, type, lenient) {
+    const isNumber = (v) => typeof v === 'number' || (lenient && typeof v === 'string');
+    switch (type) {
+        case 'number': return isNumber(value);
+        case 'vector2': return Array.isArray(value) && value.length === 2 && value.every(isNumber);
+        case 'vector3': return (Array.isArray(value) && value.length === 3 && value.every(isNumber)) || (lenient && typeof value === 'string');
+        case 'boolean': return typeof value === 'boolean' || (lenient && typeof value === 'string');
+        case 'string': return typeof value === 'string';
+        case 'color': return typeof value === 'number' || typeof value === 'string';
+        case 'object': return isPlainObject(value);
+        case 'list': return Array.isArray(value);
+        default: return true;
+    }
+}
+
+const TYPE_DESCRIPTIONS = {
+    number: 'a number',
+    vector2: 'a list of 2 numbers',
+    vector3: 'a list of 3 numbers',
+    boolean: 'true or false',
+    string: 'a name',
+    color: 'a color like 0xff0000',
+    object: 'a mapping',
+    list: 'a list'
+};
+
+function describeValue(value) {
+    return JSON.stringify(value);
+}
+
+/**
+ * Collects diagnostics while walking the model
+ */
+class DiagnosticCollector {
+    constructor() {
+        this.diagnostics = [];
+    }
+
+    error(path, message) {
+        this.diagnostics.push({ severity: 'error', path: path.join('.'), message });
+    }
+
+    warning(path, message) {
+        this.diagnostics.push({ severity: 'warning', path: path.join('.'), message });
+    }
+
+    countErrors() {
+        return this.diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+    }
+
+    /**
+     * Check properties of an object against a schema
+     * @param {Object} value - Object to check
+     * @param {Object} schema - Map of property name to type
+     * @param {Array} path - Path of the object
+     * @param {string} what - Description for messages (e.g. 'Solid "base"')
+     * @param {Object} options - { lenient, required, extraKeys }
+     */
+    checkProperties(value, schema, path, what, options = {}) {
+        const known = [...Object.keys(schema), ...(options.extraKeys || [])];
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (!known.includes(key)) {
+                this.warning([...path, key], `${what} has unknown property "${key}"${suggest(key, known)}; it will be ignored`);
+                continue;
+            }
+            const type = schema[key];
+            if (type && !matchesType(propertyValue, type, options.lenient)) {
+                this.error([...path, key], `${what} property "${key}" should be ${TYPE_DESCRIPTIONS[type] || type}, got ${describeValue(propertyValue)}`);
+            }
+        }
+        for (const key of options.required || []) {
+            if (value[key] === undefined) {
+                this.warning(path, `${what} is missing "${key}"; a default will be used`);
+            }
+        }
+    }
+}
+
+function validateSettings(settings, collector) {
+    if (settings === undefined) {
+        return;
+    }
+    if (!isPlainObject(settings)) {
+        collector.error(['settings'], 'Section "settings" should be a mapping');
+        return;
+    }
+    collector.checkProperties(settings, SETTINGS_SCHEMA, ['settings'], 'Settings');
+    for (const key of ['units', 'export_units']) {
+        if (typeof settings[key] === 'string' && !Object.prototype.hasOwnProperty.call(LENGTH_UNITS, settings[key])) {
+            collector.error(['settings', key], `Settings "${key}" has unknown unit "${settings[key]}"` +
+                `${suggest(settings[key], Object.keys(LENGTH_UNITS))}; use ${Object.keys(LENGTH_UNITS).join(', ')}`);
+        }
+    }
+}
+
+function validateParams(params, collector, basePath = ['params']) {
+    if (params === undefined) {
+        return;
+    }
+    const entries = Array.isArray(params) ? params : [params];
+    entries.forEach((entry, index) => {
+        const path = Array.isArray(params) ? [...basePath, index] : basePath;
+        if (!isPlainObject(entry)) {
+            collector.error(path, `Parameter entries should look like "- $name: value", got ${describeValue(entry)}`);
+            return;
+        }
+        for (const key of Object.keys(entry)) {
+            if (!/^\$?[a-zA-Z_][a-zA-Z0-9_]*$/.test(key)) {
+                collector.error([...path, key], `Invalid parameter name "${key}"`);
+            } else if (!key.startsWith('$')) {
+                collector.warning([...path, key], `Parameter "${key}" should be written with a $ prefix ("$${key}")`);
+            }
+        }
+    });
+}
+
+function validateMaterials(materials, collector) {
+    if (materials === undefined) {
+        return;
+    }
+    if (!isPlainObject(materials)) {
+        collector.error(['materials'], 'Section "materials" should be a mapping');
+        return;
+    }
+    for (const [name, material] of Object.entries(materials)) {
+        const path = ['materials', name];
+        if (!isPlainObject(material)) {
+            collector.error(path, `Material "${name}" should be a mapping with color/opacity`);
+            continue;
+        }
+        collector.checkProperties(material, MATERIAL_SCHEMA, path, `Material "${name}"`);
+        if (typeof material.opacity === 'number' && (material.opacity < 0 || material.opacity > 1)) {
+            collector.error([...path, 'opacity'], `Material "${name}" opacity should be between 0 and 1`);
+        }
+    }
+}
+
+/**
+ * Validate a list of boolean operations
+ * @param {Function} targetExists - Called with a target name; null to skip target checks
+ */
+function validateBooleanOperations(booleanOps, path, what, collector, targetExists) {
+    let operations;
+    if (Array.isArray(booleanOps)) {
+        operations = booleanOps.map((op, index) => ({ op, path: [...path, index] }));
+    } else if (isPlainObject(booleanOps)) {
+        operations = [];
+        for (const [opType, target] of Object.entries(booleanOps)) {
+            const targets = Array.isArray(target) ? target : [target];
+            targets.forEach(t => operations.push({ op: { [opType]: t }, path: [...path, opType] }));
+        }
+    } else {
+        collector.error(path, `${what} "boolean" should be a list like "- difference: other_solid"`);
+        return;
+    }
+
+    for (const { op, path: opPath } of operations) {
+        if (!isPlainObject(op) || Object.keys(op).length !== 1) {
+            collector.error(opPath, `${what} boolean operation should look like "- difference: other_solid", got ${describeValue(op)}`);
+            continue;
+        }
+        const [opType, target] = Object.entries(op)[0];
+        if (!BOOLEAN_OPERATIONS.includes(opType)) {
+            collector.error(opPath, `${what} has unknown boolean operation "${opType}"${suggest(opType, BOOLEAN_OPERATIONS)}`);
+            continue;
+        }
+        if (targetExists && !targetExists(target)) {
+            collector.error([...opPath, opType], `${what} ${opType} target "${target}" is not a solid`);
+        }
+    }
+}
+
+/**
+ * Check a solid's modifiers
+ * @returns {Array<Function>} Checks of the modifiers' values, to run once they're final
+ */
+function validateModifiers(modifiers, path, what, collector, options) {
+    const valueChecks = [];
+    if (!isPlainObject(modifiers)) {
+        collector.error(path, `${what} "modifiers" should be a mapping`);
+        return valueChecks;
+    }
+    const known = ['boolean', ...Object.keys(MODIFIER_SCHEMAS)];
+    for (const [name, config] of Object.entries(modifiers)) {
+        const modifierPath = [...path, name];
+        if (name === 'boolean') {
+            validateBooleanOperations(config, modifierPath, what, collector, options.targetExists);
+            continue;
+        }
+        const schema = MODIFIER_SCHEMAS[name];
+        if (!schema) {
+            collector.warning(modifierPath, `${what} has unknown modifier "${name}"${suggest(name, known)}; it will be ignored`);
+            continue;
+        }
+        if (name === 'mirror') {
+            valueChecks.push(validateMirror(config, modifierPath, what, collector, options));
+            continue;
+        }
+        if (name === 'shell') {
+            valueChecks.push(validateShell(config, modifiers, modifierPath, what, collector, options));
+            continue;
+        }
+        if (!isPlainObject(config)) {
+            collector.error(modifierPath, `${what} modifier "${name}" should be a mapping with "${EDGE_MODIFIERS[name]}"`);
+            continue;
+        }
+        const errors = collector.countErrors();
+        collector.checkProperties(config, schema.properties, modifierPath, `${what} modifier "${name}"`, {
+            lenient: options.lenient,
+            required: schema.required
+        });
+        if (Object.hasOwn(EDGE_MODIFIERS, name) && collector.countErrors() === errors) {
+            valueChecks.push(validateEdgeModifier(name, config, modifiers, modifierPath, what, collector, options));
+        }
+    }
+    return valueChecks;
+}
+
+/**
+ * Whether a modifier is the one that works on the solid's own shape: the first after
+ * boolean operations, when there are none
+ */
+function worksOnOwnShape(name, modifiers) {
+    return modifiers.boolean === undefined && Object.keys(modifiers).find(key => Object.hasOwn(MODIFIER_SCHEMAS, key)) === name;
+}
+
+/**
+ * Check a solid's scale, pivot and transforms
+ */
+function validatePlacement(solid, path, what, collector) {
+    try {
+        if (solid.scale !== undefined) {
+            readScale(solid.scale);
+        }
+        solidPlacement(solid);
+    } catch (e) {
+        if (!(e instanceof TransformError)) {
+            throw e;
+        }
+        // Values of the wrong type were reported by checkProperties
+        if (e.property !== 'pivot' && e.property !== 'transforms') {
+            collector.error([...path, ...splitPath(e.property)], `${what} ${e.message}`);
+        }
+    }
+}
+
+/**
+ * Check a mirror modifier or a solid's mirror option: an axis name or a mapping describing the plane
+ */
+function validateMirror(config, path, what, collector, options) {
+    if (isPlainObject(config)) {
+        const errors = collector.countErrors();
+        collector.checkProperties(config, MODIFIER_SCHEMAS.mirror.properties, path, `${what} mirror`, { lenient: options.lenient });
+        if (collector.countErrors() !== errors) {
+            return;
+        }
+    } else if (typeof config !== 'string') {
+        collector.error(path, `${what} mirror should be x, y or z, or a mapping with "plane" or "normal"`);
+        return;
+    }
+    return () => {
+        try {
+            readMirror(config);
+        } catch (e) {
+            if (!(e instanceof MirrorError)) {
+                throw e;
+            }
+            collector.error([...path, ...(e.property ? splitPath(e.property) : [])], `${what} mirror ${e.message}`);
+        }
+    };
+}
+
+/**
+ * Check a fillet or chamfer's size and edges, and that it fits a solid it gives an exact result for
+ * (warning when the edges it selects there don't exist)
+ */
+function validateEdgeModifier(kind, config, modifiers, path, what, collector, options) {
+    if (config[EDGE_MODIFIERS[kind]] === undefined) {
+        collector.error(path, `${what} modifier "${kind}" is missing "${EDGE_MODIFIERS[kind]}"`);
+        return;
+    }
+    return () => {
+        try {
+            const modifier = readEdgeModifier(kind, config);
+            if (options.solid && worksOnOwnShape(kind, modifiers)
+                && exactEdgeShape(options.solid, modifier, 32)?.count === 0) {
+                collector.warning(path, `${what} ${kind} selects no edges`);
+            }
+        } catch (e) {
+            // Other problems are with the solid's shape, and reported with it
+            if (e instanceof EdgeError) {
+                collector.error([...path, ...splitPath(e.property)], `${what} ${kind} ${e.message}`);
+            }
+        }
+    };
+}
+
+/**
+ * Check a shell's thickness, direction and open faces, and that its walls fit a solid it
+ * hollows exactly
+ */
+function validateShell(config, modifiers, path, what, collector, options) {
+    if (!isPlainObject(config)) {
+        collector.error(path, `${what} modifier "shell" should be a mapping with "thickness"`);
+        return;
+    }
+    const errors = collector.countErrors();
+    collector.checkProperties(config, MODIFIER_SCHEMAS.shell.properties, path, `${what} shell`, { lenient: options.lenient });
+    if (collector.countErrors() !== errors) {
+        return;
+    }
+    if (config.thickness === undefined) {
+        collector.error(path, `${what} modifier "shell" is missing "thickness"`);
+        return;
+    }
+    return () => {
+        try {
+            const shell = readShell(config);
+            if (options.solid && worksOnOwnShape('shell', modifiers)) {
+                exactShellShapes(options.solid, shell);
+            }
+        } catch (e) {
+            // Other problems are with the solid's shape, and reported with it
+            if (e instanceof ShellError) {
+                collector.error([...path, ...(e.property ? splitPath(e.property) : [])], `${what} shell ${e.message}`);
+            }
+        }
+    };
+}
+
+function validateProfile(profile, path, what, collector, options) {
+    if (Array.isArray(profile)) {
+        if (!profile.every(point => matchesType(point, 'vector2', options.lenient))) {
+            collector.error(path, `${what} profile should be a profile (with a "type") or a list of [x, y] points`);
+        }
+        return;
+    }
+    if (!isPlainObject(profile)) {
+        collector.error(path, `${what} profile should be a profile (with a "type") or a list of [x, y] points`);
+        return;
+    }
+    const schema = PROFILE_SCHEMAS[profile.type];
+    if (!schema) {
+        collector.error(profile.type === undefined ? path : [...path, 'type'], profile.type === undefined
+            ? `${what} profile is missing "type" (one of: ${PROFILE_TYPES.join(', ')})`
+            : `${what} has unknown profile type "${profile.type}"${suggest(profile.type, PROFILE_TYPES)}`);
+        return;
+    }
+    collector.checkProperties(profile, { ...COMMON_PROFILE_PROPERTIES, ...schema.properties }, path, `${what} profile`, {
+        lenient: options.lenient,
+        required: schema.required,
+        extraKeys: ['type']
+    });
+    if (Array.isArray(profile.holes)) {
+        profile.holes.forEach((hole, i) => validateProfile(hole, [...path, 'holes', i], `${what} hole ${i + 1}`, collector, options));
+    }
+}
+
+/**
+ * Check the profile of an extrusion, revolve or sweep, and that it builds
+ */
+function validateSolidProfile(solid, path, what, collector, options) {
+    if (solid.profile === undefined) {
+        if (solid.clone === undefined) {
+            collector.error(path, `${what} is missing "profile"`);
+        }
+        return;
+    }
+    const errors = collector.countErrors();
+    validateProfile(solid.profile, [...path, 'profile'], what, collector, options);
+    if (collector.countErrors() > errors) {
+        return;
+    }
+    return () => {
+        try {
+            profileLoops(solid.profile);
+        } catch (e) {
+            if (!(e instanceof ProfileError)) {
+                throw e;
+            }
+            collector.error([...path, 'profile', ...splitPath(e.property)], `${what} profile ${e.message}`);
+        }
+    };
+}
+
+/**
+ * Check an extrusion's twist, taper, draft and shaped ends, and that its profile can take them
+ */
+function validateExtrusion(solid, path, what, collector) {
+    try {
+        const layers = extrusionLayers(solid);
+        const { outline, holes } = profileLoops(solid.profile);
+        layers.forEach(layer => layerLoops([outline, ...holes], layer));
+    } catch (e) {
+        if (e instanceof ProfileError) {
+            return; // Reported with the profile
+        }
+        if (!(e instanceof ExtrusionError)) {
+            throw e;
+        }
+        // Values of the wrong type were reported by checkProperties
+        if (!e.property || typeof solid[e.property] === 'number' || e.property === 'scale_top') {
+            collector.error(e.property ? [...path, e.property] : path, `${what} ${e.message}`);
+        }
+    }
+}
+
+/**
+ * Check a revolve's axis and angle, and that its profile stays on one side of the axis
+ */
+function validateRevolve(solid, path, what, collector, options) {
+    if (solid.axis !== undefined && !['x', 'y', 'z'].includes(String(solid.axis).toLowerCase())
+        && !matchesType(solid.axis, 'vector3', options.lenient)) {
+        collector.error([...path, 'axis'], `${what} "axis" should be x, y, z or a vector like [0, 0, 1]`);
+    }
+    return () => {
+        if (typeof solid.angle === 'number' && !(solid.angle > 0 && solid.angle <= 360)) {
+            collector.error([...path, 'angle'], `${what} "angle" should be greater than 0 and at most 360, got ${solid.angle}`);
+        }
+        const extents = getProfileExtents(solid.profile);
+        const offset = Array.isArray(solid.offset) && typeof solid.offset[0] === 'number' ? solid.offset[0] : 0;
+        const innermost = extents ? extents.xs[0] + offset : 0;
+        if (innermost < -1e-9) {
+            collector.error([...path, 'profile'], `${what} profile crosses the revolve axis (reaches x = ${+innermost.toFixed(6)}); keep x at 0 or more, or move it with "offset"`);
+        }
+    };
+}
+
+/**
+ * Check a sweep's path, twist and scale, warning about corner radii that had to be shrunk
+ */
+function validateSweep(solid, path, what, collector) {
+    if (solid.path === undefined) {
+        if (solid.clone === undefined) {
+            collector.error(path, `${what} is missing "path"`);
+        }
+        return;
+    }
+    return () => {
+        try {
+            const { warnings } = sweepSections(solid, 32);
+            for (const warning of warnings) {
+                collector.warning([...path, ...splitPath(warning.property)], `${what} ${warning.message}`);
+            }
+        } catch (e) {
+            if (!(e instanceof SweepError)) {
+                throw e;
+            }
+            // A twist of the wrong type was reported by checkProperties
+            if (e.property !== 'twist' || typeof solid.twist === 'number') {
+                collector.error([...path, ...e.property.split('.')], `${what} ${e.message}`);
+            }
+        }
+    };
+}
+
+/**
+ * Check a loft's sections and that their profiles can be matched up
+ */
+function validateLoft(solid, path, what, collector, options) {
+    if (solid.sections === undefined) {
+        if (solid.clone === undefined) {
+            collector.error(path, `${what} is missing "sections"`);
+        }
+        return;
+    }
+    if (!Array.isArray(solid.sections)) {
+        return; // Reported by checkProperties
+    }
+    const errors = collector.countErrors();
+    solid.sections.forEach((section, i) => {
+        const sectionPath = [...path, 'sections', i];
+        if (!isPlainObject(section)) {
+            collector.error(sectionPath, `${what} section ${i + 1} should be a mapping with a "profile" and an "offset" or "center"`);
+            return;
+        }
+        collector.checkProperties(section, LOFT_SECTION_SCHEMA, sectionPath, `${what} section ${i + 1}`, { lenient: options.lenient });
+        if (section.profile === undefined) {
+            collector.error(sectionPath, `${what} section ${i + 1} is missing "profile"`);
+        } else {
+            validateProfile(section.profile, [...sectionPath, 'profile'], `${what} section ${i + 1}`, collector, options);
+        }
+    });
+    if (collector.countErrors() > errors) {
+        return;
+    }
+    return () => {
+        try {
+            loftRings(solid, 32);
+        } catch (e) {
+            if (!(e instanceof LoftError)) {
+                throw e;
+            }
+            collector.error([...path, ...splitPath(e.property)], `${what} ${e.message}`);
+        }
+    };
+}
+
+/**
+ * Check a text solid lays out in its font, warning about characters the font doesn't have
+ */
+function validateText(solid, path, what, collector) {
+    if (solid.text === undefined) {
+        if (solid.clone === undefined) {
+            collector.error(path, `${what} is missing "text"`);
+        }
+        return;
+    }
+    return () => {
+        try {
+            const { missing } = textShapes(solid, 32);
+            if (missing.length > 0) {
+                collector.warning([...path, 'text'], `${what} font "${solid.font ?? DEFAULT_FONT}" has no ${missing.map(char => JSON.stringify(char)).join(', ')}; "?" is drawn instead`);
+            }
+        } catch (e) {
+            if (!(e instanceof TextError)) {
+                throw e;
+            }
+            // Values of the wrong type were reported by checkProperties
+            if (matchesType(solid[e.property], SHAPE_SCHEMAS.text.properties[e.property]) || solid[e.property] === undefined) {
+                collector.error([...path, e.property], `${what} ${e.message}`);
+            }
+        }
+    };
+}
+
+/**
+ * Check a polyhedron's faces close up and face outwards, reporting each face that doesn't
+ */
+function validatePolyhedron(solid, path, what, collector) {
+    const missing = ['points', 'faces'].filter(key => solid[key] === undefined);
+    if (missing.length > 0) {
+        if (solid.clone === undefined) {
+            collector.error(path, `${what} is missing ${missing.map(key => `"${key}"`).join(' and ')}`);
+        }
+        return;
+    }
+    return () => {
+        let polyhedron;
+        try {
+            polyhedron = readPolyhedron(solid);
+        } catch (e) {
+            if (!(e instanceof PolyhedronError)) {
+                throw e;
+            }
+            // Values that aren't lists were reported by checkProperties
+            if (Array.isArray(solid[splitPath(e.property)[0]])) {
+                collector.error([...path, ...splitPath(e.property)], `${what} ${e.message}`);
+            }
+            return;
+        }
+        for (const problem of polyhedronProblems(polyhedron)) {
+            collector.error([...path, ...splitPath(problem.property)], `${what} ${problem.message}`);
+        }
+    };
+}
+
+/**
+ * Check a mesh solid's units, warning when its file couldn't be repaired into a closed surface
+ */
+function validateMesh(solid, path, what, collector) {
+    if (solid.file === undefined) {
+        if (solid.clone === undefined) {
+            collector.error(path, `${what} is missing "file"`);
+        }
+        return;
+    }
+    return () => {
+        try {
+            meshUnitScale(solid);
+        } catch (e) {
+            if (!(e instanceof MeshError)) {
+                throw e;
+            }
+            // Units that aren't a name were reported by checkProperties
+            if (e.property !== 'units' || typeof solid.units === 'string') {
+                collector.error([...path, e.property], `${what} ${e.message}`);
+            }
+        }
+        const mesh = getMesh(solid.file);
+        const problems = [
+            mesh?.openEdges && `${mesh.openEdges} open edge${mesh.openEdges > 1 ? 's' : ''} (holes in its surface)`,
+            mesh?.nonManifoldEdges && `${mesh.nonManifoldEdges} edge${mesh.nonManifoldEdges > 1 ? 's' : ''} shared by more than two triangles`
+        ].filter(Boolean);
+        if (problems.length > 0) {
+            collector.warning([...path, 'file'], `${what} mesh "${solid.file}" has ${problems.join(' and ')}; boolean operations with it may fail`);
+        }
+    };
+}
+
+/**
+ * Validate one solid definition
+ *
+ * The shape, modifier and mirror checks look at a solid's structure straight away and hand
+ * back a check of what its values build (profiles, sweeps, exact fillets and shells...),
+ * which only runs when the values are final rather than leniently read expressions.
+ *
+ * @param {Object} options - { lenient, targetExists, materialExists, stampExists }
+ */
+function validateSolid(name, solid, path, collector, options) {
+    const what = `Solid "${name}"`;
+    if (!isPlainObject(solid)) {
+        collector.error(path, `${what} should be a mapping`);
+        return;
+    }
+
+    const shapeNames = Object.keys(SHAPE_SCHEMAS);
+    const schema = SHAPE_SCHEMAS[solid.shape];
+    if (solid.shape === undefined) {
+        if (solid.clone === undefined) {
+            collector.error(path, `${what} has no "shape" (one of: ${shapeNames.join(', ')})`);
+        }
+    } else if (!schema) {
+        collector.error([...path, 'shape'], `${what} has unknown shape "${solid.shape}"${suggest(solid.shape, shapeNames)}`);
+    }
+
+    const properties = { ...COMMON_SOLID_PROPERTIES, ...(schema ? schema.properties : {}) };
+    const required = schema && solid.clone === undefined
+        ? schema.required.filter(key => !schema.alternatives?.[key]?.every(alternative => solid[alternative] !== undefined))
+        : [];
+    collector.checkProperties(solid, properties, path, what, {
+        lenient: options.lenient,
+        required,
+        // Without a known shape we can't tell which properties belong, so don't pile on warnings
+        extraKeys: schema ? [] : Object.keys(solid)
+    });
+
+    if (typeof solid.opacity === 'number' && (solid.opacity < 0 || solid.opacity > 1)) {
+        collector.error([...path, 'opacity'], `${what} opacity should be between 0 and 1`);
+    }
+
+    // Checks of what the values build, run once the values are final
+    const valueChecks = [];
+
+    if (['extrusion', 'revolve', 'sweep'].includes(solid.shape)) {
+        valueChecks.push(validateSolidProfile(solid, path, what, collector, options));
+    }
+
+    if (solid.shape === 'revolve') {
+        valueChecks.push(validateRevolve(solid, path, what, collector, options));
+    }
+
+    if (solid.shape === 'sweep') {
+        valueChecks.push(validateSweep(solid, path, what, collector));
+    }
+
+    if (solid.shape === 'loft') {
+        valueChecks.push(validateLoft(solid, path, what, collector, options));
+    }
+
+    if (solid.shape === 'text') {
+        valueChecks.push(validateText(solid, path, what, collector));
+    }
+
+    if (solid.shape === 'polyhedron') {
+        valueChecks.push(validatePolyhedron(solid, path, what, collector));
+    }
+
+    if (solid.shape === 'mesh') {
+        valueChecks.push(validateMesh(solid, path, what, collector));
+    }
+
+    if (typeof solid.material === 'string' && options.materialExists && !options.materialExists(solid.material)) {
+        collector.error([...path, 'material'], `${what} uses material "${solid.material}" which is not defined in "materials"`);
+    }
+
+    if (typeof solid.clone === 'string' && options.cloneExists && !options.cloneExists(solid.clone)) {
+        collector.error([...path, 'clone'], `${what} clones "${solid.clone}" which is not a solid`);
+    }
+
+    if (solid.modifiers !== undefined) {
+        valueChecks.push(...validateModifiers(solid.modifiers, [...path, 'modifiers'], what, collector, { ...options, solid }));
+    }
+
+    if (solid.mirror !== undefined) {
+        valueChecks.push(validateMirror(solid.mirror, [...path, 'mirror'], what, collector, options));
+    }
+
+    if (solid.stamps !== undefined) {
+        validateStampInstances(solid.stamps, [...path, 'stamps'], what, collector, options);
+    }
+
+    // Values are only final after parsing
+    if (options.lenient) {
+        return;
+    }
+
+    valueChecks.forEach(check => check?.());
+
+    if (solid.shape === 'extrusion' && isShapedExtrusion(solid)) {
+        validateExtrusion(solid, path, what, collector);
+    }
+
+    if (solid.shape === 'cylinder' || solid.shape === 'cone') {
+        try {
+            readRoundSolid(solid);
+        } catch (e) {
+            if (!(e instanceof RoundSolidError)) {
+                throw e;
+            }
+            // Values of the wrong type were reported by checkProperties
+            if (typeof solid[e.property] === 'number' || solid[e.property] === undefined) {
+                collector.error([...path, e.property], `${what} ${e.message}`);
+            }
+        }
+    }
+
+    validatePlacement(solid, path, what, collector);
+}
+
+function validateStampInstances(instances, path, what, collector, options) {
+    if (!isPlainObject(instances)) {
+        collector.error(path, `${what} "stamps" should be a mapping of instance names to stamps`);
+        return;
+    }
+    for (const [instanceName, instance] of Object.entries(instances)) {
+        const instancePath = [...path, instanceName];
+        const stampName = typeof instance === 'string' ? instance : instance && instance.stamp;
+        if (typeof stampName !== 'string') {
+            collector.error(instancePath, `${what} stamp instance "${instanceName}" has no "stamp"`);
+            continue;
+        }
+        if (options.stampExists && !options.stampExists(stampName)) {
+            collector.error(typeof instance === 'string' ? instancePath : [...instancePath, 'stamp'],
+                `${what} stamp instance "${instanceName}" uses stamp "${stampName}" which is not defined in "stamps"`);
+        }
+        if (isPlainObject(instance)) {
+            for (const key of ['at', 'rotate']) {
+                if (instance[key] !== undefined && !matchesType(instance[key], 'vector3', true)) {
+                    collector.error([...instancePath, key], `${what} stamp instance "${instanceName}" "${key}" should be a list of 3 numbers`);
+                }
+            }
+            if (instance.args !== undefined && !Array.isArray(instance.args)) {
+                collector.error([...instancePath, 'args'], `${what} stamp instance "${instanceName}" "args" should be a list of parameter values`);
+            }
+            if (instance.pattern !== undefined) {
+                validatePattern(instance.pattern, [...instancePath, 'pattern'], `${what} stamp instance "${instanceName}"`, collector);
+            }
+        }
+    }
+}
+
+function validatePattern(pattern, path, what, collector) {
+    if (!isPlainObject(pattern)) {
+        collector.error(path, `${what} "pattern" should be a mapping with a "type" (${Object.keys(PATTERN_SCHEMAS).join(', ')})`);
+        return;
+    }
+    const schema = PATTERN_SCHEMAS[pattern.type];
+    if (!schema) {
+        collector.error([...path, 'type'], pattern.type === undefined
+            ? `${what} pattern is missing "type" (${Object.keys(PATTERN_SCHEMAS).join(', ')})`
+            : `${what} has unknown pattern type "${pattern.type}"${suggest(pattern.type, Object.keys(PATTERN_SCHEMAS))}`);
+        return;
+    }
+    collector.checkProperties(pattern, schema.properties, path, `${what} ${pattern.type} pattern`, {
+        lenient: true,
+        extraKeys: ['type']
+    });
+    for (const key of schema.required) {
+        if (pattern[key] === undefined) {
+            collector.error(path, `${what} ${pattern.type} pattern is missing "${key}"`);
+        }
+    }
+    if (pattern.type === 'polar' && pattern.radius === undefined && pattern.center === undefined) {
+        collector.error(path, `${what} polar pattern needs a "radius" or a "center" to rotate around`);
+    }
+}
+
+function validateStamps(stamps, collector, options) {
+    if (stamps === undefined) {
+        return;
+    }
+    if (!isPlainObject(stamps)) {
+        collector.error(['stamps'], 'Section "stamps" should be a mapping');
+        return;
+    }
+    for (const [stampName, stamp] of Object.entries(stamps)) {
+        const path = ['stamps', stampName];
+        if (!isPlainObject(stamp)) {
+            collector.error(path, `Stamp "${stampName}" should be a mapping`);
+            continue;
+        }
+        collector.checkProperties(stamp, { params: 'any', solids: 'object', parent: 'object' }, path, `Stamp "${stampName}"`);
+        try {
+            normalizeStampParams(stamp.params);
+        } catch (e) {
+            collector.error([...path, 'params'], `Stamp "${stampName}": ${e.message}`);
+        }
+
+        const stampSolids = isPlainObject(stamp.solids) ? stamp.solids : {};
+        const targetExists = (target) => Object.prototype.hasOwnProperty.call(stampSolids, target);
+        for (const [name, solid] of Object.entries(stampSolids)) {
+            if (isPlainObject(solid) && solid.pattern !== undefined) {
+                collector.error([...path, 'solids', name, 'pattern'],
+                    `Solid "${name}" in stamp "${stampName}" can't have a pattern; add "pattern" to the stamp instance instead`);
+            }
+            validateSolid(name, solid, [...path, 'solids', name], collector, {
+                ...options,
+                lenient: true,
+                targetExists,
+                cloneExists: targetExists
+            });
+        }
+
+        if (isPlainObject(stamp.parent)) {
+            collector.checkProperties(stamp.parent, { modifiers: 'object' }, [...path, 'parent'], `Stamp "${stampName}" parent`);
+            if (stamp.parent.modifiers !== undefined) {
+                validateModifiers(stamp.parent.modifiers, [...path, 'parent', 'modifiers'], `Stamp "${stampName}" parent`, collector, {
+                    lenient: true,
+                    targetExists
+                });
+            }
+        }
+    }
+}
+
+function validateConfigurations(configurations, collector) {
+    if (configurations === undefined) {
+        return;
+    }
+    if (!isPlainObject(configurations)) {
+        collector.error(['configurations'], 'Section "configurations" should be a mapping of configuration names to overrides');
+        return;
+    }
+    for (const [name, configuration] of Object.entries(configurations)) {
+        const path = ['configurations', name];
+        if (configuration === null) {
+            continue;
+        }
+        if (!isPlainObject(configuration)) {
+            collector.error(path, `Configuration "${name}" should be a mapping with params/hide/show`);
+            continue;
+        }
+        collector.checkProperties(configuration, CONFIGURATION_SCHEMA, path, `Configuration "${name}"`);
+        if (configuration.params !== undefined) {
+            validateParams(configuration.params, collector, [...path, 'params']);
+        }
+    }
+}
+
+function validateImports(imports, collector) {
+    if (imports === undefined || imports === null) {
+        return;
+    }
+    if (!Array.isArray(imports)) {
+        collector.error(['imports'], 'Section "imports" should be a list of files');
+        return;
+    }
+    imports.forEach((spec, index) => {
+        const path = ['imports', index];
+        if (typeof spec === 'string') {
+            return;
+        }
+        if (!isPlainObject(spec)) {
+            collector.error(path, 'Each import should be a file path or a mapping with "file" (and optionally "as")');
+            return;
+        }
+        collector.checkProperties(spec, IMPORT_SCHEMA, path, `Import ${index + 1}`);
+        if (spec.file === undefined) {
+            collector.error(path, `Import ${index + 1} is missing "file"`);
+        }
+    });
+}
+
+function validateFinal(final, collector, materialExists) {
+    if (final === undefined || final === null) {
+        return;
+    }
+    if (!isPlainObject(final)) {
+        collector.error(['final'], 'Section "final" should be a mapping');
+        return;
+    }
+    collector.checkProperties(final, FINAL_SCHEMA, ['final'], 'Final');
+    if (typeof final.material === 'string' && !materialExists(final.material)) {
+        collector.error(['final', 'material'], `Final material "${final.material}" is not defined in "materials"`);
+    }
+}
+
+/**
+ * Attach line/column positions to diagnostics that have a path
+ * @param {string} yamlText - YAML source the paths refer to
+ * @param {Array<Object>} diagnostics - Diagnostics with a `path`
+ * @returns {Array<Object>} The same diagnostics with `line`/`column` where known
+ */
+export function locateDiagnostics(yamlText, diagnostics) {
+    const positions = buildPositionMap(yamlText);
+    for (const diagnostic of diagnostics) {
+        if (diagnostic.line === undefined && diagnostic.path) {
+            const position = locatePath(positions, splitPath(diagnostic.path));
+            if (position) {
+                diagnostic.line = position.line;
+                diagnostic.column = position.column;
+            }
+        }
+    }
+    return diagnostics;
+}
+
+/**
+ * Validate a model before geometry is built
+ *
+ * Section structure, stamp definitions and stamp/clone references are checked on the
+ * raw YAML; solids are checked after parsing (params, stamps, clones and references
+ * resolved) so types and boolean targets reflect what will actually be built.
+ *
+ * @param {string} yamlText - YAML source
+ * @param {Object} [data] - Parsed model from parseYAML; when parsing failed, solids are
+ *   checked on the raw YAML instead (leniently, since values may still hold expressions)
+ * @param {OriginMap} [origins] - Origins filled by parseYAML; problems in compiled solids
+ *   then point at the YAML that produced them (stamp definitions, patterned originals)
+ * @returns {Array<Object>} Diagnostics: { severity: 'error'|'warning', message, path, line, column }
+ */
+export function validateModel(yamlText, data, origins = null) {
+    const collector = new DiagnosticCollector();
+    const raw = jsyaml.load(yamlText) || {};
+
+    if (!isPlainObject(raw)) {
+        collector.error([], 'A model should be a mapping with sections like "settings" and "solids"');
+        return collector.diagnostics;
+    }
+
+    for (const key of Object.keys(raw)) {
+        if (!SECTION_KEYS.includes(key)) {
+            collector.warning([key], `Unknown section "${key}"${suggest(key, SECTION_KEYS)}; it will be ignored`);
+        }
+    }
+
+    const compiled = isPlainObject(data) ? data : null;
+    // Imported stamps and materials are only known once parsing has loaded the imports
+    const definitionsKnown = compiled !== null || raw.imports === undefined;
+    const materials = isPlainObject((compiled || raw).materials) ? (compiled || raw).materials : {};
+    const materialExists = (name) => !definitionsKnown || Object.prototype.hasOwnProperty.call(materials, name);
+    const stamps = isPlainObject((compiled || raw).stamps) ? (compiled || raw).stamps : {};
+    const stampExists = (name) => !definitionsKnown || Object.prototype.hasOwnProperty.call(stamps, name);
+    const rawSolids = isPlainObject(raw.solids) ? raw.solids : {};
+    const solids = compiled ? (isPlainObject(compiled.solids) ? compiled.solids : {}) : rawSolids;
+
+    validateSettings(raw.settings, collector);
+    validateImports(raw.imports, collector);
+    validateConfigurations(raw.configurations, collector);
+    validateParams(raw.params, collector);
+    validateMaterials(raw.materials, collector);
+    validateStamps(raw.stamps, collector, { materialExists, stampExists });
+
+    if (raw.solids !== undefined && !isPlainObject(raw.solids)) {
+        collector.error(['solids'], 'Section "solids" should be a mapping of solid names to definitions');
+    }
+
+    // Stamp instances and clones only exist before parsing
+    for (const [name, solid] of Object.entries(rawSolids)) {
+        if (!isPlainObject(solid)) {
+            continue;
+        }
+        // Without a compiled model the raw solids are validated below, stamps included
+        if (compiled && solid.stamps !== undefined) {
+            validateStampInstances(solid.stamps, ['solids', name, 'stamps'], `Solid "${name}"`, collector, { stampExists });
+        }
+        if (solid.pattern !== undefined) {
+            validatePattern(solid.pattern, ['solids', name, 'pattern'], `Solid "${name}"`, collector);
+        }
+        if (typeof solid.clone === 'string' && !Object.prototype.hasOwnProperty.call(rawSolids, solid.clone)) {
+            collector.error(['solids', name, 'clone'], `Solid "${name}" clones "${solid.clone}" which is not a solid`);
+        }
+    }
+
+    const targetExists = (target) => Object.prototype.hasOwnProperty.call(solids, target);
+    for (const [name, solid] of Object.entries(solids)) {
+        const start = collector.diagnostics.length;
+        validateSolid(name, solid, ['solids', name], collector, {
+            lenient: !compiled,
+            targetExists,
+            materialExists,
+            stampExists
+        });
+        if (compiled && origins?.get(name)) {
+            const prefix = `solids.${name}`;
+            for (let i = start; i < collector.diagnostics.length; i++) {
+                const { severity, path, message } = collector.diagnostics[i];
+                const property = path.length > prefix.length ? path.slice(prefix.length + 1) : undefined;
+                collector.diagnostics[i] = origins.diagnostic(name, property, message, severity);
+            }
+        }
+    }
+
+    validateFinal(raw.final, collector, materialExists);
+
+    const diagnostics = locateDiagnostics(yamlText, collector.diagnostics);
+    debugLabel('Validation diagnostics', diagnostics.length);
+    diagnostics.forEach(d => debug(`  ${d.severity} ${d.path}: ${d.message}`));
+    return diagnostics;
+}
+
+/**
+ * Check whether any diagnostic is an error
+ * @param {Array<Object>} diagnostics - Diagnostics from validateModel
+ * @returns {boolean}
+ */
+export function hasErrors(diagnostics) {
+    return diagnostics.some(d => d.severity === 'error');
+}
+
+/**
+ * Format a diagnostic as a single line of text
+ * @param {Object} diagnostic - Diagnostic
+ * @returns {string} e.g. "Line 12:9: Solid "base" has unknown property ..."
+ */
+export function formatDiagnostic(diagnostic) {
+    const location = diagnostic.line !== undefined ? `Line ${diagnostic.line}:${diagnostic.column}: ` : '';
+    return `${location}${diagnostic.message}`;
+}
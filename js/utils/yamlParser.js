@@ -2,19 +2,63 @@
  * YAML parsing utilities
  */
 
+import { evaluateExpression, looksLikeExpression, formatExpressionError, applyAccessors, ExpressionError } from './expression.js';
+import { DERIVED_PROPERTIES, getDerivedProperty } from './solidBounds.js';
+import { resolveImports, matchParameterName } from './imports.js';
+import { expandPatterns, expandStampInstances } from './patterns.js';
+import { normalizeStampParams, stampParamNames, bindStampParams } from './stampParams.js';
+import { applyUnits } from './units.js';
+import { loadFonts } from './fonts.js';
+import { loadMeshes } from './meshFiles.js';
+import { applyConfiguration, applyParamOverrides } from './configurations.js';
+import { OriginMap } from './origins.js';
+import { readPoint, addPoints, rotatePivoted, composeRotation, composeTransform, identityTransform, isIdentityRotation, placementSteps } from './transforms.js';
+import { debug } from './debug.js';
+
+/**
+ * Properties whose string values are names, file paths, SVG path data or text, never references
+ * or expressions
+ */
+const LITERAL_KEYS = new Set(['shape', 'material', 'clone', 'type', 'boolean', 'd', 'text', 'font', 'align', 'valign', 'file', 'units']);
+
+/**
+ * Format a parameter value as expression source so it can be spliced into a larger expression
+ */
+function formatParameterLiteral(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(formatParameterLiteral).join(', ')}]`;
+    }
+    if (typeof value === 'number') {
+        return value < 0 ? `(${value})` : `${value}`;
+    }
+    return `(${value})`;
+}
+
+/**
+ * Matches `$name` parameter references, including namespaced ones like `$hw.pitch`
+ */
+const PARAMETER_REFERENCE = /\$([a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z_][a-zA-Z0-9_]*)*)/g;
+
 /**
  * Substitute parameters in a value (recursively handles objects, arrays, and strings)
+ * A string that is exactly `$name` takes the parameter's value as-is (number, array, ...);
+ * inside a larger expression the value is spliced in as a literal, so `$cp[2]` and
+ * `$d / 2` evaluate later. Unknown `$names` are left alone for a later stage.
  */
 function substituteParameters(value, paramMap) {
     if (typeof value === 'string') {
-        // Replace parameter references like $diameter with their values
-        let result = value;
-        for (const [paramName, paramValue] of Object.entries(paramMap)) {
-            // Replace $paramName with paramValue, handling word boundaries
-            const regex = new RegExp(`\\$${paramName}\\b`, 'g');
-            result = result.replace(regex, paramValue.toString());
+        const isParameter = (name) => paramMap.hasOwnProperty(name);
+        const exactMatch = /^\s*\$([a-zA-Z_][a-zA-Z0-9_.]*)\s*$/.exec(value);
+        if (exactMatch && isParameter(exactMatch[1])) {
+            return paramMap[exactMatch[1]];
         }
-        return result;
+        return value.replace(PARAMETER_REFERENCE, (match, reference) => {
+            // `$hw.pitch` may be a namespaced param, or `$cp` followed by a property access
+            const paramName = matchParameterName(reference, isParameter);
+            return paramName
+                ? formatParameterLiteral(paramMap[paramName]) + reference.slice(paramName.length)
+                : match;
+        });
     } else if (Array.isArray(value)) {
         return value.map(item => substituteParameters(item, paramMap));
     } else if (value && typeof value === 'object') {
@@ -34,15 +78,276 @@ function deepClone(obj) {
     return JSON.parse(JSON.stringify(obj));
 }
 
+/**
+ * Maximum depth of stamps used inside other stamps
+ */
+const MAX_STAMP_DEPTH = 8;
+
+/**
+ * Create an error with a diagnostic pointing at a path in the YAML (a stamp instance or a param)
+ */
+function stampError(message, path) {
+    const error = new Error(message);
+    error.diagnostics = [{ severity: 'error', path: path.join('.'), message }];
+    return error;
+}
+
+/**
+ * Read a stamp instance: either a stamp name, or a mapping with `stamp`, `at`, `rotate`
+ * and parameter values
+ */
+function readStampInstance(stampInstance) {
+    if (typeof stampInstance === 'string') {
+        return { stampName: stampInstance, stampParams: {}, stampPosition: [0, 0, 0], stampRotation: [0, 0, 0] };
+    }
+    
+    // Everything except 'stamp', 'at', and 'rotate' is a parameter (`args` binds by position)
+    const { stamp, at, rotate, ...stampParams } = stampInstance;
+    return {
+        stampName: stamp,
+        stampParams,
+        stampPosition: at || [0, 0, 0],
+        stampRotation: rotate || [0, 0, 0]
+    };
+}
+
+/**
+ * Build a stamp's parameter map from its declared params and the instance values
+ * @throws {Error} Listing every problem with the instance's values
+ */
+function buildStampParamMap(stampName, stampDef, stampParams, instanceName, owner, path) {
+    let declarations;
+    try {
+        declarations = normalizeStampParams(stampDef.params);
+    } catch (e) {
+        throw stampError(`Stamp "${stampName}": ${e.message}`, ['stamps', stampName, 'params']);
+    }
+    
+    const { paramMap, problems } = bindStampParams(declarations, stampParams, substituteParameters);
+    if (problems.length > 0) {
+        const message = `Stamp instance "${instanceName}" (${stampName}) on ${owner} ${problems.join('; ')}`;
+        const error = new Error(message);
+        error.diagnostics = problems.map(problem => ({
+            severity: 'error',
+            path: path.join('.'),
+            message: `Stamp instance "${instanceName}" (${stampName}) ${problem}`
+        }));
+        throw error;
+    }
+    return paramMap;
+}
+
+/**
+ * Normalize boolean operations to list format ([{ difference: name }, ...])
+ */
+function toBooleanList(booleanOps) {
+    if (!booleanOps) {
+        return [];
+    }
+    if (Array.isArray(booleanOps)) {
+        return booleanOps;
+    }
+    const operations = [];
+    for (const [opType, target] of Object.entries(booleanOps)) {
+        const targets = Array.isArray(target) ? target : [target];
+        targets.forEach(t => operations.push({ [opType]: t }));
+    }
+    return operations;
+}
+
+/**
+ * Recursively update boolean references in modifiers using a map of old to new names
+ */
+function updateBooleanReferences(obj, nameMap) {
+    if (Array.isArray(obj)) {
+        return obj.map(item => updateBooleanReferences(item, nameMap));
+    } else if (obj && typeof obj === 'object') {
+        const updated = {};
+        for (const [key, value] of Object.entries(obj)) {
+            if (key === 'boolean') {
+                // Update boolean operation references
+                updated[key] = toBooleanList(value).map(op => {
+                    const [opType, refName] = Object.entries(op)[0];
+                    if (nameMap[refName]) {
+                        return { [opType]: nameMap[refName] };
+                    }
+                    return op;
+                });
+            } else {
+                // Recursively update nested structures
+                updated[key] = updateBooleanReferences(value, nameMap);
+            }
+        }
+        return updated;
+    }
+    return obj;
+}
+
+/**
+ * Move a stamp's shape from the stamp's frame into the instance's placement
+ * The center is rotated around the stamp origin (as the shape turns about its pivot) and
+ * then translated; the rotation is combined with the instance rotation. A shape with its
+ * own transforms gets the placement as more transforms, since those come last.
+ */
+function placeStampShape(shape, transform) {
+    if (Array.isArray(shape.transforms)) {
+        shape.transforms = [...shape.transforms, ...placementSteps(transform)];
+        return shape;
+    }
+    const rotated = !isIdentityRotation(transform.quaternion);
+    
+    let center;
+    try {
+        center = rotatePivoted(readPoint(shape.center), transform.quaternion, rotated ? shape.pivot : undefined);
+    } catch (e) {
+        throw new Error(`is rotated, but its center ${e.message}; use numbers in rotated stamps`);
+    }
+    shape.center = addPoints(center, transform.position);
+    
+    if (rotated) {
+        try {
+            shape.rotation = composeRotation(shape.rotation, transform.quaternion);
+        } catch (e) {
+            throw new Error(`is rotated, but its ${e.message}`);
+        }
+    }
+    return shape;
+}
+
+/**
+ * Expand one stamp instance into solids, recursing into stamps used by the stamp's own solids
+ * @param {Object} stamps - All stamp definitions
+ * @param {string} instanceName - Name of the instance
+ * @param {string|Object} stampInstance - Instance definition
+ * @param {Object} parentTransform - Placement of the frame the instance's `at`/`rotate` are in
+ * @param {string} prefix - Prefix for generated solid names (e.g. "plate_boss1")
+ * @param {Array<Object>} chain - Stamp instances being expanded above this one, outermost first:
+ *   { stamp, instance, file } (for cycle detection and origins)
+ * @param {string} owner - Description of what the instance is on, for messages
+ * @param {Array<string>} path - Path of the instance in the YAML, for diagnostics
+ * @param {OriginMap} origins - Records where each generated solid came from
+ * @returns {{solids: Object, booleans: Array}} Generated solids, and the boolean operations
+ *   the stamp's `parent` block adds to the solid the instance is on
+ */
+function expandStampInstance(stamps, instanceName, stampInstance, parentTransform, prefix, chain, owner, path, origins) {
+    const { stampName, stampParams, stampPosition, stampRotation } = readStampInstance(stampInstance);
+    
+    if (!stamps[stampName]) {
+        console.warn(`Stamp "${stampName}" not found for ${owner}`);
+        return { solids: {}, booleans: [] };
+    }
+    const chainNames = chain.map(entry => entry.stamp);
+    if (chainNames.includes(stampName)) {
+        throw stampError(`Stamp cycle detected: ${[...chainNames.slice(chainNames.indexOf(stampName)), stampName].join(' -> ')}`, path);
+    }
+    if (chain.length >= MAX_STAMP_DEPTH) {
+        throw stampError(`Stamps are nested more than ${MAX_STAMP_DEPTH} levels deep: ${[...chainNames, stampName].join(' -> ')}`, path);
+    }
+    
+    // The instance is in the model, or in the file that defines the stamp it's nested in
+    const source = origins.stampSource(stampName);
+    const instanceFile = chain.length > 0 ? origins.stampSource(chain[chain.length - 1].stamp).file : null;
+    const stampChain = [...chain, { stamp: stampName, instance: path.join('.'), file: instanceFile }];
+    
+    const stampDef = stamps[stampName];
+    const paramMap = buildStampParamMap(stampName, stampDef, stampParams, instanceName, owner, path);
+    
+    let transform;
+    try {
+        transform = composeTransform(parentTransform, stampPosition, stampRotation);
+    } catch (e) {
+        throw stampError(`Stamp instance "${instanceName}" on ${owner}: ${e.message}`, path);
+    }
+    
+    debug(`  Expanding stamp "${stampName}" as "${prefix}"${chain.length > 0 ? ` (nested in ${chainNames.join(' -> ')})` : ''}`);
+    
+    // Generate unique names for all shapes in this stamp
+    const shapeNameMap = {}; // Maps original shape names to new unique names
+    const processedShapes = {}; // Store processed shapes temporarily
+    const nestedBooleans = {}; // Boolean operations added to shapes by their own stamps
+    const solids = {};
+    
+    // First pass: create all shapes with parameter substitution and placement
+    for (const [shapeName, shapeDef] of Object.entries(stampDef.solids || {})) {
+        const uniqueName = `${prefix}_${shapeName}`;
+        shapeNameMap[shapeName] = uniqueName;
+        origins.record(uniqueName, { file: source.file, path: `stamps.${source.name}.solids.${shapeName}`, stamps: stampChain });
+        
+        // Clone and substitute parameters (including in nested stamp instances)
+        const processedShape = substituteParameters(deepClone(shapeDef), paramMap);
+        const nestedInstances = processedShape.stamps;
+        delete processedShape.stamps;
+        
+        try {
+            placeStampShape(processedShape, transform);
+        } catch (e) {
+            throw stampError(`Solid "${shapeName}" in stamp "${stampName}" (instance "${instanceName}" on ${owner}) ${e.message}`, path);
+        }
+        processedShapes[uniqueName] = processedShape;
+        
+        // Stamps used by this shape are placed in this stamp's frame
+        if (nestedInstances) {
+            const nestedPath = ['stamps', source.name, 'solids', shapeName, 'stamps'];
+            const instances = expandStampInstances(nestedInstances, nestedPath, origins);
+            for (const [nestedName, nestedInstance] of Object.entries(instances)) {
+                const nested = expandStampInstance(
+                    stamps,
+                    nestedName,
+                    nestedInstance,
+                    transform,
+                    `${uniqueName}_${nestedName}`,
+                    stampChain,
+                    `solid "${shapeName}" in stamp "${stampName}"`,
+                    [...nestedPath, origins.originalName(nestedPath.join('.'), nestedName)],
+                    origins
+                );
+                Object.assign(solids, nested.solids);
+                nestedBooleans[uniqueName] = [...(nestedBooleans[uniqueName] || []), ...nested.booleans];
+            }
+        }
+    }
+    
+    // Second pass: update all boolean references in modifiers using the complete shapeNameMap
+    for (const [uniqueName, processedShape] of Object.entries(processedShapes)) {
+        if (processedShape.modifiers) {
+            processedShape.modifiers = updateBooleanReferences(processedShape.modifiers, shapeNameMap);
+        }
+        
+        // Parent modifiers of nested stamps apply to the shape that uses them
+        if (nestedBooleans[uniqueName]?.length > 0) {
+            processedShape.modifiers = processedShape.modifiers || {};
+            processedShape.modifiers.boolean = [
+                ...toBooleanList(processedShape.modifiers.boolean),
+                ...nestedBooleans[uniqueName]
+            ];
+        }
+        
+        solids[uniqueName] = processedShape;
+    }
+    
+    // Parent modifiers apply to the solid the instance is on, with references renamed
+    let booleans = [];
+    if (stampDef.parent && stampDef.parent.modifiers) {
+        const updatedParentModifiers = updateBooleanReferences(deepClone(stampDef.parent.modifiers), shapeNameMap);
+        booleans = toBooleanList(updatedParentModifiers.boolean);
+    }
+    
+    return { solids, booleans };
+}
+
 /**
  * Process stamps - expand stamp definitions into actual solids
+ * Stamps may use other stamps in their solids; names are built from the whole chain
+ * (solid_instance_shape_nestedInstance_nestedShape) and transforms compose.
+ * Generated solids are recorded in `origins` with the stamp instances that produced them.
  */
-function processStamps(data) {
-    if (!data.stamps || !data.solids) {
+function processStamps(data, origins) {
+    if (!data.solids) {
         return data;
     }
     
-    const stamps = data.stamps;
+    // Instances are dropped from the solids even when no stamps are defined
+    const stamps = data.stamps || {};
     const solids = deepClone(data.solids);
     const newSolids = {};
     
@@ -56,301 +361,46 @@ function processStamps(data) {
         
         // Clone the solid (we'll modify it)
         const processedSolid = deepClone(solid);
+        delete processedSolid.stamps;
+        const parentBooleans = [];
         
-        // Initialize modifiers if they don't exist
-        if (!processedSolid.modifiers) {
-            processedSolid.modifiers = {};
-        }
-        if (!processedSolid.modifiers.boolean) {
-            processedSolid.modifiers.boolean = [];
-        }
-        
-        // Process each stamp instance
+        // Process each stamp instance (paths point at the YAML, before patterns renamed things)
+        const stampsPath = ['solids', origins.originalName('solids', solidName), 'stamps'];
         for (const [stampInstanceName, stampInstance] of Object.entries(solid.stamps)) {
-            // Handle case where stampInstance might be the stamp name directly, or an object
-            let stampName, stampParams, stampPosition, stampRotation;
-            
-            if (typeof stampInstance === 'string') {
-                // Simple case: just a stamp name
-                stampName = stampInstance;
-                stampParams = {};
-                stampPosition = [0, 0, 0];
-                stampRotation = [0, 0, 0];
-            } else {
-                // Object case: has stamp, parameters, at, and optionally rotate
-                stampName = stampInstance.stamp;
-                stampPosition = stampInstance.at || [0, 0, 0];
-                stampRotation = stampInstance.rotate || [0, 0, 0];
-                
-                // Extract all parameters (everything except 'stamp', 'at', and 'rotate')
-                stampParams = {};
-                for (const [key, value] of Object.entries(stampInstance)) {
-                    if (key !== 'stamp' && key !== 'at' && key !== 'rotate') {
-                        stampParams[key] = value;
-                    }
-                }
-            }
-            
-            if (!stamps[stampName]) {
-                console.warn(`Stamp "${stampName}" not found for solid "${solidName}"`);
-                continue;
-            }
-            
-            const stampDef = stamps[stampName];
-            
-            // Build parameter map from stamp definition params and instance values
-            const paramMap = {};
-            if (stampDef.params && Array.isArray(stampDef.params)) {
-                stampDef.params.forEach((paramName, index) => {
-                    // Remove $ prefix if present
-                    const cleanParamName = paramName.replace(/^\$/, '');
-                    // Get the parameter value from the instance (by name or by index)
-                    let paramValue = null;
-                    
-                    // Try to get by name first
-                    if (stampParams.hasOwnProperty(cleanParamName)) {
-                        paramValue = stampParams[cleanParamName];
-                    } else {
-                        // Try to get by index (if params are ordered)
-                        const paramKeys = Object.keys(stampParams);
-                        if (paramKeys[index]) {
-                            paramValue = stampParams[paramKeys[index]];
-                        }
-                    }
-                    
-                    if (paramValue !== null && paramValue !== undefined) {
-                        paramMap[cleanParamName] = paramValue;
-                    }
-                });
-            } else {
-                // If no params array defined, use all stampParams as the param map
-                for (const [key, value] of Object.entries(stampParams)) {
-                    paramMap[key] = value;
-                }
-            }
-            
-            // Generate unique names for all shapes in this stamp
-            const shapeNameMap = {}; // Maps original shape names to new unique names
-            const processedShapes = {}; // Store processed shapes temporarily
-            
-            // First pass: create all shapes with parameter substitution and position offset
-            if (stampDef.solids) {
-                for (const [shapeName, shapeDef] of Object.entries(stampDef.solids)) {
-                    const uniqueName = `${solidName}_${stampInstanceName}_${shapeName}`;
-                    shapeNameMap[shapeName] = uniqueName;
-                    
-                    // Clone and process the shape
-                    let processedShape = deepClone(shapeDef);
-                    
-                    // Substitute parameters
-                    processedShape = substituteParameters(processedShape, paramMap);
-                    
-                    // Helper function to evaluate math expressions in center coordinates
-                    function evaluateCenterExpressions(center) {
-                        return center.map(val => {
-                            if (typeof val === 'string' && hasMathOperators(val)) {
-                                try {
-                                    const safePattern = /^[0-9+*/()\.\s-]+$/;
-                                    if (safePattern.test(val.trim())) {
-                                        const result = Function(`"use strict"; return (${val.trim()})`)();
-                                        if (typeof result === 'number' && !isNaN(result) && isFinite(result)) {
-                                            return result;
-                                        }
-                                    }
-                                } catch (e) {
-                                    // If evaluation fails, return as string
-                                }
-                            }
-                            return val;
-                        });
-                    }
-                    
-                    // Apply translation and rotation
-                    // Strategy: Translate first, then rotate around the translated position
-                    if (processedShape.center && Array.isArray(processedShape.center)) {
-                        const rotX = stampRotation[0] || 0;
-                        const rotY = stampRotation[1] || 0;
-                        const rotZ = stampRotation[2] || 0;
-                        const offsetX = stampPosition[0] || 0;
-                        const offsetY = stampPosition[1] || 0;
-                        const offsetZ = stampPosition[2] || 0;
-                        
-                        // Check if we need to apply rotation
-                        const hasRotation = rotX !== 0 || rotY !== 0 || rotZ !== 0;
-                        
-                        // First, try to evaluate math expressions in center
-                        const evaluatedCenter = evaluateCenterExpressions(processedShape.center);
-                        const allNumeric = evaluatedCenter.every(v => typeof v === 'number');
-                        
-                        if (hasRotation) {
-                            // Rotate center coordinates around stamp origin, then translate to stamp position
-                            // This ensures all shapes rotate together around the stamp position
-                            if (allNumeric) {
-                                // Numeric: rotate then translate
-                                const [cx, cy, cz] = evaluatedCenter;
-                                
-                                // Convert rotation to radians
-                                const rotXRad = rotX * Math.PI / 180;
-                                const rotYRad = rotY * Math.PI / 180;
-                                const rotZRad = rotZ * Math.PI / 180;
-                                
-                                // Start with shape's center (relative to stamp origin)
-                                let x = cx;
-                                let y = cy;
-                                let z = cz;
-                                
-                                // Apply rotations in ZYX order (standard Euler angles)
-                                // Rotate around Z axis
-                                if (rotZRad !== 0) {
-                                    const cosZ = Math.cos(rotZRad);
-                                    const sinZ = Math.sin(rotZRad);
-                                    const newX = x * cosZ - y * sinZ;
-                                    const newY = x * sinZ + y * cosZ;
-                                    x = newX;
-                                    y = newY;
-                                }
-                                
-                                // Rotate around Y axis
-                                if (rotYRad !== 0) {
-                                    const cosY = Math.cos(rotYRad);
-                                    const sinY = Math.sin(rotYRad);
-                                    const newX = x * cosY + z * sinY;
-                                    const newZ = -x * sinY + z * cosY;
-                                    x = newX;
-                                    z = newZ;
-                                }
-                                
-                                // Rotate around X axis
-                                if (rotXRad !== 0) {
-                                    const cosX = Math.cos(rotXRad);
-                                    const sinX = Math.sin(rotXRad);
-                                    const newY = y * cosX - z * sinX;
-                                    const newZ = y * sinX + z * cosX;
-                                    y = newY;
-                                    z = newZ;
-                                }
-                                
-                                // Translate to stamp position
-                                processedShape.center = [x + offsetX, y + offsetY, z + offsetZ];
-                            } else {
-                                // Has expressions: translate first, then add rotation property
-                                // For expressions, we can't easily compute rotation, so we translate
-                                // and add rotation property (will be applied to geometry)
-                                processedShape.center = processedShape.center.map((val, index) => {
-                                    const offset = index === 0 ? offsetX : index === 1 ? offsetY : offsetZ;
-                                    if (typeof val === 'number') {
-                                        return val + offset;
-                                    } else if (typeof val === 'string') {
-                                        if (offset !== 0) {
-                                            return `(${val}) + ${offset}`;
-                                        }
-                                        return val;
-                                    }
-                                    return val;
-                                });
-                                
-                                // Add rotation property (will be applied when shape is created)
-                                if (!processedShape.rotation) {
-                                    processedShape.rotation = [0, 0, 0];
-                                }
-                                const existingRot = processedShape.rotation;
-                                processedShape.rotation = [
-                                    (existingRot[0] || 0) + rotX,
-                                    (existingRot[1] || 0) + rotY,
-                                    (existingRot[2] || 0) + rotZ
-                                ];
-                            }
-                        } else {
-                            // No rotation, just offset center by stamp position
-                            processedShape.center = processedShape.center.map((val, index) => {
-                                const offset = index === 0 ? offsetX : index === 1 ? offsetY : offsetZ;
-                                if (typeof val === 'number') {
-                                    return val + offset;
-                                } else if (typeof val === 'string') {
-                                    // Wrap in parentheses and add offset if it's an expression
-                                    if (offset !== 0) {
-                                        return `(${val}) + ${offset}`;
-                                    }
-                                    return val;
-                                }
-                                return val;
-                            });
-                        }
-                    } else if (stampRotation && (stampRotation[0] !== 0 || stampRotation[1] !== 0 || stampRotation[2] !== 0)) {
-                        // No center but has rotation - add rotation property
-                        if (!processedShape.rotation) {
-                            processedShape.rotation = [0, 0, 0];
-                        }
-                        const existingRot = processedShape.rotation;
-                        processedShape.rotation = [
-                            (existingRot[0] || 0) + (stampRotation[0] || 0),
-                            (existingRot[1] || 0) + (stampRotation[1] || 0),
-                            (existingRot[2] || 0) + (stampRotation[2] || 0)
-                        ];
-                    }
-                    
-                    // Store for second pass
-                    processedShapes[uniqueName] = processedShape;
-                }
-            }
-            
-            // Helper function to recursively update boolean references
-            function updateBooleanReferences(obj, nameMap) {
-                if (Array.isArray(obj)) {
-                    return obj.map(item => updateBooleanReferences(item, nameMap));
-                } else if (obj && typeof obj === 'object') {
-                    const updated = {};
-                    for (const [key, value] of Object.entries(obj)) {
-                        if (key === 'boolean' && Array.isArray(value)) {
-                            // Update boolean operation references
-                            updated[key] = value.map(op => {
-                                const [opType, refName] = Object.entries(op)[0];
-                                if (nameMap[refName]) {
-                                    return { [opType]: nameMap[refName] };
-                                }
-                                return op;
-                            });
-                        } else {
-                            // Recursively update nested structures
-                            updated[key] = updateBooleanReferences(value, nameMap);
-                        }
-                    }
-                    return updated;
-                }
-                return obj;
-            }
-            
-            // Second pass: update all boolean references in modifiers using the complete shapeNameMap
-            for (const [uniqueName, processedShape] of Object.entries(processedShapes)) {
-                // Update references in modifiers
-                if (processedShape.modifiers) {
-                    processedShape.modifiers = updateBooleanReferences(processedShape.modifiers, shapeNameMap);
-                }
-                
-                // Add the fully processed shape to newSolids
-                newSolids[uniqueName] = processedShape;
-            }
+            const instancePath = [...stampsPath, origins.originalName(stampsPath.join('.'), stampInstanceName)];
+            const expanded = expandStampInstance(
+                stamps,
+                stampInstanceName,
+                stampInstance,
+                identityTransform(),
+                `${solidName}_${stampInstanceName}`,
+                [],
+                `solid "${solidName}"`,
+                instancePath,
+                origins
+            );
             
-            // Apply parent modifiers to the parent solid
-            if (stampDef.parent && stampDef.parent.modifiers) {
-                // Update references in parent modifiers to use new shape names
-                const parentModifiers = deepClone(stampDef.parent.modifiers);
-                
-                // Use the helper function to update all boolean references
-                const updatedParentModifiers = updateBooleanReferences(parentModifiers, shapeNameMap);
-                
-                if (updatedParentModifiers.boolean && Array.isArray(updatedParentModifiers.boolean)) {
-                    // Merge with existing boolean operations
-                    processedSolid.modifiers.boolean = [
-                        ...processedSolid.modifiers.boolean,
-                        ...updatedParentModifiers.boolean
-                    ];
+            for (const [name, generated] of Object.entries(expanded.solids)) {
+                if (newSolids[name] !== undefined || solids[name] !== undefined) {
+                    throw stampError(
+                        `Stamp instance "${stampInstanceName}" on solid "${solidName}" generates solid "${name}", which already exists`,
+                        instancePath
+                    );
                 }
+                newSolids[name] = generated;
             }
+            parentBooleans.push(...expanded.booleans);
+        }
+        
+        if (parentBooleans.length > 0) {
+            // Merge with existing boolean operations
+            processedSolid.modifiers = processedSolid.modifiers || {};
+            processedSolid.modifiers.boolean = [
+                ...toBooleanList(processedSolid.modifiers.boolean),
+                ...parentBooleans
+            ];
         }
         
-        // Remove stamps property from the solid
-        delete processedSolid.stamps;
         newSolids[solidName] = processedSolid;
     }
     
@@ -361,98 +411,134 @@ function processStamps(data) {
 }
 
 /**
- * Check if a string contains math operators
+ * Check that a resolved value contains no leftover strings (unresolved references)
  */
-function hasMathOperators(str) {
-    if (typeof str !== 'string') return false;
-    // Check for math operators (but not in quoted strings or as part of hex numbers)
-    return /[+\-*/()]/.test(str) && !/^0x[0-9a-fA-F]+$/.test(str);
+function isFullyResolved(value) {
+    if (Array.isArray(value)) {
+        return value.every(isFullyResolved);
+    }
+    return typeof value !== 'string';
 }
 
 /**
- * Evaluate a simple math expression with references
- * Supports: +, -, *, /, parentheses, and references to other solids
+ * Fully resolve a named property of another solid, evaluating any expressions in it
+ * @returns {*} The resolved value, or undefined if it isn't resolvable (yet)
  */
-function evaluateMathExpression(expr, currentProperty, allSolids, currentSolidName, arrayIndex, visited = new Set()) {
-    if (typeof expr !== 'string') return expr;
-    
-    // Trim whitespace
-    expr = expr.trim();
-    
-    // First, resolve all references in the expression
-    let resolvedExpr = expr;
-    const referencePattern = /([a-zA-Z_][a-zA-Z0-9_]*)/g;
-    const references = new Set(expr.match(referencePattern) || []);
+function resolveSolidProperty(refName, property, allSolids, visited) {
+    const visitKey = `${refName}.${property}`;
+    if (visited.has(visitKey)) {
+        return undefined;
+    }
+    const newVisited = new Set(visited);
+    newVisited.add(visitKey);
     
-    for (const refName of references) {
-        // Skip if it's a number or math operator keyword
-        if (!isNaN(refName) || ['sin', 'cos', 'tan', 'sqrt', 'abs', 'pi', 'e'].includes(refName.toLowerCase())) {
+    let value = resolveReferences(allSolids[refName][property], property, allSolids, refName, newVisited);
+    if (looksLikeExpression(value)) {
+        value = evaluateMathExpression(value, property, allSolids, refName, undefined, newVisited);
+    }
+    return isFullyResolved(value) ? value : undefined;
+}
+
+/**
+ * Resolve a derived read-only property (top, bottom, min, max, radius) of another solid
+ * from its fully resolved definition
+ */
+function resolveDerivedProperty(refName, property, allSolids, visited) {
+    const solid = allSolids[refName];
+    const resolvedSolid = {};
+    for (const key of Object.keys(solid)) {
+        if (key === 'modifiers' || key === 'stamps') {
             continue;
         }
-        
-        // Check if it's a reference to another solid
-        if (allSolids.hasOwnProperty(refName)) {
-            const referencedSolid = allSolids[refName];
-            let refValue = referencedSolid[currentProperty];
+        // Plain names (e.g. `axis: x`) are final as they are; a bare solid name is a reference
+        const raw = solid[key];
+        const isName = typeof raw === 'string' && !looksLikeExpression(raw) && !allSolids.hasOwnProperty(raw.trim());
+        const value = LITERAL_KEYS.has(key) || isName ? raw : resolveSolidProperty(refName, key, allSolids, visited);
+        if (value === undefined) {
+            return undefined;
+        }
+        resolvedSolid[key] = value;
+    }
+    return getDerivedProperty(resolvedSolid, property);
+}
+
+/**
+ * Evaluate an expression with references to other solids
+ * A bare solid name resolves to the same property of that solid (and the same
+ * element when inside an array). Paths like `base.size[0]`, `holder.center.z`
+ * or derived properties like `base.top` read any property explicitly.
+ * Returns the original string when a reference can't be resolved yet, so a
+ * later pass can try again.
+ */
+function evaluateMathExpression(expr, currentProperty, allSolids, currentSolidName, arrayIndex, visited = new Set()) {
+    if (typeof expr !== 'string') return expr;
+    
+    const scope = {
+        resolve(refName) {
+            if (!allSolids.hasOwnProperty(refName)) {
+                return undefined;
+            }
+            
+            let refValue = allSolids[refName][currentProperty];
             
             // If we're in an array context, get the specific element
             if (Array.isArray(refValue) && arrayIndex !== undefined && refValue[arrayIndex] !== undefined) {
                 refValue = refValue[arrayIndex];
-            } else if (refValue === undefined) {
-                // Property doesn't exist, keep the reference name
-                continue;
+            } else if (refValue === undefined || Array.isArray(refValue)) {
+                // Without an index a whole array is ambiguous here; wait for a later pass
+                return undefined;
             }
             
             // Resolve nested references
             const visitKey = `${refName}.${currentProperty}`;
-            if (!visited.has(visitKey)) {
-                const newVisited = new Set(visited);
-                newVisited.add(visitKey);
-                refValue = resolveReferences(refValue, currentProperty, allSolids, refName, newVisited);
+            if (visited.has(visitKey)) {
+                return undefined;
             }
+            const newVisited = new Set(visited);
+            newVisited.add(visitKey);
+            refValue = resolveReferences(refValue, currentProperty, allSolids, refName, newVisited);
             
-            // Convert to number if it's a number
-            if (typeof refValue === 'number') {
-                // Replace the reference name with its numeric value
-                const regex = new RegExp(`\\b${refName}\\b`, 'g');
-                resolvedExpr = resolvedExpr.replace(regex, refValue.toString());
-            } else if (typeof refValue === 'string' && hasMathOperators(refValue)) {
-                // If the referenced value is also a math expression, evaluate it first
-                const evaluated = evaluateMathExpression(refValue, currentProperty, allSolids, refName, arrayIndex, visited);
-                if (typeof evaluated === 'number') {
-                    const regex = new RegExp(`\\b${refName}\\b`, 'g');
-                    resolvedExpr = resolvedExpr.replace(regex, evaluated.toString());
-                }
+            // If the referenced value is also an expression, evaluate it first
+            if (looksLikeExpression(refValue)) {
+                refValue = evaluateMathExpression(refValue, currentProperty, allSolids, refName, arrayIndex, newVisited);
             }
+            
+            return typeof refValue === 'string' ? undefined : refValue;
+        },
+        
+        resolvePath(refName, accessors) {
+            if (!allSolids.hasOwnProperty(refName)) {
+                return undefined;
+            }
+            
+            const [property, ...rest] = accessors;
+            if (typeof property !== 'string') {
+                return null;
+            }
+            
+            let value;
+            if (allSolids[refName][property] !== undefined) {
+                value = resolveSolidProperty(refName, property, allSolids, visited);
+            } else if (DERIVED_PROPERTIES.includes(property)) {
+                value = resolveDerivedProperty(refName, property, allSolids, visited);
+            }
+            
+            if (value === undefined) {
+                return null;
+            }
+            return applyAccessors(value, rest);
         }
-    }
+    };
     
-    // Now evaluate the math expression safely
     try {
-        // Validate that the expression only contains safe characters
-        // Allow: numbers, operators (+, -, *, /), parentheses, decimal points, whitespace
-        // Note: - must be at the end of character class to avoid being interpreted as range
-        const safePattern = /^[0-9+*/()\.\s-]+$/;
-        if (!safePattern.test(resolvedExpr)) {
-            // If it still contains non-math characters, return as-is (might be an unresolved reference)
+        return evaluateExpression(expr.trim(), scope);
+    } catch (e) {
+        if (e instanceof ExpressionError) {
+            // Reported by assertExpressionsResolved once all passes are done
             return expr;
         }
-        
-        // Use Function constructor for safer evaluation than eval()
-        // This prevents access to global scope
-        const result = Function(`"use strict"; return (${resolvedExpr})`)();
-        
-        // Ensure we got a number
-        if (typeof result === 'number' && !isNaN(result) && isFinite(result)) {
-            return result;
-        }
-    } catch (e) {
-        // If evaluation fails, return original expression
-        console.warn(`Failed to evaluate math expression "${expr}":`, e);
-        return expr;
+        throw e;
     }
-    
-    return expr;
 }
 
 /**
@@ -478,7 +564,7 @@ function resolveReferences(value, currentProperty, allSolids, currentSolidName,
     if (Array.isArray(value)) {
         return value.map((item, index) => {
             // Check if item is a math expression
-            if (typeof item === 'string' && hasMathOperators(item)) {
+            if (looksLikeExpression(item)) {
                 const evaluated = evaluateMathExpression(item, currentProperty, allSolids, currentSolidName, index, newVisited);
                 // If evaluation resulted in a number, return it; otherwise continue resolving
                 if (typeof evaluated === 'number') {
@@ -512,7 +598,7 @@ function resolveReferences(value, currentProperty, allSolids, currentSolidName,
     // If value is a string, check if it's a math expression or a reference
     if (typeof value === 'string') {
         // Check if it's a math expression first
-        if (hasMathOperators(value)) {
+        if (looksLikeExpression(value)) {
             const evaluated = evaluateMathExpression(value, currentProperty, allSolids, currentSolidName, undefined, newVisited);
             // If evaluation resulted in a number, return it
             if (typeof evaluated === 'number') {
@@ -544,7 +630,7 @@ function resolveReferences(value, currentProperty, allSolids, currentSolidName,
     if (value && typeof value === 'object' && !Array.isArray(value)) {
         const resolved = {};
         for (const [key, val] of Object.entries(value)) {
-            resolved[key] = resolveReferences(val, key, allSolids, currentSolidName, newVisited);
+            resolved[key] = LITERAL_KEYS.has(key) ? val : resolveReferences(val, key, allSolids, currentSolidName, newVisited);
         }
         return resolved;
     }
@@ -554,9 +640,9 @@ function resolveReferences(value, currentProperty, allSolids, currentSolidName,
 
 /**
  * Resolve clone properties by copying properties from referenced solids
- * Handles cloning before reference resolution
+ * Handles cloning before reference resolution; copied properties are recorded in `origins`
  */
-function resolveClones(solids) {
+function resolveClones(solids, origins) {
     if (!solids) {
         return solids;
     }
@@ -628,6 +714,7 @@ function resolveClones(solids) {
             
             // Remove the clone property
             delete resolvedSolids[name].clone;
+            origins.recordInherited(name, Object.keys(clonedProperties).filter(key => !(key in overrides)), cloneRef);
             hasChanges = true;
         }
     }
@@ -641,28 +728,120 @@ function resolveClones(solids) {
 
 /**
  * Extract and normalize root-level params from YAML data
- * Converts array format like [{ $od: 10 }, { $id: 1 }] to { od: 10, id: 1 }
+ * Converts array format like [{ $od: 10 }, { $id: 1 }] (or a plain mapping) to { od: 10, id: 1 }
+ * @param {Object} data - Parsed YAML data
+ * @param {Object} [paths] - Filled with each param's path in the YAML, for diagnostics
+ * @returns {Object} Map of param name (without $) to raw YAML value
  */
-function extractRootParams(data) {
-    if (!data.params || !Array.isArray(data.params)) {
+function extractRootParams(data, paths = {}) {
+    if (!data.params || typeof data.params !== 'object') {
         return {};
     }
     
+    const listed = Array.isArray(data.params);
+    const entries = listed ? data.params : [data.params];
     const paramMap = {};
-    for (const paramEntry of data.params) {
+    entries.forEach((paramEntry, index) => {
         if (paramEntry && typeof paramEntry === 'object') {
             // Each entry is an object with a single key-value pair like { $od: 10 }
             for (const [key, value] of Object.entries(paramEntry)) {
                 // Remove $ prefix if present
                 const cleanKey = key.replace(/^\$/, '');
                 paramMap[cleanKey] = value;
+                paths[cleanKey] = listed ? ['params', index, key] : ['params', key];
             }
         }
-    }
+    });
     
     return paramMap;
 }
 
+/**
+ * Collect the names of parameters referenced by a raw parameter value
+ * Dotted references take the longest prefix that names a known parameter
+ */
+function collectParameterReferences(value, rawParams, references = new Set()) {
+    if (typeof value === 'string') {
+        for (const match of value.matchAll(PARAMETER_REFERENCE)) {
+            references.add(matchParameterName(match[1], name => rawParams.hasOwnProperty(name)) ?? match[1]);
+        }
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectParameterReferences(item, rawParams, references));
+    }
+    return references;
+}
+
+/**
+ * Evaluate a single raw parameter value against already-evaluated parameters
+ */
+function evaluateParameterValue(name, value, evaluated) {
+    if (Array.isArray(value)) {
+        return value.map(item => evaluateParameterValue(name, item, evaluated));
+    }
+    if (typeof value !== 'string' || !(looksLikeExpression(value) || value.includes('$'))) {
+        return value;
+    }
+    
+    // Splice in dependencies first so namespaced `$hw.pitch` references work too
+    const substituted = substituteParameters(value, evaluated);
+    if (typeof substituted !== 'string') {
+        return substituted;
+    }
+    
+    const scope = {
+        resolve: (refName) => refName.startsWith('$') ? evaluated[refName.slice(1)] : undefined
+    };
+    try {
+        return evaluateExpression(substituted.trim(), scope);
+    } catch (e) {
+        throw new Error(`Parameter "$${name}": ${formatExpressionError(substituted.trim(), e)}`);
+    }
+}
+
+/**
+ * Evaluate root params as a dependency graph
+ * Params may reference other params in any order (`$r: $d / 2`); they are evaluated
+ * dependencies-first into real numbers/arrays. Cycles and unknown params are errors.
+ * @param {Object} rawParams - Map of param name (without $) to raw YAML value
+ * @param {Object} [paths] - Each param's path in the YAML (from extractRootParams), for diagnostics
+ * @returns {Object} Map of param name to evaluated value
+ */
+function evaluateRootParams(rawParams, paths = {}) {
+    const evaluated = {};
+    const state = {}; // name -> 'visiting' | 'done'
+    const parameterError = (name, message) => stampError(message, paths[name] ?? ['params']);
+    
+    function visit(name, chain) {
+        if (state[name] === 'done') {
+            return;
+        }
+        if (state[name] === 'visiting') {
+            const cycle = [...chain.slice(chain.indexOf(name)), name].map(n => `$${n}`).join(' -> ');
+            throw parameterError(name, `Parameter cycle detected: ${cycle}`);
+        }
+        
+        state[name] = 'visiting';
+        for (const dependency of collectParameterReferences(rawParams[name], rawParams)) {
+            if (!rawParams.hasOwnProperty(dependency)) {
+                throw parameterError(name, `Parameter "$${name}" references unknown parameter "$${dependency}"`);
+            }
+            visit(dependency, [...chain, name]);
+        }
+        try {
+            evaluated[name] = evaluateParameterValue(name, rawParams[name], evaluated);
+        } catch (e) {
+            throw parameterError(name, e.message);
+        }
+        state[name] = 'done';
+    }
+    
+    for (const name of Object.keys(rawParams)) {
+        visit(name, []);
+    }
+    
+    return evaluated;
+}
+
 /**
  * Apply root-level params to all solids and stamps
  */
@@ -687,8 +866,13 @@ function applyRootParams(data, paramMap) {
     if (data.stamps) {
         const processedStamps = {};
         for (const [name, stamp] of Object.entries(data.stamps)) {
-            // Apply parameter substitution to the entire stamp definition
-            processedStamps[name] = substituteParameters(stamp, paramMap);
+            // Apply parameter substitution to the entire stamp definition; the stamp's own
+            // params shadow root params of the same name
+            const shadowed = stampParamNames(stamp?.params);
+            const visibleParams = Object.fromEntries(
+                Object.entries(paramMap).filter(([paramName]) => !shadowed.has(paramName))
+            );
+            processedStamps[name] = substituteParameters(stamp, visibleParams);
         }
         result.stamps = processedStamps;
     }
@@ -696,17 +880,65 @@ function applyRootParams(data, paramMap) {
     return result;
 }
 
+/**
+ * Throw a single error listing every expression that is still unevaluated
+ * after reference resolution, with the solid name, property path and origin
+ */
+function assertExpressionsResolved(solids, origins) {
+    const problems = [];
+    // Anything still unevaluated is unresolvable; this scope only makes the messages precise
+    const scope = {
+        resolvePath: (refName) => solids.hasOwnProperty(refName) ? null : undefined
+    };
+    
+    function check(value, solidName, path) {
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => check(item, solidName, `${path}[${index}]`));
+        } else if (value && typeof value === 'object') {
+            for (const [key, val] of Object.entries(value)) {
+                if (!LITERAL_KEYS.has(key)) {
+                    check(val, solidName, `${path}.${key}`);
+                }
+            }
+        } else if (looksLikeExpression(value)) {
+            try {
+                evaluateExpression(value.trim(), scope);
+            } catch (e) {
+                problems.push(origins.diagnostic(
+                    solidName,
+                    path,
+                    `Solid "${solidName}", property "${path}": ${formatExpressionError(value.trim(), e)}`
+                ));
+            }
+        }
+    }
+    
+    for (const [name, solid] of Object.entries(solids)) {
+        for (const [key, value] of Object.entries(solid)) {
+            if (!LITERAL_KEYS.has(key)) {
+                check(value, name, key);
+            }
+        }
+    }
+    
+    if (problems.length > 0) {
+        const error = new Error(`Invalid expression${problems.length > 1 ? 's' : ''}:\n${problems.map(p => p.message).join('\n')}`);
+        error.diagnostics = problems;
+        throw error;
+    }
+}
+
 /**
  * Resolve all property references in solids
  * Uses multiple passes to handle transitive references (A references B, B references C)
  */
-function resolveAllReferences(data) {
+function resolveAllReferences(data, origins) {
     if (!data.solids) {
         return data;
     }
     
     // First, resolve clones before resolving references
-    const solidsWithClonesResolved = resolveClones(data.solids);
+    const solidsWithClonesResolved = resolveClones(data.solids, origins);
     
     let resolvedSolids = {};
     let hasChanges = true;
@@ -726,8 +958,8 @@ function resolveAllReferences(data) {
         for (const [name, solid] of Object.entries(resolvedSolids)) {
             newResolvedSolids[name] = {};
             for (const [key, value] of Object.entries(solid)) {
-                // Skip reference resolution for 'shape' property - it should always be a literal
-                if (key === 'shape') {
+                // Skip reference resolution for literal properties like 'shape' and 'material'
+                if (LITERAL_KEYS.has(key)) {
                     newResolvedSolids[name][key] = value;
                     continue;
                 }
@@ -751,47 +983,144 @@ function resolveAllReferences(data) {
         console.warn('Reference resolution reached max passes - some references may not be fully resolved');
     }
     
+    assertExpressionsResolved(resolvedSolids, origins);
+    
     return {
         ...data,
         solids: resolvedSolids
     };
 }
 
-export function parseYAML(yamlText) {
+/**
+ * Display name of the model file for origins, from options.fileName or options.baseUrl
+ */
+function modelFileName(options) {
+    if (options.fileName) {
+        return options.fileName;
+    }
+    if (!options.baseUrl) {
+        return null;
+    }
+    const url = new URL(options.baseUrl);
+    return decodeURIComponent(url.pathname.split('/').pop()) || null;
+}
+
+/**
+ * Parse a model: load imports, evaluate params, expand stamps, load fonts and meshes, and resolve references
+ * @param {string} yamlText - YAML source
+ * @param {Object} [options] - Import options: { baseUrl, readFile } (see resolveImports), and
+ *   `configuration` to apply instead of settings.configuration, and `params` overriding root
+ *   params by name
+ * @param {OriginMap} [options.origins] - Filled with where each compiled solid came from
+ * @param {string} [options.fileName] - Model file name used in origins (default: from baseUrl)
+ * @returns {Promise<Object>} Parsed model
+ */
+export async function parseYAML(yamlText, options = {}) {
+    const origins = options.origins ?? new OriginMap();
+    origins.reset(yamlText, modelFileName(options));
     try {
-        const data = jsyaml.load(yamlText);
+        const imported = await resolveImports(jsyaml.load(yamlText), { ...options, stampSources: origins.stampSources });
+        
+        // Apply the selected configuration and any param overrides, then convert
+        // unit-suffixed values (0.25in, 45deg) to the model's units
+        const configured = applyParamOverrides(applyConfiguration(imported, options.configuration), options.params);
+        const data = applyUnits(configured);
         
-        // Extract root-level params and apply them to all solids
-        const rootParams = extractRootParams(data);
+        // Extract and evaluate root-level params, then apply them to all solids
+        const paramPaths = {};
+        const rootParams = evaluateRootParams(extractRootParams(data, paramPaths), paramPaths);
         const dataWithParams = applyRootParams(data, rootParams);
         
-        // First, process stamps (expand stamp definitions into solids)
-        const dataWithStamps = processStamps(dataWithParams);
+        // Repeat patterned solids and stamp instances
+        const dataWithPatterns = expandPatterns(dataWithParams, origins);
+        
+        // Then process stamps (expand stamp definitions into solids)
+        const dataWithStamps = processStamps(dataWithPatterns, origins);
+        // Load the fonts and mesh files solids use, which their sizes (and so references to them) need
+        await loadFonts(dataWithStamps.solids, { baseUrl: options.baseUrl, origins });
+        await loadMeshes(dataWithStamps.solids, { baseUrl: options.baseUrl, origins, units: dataWithStamps.settings?.units });
         // Then resolve property references
-        return resolveAllReferences(dataWithStamps);
+        return resolveAllReferences(dataWithStamps, origins);
     } catch (e) {
-        throw new Error(`YAML Parse Error: ${e.message}`);
+        const error = new Error(`YAML Parse Error: ${e.message}`);
+        if (e.diagnostics) {
+            error.diagnostics = e.diagnostics;
+        } else if (e.mark) {
+            // js-yaml syntax errors carry a 0-based position
+            error.diagnostics = [{
+                severity: 'error',
+                message: e.reason || e.message,
+                line: e.mark.line + 1,
+                column: e.mark.column + 1
+            }];
+        }
+        throw error;
     }
 }
 
+/**
+ * js-yaml options for compiled output
+ */
+const DUMP_OPTIONS = {
+    indent: 4,
+    lineWidth: -1, // No line width limit
+    noRefs: true,
+    sortKeys: false
+};
+
+/**
+ * Comment describing where a compiled solid came from
+ */
+function originComment(origins, name) {
+    const described = origins.describe(name);
+    if (!described) {
+        return null;
+    }
+    const cloned = {};
+    for (const [key, source] of Object.entries(origins.get(name).properties)) {
+        (cloned[source] = cloned[source] || []).push(key);
+    }
+    const clones = Object.entries(cloned).map(([source, keys]) => `; ${keys.join(', ')} from clone of "${source}"`);
+    return `# from ${described}${clones.join('')}`;
+}
+
+/**
+ * Dump a compiled model with a comment above each solid saying where it came from
+ */
+function dumpAnnotated(compiledData, origins) {
+    return Object.entries(compiledData).map(([key, value]) => {
+        if (key !== 'solids' || !value || typeof value !== 'object') {
+            return jsyaml.dump({ [key]: value }, DUMP_OPTIONS);
+        }
+        const solids = Object.entries(value).map(([name, solid]) => {
+            const comment = originComment(origins, name);
+            const dumped = jsyaml.dump({ [name]: solid }, DUMP_OPTIONS);
+            return (comment ? `${comment}\n${dumped}` : dumped).replace(/^(?=.)/gm, '    ');
+        });
+        return `solids:\n${solids.join('')}`;
+    }).join('');
+}
+
 /**
  * Compile YAML text (process stamps and resolve references) and return as YAML string
  * Useful for debugging and seeing the expanded YAML
  * @param {string} yamlText - Input YAML text
- * @returns {string} Compiled YAML as string
+ * @param {Object} [options] - Options passed to parseYAML, and `annotate` to put a comment
+ *   above each solid with the file, line, column and stamp instances it came from
+ * @returns {Promise<string>} Compiled YAML as string
  */
-export function compileYAML(yamlText) {
+export async function compileYAML(yamlText, options = {}) {
     try {
-        const compiledData = parseYAML(yamlText);
+        const origins = options.origins ?? new OriginMap();
+        const compiledData = await parseYAML(yamlText, { ...options, origins });
         // Convert back to YAML string
-        return jsyaml.dump(compiledData, {
-            indent: 4,
-            lineWidth: -1, // No line width limit
-            noRefs: true,
-            sortKeys: false
-        });
+        return options.annotate ? dumpAnnotated(compiledData, origins) : jsyaml.dump(compiledData, DUMP_OPTIONS);
     } catch (e) {
-        throw new Error(`YAML Compile Error: ${e.message}`);
+        const error = new Error(`YAML Compile Error: ${e.message}`);
+        if (e.diagnostics) {
+            error.diagnostics = e.diagnostics;
+        }
+        throw error;
     }
 }
 
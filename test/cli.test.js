@@ -0,0 +1,75 @@
+/**
+ * jermcad command line tool: outputs and exit codes
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/jermcad.js', import.meta.url));
+
+const BLOCK = `
+params:
+    - $h: 4
+solids:
+    block:
+        shape: cuboid
+        size: [10, 10, $h]
+`;
+
+let dir;
+
+before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'jermcad-'));
+});
+
+after(async () => {
+    await rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Write a model to the temp directory and run the CLI on it
+ */
+async function run(name, yaml, ...args) {
+    const model = path.join(dir, name);
+    if (yaml !== null) {
+        await writeFile(model, yaml);
+    }
+    return spawnSync(process.execPath, [CLI, model, ...args], { encoding: 'utf8', timeout: 60000 });
+}
+
+test('a valid model is written next to itself and exits 0', async () => {
+    const result = await run('block.yaml', BLOCK, '-q', 'low', '-p', 'h=6');
+    assert.equal(result.status, 0, result.stderr);
+    const stl = await readFile(path.join(dir, 'block.stl'), 'utf8');
+    assert.match(stl, /^solid block/);
+    assert.equal(stl.match(/facet normal/g).length, 12);
+});
+
+test('--check only validates', async () => {
+    const result = await run('check.yaml', BLOCK, '--check');
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stderr, /OK \(1 solids\)/);
+});
+
+test('model errors exit 1 with file:line:column diagnostics', async () => {
+    const result = await run('broken.yaml', BLOCK.replace('cuboid', 'cubiod'), '--check');
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /broken\.yaml:\d+:\d+: error:/);
+});
+
+test('usage and file errors exit 2', async () => {
+    assert.equal((await run('block.yaml', BLOCK, '-q', 'extreme')).status, 2);
+    assert.equal((await run('block.yaml', BLOCK, '-p', 'h')).status, 2);
+    assert.equal((await run('missing.yaml', null)).status, 2);
+});
+
+test('a model with nothing to export exits 3', async () => {
+    const result = await run('hidden.yaml', `${BLOCK}        visible: false\n`, '-q', 'low');
+    assert.equal(result.status, 3);
+    assert.match(result.stderr, /has no visible solids to export/);
+});
@@ -0,0 +1,75 @@
+/**
+ * Named configurations of a model
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jsyaml from 'js-yaml';
+import { listConfigurations } from '../js/utils/configurations.js';
+import { parseYAML } from '../js/utils/yamlParser.js';
+
+// The parser uses js-yaml through the global the browser page provides
+globalThis.jsyaml = jsyaml;
+
+const MODEL = `
+params:
+    - $od: 35
+    - $h: 40
+    - $r: $od / 2
+
+configurations:
+    tall:
+        params:
+            - $h: 60
+    wide:
+        params:
+            - $od: 45
+        hide: [lid]
+        show: [label]
+
+solids:
+    body:
+        shape: cylinder
+        diameter: $od
+        length: $h
+    lid:
+        shape: sphere
+        diameter: $r
+    label:
+        shape: cuboid
+        size: [10, 2, 1]
+        visible: false
+`;
+
+test('configurations are listed in order', () => {
+    assert.deepEqual(listConfigurations(jsyaml.load(MODEL)), ['tall', 'wide']);
+});
+
+test('without a configuration the plain params are used', async () => {
+    const { solids, settings } = await parseYAML(MODEL);
+    assert.equal(solids.body.length, 40);
+    assert.equal(settings, undefined);
+});
+
+test('a selected configuration overrides params before they are evaluated', async () => {
+    const { solids, settings } = await parseYAML(MODEL, { configuration: 'wide' });
+    assert.equal(settings.configuration, 'wide');
+    assert.equal(solids.body.diameter, 45);
+    assert.equal(solids.lid.diameter, 22.5);
+    assert.equal(solids.lid.visible, false);
+    assert.equal(solids.label.visible, true);
+});
+
+test('settings.configuration is applied by default', async () => {
+    const { solids } = await parseYAML(`settings:\n    configuration: tall\n${MODEL}`);
+    assert.equal(solids.body.length, 60);
+});
+
+test('unknown configurations, params and solids are errors', async () => {
+    await assert.rejects(async () => parseYAML(MODEL, { configuration: 'short' }),
+        /Configuration "short" is not defined \(defined: tall, wide\)/);
+    await assert.rejects(async () => parseYAML(MODEL.replace('$h: 60', '$height: 60'), { configuration: 'tall' }),
+        /Configuration "tall": "\$height" is not a root param/);
+    await assert.rejects(async () => parseYAML(MODEL.replace('hide: [lid]', 'hide: [cap]'), { configuration: 'wide' }),
+        /Configuration "wide" hides "cap", which is not a solid/);
+});
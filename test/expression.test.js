@@ -0,0 +1,86 @@
+/**
+ * Expression language for property values
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jsyaml from 'js-yaml';
+import { ExpressionError, evaluateExpression, formatExpressionError, looksLikeExpression } from '../js/utils/expression.js';
+import { parseYAML } from '../js/utils/yamlParser.js';
+
+// The parser uses js-yaml through the global the browser page provides
+globalThis.jsyaml = jsyaml;
+
+test('operators follow their precedence', () => {
+    assert.equal(evaluateExpression('1 + 2 * 3'), 7);
+    assert.equal(evaluateExpression('(1 + 2) * 3'), 9);
+    assert.equal(evaluateExpression('-2^2'), -4);
+    assert.equal(evaluateExpression('2^3^2'), 512);
+    assert.equal(evaluateExpression('7 % 4'), 3);
+    assert.equal(evaluateExpression('1 < 2 && 2 <= 2'), true);
+    assert.equal(evaluateExpression('1 > 2 || !true'), false);
+    assert.equal(evaluateExpression('2 > 1 ? 10 : 20'), 10);
+});
+
+test('functions and constants', () => {
+    assert.equal(evaluateExpression('sind(90)'), 1);
+    assert.ok(Math.abs(evaluateExpression('sin(pi / 2)') - 1) < 1e-12);
+    assert.equal(evaluateExpression('clamp(12, 2, 8)'), 8);
+    assert.equal(evaluateExpression('max(1, 5, 3)'), 5);
+    assert.equal(evaluateExpression('round(3.14159, 2)'), 3.14);
+    assert.equal(evaluateExpression('hypot(3, 4)'), 5);
+});
+
+test('lists are indexed and combine element-wise', () => {
+    assert.deepEqual(evaluateExpression('[1, 2, 3] * 2'), [2, 4, 6]);
+    assert.deepEqual(evaluateExpression('[1, 2] + [10, 20]'), [11, 22]);
+    assert.equal(evaluateExpression('[4, 5, 6][1]'), 5);
+});
+
+test('names are looked up through the scope', () => {
+    const scope = { resolve: (name) => ({ width: 4 })[name] };
+    assert.equal(evaluateExpression('width * 2', scope), 8);
+});
+
+test('errors name the problem and where it is', () => {
+    assert.throws(() => evaluateExpression('sinn(2)'), ExpressionError);
+    assert.throws(() => evaluateExpression('1 / 0'), ExpressionError);
+    assert.throws(() => evaluateExpression('1 +'), ExpressionError);
+    try {
+        evaluateExpression('sinn(2)');
+    } catch (e) {
+        assert.equal(formatExpressionError('sinn(2)', e), 'Unknown function "sinn" in "sinn(2)" (column 1)');
+    }
+});
+
+test('plain names are not taken for expressions', () => {
+    assert.equal(looksLikeExpression('base'), false);
+    assert.equal(looksLikeExpression('base * 2'), true);
+    assert.equal(looksLikeExpression('12'), true);
+    assert.equal(looksLikeExpression(12), false);
+});
+
+test('solid properties are evaluated when the model is parsed', async () => {
+    const data = await parseYAML(`
+params:
+    - $od: 10
+solids:
+    peg:
+        shape: cylinder
+        center: [0, 0, sind(90) * 10]
+        diameter: clamp($od / 2, 2, 8)
+        length: "$od > 5 ? 20 : 10"
+`);
+    assert.deepEqual(data.solids.peg.center, [0, 0, 10]);
+    assert.equal(data.solids.peg.diameter, 5);
+    assert.equal(data.solids.peg.length, 20);
+});
+
+test('a property that can\'t be evaluated names the solid and property', async () => {
+    await assert.rejects(async () => parseYAML(`
+solids:
+    peg:
+        shape: cylinder
+        center: [0, 0, sinn(2)]
+`), /Solid "peg", property "center\[2\]": Unknown function "sinn"/);
+});
@@ -0,0 +1,112 @@
+/**
+ * Fillets and chamfers done with boolean operations (on the results of other boolean operations),
+ * and how their problems are reported
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Evaluator } from 'three-bvh-csg';
+import jsyaml from 'js-yaml';
+import { createSolid } from '../js/csg/solidBuilder.js';
+import { buildModel } from '../js/modelBuilder.js';
+import { initialize } from '../js/modifiers/index.js';
+import { forceQualityLevel } from '../js/utils/qualitySettings.js';
+import { validateModel } from '../js/utils/validator.js';
+import { parseYAML } from '../js/utils/yamlParser.js';
+
+// The parser uses js-yaml through the global the browser page provides
+globalThis.jsyaml = jsyaml;
+
+forceQualityLevel('low');
+initialize(new Evaluator());
+
+/**
+ * Build a 20 mm block with a hole through it, centered at a point, and measure it in
+ * model coordinates
+ */
+function drilledBlock(center, modifiers = {}) {
+    const solids = {
+        hole: { shape: 'cylinder', diameter: 6, length: 30, center, visible: false },
+        block: { shape: 'cuboid', size: [20, 20, 20], center, modifiers: { boolean: [{ difference: 'hole' }], ...modifiers } }
+    };
+    const mesh = createSolid('block', solids.block, solids);
+    mesh.updateMatrix();
+    const geometry = mesh.geometry.clone().applyMatrix4(mesh.matrix);
+    const position = geometry.attributes.position;
+    const [a, b, c] = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    let volume = 0;
+    for (let i = 0; i < position.count; i += 3) {
+        a.fromBufferAttribute(position, i);
+        b.fromBufferAttribute(position, i + 1);
+        c.fromBufferAttribute(position, i + 2);
+        volume += a.dot(b.cross(c)) / 6;
+    }
+    geometry.computeBoundingBox();
+    const { min, max } = geometry.boundingBox;
+    return { volume, min: min.toArray().map((value, k) => value - center[k]), max: max.toArray().map((value, k) => value - center[k]) };
+}
+
+const CENTERS = [[0, 0, 0], [0, 30, 0], [0, 80, 0], [7, 13, 0], [1000, -300, 50]];
+
+for (const [kind, config] of [['fillet', { radius: 2, edges: 'top' }], ['chamfer', { distance: 2, edges: 'top' }]]) {
+    test(`${kind} on a boolean result only moves with the solid, and only cuts away`, () => {
+        const original = drilledBlock([0, 0, 0]).volume;
+        const [first, ...others] = CENTERS.map(center => ({ center, ...drilledBlock(center, { [kind]: config }) }));
+        assert.ok(first.volume < original, `${kind} cuts away material (${first.volume} < ${original})`);
+        for (const { center, volume, min, max } of [first, ...others]) {
+            assert.ok(volume <= original, `${kind} at ${center} doesn't add material (${volume} <= ${original})`);
+            assert.ok(Math.abs(volume - first.volume) < first.volume * 1e-4, `${kind} at ${center} has the same volume (${volume} vs ${first.volume})`);
+            [...min, ...max].forEach((value, k) => {
+                const expected = k < 3 ? -10 : 10;
+                assert.ok(Math.abs(value - expected) < 0.01, `${kind} at ${center} keeps within the block (${min} to ${max})`);
+            });
+        }
+    });
+}
+
+test('an edge whose boolean operation fails is left alone and reported as a failure', () => {
+    // Scaled solids take the boolean route; make every operation fail
+    initialize({ evaluate() { throw new Error('no closed result'); } });
+    try {
+        const { meshes, failures } = buildModel({
+            solids: { block: { shape: 'cuboid', size: [20, 20, 20], scale: [1, 1, 2], modifiers: { fillet: { radius: 2, edges: 'top' } } } }
+        });
+        assert.equal(meshes.length, 1);
+        assert.equal(failures.length, 4);
+        assert.equal(failures[0].solid, 'block');
+        assert.equal(failures[0].property, 'modifiers.fillet');
+        assert.match(failures[0].message, /^fillet failed on the edge from \[.*\] to \[.*\]: no closed result$/);
+    } finally {
+        initialize(new Evaluator());
+    }
+});
+
+test('selecting no edges is a warning at the modifier', async () => {
+    const yaml = `
+solids:
+    plate:
+        shape: cuboid
+        size: [20, 20, 4]
+        modifiers:
+            chamfer:
+                distance: 1
+                edges: { within: { min: [50, 50, 50], max: [60, 60, 60] } }
+    ball:
+        shape: sphere
+        diameter: 10
+        center: [40, 0, 0]
+        modifiers:
+            fillet:
+                radius: 1
+`;
+    const data = await parseYAML(yaml);
+    const warnings = validateModel(yaml, data).filter(d => d.severity === 'warning');
+    assert.deepEqual(warnings.map(({ line, message }) => ({ line, message })), [
+        { line: 7, message: 'Solid "plate" chamfer selects no edges' }
+    ]);
+
+    // Spheres have no exact result, so their edges are only known once built
+    const { warnings: built } = buildModel(data);
+    assert.deepEqual(built, [{ solid: 'ball', property: 'modifiers.fillet', message: 'fillet selects no edges' }]);
+});
@@ -0,0 +1,45 @@
+/**
+ * Mirrors that keep the original, and how a failed union is reported
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Evaluator } from 'three-bvh-csg';
+import { buildModel } from '../js/modelBuilder.js';
+import { initialize } from '../js/modifiers/index.js';
+import { forceQualityLevel } from '../js/utils/qualitySettings.js';
+
+forceQualityLevel('low');
+initialize(new Evaluator());
+
+const SOLIDS = {
+    half: { shape: 'cuboid', size: [10, 4, 4], center: [5, 0, 0], modifiers: { mirror: { plane: 'x', keep_original: true } } },
+    arm: { shape: 'cuboid', size: [4, 4, 4], center: [0, 20, 0], mirror: { plane: 'y', keep_original: true } }
+};
+
+test('keep_original adds the reflection to the solid', () => {
+    const { meshes, failures } = buildModel({ solids: SOLIDS });
+    assert.deepEqual(failures, []);
+    const [half, arm] = meshes.map(mesh => {
+        mesh.updateMatrix();
+        const geometry = mesh.geometry.clone().applyMatrix4(mesh.matrix);
+        geometry.computeBoundingBox();
+        return geometry.boundingBox;
+    });
+    assert.ok(Math.abs(half.min.x + 10) < 1e-6 && Math.abs(half.max.x - 10) < 1e-6);
+    assert.ok(Math.abs(arm.min.y + 22) < 1e-6 && Math.abs(arm.max.y - 22) < 1e-6);
+});
+
+test('a failed union keeps the original and is reported at the mirror', () => {
+    initialize({ evaluate() { throw new Error('no closed result'); } });
+    try {
+        const { meshes, failures } = buildModel({ solids: SOLIDS });
+        assert.equal(meshes.length, 2);
+        assert.deepEqual(failures, [
+            { solid: 'half', property: 'modifiers.mirror', message: 'mirror failed to add the reflection: no closed result' },
+            { solid: 'arm', property: 'mirror', message: 'mirror failed to add the reflection: no closed result' }
+        ]);
+    } finally {
+        initialize(new Evaluator());
+    }
+});
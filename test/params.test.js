@@ -0,0 +1,48 @@
+/**
+ * Root params evaluated as a dependency graph
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jsyaml from 'js-yaml';
+import { parseYAML } from '../js/utils/yamlParser.js';
+
+// The parser uses js-yaml through the global the browser page provides
+globalThis.jsyaml = jsyaml;
+
+const SOLIDS = `
+solids:
+    ball:
+        shape: sphere
+        diameter: $d
+        center: [0, 0, "$cp[2] + 1"]
+`;
+
+test('params may use params defined after them', async () => {
+    const { solids } = await parseYAML(`
+params:
+    - $r: $d / 2
+    - $d: $base * 2
+    - $base: 5
+    - $cp: [0, $r, $d]
+${SOLIDS}`);
+    assert.equal(solids.ball.diameter, 10);
+    assert.deepEqual(solids.ball.center, [0, 0, 11]);
+});
+
+test('a cycle is an error naming the cycle', async () => {
+    await assert.rejects(async () => parseYAML(`
+params:
+    - $d: $cp[1]
+    - $cp: [0, $r, 1]
+    - $r: $d / 2
+${SOLIDS}`), /Parameter cycle detected: \$d -> \$cp -> \$r -> \$d/);
+});
+
+test('a param using an undefined param is an error', async () => {
+    await assert.rejects(async () => parseYAML(`
+params:
+    - $d: $base * 2
+    - $cp: [0, 0, 1]
+${SOLIDS}`), /Parameter "\$d" references unknown parameter "\$base"/);
+});
@@ -0,0 +1,86 @@
+/**
+ * Linear, grid and polar patterns of solids
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jsyaml from 'js-yaml';
+import { parseYAML } from '../js/utils/yamlParser.js';
+
+// The parser uses js-yaml through the global the browser page provides
+globalThis.jsyaml = jsyaml;
+
+const near = (actual, expected) => assert.ok(
+    actual.every((value, i) => Math.abs(value - expected[i]) < 1e-9),
+    `${JSON.stringify(actual)} should be ${JSON.stringify(expected)}`
+);
+
+test('a linear pattern steps from the solid\'s center, or around it when centered', async () => {
+    const { solids } = await parseYAML(`
+solids:
+    rail:
+        shape: cuboid
+        size: [1, 1, 1]
+        center: [0, 0, 2]
+        pattern: { type: linear, count: 3, step: [4, 0, 0] }
+    vent:
+        shape: cuboid
+        size: [1, 1, 1]
+        pattern: { type: linear, count: 3, step: [0, 4, 0], centered: true }
+`);
+    assert.equal(solids.rail, undefined);
+    near(solids.rail_0.center, [0, 0, 2]);
+    near(solids.rail_2.center, [8, 0, 2]);
+    near(solids.vent_0.center, [0, -4, 0]);
+    near(solids.vent_2.center, [0, 4, 0]);
+});
+
+test('a grid pattern names instances by column and row', async () => {
+    const { solids } = await parseYAML(`
+solids:
+    peg:
+        shape: cylinder
+        diameter: 1
+        length: 1
+        pattern: { type: grid, counts: [2, 3], steps: [5, 10] }
+`);
+    assert.equal(Object.keys(solids).length, 6);
+    near(solids.peg_1_2.center, [5, 20, 0]);
+});
+
+test('a polar pattern puts instances on a circle and turns them with it', async () => {
+    const { solids } = await parseYAML(`
+params:
+    - $spokes: 4
+solids:
+    spoke:
+        shape: cuboid
+        size: [4, 1, 1]
+        pattern: { type: polar, count: $spokes, radius: 10 }
+`);
+    near(solids.spoke_0.center, [10, 0, 0]);
+    near(solids.spoke_1.center, [0, 10, 0]);
+    near(solids.spoke_1.rotation, [0, 0, 90]);
+});
+
+test('boolean operations on a patterned solid apply to every instance', async () => {
+    const { solids } = await parseYAML(`
+solids:
+    plate:
+        shape: cuboid
+        size: [40, 40, 4]
+        modifiers:
+            boolean:
+                - difference: vent
+    vent:
+        shape: cuboid
+        size: [2, 12, 5]
+        visible: false
+        pattern: { type: linear, count: 3, step: [4, 0, 0] }
+`);
+    assert.deepEqual(solids.plate.modifiers.boolean, [
+        { difference: 'vent_0' },
+        { difference: 'vent_1' },
+        { difference: 'vent_2' }
+    ]);
+});
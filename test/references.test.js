@@ -0,0 +1,73 @@
+/**
+ * References to other solids' properties: dotted, indexed and derived
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jsyaml from 'js-yaml';
+import { parseYAML } from '../js/utils/yamlParser.js';
+
+// The parser uses js-yaml through the global the browser page provides
+globalThis.jsyaml = jsyaml;
+
+test('dotted, indexed and axis paths read other solids\' properties', async () => {
+    const { solids } = await parseYAML(`
+solids:
+    holder:
+        shape: cylinder
+        center: [0, 0, 12]
+        diameter: 5
+        length: 3
+    base:
+        shape: cuboid
+        size: [10, 8, holder.length]
+        center: [0, 0, holder.center.z - holder.diameter]
+    peg:
+        shape: cuboid
+        size: ["base.size[0]", 2, 2]
+        center: [0, 0, 1]
+`);
+    assert.deepEqual(solids.base.size, [10, 8, 3]);
+    assert.deepEqual(solids.base.center, [0, 0, 7]);
+    assert.deepEqual(solids.peg.size, [10, 2, 2]);
+});
+
+test('derived properties come from a solid\'s bounds', async () => {
+    const { solids } = await parseYAML(`
+solids:
+    base:
+        shape: cuboid
+        size: [10, 8, 4]
+        center: [0, 0, 2]
+    ball:
+        shape: sphere
+        diameter: 6
+        center: [base.max.x, 0, base.top + 3]
+    pin:
+        shape: cylinder
+        diameter: ball.radius
+        length: 1
+    under:
+        shape: cuboid
+        size: [1, 1, 1]
+        center: [0, 0, base.bottom]
+`);
+    assert.deepEqual(solids.ball.center, [5, 0, 7]);
+    assert.deepEqual(solids.under.center, [0, 0, 0]);
+    assert.equal(solids.pin.diameter, 3);
+});
+
+test('a real property wins over a derived one', async () => {
+    const { solids } = await parseYAML(`
+solids:
+    ring:
+        shape: cylinder
+        diameter: 10
+        length: 2
+        radius: 3
+    pin:
+        shape: cuboid
+        size: [ring.radius, 1, 1]
+`);
+    assert.deepEqual(solids.pin.size, [3, 1, 1]);
+});
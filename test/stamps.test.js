@@ -0,0 +1,185 @@
+/**
+ * Stamps: nesting and typed parameters
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jsyaml from 'js-yaml';
+import { parseYAML } from '../js/utils/yamlParser.js';
+
+// The parser uses js-yaml through the global the browser page provides
+globalThis.jsyaml = jsyaml;
+
+const near = (actual, expected) => assert.ok(
+    actual.every((value, i) => Math.abs(value - expected[i]) < 1e-9),
+    `${JSON.stringify(actual)} should be ${JSON.stringify(expected)}`
+);
+
+const NESTED = `
+stamps:
+    peg:
+        params: [$d]
+        solids:
+            pin:
+                shape: cylinder
+                center: [0, 0, 1]
+                diameter: $d
+                length: 2
+        parent:
+            modifiers:
+                boolean:
+                    - union: pin
+    rack:
+        params: [$d]
+        solids:
+            bar:
+                shape: cuboid
+                size: [20, 4, 2]
+                stamps:
+                    stud:
+                        stamp: peg
+                        d: $d / 2
+                        at: [5, 0, 1]
+        parent:
+            modifiers:
+                boolean:
+                    - union: bar
+solids:
+    base:
+        shape: cuboid
+        size: [40, 40, 2]
+        stamps:
+            holder:
+                stamp: rack
+                d: 4
+                at: [0, 0, 2]
+                rotate: [0, 0, 90]
+`;
+
+test('a stamp is expanded into named solids placed at the instance', async () => {
+    const { solids } = await parseYAML(`
+stamps:
+    knob:
+        params: [$d]
+        solids:
+            cap:
+                shape: sphere
+                center: [1, 0, 0]
+                diameter: $d
+        parent:
+            modifiers:
+                boolean:
+                    - union: cap
+solids:
+    lid:
+        shape: cuboid
+        size: [10, 10, 1]
+        stamps:
+            top:
+                stamp: knob
+                d: 3
+                at: [0, 0, 1]
+                rotate: [0, 0, 90]
+`);
+    near(solids.lid_top_cap.center, [0, 1, 1]);
+    assert.equal(solids.lid_top_cap.diameter, 3);
+    assert.deepEqual(solids.lid.modifiers.boolean, [{ union: 'lid_top_cap' }]);
+    assert.equal(solids.lid.stamps, undefined);
+});
+
+test('nested instances move and turn with the stamp they are used in', async () => {
+    const { solids } = await parseYAML(NESTED);
+    const pin = solids.base_holder_bar_stud_pin;
+    near(pin.center, [0, 5, 4]);
+    assert.equal(pin.diameter, 2);
+});
+
+test('each stamp\'s parent modifiers apply to the solid that uses it', async () => {
+    const { solids } = await parseYAML(NESTED);
+    assert.deepEqual(solids.base_holder_bar.modifiers.boolean, [{ union: 'base_holder_bar_stud_pin' }]);
+    assert.deepEqual(solids.base.modifiers.boolean, [{ union: 'base_holder_bar' }]);
+});
+
+test('a stamp that ends up using itself is an error', async () => {
+    await assert.rejects(async () => parseYAML(`
+stamps:
+    a:
+        solids:
+            part:
+                shape: cuboid
+                size: [1, 1, 1]
+                stamps:
+                    inner: { stamp: b }
+    b:
+        solids:
+            part:
+                shape: cuboid
+                size: [1, 1, 1]
+                stamps:
+                    inner: { stamp: a }
+solids:
+    base:
+        shape: cuboid
+        size: [1, 1, 1]
+        stamps:
+            top: { stamp: a }
+`), /Stamp cycle detected: a -> b -> a/);
+});
+
+const POCKET = `
+stamps:
+    pocket:
+        params:
+            - $diameter:
+                type: number
+                min: 1
+                max: 20
+            - $depth: 3
+            - $length: $diameter * 2
+        solids:
+            cut:
+                shape: cylinder
+                diameter: $diameter
+                length: $depth + $length
+solids:
+    base:
+        shape: cuboid
+        size: [40, 40, 10]
+        stamps:
+`;
+
+test('typed params take positional args, names and defaults', async () => {
+    const { solids } = await parseYAML(`${POCKET}
+            a:
+                stamp: pocket
+                args: [5, 4]
+            b:
+                stamp: pocket
+                diameter: 8
+`);
+    assert.equal(solids.base_a_cut.diameter, 5);
+    assert.equal(solids.base_a_cut.length, 14);
+    assert.equal(solids.base_b_cut.diameter, 8);
+    assert.equal(solids.base_b_cut.length, 19);
+});
+
+test('instances are checked against the declarations', async () => {
+    await assert.rejects(async () => parseYAML(`${POCKET}
+            a:
+                stamp: pocket
+                diameter: 30
+`), /Stamp instance "a" \(pocket\) on .*parameter "\$diameter" is 30, above the maximum of 20/);
+
+    await assert.rejects(async () => parseYAML(`${POCKET}
+            a:
+                stamp: pocket
+                depth: 2
+                width: 4
+`), /passes unknown parameter "width".*is missing parameter "\$diameter"/);
+
+    await assert.rejects(async () => parseYAML(`${POCKET}
+            a:
+                stamp: pocket
+                args: [5, 1, 2, 3]
+`), /passes 4 args, but it takes \$diameter, \$depth, \$length/);
+});
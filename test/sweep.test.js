@@ -0,0 +1,26 @@
+/**
+ * Sweep paths and sections
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sweepSections } from '../js/utils/sweepPath.js';
+
+const rail = (radius) => ({
+    profile: { type: 'circle', diameter: 1 },
+    path: { type: 'polyline', points: [[0, 0, 0], [4, 0, 0], [4, 30, 0]], radius }
+});
+
+test('corner radii that fit are used as given', () => {
+    const { sections, warnings } = sweepSections(rail(1), 32);
+    assert.deepEqual(warnings, []);
+    assert.equal(sections.length, 2 + 8 + 1);
+});
+
+test('a radius too big for its corner is shrunk, with a warning at the corner', () => {
+    const { warnings } = sweepSections(rail(10), 32);
+    assert.deepEqual(warnings, [{
+        message: '"path" corner 2 is too tight for radius 10; using 2',
+        property: 'path.points[1]'
+    }]);
+});
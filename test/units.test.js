@@ -0,0 +1,55 @@
+/**
+ * Unit suffixes on values
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jsyaml from 'js-yaml';
+import { applyUnits, lengthScale } from '../js/utils/units.js';
+import { parseYAML } from '../js/utils/yamlParser.js';
+
+// The parser uses js-yaml through the global the browser page provides
+globalThis.jsyaml = jsyaml;
+
+test('suffixed lengths and angles are converted to the model\'s units and degrees', async () => {
+    const { solids } = await parseYAML(`
+params:
+    - $width: 2in
+solids:
+    plate:
+        shape: cuboid
+        size: [$width, 1.5cm, 0.25in]
+        rotation: [90deg, 0, 0.5rad]
+    post:
+        shape: cylinder
+        diameter: 3mm
+        length: 1ft - 10cm
+`);
+    assert.deepEqual(solids.plate.size, [50.8, 15, 6.35]);
+    assert.equal(solids.plate.rotation[0], 90);
+    assert.ok(Math.abs(solids.plate.rotation[2] - 28.6478897565) < 1e-9);
+    assert.equal(solids.post.length, 204.8);
+});
+
+test('plain numbers are in settings.units, suffixed ones keep their real size', () => {
+    const data = applyUnits({
+        settings: { units: 'in' },
+        solids: { plate: { shape: 'cuboid', size: [2, '25.4mm', '1ft'] } }
+    });
+    assert.deepEqual(data.solids.plate.size, [2, 1, 12]);
+    assert.equal(lengthScale('in', 'mm'), 25.4);
+});
+
+test('names and words that end in a unit are left alone', () => {
+    const data = applyUnits({
+        solids: { bolt: { shape: 'cylinder', description: 'M3 x 10mm', diameter: 'm3.diameter', length: '3mins' } }
+    });
+    assert.equal(data.solids.bolt.description, 'M3 x 10mm');
+    assert.equal(data.solids.bolt.diameter, 'm3.diameter');
+    assert.equal(data.solids.bolt.length, '3mins');
+});
+
+test('unknown model units are an error', () => {
+    assert.throws(() => applyUnits({ settings: { units: 'furlong' }, solids: {} }),
+        /Unknown units "furlong" \(use mm, cm, m, in, ft\)/);
+});